@@ -6,8 +6,20 @@ import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { AuthProvider } from './src/context/AuthContext';
 import AuthNavigator from './src/navigation/AuthNavigator';
 import { supabase } from './src/lib/supabase';
+import { loadWalkingProfile } from './src/utils/walkingProfile';
+import { configureNotifications } from './src/utils/departurePlanner';
+import { startBackgroundSync } from './src/services/campusSync';
 
 export default function App() {
+  // Walking pace is needed for every time estimate; class reminders need a handler
+  useEffect(() => {
+    loadWalkingProfile();
+    configureNotifications();
+  }, []);
+
+  // Campus data is served from the device and refreshed in the background
+  useEffect(() => startBackgroundSync(), []);
+
   useEffect(() => {
     // Handle deep links (email confirmation, etc.)
     const handleDeepLink = async (url) => {
@@ -0,0 +1,66 @@
+-- ============================================================================
+-- BUILDING ENTRANCES DATABASE SETUP
+-- ============================================================================
+-- Routes arrive at (and leave from) a building's doors instead of its
+-- centroid. Run this in your Supabase SQL Editor on projects created before
+-- building_entrances was part of supabase-fresh-setup.sql
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS building_entrances (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  building_id UUID NOT NULL REFERENCES buildings(id) ON DELETE CASCADE,
+  name TEXT, -- e.g. 'Main entrance', 'Side door'
+  latitude DECIMAL(15, 12) NOT NULL,
+  longitude DECIMAL(15, 12) NOT NULL,
+  is_accessible BOOLEAN DEFAULT true, -- Step-free entrance
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS building_entrances_building_idx ON building_entrances(building_id);
+
+-- The app keeps a copy for offline routing (see offline-sync-setup.sql);
+-- tables created by an earlier version of this script lack updated_at
+ALTER TABLE building_entrances ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE OR REPLACE FUNCTION update_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS building_entrances_updated_at ON building_entrances;
+CREATE TRIGGER building_entrances_updated_at
+  BEFORE UPDATE ON building_entrances
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'record_deleted_row') THEN
+    DROP TRIGGER IF EXISTS building_entrances_record_delete ON building_entrances;
+    CREATE TRIGGER building_entrances_record_delete
+      AFTER DELETE ON building_entrances
+      FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+  END IF;
+END $$;
+
+ALTER TABLE building_entrances ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read building_entrances" ON building_entrances;
+DROP POLICY IF EXISTS "Service role all building_entrances" ON building_entrances;
+DROP POLICY IF EXISTS "Auth insert building_entrances" ON building_entrances;
+DROP POLICY IF EXISTS "Auth update building_entrances" ON building_entrances;
+DROP POLICY IF EXISTS "Auth delete building_entrances" ON building_entrances;
+
+CREATE POLICY "Public read building_entrances" ON building_entrances FOR SELECT USING (true);
+CREATE POLICY "Service role all building_entrances" ON building_entrances FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+CREATE POLICY "Auth insert building_entrances" ON building_entrances FOR INSERT WITH CHECK (auth.role() = 'authenticated');
+CREATE POLICY "Auth update building_entrances" ON building_entrances FOR UPDATE USING (auth.role() = 'authenticated');
+CREATE POLICY "Auth delete building_entrances" ON building_entrances FOR DELETE USING (auth.role() = 'authenticated');
+
+-- Example: main entrance on the south side of a building
+-- INSERT INTO building_entrances (building_id, name, latitude, longitude)
+--   SELECT id, 'Main entrance', 11.239520, 124.997610 FROM buildings WHERE code = 'ADM';
+-- ============================================================================
@@ -0,0 +1,72 @@
+-- ============================================================================
+-- BUILDING FOOTPRINTS DATABASE SETUP
+-- ============================================================================
+-- Real building outlines instead of width/height/rotation rectangles, so L-
+-- and U-shaped buildings are drawn and tapped as they are
+-- (src/utils/footprints.js). footprint is a GeoJSON Polygon or MultiPolygon
+-- ([longitude, latitude]) that the app downloads with each building;
+-- footprint_geom is the same shape as PostGIS geography for spatial queries.
+-- Set either one (e.g. paste GeoJSON, or import footprint_geom from a
+-- shapefile or OSM) and the trigger fills in the other. Buildings without a
+-- footprint keep their rectangle. Run this in your Supabase SQL Editor on
+-- projects created before footprints were part of supabase-fresh-setup.sql
+-- ============================================================================
+
+ALTER TABLE buildings ADD COLUMN IF NOT EXISTS footprint JSONB;
+ALTER TABLE buildings ADD COLUMN IF NOT EXISTS footprint_geom GEOGRAPHY(MULTIPOLYGON, 4326);
+
+CREATE INDEX IF NOT EXISTS buildings_footprint_geom_idx ON buildings USING GIST(footprint_geom);
+
+-- Keep footprint (GeoJSON) and footprint_geom (PostGIS) describing the same shape
+CREATE OR REPLACE FUNCTION sync_building_footprint()
+RETURNS TRIGGER AS $$
+DECLARE
+  footprint_changed BOOLEAN;
+  geom_changed BOOLEAN;
+  shape GEOMETRY;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    footprint_changed := NEW.footprint IS NOT NULL;
+    geom_changed := NEW.footprint_geom IS NOT NULL;
+  ELSE
+    footprint_changed := NEW.footprint IS DISTINCT FROM OLD.footprint;
+    geom_changed := NEW.footprint_geom IS DISTINCT FROM OLD.footprint_geom;
+  END IF;
+
+  IF footprint_changed THEN
+    IF NEW.footprint IS NULL THEN
+      NEW.footprint_geom := NULL;
+    ELSE
+      -- A GeoJSON Feature is accepted too; its geometry is what's stored
+      IF NEW.footprint->>'type' = 'Feature' THEN
+        NEW.footprint := NEW.footprint->'geometry';
+      END IF;
+      shape := ST_SetSRID(ST_GeomFromGeoJSON(NEW.footprint::text), 4326);
+      IF GeometryType(shape) NOT IN ('POLYGON', 'MULTIPOLYGON') OR NOT ST_IsValid(shape) THEN
+        RAISE EXCEPTION 'Footprint of building % must be a valid GeoJSON Polygon or MultiPolygon', NEW.code;
+      END IF;
+      NEW.footprint_geom := ST_Multi(shape)::geography;
+    END IF;
+  ELSIF geom_changed THEN
+    NEW.footprint := CASE
+      WHEN NEW.footprint_geom IS NULL THEN NULL
+      ELSE ST_AsGeoJSON(NEW.footprint_geom::geometry, 7)::jsonb
+    END;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS building_footprint_trigger ON buildings;
+CREATE TRIGGER building_footprint_trigger
+  BEFORE INSERT OR UPDATE ON buildings
+  FOR EACH ROW EXECUTE FUNCTION sync_building_footprint();
+
+-- Example: an L-shaped building (GeoJSON is [longitude, latitude])
+-- UPDATE buildings SET footprint = '{"type": "Polygon", "coordinates": [[
+--   [124.99700, 11.24000], [124.99740, 11.24000], [124.99740, 11.23980],
+--   [124.99720, 11.23980], [124.99720, 11.23960], [124.99700, 11.23960],
+--   [124.99700, 11.24000]
+-- ]]}' WHERE code = 'ADM';
+-- ============================================================================
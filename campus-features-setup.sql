@@ -0,0 +1,73 @@
+-- ============================================================================
+-- CAMPUS FEATURES DATABASE SETUP
+-- ============================================================================
+-- Landmarks the platform base map doesn't show: gates, parking, bus stops,
+-- the oval. The map draws them with campus icons (src/constants/mapStyle.js),
+-- and an outline when one is set. outline is a GeoJSON Polygon or
+-- MultiPolygon ([longitude, latitude]), e.g. the edge of a parking lot. Run
+-- this in your Supabase SQL Editor on projects created before campus_features
+-- was part of supabase-fresh-setup.sql
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS campus_features (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL, -- e.g. 'Main Gate'
+  feature_type VARCHAR(30) NOT NULL DEFAULT 'landmark' CHECK (feature_type IN ('gate', 'parking', 'bus_stop', 'oval', 'landmark')),
+  latitude DECIMAL(15, 12) NOT NULL, -- Where the icon goes
+  longitude DECIMAL(15, 12) NOT NULL,
+  outline JSONB, -- Area covered, optional
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS campus_features_type_idx ON campus_features(feature_type);
+
+CREATE OR REPLACE FUNCTION update_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS campus_features_updated_at ON campus_features;
+CREATE TRIGGER campus_features_updated_at
+  BEFORE UPDATE ON campus_features
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Tell offline copies about deletions (needs offline-sync-setup.sql)
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'record_deleted_row') THEN
+    DROP TRIGGER IF EXISTS campus_features_record_delete ON campus_features;
+    CREATE TRIGGER campus_features_record_delete
+      AFTER DELETE ON campus_features
+      FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+  END IF;
+END $$;
+
+ALTER TABLE campus_features ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read campus_features" ON campus_features;
+DROP POLICY IF EXISTS "Service role all campus_features" ON campus_features;
+DROP POLICY IF EXISTS "Auth insert campus_features" ON campus_features;
+DROP POLICY IF EXISTS "Auth update campus_features" ON campus_features;
+DROP POLICY IF EXISTS "Auth delete campus_features" ON campus_features;
+
+CREATE POLICY "Public read campus_features" ON campus_features FOR SELECT USING (true);
+CREATE POLICY "Service role all campus_features" ON campus_features FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+CREATE POLICY "Auth insert campus_features" ON campus_features FOR INSERT WITH CHECK (auth.role() = 'authenticated');
+CREATE POLICY "Auth update campus_features" ON campus_features FOR UPDATE USING (auth.role() = 'authenticated');
+CREATE POLICY "Auth delete campus_features" ON campus_features FOR DELETE USING (auth.role() = 'authenticated');
+
+-- Examples (coordinates are placeholders; use the real spots on campus)
+-- INSERT INTO campus_features (name, feature_type, latitude, longitude) VALUES
+--   ('Main Gate', 'gate', 11.238900, 124.997300),
+--   ('Jeepney Stop', 'bus_stop', 11.238700, 124.997100);
+-- INSERT INTO campus_features (name, feature_type, latitude, longitude, outline) VALUES
+--   ('Faculty Parking', 'parking', 11.239300, 124.996800, '{"type": "Polygon", "coordinates": [[
+--     [124.99665, 11.23940], [124.99695, 11.23940], [124.99695, 11.23920],
+--     [124.99665, 11.23920], [124.99665, 11.23940]
+--   ]]}');
+-- ============================================================================
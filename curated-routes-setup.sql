@@ -0,0 +1,25 @@
+-- ============================================================================
+-- CURATED ROUTES DATABASE SETUP
+-- ============================================================================
+-- Admin-drawn building-to-building routes (e.g. around a construction zone)
+-- are used before any computed route. Run this in your Supabase SQL Editor on
+-- projects created before these columns were part of supabase-fresh-setup.sql
+-- ============================================================================
+
+-- path_coordinates is a JSON array of points in walking order:
+--   [{"latitude": 11.2401, "longitude": 124.9972}, ...]
+-- Routes are also used in reverse (to_building_id -> from_building_id).
+
+-- 'admin' = drawn by an admin, 'computed' = saved from the app as a candidate.
+-- Candidates are saved with is_active = false until an admin reviews them.
+ALTER TABLE routes
+  ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'admin';
+
+CREATE INDEX IF NOT EXISTS routes_buildings_idx ON routes(from_building_id, to_building_id);
+CREATE INDEX IF NOT EXISTS routes_to_building_idx ON routes(to_building_id);
+
+-- ============================================================================
+-- Example: approve a candidate saved from the app
+-- UPDATE routes SET is_active = true, source = 'admin'
+--   WHERE id = '<route id>';
+-- ============================================================================
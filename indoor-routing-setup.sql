@@ -0,0 +1,43 @@
+-- ============================================================================
+-- INDOOR ROUTING DATABASE SETUP
+-- ============================================================================
+-- Adds floors, entrances and room doors so routes can continue inside a
+-- building to a specific room. Run this in your Supabase SQL Editor on
+-- projects created before these columns were part of supabase-fresh-setup.sql
+-- ============================================================================
+
+-- Indoor paths belong to a building (corridors, stairs, elevators)
+ALTER TABLE paths
+  ADD COLUMN IF NOT EXISTS building_id UUID REFERENCES buildings(id) ON DELETE CASCADE;
+
+-- Waypoint floor (NULL = outdoors) and building entrances
+-- Outdoor walkways only join indoor paths at waypoints marked as entrances
+ALTER TABLE waypoints
+  ADD COLUMN IF NOT EXISTS floor INTEGER,
+  ADD COLUMN IF NOT EXISTS is_entrance BOOLEAN DEFAULT false;
+
+-- Room doors: the corridor waypoint in front of the room, and which side the
+-- door is on when walking the corridor in increasing waypoint sequence
+ALTER TABLE locations
+  ADD COLUMN IF NOT EXISTS waypoint_id INTEGER REFERENCES waypoints(waypoint_id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS door_side TEXT CHECK (door_side IN ('left', 'right'));
+
+CREATE INDEX IF NOT EXISTS paths_building_idx ON paths(building_id);
+CREATE INDEX IF NOT EXISTS locations_waypoint_idx ON locations(waypoint_id);
+
+-- ============================================================================
+-- MAPPING A BUILDING
+-- ============================================================================
+-- 1. Draw each floor's corridor as a path with path_type 'corridor' or
+--    'indoor', building_id set, and every waypoint's floor filled in.
+-- 2. Mark the ground-floor corridor waypoint at each door with
+--    is_entrance = true, placed on the end of an outdoor walkway.
+-- 3. Add stairs and elevators either as paths (path_type 'stairs' or
+--    'elevator', one waypoint per floor) or as path_connections rows with
+--    connection_type 'stairs' / 'elevator' between corridor waypoints.
+-- 4. Set locations.waypoint_id (and door_side) for each room.
+--
+-- Example: room 305 is on the left of the floor 3 corridor
+-- UPDATE locations SET waypoint_id = 42, door_side = 'left'
+--   WHERE room_number = '305';
+-- ============================================================================
@@ -0,0 +1,175 @@
+-- ============================================================================
+-- OFFLINE SYNC DATABASE SETUP
+-- ============================================================================
+-- The app keeps campus data on the device and only downloads rows changed
+-- since its last sync (src/services/campusSync.js). Run this in your Supabase
+-- SQL Editor on projects created before these columns and triggers were part
+-- of supabase-fresh-setup.sql. Without it the app still works, but every sync
+-- downloads the full tables and deleted rows linger until the weekly full sync.
+-- ============================================================================
+
+-- updated_at on every synced table
+ALTER TABLE buildings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE paths ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE waypoints ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE path_connections ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE OR REPLACE FUNCTION update_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS buildings_updated_at ON buildings;
+CREATE TRIGGER buildings_updated_at
+  BEFORE UPDATE ON buildings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS locations_updated_at ON locations;
+CREATE TRIGGER locations_updated_at
+  BEFORE UPDATE ON locations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS paths_updated_at ON paths;
+CREATE TRIGGER paths_updated_at
+  BEFORE UPDATE ON paths
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS waypoints_updated_at ON waypoints;
+CREATE TRIGGER waypoints_updated_at
+  BEFORE UPDATE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS path_connections_updated_at ON path_connections;
+CREATE TRIGGER path_connections_updated_at
+  BEFORE UPDATE ON path_connections
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS routes_updated_at ON routes;
+CREATE TRIGGER routes_updated_at
+  BEFORE UPDATE ON routes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Waypoints are synced as part of their path, so editing one touches the path
+CREATE OR REPLACE FUNCTION touch_waypoint_path()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE paths SET updated_at = NOW()
+  WHERE path_id = CASE WHEN TG_OP = 'DELETE' THEN OLD.path_id ELSE NEW.path_id END;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS waypoints_touch_path ON waypoints;
+CREATE TRIGGER waypoints_touch_path
+  AFTER INSERT OR UPDATE OR DELETE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION touch_waypoint_path();
+
+-- Deleted rows (tombstones, so devices can drop them from their cache)
+CREATE TABLE IF NOT EXISTS deleted_rows (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  row_id TEXT NOT NULL,
+  deleted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS deleted_rows_table_idx ON deleted_rows(table_name, deleted_at);
+
+-- TG_ARGV[0] is the table's primary key column
+CREATE OR REPLACE FUNCTION record_deleted_row()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO deleted_rows (table_name, row_id)
+  VALUES (TG_TABLE_NAME, to_jsonb(OLD) ->> TG_ARGV[0]);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS buildings_record_delete ON buildings;
+CREATE TRIGGER buildings_record_delete
+  AFTER DELETE ON buildings
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
+DROP TRIGGER IF EXISTS locations_record_delete ON locations;
+CREATE TRIGGER locations_record_delete
+  AFTER DELETE ON locations
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
+DROP TRIGGER IF EXISTS paths_record_delete ON paths;
+CREATE TRIGGER paths_record_delete
+  AFTER DELETE ON paths
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('path_id');
+
+DROP TRIGGER IF EXISTS path_connections_record_delete ON path_connections;
+CREATE TRIGGER path_connections_record_delete
+  AFTER DELETE ON path_connections
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('connection_id');
+
+DROP TRIGGER IF EXISTS routes_record_delete ON routes;
+CREATE TRIGGER routes_record_delete
+  AFTER DELETE ON routes
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
+-- Building entrances, search synonyms and campus features, if
+-- building-entrances-setup.sql / search-setup.sql / campus-features-setup.sql
+-- have been run (running those later adds the same)
+DO $$
+BEGIN
+  IF to_regclass('public.building_entrances') IS NOT NULL THEN
+    ALTER TABLE building_entrances ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+    DROP TRIGGER IF EXISTS building_entrances_updated_at ON building_entrances;
+    CREATE TRIGGER building_entrances_updated_at
+      BEFORE UPDATE ON building_entrances
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+    DROP TRIGGER IF EXISTS building_entrances_record_delete ON building_entrances;
+    CREATE TRIGGER building_entrances_record_delete
+      AFTER DELETE ON building_entrances
+      FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+  END IF;
+
+  IF to_regclass('public.search_synonyms') IS NOT NULL THEN
+    ALTER TABLE search_synonyms ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+    DROP TRIGGER IF EXISTS search_synonyms_updated_at ON search_synonyms;
+    CREATE TRIGGER search_synonyms_updated_at
+      BEFORE UPDATE ON search_synonyms
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+    DROP TRIGGER IF EXISTS search_synonyms_record_delete ON search_synonyms;
+    CREATE TRIGGER search_synonyms_record_delete
+      AFTER DELETE ON search_synonyms
+      FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+  END IF;
+
+  IF to_regclass('public.campus_features') IS NOT NULL THEN
+    ALTER TABLE campus_features ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+    DROP TRIGGER IF EXISTS campus_features_updated_at ON campus_features;
+    CREATE TRIGGER campus_features_updated_at
+      BEFORE UPDATE ON campus_features
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+    DROP TRIGGER IF EXISTS campus_features_record_delete ON campus_features;
+    CREATE TRIGGER campus_features_record_delete
+      AFTER DELETE ON campus_features
+      FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+  END IF;
+END $$;
+
+ALTER TABLE deleted_rows ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read deleted_rows" ON deleted_rows;
+DROP POLICY IF EXISTS "Service role all deleted_rows" ON deleted_rows;
+
+CREATE POLICY "Public read deleted_rows" ON deleted_rows FOR SELECT USING (true);
+CREATE POLICY "Service role all deleted_rows" ON deleted_rows FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Tombstones older than the app's weekly full sync are no longer needed:
+-- DELETE FROM deleted_rows WHERE deleted_at < NOW() - INTERVAL '30 days';
+-- ============================================================================
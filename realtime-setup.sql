@@ -0,0 +1,37 @@
+-- ============================================================================
+-- REALTIME DATABASE SETUP
+-- ============================================================================
+-- Streams changes to buildings, rooms (locations), paths, waypoints and path
+-- connections to the app (src/services/realtimeSync.js), so the map and
+-- routing update as soon as an admin edits them. Run this in your Supabase
+-- SQL Editor on projects created before Realtime was part of
+-- supabase-fresh-setup.sql
+-- ============================================================================
+
+-- Add the tables to the Realtime publication (skipping ones already in it)
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['buildings', 'locations', 'paths', 'waypoints', 'path_connections'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+    END IF;
+  END LOOP;
+END $$;
+
+-- Realtime only sends rows the app may read, so a path switched to
+-- is_active = false never reached it and stayed on the map. The app hides
+-- inactive paths itself, so let it read them.
+DROP POLICY IF EXISTS "Public read paths" ON paths;
+CREATE POLICY "Public read paths" ON paths FOR SELECT USING (true);
+
+-- Likewise only step-free connections were readable, so stairs between paths
+-- were missing from every route and marking a connection inaccessible never
+-- reached devices. Step-free mode skips them in the app.
+DROP POLICY IF EXISTS "Public read path_connections" ON path_connections;
+CREATE POLICY "Public read path_connections" ON path_connections FOR SELECT USING (true);
+-- ============================================================================
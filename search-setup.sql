@@ -0,0 +1,169 @@
+-- ============================================================================
+-- CAMPUS SEARCH DATABASE SETUP
+-- ============================================================================
+-- Ranked search over buildings and rooms (src/services/searchRepository.js):
+-- full-text matching with prefixes ("lib" finds "Library"), trigram
+-- similarity for typos ("libary" finds "Library"), and a synonym table
+-- ("CR" finds restrooms). Run this in your Supabase SQL Editor on projects
+-- created before search was part of supabase-fresh-setup.sql. Without it the
+-- app searches its offline copy of the data instead.
+-- ============================================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Words people type and what they mean (lower-case)
+CREATE TABLE IF NOT EXISTS search_synonyms (
+  id SERIAL PRIMARY KEY,
+  term TEXT NOT NULL, -- e.g. 'cr'
+  expansion TEXT NOT NULL, -- e.g. 'restroom'
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (term, expansion)
+);
+
+-- The app keeps a copy for offline search (see offline-sync-setup.sql)
+DROP TRIGGER IF EXISTS search_synonyms_updated_at ON search_synonyms;
+CREATE TRIGGER search_synonyms_updated_at
+  BEFORE UPDATE ON search_synonyms
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'record_deleted_row') THEN
+    DROP TRIGGER IF EXISTS search_synonyms_record_delete ON search_synonyms;
+    CREATE TRIGGER search_synonyms_record_delete
+      AFTER DELETE ON search_synonyms
+      FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+  END IF;
+END $$;
+
+ALTER TABLE search_synonyms ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read search_synonyms" ON search_synonyms;
+DROP POLICY IF EXISTS "Service role all search_synonyms" ON search_synonyms;
+DROP POLICY IF EXISTS "Auth insert search_synonyms" ON search_synonyms;
+DROP POLICY IF EXISTS "Auth update search_synonyms" ON search_synonyms;
+DROP POLICY IF EXISTS "Auth delete search_synonyms" ON search_synonyms;
+
+CREATE POLICY "Public read search_synonyms" ON search_synonyms FOR SELECT USING (true);
+CREATE POLICY "Service role all search_synonyms" ON search_synonyms FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+CREATE POLICY "Auth insert search_synonyms" ON search_synonyms FOR INSERT WITH CHECK (auth.role() = 'authenticated');
+CREATE POLICY "Auth update search_synonyms" ON search_synonyms FOR UPDATE USING (auth.role() = 'authenticated');
+CREATE POLICY "Auth delete search_synonyms" ON search_synonyms FOR DELETE USING (auth.role() = 'authenticated');
+
+INSERT INTO search_synonyms (term, expansion) VALUES
+  ('cr', 'restroom'),
+  ('cr', 'comfort room'),
+  ('cr', 'toilet'),
+  ('comfort room', 'restroom'),
+  ('toilet', 'restroom'),
+  ('canteen', 'cafeteria'),
+  ('cafeteria', 'canteen'),
+  ('registrar', 'admin office'),
+  ('registrar', 'administration'),
+  ('lib', 'library'),
+  ('gym', 'gymnasium'),
+  ('lab', 'laboratory'),
+  ('clinic', 'health services')
+ON CONFLICT (term, expansion) DO NOTHING;
+
+-- Weighted document: title (A), label such as a code or room number (B), body (C)
+CREATE OR REPLACE FUNCTION campus_search_document(title TEXT, label TEXT, body TEXT)
+RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+         setweight(to_tsvector('simple', coalesce(label, '')), 'B') ||
+         setweight(to_tsvector('simple', coalesce(body, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Ranked buildings and rooms for a query, best first
+-- item is the buildings row, or the locations row with its building under
+-- "buildings" (the same shape as the app's select). matched_terms are the
+-- query words plus synonym expansions, for highlighting.
+-- Campus tables hold hundreds of rows, so every row is scored; no index needed.
+CREATE OR REPLACE FUNCTION search_campus(search_query TEXT, result_limit INTEGER DEFAULT 30)
+RETURNS TABLE (result_type TEXT, item JSONB, score REAL, matched_terms TEXT[]) AS $$
+DECLARE
+  -- Punctuation is dropped, so commas or parentheses in a query are harmless
+  normalized TEXT := trim(regexp_replace(lower(coalesce(search_query, '')), '[^[:alnum:]]+', ' ', 'g'));
+  terms TEXT[];
+  text_query tsquery;
+BEGIN
+  IF normalized = '' THEN
+    RETURN;
+  END IF;
+
+  -- Query words, the whole query, and expansions of synonyms found in it
+  SELECT array_agg(DISTINCT term) INTO terms
+  FROM (
+    SELECT unnest(string_to_array(normalized, ' ')) AS term
+    UNION SELECT normalized
+    UNION
+    SELECT lower(s.expansion)
+    FROM search_synonyms s
+    WHERE ' ' || normalized || ' ' LIKE '% ' || lower(s.term) || ' %'
+  ) expanded;
+
+  -- Any term matches, every word of it as a prefix: ('admin':* & 'office':*) | ...
+  SELECT to_tsquery('simple', string_agg('(' || words || ')', ' | '))
+  INTO text_query
+  FROM (
+    SELECT string_agg(quote_literal(word) || ':*', ' & ') AS words
+    FROM unnest(terms) WITH ORDINALITY AS t(term, n),
+      unnest(string_to_array(regexp_replace(t.term, '[^[:alnum:]]+', ' ', 'g'), ' ')) AS word
+    WHERE word <> ''
+    GROUP BY n
+  ) term_queries;
+
+  RETURN QUERY
+  WITH candidates AS (
+    SELECT
+      'building'::TEXT AS r_type,
+      to_jsonb(b) - 'geom' - 'footprint_geom' AS r_item,
+      b.name AS r_name,
+      campus_search_document(b.name, b.code, b.description) @@ text_query AS text_match,
+      ts_rank(campus_search_document(b.name, b.code, b.description), text_query) AS text_rank,
+      greatest(
+        word_similarity(normalized, lower(b.name)),
+        similarity(normalized, lower(coalesce(b.code, '')))
+      ) AS fuzzy,
+      CASE
+        WHEN lower(b.code) = normalized OR lower(b.name) = normalized THEN 1.0
+        WHEN lower(b.name) LIKE normalized || '%' THEN 0.5
+        ELSE 0
+      END AS exact_boost
+    FROM buildings b
+
+    UNION ALL
+
+    SELECT
+      'room'::TEXT,
+      to_jsonb(l) || jsonb_build_object('buildings', CASE WHEN rb.id IS NULL THEN NULL ELSE jsonb_build_object(
+        'id', rb.id, 'name', rb.name, 'code', rb.code,
+        'latitude', rb.latitude, 'longitude', rb.longitude, 'category', rb.category
+      ) END),
+      l.name,
+      campus_search_document(l.name, concat_ws(' ', l.room_number, l.type), l.description) @@ text_query,
+      ts_rank(campus_search_document(l.name, concat_ws(' ', l.room_number, l.type), l.description), text_query),
+      greatest(
+        word_similarity(normalized, lower(l.name)),
+        similarity(normalized, lower(coalesce(l.room_number, '')))
+      ),
+      CASE
+        WHEN lower(l.room_number) = normalized OR lower(l.name) = normalized THEN 1.0
+        WHEN lower(l.name) LIKE normalized || '%' THEN 0.5
+        ELSE 0
+      END
+    FROM locations l
+    LEFT JOIN buildings rb ON rb.id = l.building_id
+  )
+  SELECT c.r_type, c.r_item, (c.text_rank * 2 + c.fuzzy + c.exact_boost)::REAL, terms
+  FROM candidates c
+  WHERE c.text_match OR c.fuzzy >= 0.45
+  ORDER BY 3 DESC, c.r_name
+  LIMIT result_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Example: "ICT" should also find the Computer Studies building
+-- INSERT INTO search_synonyms (term, expansion) VALUES ('ict', 'computer studies');
+-- ============================================================================
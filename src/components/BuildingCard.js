@@ -4,6 +4,9 @@ import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../constants/theme';
 import { calculateDistance } from '../utils/distance';
+import { estimateWalkingTime } from '../utils/walkingProfile';
+import useWalkingProfile from '../hooks/useWalkingProfile';
+import HighlightedText from './HighlightedText';
 
 const BuildingCard = ({ 
   building, 
@@ -14,8 +17,10 @@ const BuildingCard = ({
   isFavorite = false,
   onFavoritePress = null,
   showNavigate = false,
-  onNavigatePress = null
+  onNavigatePress = null,
+  highlightTerms = []
 }) => {
+  useWalkingProfile(); // Refresh the walking time when the pace changes
   let distance = null;
   if (showDistance && userLocation) {
     distance = calculateDistance(userLocation, {
@@ -36,10 +41,13 @@ const BuildingCard = ({
             <Ionicons name="business" size={24} color={Colors.primary} />
           </View>
           <View style={styles.info}>
-            <Text style={styles.name} numberOfLines={1}>
-              {building.building_name}
-            </Text>
-            <Text style={styles.code}>{building.building_code}</Text>
+            <HighlightedText
+              style={styles.name}
+              numberOfLines={1}
+              text={building.name}
+              terms={highlightTerms}
+            />
+            <HighlightedText style={styles.code} text={building.code} terms={highlightTerms} />
             {building.floors && (
               <Text style={styles.floors}>{building.floors} {building.floors === 1 ? 'floor' : 'floors'}</Text>
             )}
@@ -56,7 +64,9 @@ const BuildingCard = ({
           {distance !== null && (
             <View style={styles.distanceContainer}>
               <Ionicons name="location" size={14} color={Colors.textSecondary} />
-              <Text style={styles.distance}>{distance.toFixed(2)} km</Text>
+              <Text style={styles.distance}>
+                {distance.toFixed(2)} km • {estimateWalkingTime(distance)} min walk
+              </Text>
             </View>
           )}
           
@@ -0,0 +1,185 @@
+// src/components/CampusMapLayer.js - Campus theme drawn over the base map
+//
+// Walkways styled by path_type, building footprints, gate/parking/bus stop
+// icons with their outlines, and building name labels that only appear where
+// they fit (see src/utils/mapLabels.js). Shapes that don't depend on the view
+// are built once per data change, not on every pan. Render it inside <MapView>.
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Marker, Polyline, Polygon } from './CampusMapView';
+import { Colors, BorderRadius, Shadows } from '../constants/theme';
+import { getPathStyle, FEATURE_STYLES } from '../constants/mapStyle';
+import {
+  MAP_LABEL_MIN_ZOOM,
+  MAP_LABEL_FULL_NAME_ZOOM,
+  MAP_FEATURE_MIN_ZOOM,
+  MAP_LABEL_GAP_PX,
+} from '../constants/config';
+import { geoJsonToPolygons, getBuildingFootprint, getFootprintArea } from '../utils/footprints';
+import { placeLabels } from '../utils/mapLabels';
+import { regionToZoom } from '../utils/mapTiles';
+
+// Shared by the label style and the collision boxes in placeLabels
+const LABEL_TEXT = { fontSize: 11, paddingHorizontal: 6, paddingVertical: 2 };
+const LABEL_ANCHOR = { x: 0.5, y: 0 }; // Hangs below the building's point
+const FEATURE_ICON_ANCHOR = { x: 0.5, y: 0.5 };
+
+const CampusMapLayer = ({
+  buildings = [],
+  paths = [],
+  features = [],
+  region,
+  mapSize,
+  selectedBuildingId = null,
+  onBuildingPress,
+}) => {
+  const zoom = regionToZoom(region, mapSize.width);
+  const showLabels = zoom >= MAP_LABEL_MIN_ZOOM;
+  const showFullNames = zoom >= MAP_LABEL_FULL_NAME_ZOOM;
+
+  const pathLines = useMemo(() => paths.map(path => (
+    <Polyline
+      key={`path-${path.id}`}
+      coordinates={(path.waypoints || []).map(wp => ({ latitude: wp.latitude, longitude: wp.longitude }))}
+      {...getPathStyle(path.type)}
+    />
+  )), [paths]);
+
+  // Real outlines, or rectangles from their dimensions; taps are hit-tested in MapScreen
+  const footprints = useMemo(() => buildings.flatMap(building => (
+    getBuildingFootprint(building).map((polygon, index) => (
+      <Polygon
+        key={`poly-${building.id}-${index}`}
+        coordinates={polygon.coordinates}
+        holes={polygon.holes}
+        strokeColor={Colors.primary}
+        fillColor={`${Colors.primary}33`}
+        strokeWidth={1.5}
+      />
+    ))
+  )), [buildings]);
+
+  const featureAreas = useMemo(() => features.flatMap(feature => (
+    geoJsonToPolygons(feature.outline).map((polygon, index) => {
+      const featureStyle = FEATURE_STYLES[feature.type];
+      return (
+        <Polygon
+          key={`feature-area-${feature.id}-${index}`}
+          coordinates={polygon.coordinates}
+          holes={polygon.holes}
+          strokeColor={featureStyle.color}
+          fillColor={featureStyle.fillColor || `${featureStyle.color}26`}
+          strokeWidth={1}
+        />
+      );
+    })
+  )), [features]);
+
+  // Bigger buildings (and the selected one) win when labels collide
+  const labelCandidates = useMemo(() => buildings
+    .filter(building => building.latitude != null && building.longitude != null)
+    .map(building => ({
+      key: building.id,
+      building,
+      coordinate: { latitude: building.latitude, longitude: building.longitude },
+      area: getFootprintArea(building),
+    })), [buildings]);
+
+  const labels = useMemo(() => {
+    if (!showLabels) return [];
+    const candidates = labelCandidates.map(candidate => ({
+      ...candidate,
+      text: showFullNames || !candidate.building.code ? candidate.building.name : candidate.building.code,
+      priority: candidate.building.id === selectedBuildingId ? Infinity : candidate.area,
+    }));
+    return placeLabels(candidates, region, mapSize, { style: LABEL_TEXT, anchor: LABEL_ANCHOR, gap: MAP_LABEL_GAP_PX });
+  }, [labelCandidates, region, mapSize, showLabels, showFullNames, selectedBuildingId]);
+
+  return (
+    <>
+      {/* Walkways, styled by type (covered walks, stairs, ramps, roads...) */}
+      {pathLines}
+
+      {/* Parking lots, the oval and other outlined features */}
+      {featureAreas}
+
+      {/* Building footprints */}
+      {footprints}
+
+      {/* Gate, parking and bus stop icons */}
+      {zoom >= MAP_FEATURE_MIN_ZOOM && features.map((feature) => {
+        const featureStyle = FEATURE_STYLES[feature.type];
+        return (
+          <Marker
+            key={`feature-${feature.id}`}
+            coordinate={{ latitude: feature.latitude, longitude: feature.longitude }}
+            title={feature.name}
+            description={featureStyle.label}
+            anchor={FEATURE_ICON_ANCHOR}
+            tracksViewChanges={false}
+          >
+            <View style={[styles.featureIcon, { backgroundColor: featureStyle.color }]}>
+              <Ionicons name={featureStyle.icon} size={14} color={Colors.white} />
+            </View>
+          </Marker>
+        );
+      })}
+
+      {/* Building names, the ones that fit at this zoom */}
+      {labels.map(label => (
+        <Marker
+          // tracksViewChanges is off for speed, so a label is re-created when its look changes
+          key={`label-${label.key}-${label.text}-${label.building.id === selectedBuildingId}`}
+          coordinate={label.coordinate}
+          anchor={LABEL_ANCHOR}
+          tracksViewChanges={false}
+          onPress={() => onBuildingPress && onBuildingPress(label.building)}
+        >
+          <View style={[styles.label, label.building.id === selectedBuildingId && styles.labelSelected]}>
+            <Text
+              style={[styles.labelText, label.building.id === selectedBuildingId && styles.labelTextSelected]}
+              numberOfLines={1}
+            >
+              {label.text}
+            </Text>
+          </View>
+        </Marker>
+      ))}
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  featureIcon: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    borderWidth: 2,
+    borderColor: Colors.white,
+    justifyContent: 'center',
+    alignItems: 'center',
+    ...Shadows.small,
+  },
+  label: {
+    backgroundColor: `${Colors.white}E6`,
+    borderRadius: BorderRadius.sm,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    paddingHorizontal: LABEL_TEXT.paddingHorizontal,
+    paddingVertical: LABEL_TEXT.paddingVertical,
+  },
+  labelSelected: {
+    backgroundColor: Colors.primary,
+  },
+  labelText: {
+    fontSize: LABEL_TEXT.fontSize,
+    fontWeight: '600',
+    color: Colors.primary,
+  },
+  labelTextSelected: {
+    color: Colors.white,
+  },
+});
+
+export default React.memo(CampusMapLayer);
@@ -0,0 +1,6 @@
+// src/components/CampusMapView.js - Map components for iOS and Android
+//
+// Native builds use react-native-maps directly. The web build resolves
+// CampusMapView.web.js instead, which offers the same components and props on
+// Leaflet, so MapScreen draws one map for every platform.
+export { default, Marker, Polyline, Polygon, UrlTile, PROVIDER_DEFAULT } from 'react-native-maps';
@@ -0,0 +1,329 @@
+// src/components/CampusMapView.web.js - Leaflet map for the web build
+//
+// The same components and props as react-native-maps (the parts MapScreen
+// uses), drawn with Leaflet over the tiles in WEB_MAP_TILES. Metro picks this
+// file over CampusMapView.js when bundling for web. Native-only props such as
+// provider, showsCompass or showsBuildings are accepted and ignored.
+import React, { createContext, forwardRef, useContext, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { View, StyleSheet } from 'react-native';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { Colors } from '../constants/theme';
+import { WEB_MAP_TILES } from '../constants/config';
+
+export const PROVIDER_DEFAULT = null;
+
+const USER_LOCATION_COLOR = '#4285F4'; // Same blue as the native location dot
+const DEFAULT_MAX_ZOOM = 20;
+
+// The Leaflet map, for the overlays drawn inside <MapView>
+const MapContext = createContext(null);
+
+/**
+ * Leaflet [lat, lng] for a { latitude, longitude } coordinate
+ * @param {Object} coordinate - { latitude, longitude }
+ * @returns {Array<number>} [lat, lng]
+ */
+const toLatLng = (coordinate) => [Number(coordinate.latitude), Number(coordinate.longitude)];
+
+/**
+ * { latitude, longitude } for a Leaflet LatLng
+ * @param {Object} latlng - Leaflet LatLng
+ * @returns {Object} Coordinate
+ */
+const toCoordinate = (latlng) => ({ latitude: latlng.lat, longitude: latlng.lng });
+
+/**
+ * Leaflet bounds covering a react-native-maps region
+ * @param {Object} region - { latitude, longitude, latitudeDelta, longitudeDelta }
+ * @returns {Object} Leaflet LatLngBounds
+ */
+const regionToBounds = (region) => L.latLngBounds(
+  [region.latitude - region.latitudeDelta / 2, region.longitude - region.longitudeDelta / 2],
+  [region.latitude + region.latitudeDelta / 2, region.longitude + region.longitudeDelta / 2],
+);
+
+/**
+ * The region currently shown by a Leaflet map
+ * @param {Object} map - Leaflet map
+ * @returns {Object} { latitude, longitude, latitudeDelta, longitudeDelta }
+ */
+const getMapRegion = (map) => {
+  const bounds = map.getBounds();
+  return {
+    ...toCoordinate(map.getCenter()),
+    latitudeDelta: bounds.getNorth() - bounds.getSouth(),
+    longitudeDelta: bounds.getEast() - bounds.getWest(),
+  };
+};
+
+/**
+ * Split a color with alpha ("#80002033") into a color and an opacity, as Leaflet wants them
+ * @param {string} color - CSS color
+ * @returns {Object} { color, opacity }
+ */
+const splitColor = (color) => {
+  if (typeof color === 'string' && /^#[0-9a-f]{8}$/i.test(color)) {
+    return { color: color.slice(0, 7), opacity: parseInt(color.slice(7), 16) / 255 };
+  }
+  return { color, opacity: 1 };
+};
+
+/**
+ * Escape text for a popup
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Teardrop pin like the native default marker
+ * @param {string} color - Pin color
+ * @returns {Object} Leaflet DivIcon
+ */
+const pinIcon = (color) => L.divIcon({
+  className: '',
+  html: `<div style="width:22px;height:22px;margin:2px;border-radius:50% 50% 50% 0;background:${color};`
+    + 'border:2px solid #fff;transform:rotate(-45deg);box-shadow:0 1px 4px rgba(0,0,0,0.4);"></div>',
+  iconSize: [30, 30],
+  iconAnchor: [15, 33],
+  popupAnchor: [0, -28],
+});
+
+/**
+ * Empty icon that a marker's children are rendered into
+ * @param {Object} anchor - Point of the children on the coordinate, { x: 0.5, y: 0.5 } = centered
+ * @returns {Object} Leaflet DivIcon
+ */
+const childrenIcon = (anchor = { x: 0.5, y: 0.5 }) => L.divIcon({
+  className: '',
+  html: `<div style="display:inline-block;transform:translate(${-anchor.x * 100}%, ${-anchor.y * 100}%);"></div>`,
+  iconSize: null,
+});
+
+/**
+ * Keep a Leaflet polyline or polygon on the map in step with its props
+ * @param {Function} createLayer - L.polyline or L.polygon
+ * @param {Array} lines - Coordinate lists: a polyline, or a polygon's outline then its holes
+ * @param {Object} props - { tappable, onPress }
+ * @param {Object} pathOptions - Leaflet style options
+ */
+const useVectorLayer = (createLayer, lines, { tappable, onPress }, pathOptions) => {
+  const map = useContext(MapContext);
+  const layerRef = useRef(null);
+  const onPressRef = useRef(onPress);
+  onPressRef.current = onPress;
+
+  const toLatLngs = () => lines.map(line => line.map(toLatLng));
+  const coordinateKey = lines
+    .map(line => line.map(coordinate => `${coordinate.latitude},${coordinate.longitude}`).join(';'))
+    .join('|');
+  const optionsKey = JSON.stringify(pathOptions);
+
+  // Leaflet can't switch a live layer between tappable and not, so it's recreated
+  useEffect(() => {
+    const layer = createLayer(toLatLngs(), {
+      ...pathOptions,
+      interactive: !!tappable,
+      bubblingMouseEvents: false,
+    });
+    layer.on('click', (event) => {
+      if (onPressRef.current) onPressRef.current({ nativeEvent: { coordinate: toCoordinate(event.latlng) } });
+    });
+    layer.addTo(map);
+    layerRef.current = layer;
+    return () => layer.remove();
+  }, [map, tappable]);
+
+  useEffect(() => {
+    layerRef.current.setLatLngs(toLatLngs());
+  }, [coordinateKey]);
+
+  useEffect(() => {
+    layerRef.current.setStyle(pathOptions);
+  }, [optionsKey]);
+};
+
+export const Polyline = ({ coordinates = [], strokeColor = Colors.black, strokeWidth = 1, lineDashPattern, ...props }) => {
+  const stroke = splitColor(strokeColor);
+  useVectorLayer(L.polyline, [coordinates], props, {
+    color: stroke.color,
+    opacity: stroke.opacity,
+    weight: strokeWidth,
+    dashArray: lineDashPattern ? lineDashPattern.join(' ') : null,
+  });
+  return null;
+};
+
+export const Polygon = ({ coordinates = [], holes = [], strokeColor = Colors.black, strokeWidth = 1, fillColor, ...props }) => {
+  const stroke = splitColor(strokeColor);
+  const fill = splitColor(fillColor);
+  useVectorLayer(L.polygon, [coordinates, ...holes], props, {
+    color: stroke.color,
+    opacity: stroke.opacity,
+    weight: strokeWidth,
+    fill: !!fillColor,
+    fillColor: fill.color,
+    fillOpacity: fill.opacity,
+  });
+  return null;
+};
+
+export const Marker = ({ coordinate, title, description, pinColor = Colors.secondary, anchor, onPress, children }) => {
+  const map = useContext(MapContext);
+  const markerRef = useRef(null);
+  const onPressRef = useRef(onPress);
+  onPressRef.current = onPress;
+  const [childrenElement, setChildrenElement] = useState(null);
+  const hasChildren = React.Children.count(children) > 0;
+
+  useEffect(() => {
+    const marker = L.marker(toLatLng(coordinate), { icon: hasChildren ? childrenIcon(anchor) : pinIcon(pinColor) });
+    marker.on('click', (event) => {
+      if (onPressRef.current) {
+        onPressRef.current({ nativeEvent: { action: 'marker-press', coordinate: toCoordinate(event.latlng) } });
+      }
+    });
+    marker.addTo(map);
+    markerRef.current = marker;
+    if (hasChildren) setChildrenElement(marker.getElement().firstChild);
+    return () => marker.remove();
+  }, [map, hasChildren]);
+
+  useEffect(() => {
+    markerRef.current.setLatLng(toLatLng(coordinate));
+  }, [coordinate.latitude, coordinate.longitude]);
+
+  useEffect(() => {
+    if (!hasChildren) markerRef.current.setIcon(pinIcon(pinColor));
+  }, [pinColor]);
+
+  // Tapping shows the title and description, like the native callout
+  useEffect(() => {
+    const marker = markerRef.current;
+    marker.unbindPopup();
+    if (title) {
+      marker.bindPopup(`<strong>${escapeHtml(title)}</strong>${description ? `<br/>${escapeHtml(description)}` : ''}`);
+    }
+  }, [title, description]);
+
+  return childrenElement ? createPortal(children, childrenElement) : null;
+};
+
+// Offline tile packs are native only (src/services/offlineTiles.js); the web map always loads tiles online
+export const UrlTile = () => null;
+
+const MapView = forwardRef(({
+  style,
+  initialRegion,
+  mapType = 'standard',
+  minZoomLevel,
+  maxZoomLevel = DEFAULT_MAX_ZOOM,
+  showsUserLocation,
+  onRegionChangeComplete,
+  onPress,
+  onMapReady,
+  onLayout,
+  children,
+}, ref) => {
+  const containerRef = useRef(null);
+  const mapInstance = useRef(null);
+  const [map, setMap] = useState(null);
+
+  // Latest callbacks, so the Leaflet listeners never need re-binding
+  const handlers = useRef({});
+  handlers.current = { onRegionChangeComplete, onPress, onMapReady };
+
+  useImperativeHandle(ref, () => ({
+    animateToRegion(region, duration = 500) {
+      if (mapInstance.current) {
+        mapInstance.current.flyToBounds(regionToBounds(region), { duration: duration / 1000 });
+      }
+    },
+  }), []);
+
+  useEffect(() => {
+    const leafletMap = L.map(containerRef.current, { minZoom: minZoomLevel, maxZoom: maxZoomLevel });
+    leafletMap.on('moveend', () => {
+      if (handlers.current.onRegionChangeComplete) handlers.current.onRegionChangeComplete(getMapRegion(leafletMap));
+    });
+    leafletMap.on('click', (event) => {
+      if (handlers.current.onPress) handlers.current.onPress({ nativeEvent: { coordinate: toCoordinate(event.latlng) } });
+    });
+    leafletMap.fitBounds(regionToBounds(initialRegion));
+
+    // Leaflet measures its container once; re-measure when the layout changes
+    const resizeObserver = typeof ResizeObserver !== 'undefined'
+      ? new ResizeObserver(() => leafletMap.invalidateSize())
+      : null;
+    if (resizeObserver) resizeObserver.observe(containerRef.current);
+
+    mapInstance.current = leafletMap;
+    setMap(leafletMap);
+    leafletMap.whenReady(() => {
+      if (handlers.current.onMapReady) handlers.current.onMapReady();
+    });
+
+    return () => {
+      if (resizeObserver) resizeObserver.disconnect();
+      leafletMap.remove();
+      mapInstance.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!map) return;
+    if (minZoomLevel !== undefined) map.setMinZoom(minZoomLevel);
+    map.setMaxZoom(maxZoomLevel);
+  }, [map, minZoomLevel, maxZoomLevel]);
+
+  // Base tiles for the chosen map type
+  useEffect(() => {
+    if (!map) return undefined;
+    const layers = (WEB_MAP_TILES[mapType] || WEB_MAP_TILES.standard).map(tiles => L.tileLayer(tiles.url, {
+      attribution: tiles.attribution,
+      maxNativeZoom: tiles.maxNativeZoom,
+      maxZoom: maxZoomLevel,
+    }).addTo(map));
+    return () => layers.forEach(layer => layer.remove());
+  }, [map, mapType, maxZoomLevel]);
+
+  // Browser location as a blue dot
+  useEffect(() => {
+    if (!map || !showsUserLocation) return undefined;
+    const dot = L.circleMarker([0, 0], {
+      radius: 7,
+      color: Colors.white,
+      weight: 2,
+      fillColor: USER_LOCATION_COLOR,
+      fillOpacity: 1,
+      interactive: false,
+    });
+    const handleLocation = (event) => {
+      dot.setLatLng(event.latlng);
+      if (!map.hasLayer(dot)) dot.addTo(map);
+    };
+    map.on('locationfound', handleLocation);
+    map.locate({ watch: true, setView: false, enableHighAccuracy: true });
+
+    return () => {
+      map.stopLocate();
+      map.off('locationfound', handleLocation);
+      dot.remove();
+    };
+  }, [map, showsUserLocation]);
+
+  return (
+    <View style={style} onLayout={onLayout}>
+      <View ref={containerRef} style={StyleSheet.absoluteFill} />
+      {map && <MapContext.Provider value={map}>{children}</MapContext.Provider>}
+    </View>
+  );
+});
+
+export default MapView;
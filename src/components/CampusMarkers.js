@@ -0,0 +1,173 @@
+// src/components/CampusMarkers.js - Building and room markers by zoom level
+//
+// Zoomed out, building pins are grouped into numbered clusters (tap one to
+// zoom in on it). From MAP_LABEL_MIN_ZOOM the footprints and labels of
+// CampusMapLayer take over and only the selected building keeps its pin.
+// From MAP_ROOM_MIN_ZOOM rooms appear at their door. Only markers in or near
+// the view are drawn. Render it inside <MapView>.
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Marker } from './CampusMapView';
+import { Colors, BorderRadius, Shadows } from '../constants/theme';
+import {
+  MAP_LABEL_MIN_ZOOM,
+  MAP_ROOM_MIN_ZOOM,
+  MAP_CLUSTER_RADIUS_PX,
+  MAP_VISIBLE_MARGIN,
+} from '../constants/config';
+import { hasLocation } from '../models/building';
+import { clusterItems, getClusterRegion, filterToRegion } from '../utils/markerClusters';
+import { regionToZoom } from '../utils/mapTiles';
+
+const CENTER_ANCHOR = { x: 0.5, y: 0.5 };
+
+const CampusMarkers = ({
+  buildings = [],
+  rooms = [],
+  paths = [],
+  region,
+  mapSize,
+  selectedBuildingId = null,
+  onBuildingPress,
+  onRoomPress,
+  onClusterPress,
+}) => {
+  const zoom = regionToZoom(region, mapSize.width);
+  const zoomLevel = Math.floor(zoom);
+  const showClusters = zoom < MAP_LABEL_MIN_ZOOM;
+  const showRooms = zoom >= MAP_ROOM_MIN_ZOOM;
+
+  const placedBuildings = useMemo(() => buildings.filter(hasLocation), [buildings]);
+  const selectedBuilding = useMemo(
+    () => placedBuildings.find(building => building.id === selectedBuildingId) || null,
+    [placedBuildings, selectedBuildingId]
+  );
+
+  // Re-clustered only when the whole zoom level changes
+  const clusters = useMemo(() => (showClusters
+    ? clusterItems(
+      placedBuildings.filter(building => building.id !== selectedBuildingId),
+      zoomLevel,
+      MAP_CLUSTER_RADIUS_PX
+    )
+    : []), [placedBuildings, selectedBuildingId, zoomLevel, showClusters]);
+  const visibleClusters = useMemo(
+    () => filterToRegion(clusters, region, MAP_VISIBLE_MARGIN),
+    [clusters, region]
+  );
+
+  // Rooms are placed at their door waypoint; rooms without one stay off the map
+  const placedRooms = useMemo(() => {
+    const waypoints = new Map();
+    paths.forEach(path => (path.waypoints || []).forEach(wp => waypoints.set(wp.id, wp)));
+    return rooms
+      .filter(room => room.waypoint_id && waypoints.has(room.waypoint_id))
+      .map((room) => {
+        const door = waypoints.get(room.waypoint_id);
+        return { id: room.id, room, latitude: parseFloat(door.latitude), longitude: parseFloat(door.longitude) };
+      });
+  }, [rooms, paths]);
+  const visibleRooms = useMemo(
+    () => (showRooms ? filterToRegion(placedRooms, region, MAP_VISIBLE_MARGIN) : []),
+    [placedRooms, region, showRooms]
+  );
+
+  return (
+    <>
+      {/* Building pins, grouped when they would overlap */}
+      {visibleClusters.map((cluster) => {
+        if (cluster.items.length === 1) {
+          const building = cluster.items[0];
+          return (
+            <Marker
+              key={`building-${building.id}`}
+              coordinate={{ latitude: building.latitude, longitude: building.longitude }}
+              title={building.name}
+              description={building.code}
+              pinColor={Colors.primary}
+              onPress={() => onBuildingPress && onBuildingPress(building)}
+            />
+          );
+        }
+        return (
+          <Marker
+            // tracksViewChanges is off for speed, so a cluster is re-created when its count changes
+            key={`${cluster.key}-${cluster.items.length}`}
+            coordinate={{ latitude: cluster.latitude, longitude: cluster.longitude }}
+            anchor={CENTER_ANCHOR}
+            tracksViewChanges={false}
+            onPress={() => onClusterPress && onClusterPress(getClusterRegion(cluster))}
+          >
+            <View style={styles.cluster}>
+              <Text style={styles.clusterText}>{cluster.items.length}</Text>
+            </View>
+          </Marker>
+        );
+      })}
+
+      {/* The selected building keeps its pin at every zoom */}
+      {selectedBuilding && (
+        <Marker
+          key={`selected-${selectedBuilding.id}`}
+          coordinate={{ latitude: selectedBuilding.latitude, longitude: selectedBuilding.longitude }}
+          title={selectedBuilding.name}
+          description={selectedBuilding.code}
+          pinColor={Colors.secondary}
+        />
+      )}
+
+      {/* Rooms, at the highest zooms */}
+      {visibleRooms.map(({ room, latitude, longitude }) => (
+        <Marker
+          key={`room-${room.id}`}
+          coordinate={{ latitude, longitude }}
+          title={room.name}
+          description={room.floor != null ? `Floor ${room.floor}` : undefined}
+          anchor={CENTER_ANCHOR}
+          tracksViewChanges={false}
+          onPress={() => onRoomPress && onRoomPress(room)}
+        >
+          <View style={styles.room}>
+            <Text style={styles.roomText} numberOfLines={1}>{room.room_number || room.name}</Text>
+          </View>
+        </Marker>
+      ))}
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  cluster: {
+    minWidth: 34,
+    height: 34,
+    borderRadius: 17,
+    paddingHorizontal: 6,
+    backgroundColor: Colors.primary,
+    borderWidth: 3,
+    borderColor: Colors.white,
+    justifyContent: 'center',
+    alignItems: 'center',
+    ...Shadows.small,
+  },
+  clusterText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: Colors.white,
+  },
+  room: {
+    backgroundColor: Colors.white,
+    borderRadius: BorderRadius.sm,
+    borderWidth: 1,
+    borderColor: Colors.primaryDark,
+    paddingHorizontal: 4,
+    paddingVertical: 1,
+  },
+  roomText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: Colors.primaryDark,
+  },
+});
+
+// Skips re-rendering while MapScreen updates for unrelated reasons (e.g. navigation progress)
+export default React.memo(CampusMarkers);
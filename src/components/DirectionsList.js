@@ -0,0 +1,142 @@
+// src/components/DirectionsList.js - Collapsible turn-by-turn directions
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors, Typography, Spacing, Shadows, BorderRadius } from '../constants/theme';
+
+const MANEUVER_ICONS = {
+  depart: 'navigate',
+  straight: 'arrow-up',
+  'slight-left': 'arrow-up',
+  'slight-right': 'arrow-up',
+  left: 'arrow-back',
+  right: 'arrow-forward',
+  'u-turn': 'return-down-back',
+  arrive: 'flag',
+};
+
+const DirectionsList = ({ steps = [], summary = null, initiallyExpanded = false }) => {
+  const [expanded, setExpanded] = useState(initiallyExpanded);
+
+  if (steps.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.header}
+        onPress={() => setExpanded(!expanded)}
+        activeOpacity={0.7}
+        accessibilityRole="button"
+        accessibilityLabel={expanded ? 'Hide directions' : 'Show directions'}
+      >
+        <Ionicons name="list" size={18} color={Colors.primary} />
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Directions</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>
+            {summary || `${steps.length} steps`}
+          </Text>
+        </View>
+        <Ionicons
+          name={expanded ? 'chevron-up' : 'chevron-down'}
+          size={20}
+          color={Colors.textSecondary}
+        />
+      </TouchableOpacity>
+
+      {expanded && (
+        <ScrollView style={styles.list} nestedScrollEnabled>
+          {steps.map((step, index) => (
+            <View key={`step-${index}`} style={styles.step}>
+              <View style={styles.stepIcon}>
+                <Ionicons
+                  name={MANEUVER_ICONS[step.maneuver] || 'arrow-up'}
+                  size={16}
+                  color={step.maneuver === 'arrive' ? Colors.secondary : Colors.primary}
+                />
+              </View>
+              <View style={styles.stepText}>
+                <Text style={styles.instruction}>{step.instruction}</Text>
+                {step.note && (
+                  <Text style={styles.note}>{step.note}</Text>
+                )}
+              </View>
+              {step.distanceText && (
+                <Text style={styles.distance}>{step.distanceText}</Text>
+              )}
+            </View>
+          ))}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.background,
+    borderRadius: BorderRadius.lg,
+    ...Shadows.medium,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    gap: Spacing.sm,
+  },
+  headerText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: Typography.bodySmall.fontSize,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  subtitle: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.textSecondary,
+  },
+  list: {
+    maxHeight: 220,
+    borderTopWidth: 1,
+    borderTopColor: Colors.border,
+  },
+  step: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.backgroundLight,
+    gap: Spacing.sm,
+  },
+  stepIcon: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: Colors.backgroundLight,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepText: {
+    flex: 1,
+  },
+  instruction: {
+    fontSize: Typography.bodySmall.fontSize,
+    color: Colors.text,
+  },
+  note: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.textSecondary,
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  distance: {
+    fontSize: Typography.caption.fontSize,
+    fontWeight: '600',
+    color: Colors.textSecondary,
+  },
+});
+
+export default DirectionsList;
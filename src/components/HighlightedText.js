@@ -0,0 +1,31 @@
+// src/components/HighlightedText.js - Text with search matches emphasized
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { Colors } from '../constants/theme';
+import { getHighlightSegments } from '../utils/searchText';
+
+/**
+ * Text with the words matching search terms in bold
+ * Without terms it renders like a plain Text.
+ * @param {Object} props - { text, terms, style, numberOfLines }
+ */
+const HighlightedText = ({ text, terms = [], style, numberOfLines }) => (
+  <Text style={style} numberOfLines={numberOfLines}>
+    {terms.length === 0
+      ? text
+      : getHighlightSegments(text, terms).map((segment, index) => (
+        segment.match
+          ? <Text key={index} style={styles.match}>{segment.text}</Text>
+          : segment.text
+      ))}
+  </Text>
+);
+
+const styles = StyleSheet.create({
+  match: {
+    fontWeight: '700',
+    color: Colors.primary,
+  },
+});
+
+export default HighlightedText;
@@ -11,7 +11,9 @@ const InfoCard = ({
   onClose, 
   onNavigate, 
   showNavigate = false,
-  room = null
+  room = null,
+  onToggleTripStop = null,
+  isTripStop = false
 }) => {
   return (
     <View style={styles.container}>
@@ -66,6 +68,17 @@ const InfoCard = ({
           <Text style={styles.navigateText}>Navigate Here</Text>
         </TouchableOpacity>
       )}
+
+      {onToggleTripStop && (
+        <TouchableOpacity
+          style={styles.addStopButton}
+          onPress={onToggleTripStop}
+          activeOpacity={0.8}
+        >
+          <Ionicons name={isTripStop ? 'remove-circle-outline' : 'add-circle-outline'} size={18} color={Colors.primary} />
+          <Text style={styles.addStopText}>{isTripStop ? 'Remove from Trip' : 'Add to Trip'}</Text>
+        </TouchableOpacity>
+      )}
     </View>
   );
 };
@@ -151,6 +164,22 @@ const styles = StyleSheet.create({
     fontSize: Typography.body.fontSize,
     fontWeight: '600',
   },
+  addStopButton: {
+    flexDirection: 'row',
+    padding: Spacing.sm + 2,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.sm,
+    marginTop: Spacing.sm,
+  },
+  addStopText: {
+    color: Colors.primary,
+    fontSize: Typography.bodySmall.fontSize,
+    fontWeight: '600',
+  },
 });
 
 export default InfoCard;
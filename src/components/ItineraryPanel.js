@@ -0,0 +1,241 @@
+// src/components/ItineraryPanel.js - Stops of a multi-stop trip with per-leg distance and time
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors, Typography, Spacing, Shadows, BorderRadius } from '../constants/theme';
+import { formatDistance } from '../utils/directions';
+
+// One color per leg so each leg can be told apart on the map
+export const LEG_COLORS = [Colors.primary, '#1E88E5', '#43A047', '#FB8C00', '#8E24AA', '#00897B'];
+
+const ItineraryPanel = ({
+  stops = [],
+  itinerary = null,
+  completedKeys = [],
+  optimize = true,
+  onToggleOptimize,
+  onToggleStop,
+  onRemoveStop,
+  onPlan,
+  onClear,
+}) => {
+  const [expanded, setExpanded] = useState(true);
+
+  if (stops.length === 0) return null;
+
+  // Once planned, show the stops in the order they will be visited
+  const orderedStops = itinerary ? itinerary.stops : stops;
+  const remaining = orderedStops.filter(stop => !completedKeys.includes(stop.key)).length;
+  const summary = itinerary
+    ? `${formatDistance(itinerary.totalDistance)} • ${itinerary.totalDuration} min • ${remaining} of ${orderedStops.length} left`
+    : `${stops.length} stop${stops.length === 1 ? '' : 's'} • not planned yet`;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.header}
+        onPress={() => setExpanded(!expanded)}
+        activeOpacity={0.7}
+        accessibilityRole="button"
+        accessibilityLabel={expanded ? 'Hide trip' : 'Show trip'}
+      >
+        <Ionicons name="git-commit" size={18} color={Colors.primary} />
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Trip</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>{summary}</Text>
+        </View>
+        <Ionicons
+          name={expanded ? 'chevron-up' : 'chevron-down'}
+          size={20}
+          color={Colors.textSecondary}
+        />
+      </TouchableOpacity>
+
+      {expanded && (
+        <>
+          <ScrollView style={styles.list} nestedScrollEnabled>
+            {orderedStops.map((stop, index) => {
+              const leg = itinerary ? itinerary.legs[index] : null;
+              const done = completedKeys.includes(stop.key);
+
+              return (
+                <View key={stop.key} style={styles.stop}>
+                  <TouchableOpacity
+                    onPress={() => onToggleStop && onToggleStop(stop)}
+                    disabled={!itinerary}
+                    accessibilityRole="checkbox"
+                    accessibilityState={{ checked: done }}
+                    accessibilityLabel={`Mark ${stop.name} as visited`}
+                  >
+                    <Ionicons
+                      name={done ? 'checkmark-circle' : 'ellipse-outline'}
+                      size={22}
+                      color={done ? Colors.success : LEG_COLORS[index % LEG_COLORS.length]}
+                    />
+                  </TouchableOpacity>
+                  <View style={styles.stopText}>
+                    <Text style={[styles.stopName, done && styles.stopNameDone]} numberOfLines={1}>
+                      {index + 1}. {stop.name}
+                    </Text>
+                    {leg && (
+                      <Text style={styles.legText}>
+                        {leg.route.success
+                          ? `${formatDistance(leg.distance)} • ${leg.duration} min`
+                          : 'No route for this leg'}
+                      </Text>
+                    )}
+                  </View>
+                  {!itinerary && onRemoveStop && (
+                    <TouchableOpacity
+                      onPress={() => onRemoveStop(stop)}
+                      accessibilityLabel={`Remove ${stop.name}`}
+                    >
+                      <Ionicons name="close" size={18} color={Colors.textLight} />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            {!itinerary && (
+              <TouchableOpacity
+                style={styles.optimizeToggle}
+                onPress={onToggleOptimize}
+                accessibilityRole="switch"
+                accessibilityState={{ checked: optimize }}
+              >
+                <Ionicons
+                  name={optimize ? 'checkbox' : 'square-outline'}
+                  size={18}
+                  color={Colors.primary}
+                />
+                <Text style={styles.optimizeText}>Shortest order</Text>
+              </TouchableOpacity>
+            )}
+            <View style={styles.footerButtons}>
+              <TouchableOpacity style={styles.secondaryButton} onPress={onClear}>
+                <Text style={styles.secondaryButtonText}>Clear</Text>
+              </TouchableOpacity>
+              {!itinerary && (
+                <TouchableOpacity style={styles.primaryButton} onPress={onPlan} activeOpacity={0.8}>
+                  <Ionicons name="navigate" size={14} color={Colors.white} />
+                  <Text style={styles.primaryButtonText}>Plan Trip</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.background,
+    borderRadius: BorderRadius.lg,
+    ...Shadows.medium,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    gap: Spacing.sm,
+  },
+  headerText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: Typography.bodySmall.fontSize,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  subtitle: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.textSecondary,
+  },
+  list: {
+    maxHeight: 200,
+    borderTopWidth: 1,
+    borderTopColor: Colors.border,
+  },
+  stop: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.backgroundLight,
+    gap: Spacing.sm,
+  },
+  stopText: {
+    flex: 1,
+  },
+  stopName: {
+    fontSize: Typography.bodySmall.fontSize,
+    color: Colors.text,
+  },
+  stopNameDone: {
+    color: Colors.textLight,
+    textDecorationLine: 'line-through',
+  },
+  legText: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    gap: Spacing.sm,
+  },
+  optimizeToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+  },
+  optimizeText: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.text,
+  },
+  footerButtons: {
+    flexDirection: 'row',
+    marginLeft: 'auto',
+    gap: Spacing.sm,
+  },
+  secondaryButton: {
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.border,
+  },
+  secondaryButtonText: {
+    fontSize: Typography.caption.fontSize,
+    fontWeight: '600',
+    color: Colors.textSecondary,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.primary,
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    gap: 4,
+  },
+  primaryButtonText: {
+    fontSize: Typography.caption.fontSize,
+    fontWeight: '600',
+    color: Colors.white,
+  },
+});
+
+export default ItineraryPanel;
@@ -0,0 +1,109 @@
+// src/components/NavigationBanner.js - Next maneuver, remaining distance and ETA during navigation
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors, Typography, Spacing, Shadows, BorderRadius } from '../constants/theme';
+import { formatDistance } from '../utils/directions';
+
+const NavigationBanner = ({ navigationState, destinationName, onStop, rerouting = false }) => {
+  const nextStep = navigationState?.nextStep;
+  const etaText = navigationState?.eta
+    ? navigationState.eta.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : '--:--';
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.instructionRow}>
+        <Ionicons name="navigate" size={24} color={Colors.white} />
+        <View style={styles.instructionText}>
+          {rerouting ? (
+            <Text style={styles.instruction}>Rerouting...</Text>
+          ) : nextStep ? (
+            <>
+              <Text style={styles.instruction} numberOfLines={2}>{nextStep.instruction}</Text>
+              {nextStep.maneuver !== 'arrive' && (
+                <Text style={styles.nextDistance}>
+                  in {formatDistance(navigationState.distanceToNextStep)}
+                </Text>
+              )}
+            </>
+          ) : (
+            <Text style={styles.instruction}>Waiting for GPS...</Text>
+          )}
+        </View>
+      </View>
+
+      <View style={styles.footer}>
+        <Text style={styles.footerText} numberOfLines={1}>
+          {navigationState
+            ? `${formatDistance(navigationState.remainingDistance)} • ${navigationState.remainingMinutes} min • ETA ${etaText}`
+            : destinationName || 'Starting navigation'}
+        </Text>
+        <TouchableOpacity style={styles.stopButton} onPress={onStop} activeOpacity={0.8}>
+          <Ionicons name="stop" size={14} color={Colors.primary} />
+          <Text style={styles.stopText}>End</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.primary,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    ...Shadows.large,
+  },
+  instructionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.md,
+  },
+  instructionText: {
+    flex: 1,
+  },
+  instruction: {
+    fontSize: Typography.body.fontSize,
+    fontWeight: '600',
+    color: Colors.white,
+  },
+  nextDistance: {
+    fontSize: Typography.bodySmall.fontSize,
+    color: Colors.white,
+    opacity: 0.85,
+    marginTop: 2,
+  },
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: Spacing.sm,
+    paddingTop: Spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.3)',
+    gap: Spacing.sm,
+  },
+  footerText: {
+    flex: 1,
+    fontSize: Typography.caption.fontSize,
+    fontWeight: '600',
+    color: Colors.white,
+  },
+  stopButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.white,
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    gap: 4,
+  },
+  stopText: {
+    fontSize: Typography.caption.fontSize,
+    fontWeight: '600',
+    color: Colors.primary,
+  },
+});
+
+export default NavigationBanner;
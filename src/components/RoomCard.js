@@ -4,6 +4,9 @@ import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../constants/theme';
 import { calculateDistance } from '../utils/distance';
+import { estimateWalkingTime } from '../utils/walkingProfile';
+import useWalkingProfile from '../hooks/useWalkingProfile';
+import HighlightedText from './HighlightedText';
 
 const RoomCard = ({ 
   room, 
@@ -14,8 +17,10 @@ const RoomCard = ({
   onNavigatePress = null,
   showFavorite = false,
   isFavorite = false,
-  onFavoritePress = null
+  onFavoritePress = null,
+  highlightTerms = []
 }) => {
+  useWalkingProfile(); // Refresh the walking time when the pace changes
   let distance = null;
   if (showDistance && userLocation && room.building) {
     distance = calculateDistance(userLocation, {
@@ -36,11 +41,18 @@ const RoomCard = ({
             <Ionicons name="cube" size={24} color={Colors.secondary} />
           </View>
           <View style={styles.info}>
-            <Text style={styles.name} numberOfLines={1}>
-              {room.name}
-            </Text>
+            <HighlightedText
+              style={styles.name}
+              numberOfLines={1}
+              text={room.name}
+              terms={highlightTerms}
+            />
             {room.room_number && (
-              <Text style={styles.roomNumber}>Room {room.room_number}</Text>
+              <HighlightedText
+                style={styles.roomNumber}
+                text={`Room ${room.room_number}`}
+                terms={highlightTerms}
+              />
             )}
             {room.building && (
               <View style={styles.buildingInfo}>
@@ -81,7 +93,12 @@ const RoomCard = ({
           {distance !== null && (
             <View style={styles.distanceContainer}>
               <Ionicons name="location" size={14} color={Colors.textSecondary} />
-              <Text style={styles.distance}>{distance.toFixed(2)} km</Text>
+              <Text style={styles.distance}>
+                {distance.toFixed(2)} km • {estimateWalkingTime(distance, {
+                  // Floor 1 is the ground floor
+                  floorChanges: room.floor > 1 ? room.floor - 1 : 0,
+                })} min walk
+              </Text>
             </View>
           )}
           
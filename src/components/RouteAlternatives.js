@@ -0,0 +1,99 @@
+// src/components/RouteAlternatives.js - Pick between shortest, most covered and fewest-stairs routes
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors, Typography, Spacing, Shadows, BorderRadius } from '../constants/theme';
+import { ROUTE_PREFERENCES } from '../utils/routePreferences';
+import { formatDistance } from '../utils/directions';
+
+/**
+ * Describe flights of stairs ("no stairs", "1 flight of stairs")
+ * @param {number} flights - Number of flights
+ * @returns {string} Text
+ */
+const getStairsText = (flights) => {
+  if (!flights) return 'no stairs';
+  return `${flights} flight${flights === 1 ? '' : 's'} of stairs`;
+};
+
+const RouteAlternatives = ({ alternatives = [], selectedPreference, onSelect }) => {
+  if (alternatives.length < 2) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.container}
+    >
+      {alternatives.map((route) => {
+        const selected = route.preference === selectedPreference;
+        const preference = ROUTE_PREFERENCES[route.preference] || ROUTE_PREFERENCES.shortest;
+
+        return (
+          <TouchableOpacity
+            key={route.preference}
+            style={[styles.option, selected && styles.optionSelected]}
+            onPress={() => onSelect(route)}
+            activeOpacity={0.8}
+            accessibilityRole="button"
+            accessibilityState={{ selected }}
+          >
+            <View style={styles.optionHeader}>
+              <Ionicons
+                name={preference.icon}
+                size={14}
+                color={selected ? Colors.white : Colors.primary}
+              />
+              <Text style={[styles.label, selected && styles.textSelected]}>{route.label}</Text>
+            </View>
+            <Text style={[styles.detail, selected && styles.textSelected]}>
+              {formatDistance(route.distance)} • {route.duration} min
+            </Text>
+            <Text style={[styles.detail, selected && styles.textSelected]}>
+              ☂️ {route.coveredPercent}% covered • {getStairsText(route.stairs)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    gap: Spacing.sm,
+  },
+  option: {
+    backgroundColor: Colors.background,
+    borderRadius: BorderRadius.md,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.sm,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    ...Shadows.small,
+  },
+  optionSelected: {
+    backgroundColor: Colors.primary,
+    borderColor: Colors.primary,
+  },
+  optionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 2,
+  },
+  label: {
+    fontSize: Typography.caption.fontSize,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  detail: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.textSecondary,
+  },
+  textSelected: {
+    color: Colors.white,
+  },
+});
+
+export default RouteAlternatives;
@@ -0,0 +1,336 @@
+// src/components/RoutePlanner.js - "From / To" route planner (location, building, room or map point)
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors, Typography, Spacing, Shadows, BorderRadius } from '../constants/theme';
+import { SEARCH_DEBOUNCE_MS } from '../constants/config';
+import { currentLocationEndpoint, searchEndpoints } from '../utils/routeEndpoints';
+
+const ENDPOINT_ICONS = {
+  current: 'locate',
+  building: 'business',
+  room: 'cube',
+  point: 'pin',
+};
+
+const FIELD_LABELS = {
+  from: 'From',
+  to: 'To',
+};
+
+const RoutePlanner = ({
+  from = null,
+  to = null,
+  userLocation = null,
+  pickingField = null,
+  onChange,
+  onSwap,
+  onPlan,
+  onClose,
+  onPickOnMap = null,
+}) => {
+  const [activeField, setActiveField] = useState(null);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  // Search buildings and rooms as the user types
+  useEffect(() => {
+    if (!activeField || query.trim().length === 0) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const found = await searchEndpoints(query, {
+          onUpdate: (updated) => {
+            if (!cancelled) setResults(updated);
+          },
+        });
+        if (!cancelled) setResults(found);
+      } catch (error) {
+        console.error('Error searching route endpoints:', error);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, activeField]);
+
+  const editField = (field) => {
+    setActiveField(activeField === field ? null : field);
+    setQuery('');
+  };
+
+  const chooseEndpoint = (endpoint) => {
+    onChange(activeField, endpoint);
+    setActiveField(null);
+    setQuery('');
+  };
+
+  const pickOnMap = () => {
+    onPickOnMap(activeField);
+    setActiveField(null);
+    setQuery('');
+  };
+
+  const renderField = (field, endpoint) => (
+    <TouchableOpacity
+      style={[styles.field, activeField === field && styles.fieldActive]}
+      onPress={() => editField(field)}
+      activeOpacity={0.7}
+      accessibilityRole="button"
+      accessibilityLabel={`${FIELD_LABELS[field]}: ${endpoint ? endpoint.name : 'not set'}`}
+    >
+      <Text style={styles.fieldLabel}>{FIELD_LABELS[field]}</Text>
+      {endpoint && (
+        <Ionicons name={ENDPOINT_ICONS[endpoint.type]} size={16} color={Colors.primary} />
+      )}
+      <Text
+        style={[styles.fieldValue, !endpoint && styles.fieldPlaceholder]}
+        numberOfLines={1}
+      >
+        {pickingField === field
+          ? 'Tap the map…'
+          : endpoint ? endpoint.name : 'Choose a place'}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <View style={styles.fields}>
+          {renderField('from', from)}
+          {renderField('to', to)}
+        </View>
+        <View style={styles.headerButtons}>
+          <TouchableOpacity onPress={onSwap} accessibilityLabel="Swap start and destination">
+            <Ionicons name="swap-vertical" size={22} color={Colors.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={onClose} accessibilityLabel="Close route planner">
+            <Ionicons name="close" size={22} color={Colors.textLight} />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {activeField && (
+        <View style={styles.picker}>
+          <View style={styles.searchBox}>
+            <Ionicons name="search" size={16} color={Colors.textSecondary} />
+            <TextInput
+              style={styles.searchInput}
+              value={query}
+              onChangeText={setQuery}
+              placeholder="Search buildings and rooms"
+              placeholderTextColor={Colors.textLight}
+              autoFocus
+            />
+            {searching && <ActivityIndicator size="small" color={Colors.primary} />}
+          </View>
+
+          <View style={styles.quickOptions}>
+            {userLocation && (
+              <TouchableOpacity
+                style={styles.quickOption}
+                onPress={() => chooseEndpoint(currentLocationEndpoint(userLocation))}
+              >
+                <Ionicons name="locate" size={14} color={Colors.primary} />
+                <Text style={styles.quickOptionText}>Your location</Text>
+              </TouchableOpacity>
+            )}
+            {onPickOnMap && (
+              <TouchableOpacity style={styles.quickOption} onPress={pickOnMap}>
+                <Ionicons name="pin" size={14} color={Colors.primary} />
+                <Text style={styles.quickOptionText}>Pick on map</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <ScrollView style={styles.results} keyboardShouldPersistTaps="handled" nestedScrollEnabled>
+            {results.map(endpoint => (
+              <TouchableOpacity
+                key={endpoint.key}
+                style={styles.result}
+                onPress={() => chooseEndpoint(endpoint)}
+              >
+                <Ionicons
+                  name={ENDPOINT_ICONS[endpoint.type]}
+                  size={18}
+                  color={endpoint.type === 'room' ? Colors.secondary : Colors.primary}
+                />
+                <View style={styles.resultText}>
+                  <Text style={styles.resultName} numberOfLines={1}>{endpoint.name}</Text>
+                  {endpoint.room && endpoint.room.floor !== null && endpoint.room.floor !== undefined && (
+                    <Text style={styles.resultDetail}>Floor {endpoint.room.floor}</Text>
+                  )}
+                </View>
+              </TouchableOpacity>
+            ))}
+            {!searching && query.trim().length > 0 && results.length === 0 && (
+              <Text style={styles.emptyText}>No buildings or rooms found</Text>
+            )}
+          </ScrollView>
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={[styles.planButton, !(from && to) && styles.planButtonDisabled]}
+        onPress={onPlan}
+        disabled={!(from && to)}
+        activeOpacity={0.8}
+      >
+        <Ionicons name="navigate" size={16} color={Colors.white} />
+        <Text style={styles.planButtonText}>Get Directions</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.background,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.sm,
+    gap: Spacing.sm,
+    ...Shadows.medium,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  fields: {
+    flex: 1,
+    gap: Spacing.xs,
+  },
+  field: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.backgroundLight,
+    borderRadius: BorderRadius.md,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: Spacing.xs,
+    borderWidth: 1,
+    borderColor: Colors.backgroundLight,
+    gap: Spacing.xs,
+  },
+  fieldActive: {
+    borderColor: Colors.primary,
+  },
+  fieldLabel: {
+    width: 36,
+    fontSize: Typography.caption.fontSize,
+    fontWeight: '600',
+    color: Colors.textSecondary,
+  },
+  fieldValue: {
+    flex: 1,
+    fontSize: Typography.bodySmall.fontSize,
+    color: Colors.text,
+  },
+  fieldPlaceholder: {
+    color: Colors.textLight,
+  },
+  headerButtons: {
+    gap: Spacing.sm,
+    alignItems: 'center',
+  },
+  picker: {
+    gap: Spacing.xs,
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: BorderRadius.md,
+    paddingHorizontal: Spacing.sm,
+    gap: Spacing.xs,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: Spacing.xs,
+    fontSize: Typography.bodySmall.fontSize,
+    color: Colors.text,
+  },
+  quickOptions: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+  },
+  quickOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: 4,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    gap: 4,
+  },
+  quickOptionText: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.text,
+  },
+  results: {
+    maxHeight: 180,
+  },
+  result: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.backgroundLight,
+    gap: Spacing.sm,
+  },
+  resultText: {
+    flex: 1,
+  },
+  resultName: {
+    fontSize: Typography.bodySmall.fontSize,
+    color: Colors.text,
+  },
+  resultDetail: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.textSecondary,
+  },
+  emptyText: {
+    fontSize: Typography.caption.fontSize,
+    color: Colors.textSecondary,
+    paddingVertical: Spacing.xs,
+  },
+  planButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: Colors.primary,
+    borderRadius: BorderRadius.full,
+    paddingVertical: Spacing.xs,
+    gap: Spacing.xs,
+  },
+  planButtonDisabled: {
+    backgroundColor: Colors.gray,
+  },
+  planButtonText: {
+    fontSize: Typography.bodySmall.fontSize,
+    fontWeight: '600',
+    color: Colors.white,
+  },
+});
+
+export default RoutePlanner;
@@ -0,0 +1,75 @@
+// src/components/SyncStatusBadge.js - "Updated 5 min ago" / stale campus data indicator
+import React, { useState, useEffect } from 'react';
+import { TouchableOpacity, Text, StyleSheet, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors, Spacing, Shadows } from '../constants/theme';
+import useCampusSync from '../hooks/useCampusSync';
+import { syncCampusData, formatLastUpdated } from '../services/campusSync';
+
+const SyncStatusBadge = ({ style }) => {
+  const status = useCampusSync();
+  const [, setNow] = useState(Date.now());
+
+  // Keep "N min ago" current
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Nothing to report (e.g. mock data without Supabase)
+  if (!status.syncing && !status.error && !status.lastUpdated) return null;
+
+  let icon = 'checkmark-circle';
+  let color = Colors.success;
+  let text = `Updated ${formatLastUpdated(status.lastUpdated)}`;
+
+  if (status.syncing) {
+    text = 'Updating campus data...';
+  } else if (status.error && !status.lastUpdated) {
+    icon = 'cloud-offline';
+    color = Colors.error;
+    text = "Couldn't load campus data • Tap to retry";
+  } else if (status.error) {
+    icon = 'cloud-offline';
+    color = Colors.warning;
+    text = `Offline • ${text.toLowerCase()}`;
+  } else if (status.isStale) {
+    icon = 'warning';
+    color = Colors.warning;
+    text = `${text} • may be out of date`;
+  }
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, style]}
+      onPress={() => syncCampusData()}
+      disabled={status.syncing}
+      activeOpacity={0.7}
+    >
+      {status.syncing
+        ? <ActivityIndicator size="small" color={Colors.primary} />
+        : <Ionicons name={icon} size={14} color={color} />}
+      <Text style={styles.text} numberOfLines={1}>{text}</Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: Colors.background,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: 20,
+    ...Shadows.small,
+    gap: 6,
+  },
+  text: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+  },
+});
+
+export default SyncStatusBadge;
@@ -5,6 +5,20 @@ export const USE_MOCK_DATA = false; // Set to false to try API first, then fallb
 
 export const API_TIMEOUT = 5000; // 5 seconds
 
+// Offline-first campus data (buildings, rooms, paths) kept on the device
+export const CAMPUS_SYNC_INTERVAL_MS = 15 * 60 * 1000; // Check for changes every 15 minutes while the app is open
+export const CAMPUS_DATA_STALE_MS = 24 * 60 * 60 * 1000; // Show a "may be out of date" warning after a day
+export const CAMPUS_FULL_SYNC_MS = 7 * 24 * 60 * 60 * 1000; // Re-download everything weekly (catches deletes without tombstones)
+
+// Live campus updates (Supabase Realtime, see realtime-setup.sql)
+export const REALTIME_BATCH_MS = 300; // Group bursts of changes (e.g. a path saved with its waypoints) into one screen update
+export const REALTIME_RETRY_BASE_MS = 2000; // First reconnect attempt after a dropped connection
+export const REALTIME_RETRY_MAX_MS = 60 * 1000; // Longest wait between reconnect attempts
+
+// Search (search_campus in search-setup.sql)
+export const SEARCH_DEBOUNCE_MS = 300; // Wait for typing to pause before searching
+export const SEARCH_RESULT_LIMIT = 30; // Ranked results returned per query
+
 // API URL for legacy REST API endpoints (if using separate backend)
 // If using Supabase directly, this is not needed
 export const API_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000/api';
@@ -26,8 +40,123 @@ export const CAMPUS_BOUNDARIES = {
 // Map animation settings
 export const MAP_ANIMATION_DURATION = 1000; // milliseconds
 export const MAP_ZOOM_DELTA = 0.005;
+export const MAP_MIN_ZOOM = 15; // Whole campus in view
+export const MAP_MAX_ZOOM = 20; // Individual entrances
+
+// Campus map layer (src/components/CampusMapLayer.js, styles in src/constants/mapStyle.js)
+export const MAP_LABEL_MIN_ZOOM = 17; // Building labels from this zoom; overlapping ones are hidden
+export const MAP_LABEL_FULL_NAME_ZOOM = 18; // Building codes below this zoom, full names from it
+export const MAP_FEATURE_MIN_ZOOM = 16; // Gate, parking and bus stop icons from this zoom
+export const MAP_LABEL_GAP_PX = 4; // Space kept between labels
+
+// Level of detail (src/components/CampusMarkers.js): clustered pins zoomed out,
+// building labels from MAP_LABEL_MIN_ZOOM, room markers at the top zooms
+export const MAP_CLUSTER_RADIUS_PX = 48; // Building pins closer than this on screen are grouped
+export const MAP_ROOM_MIN_ZOOM = 19; // Room markers (at their door waypoint) from this zoom
+export const MAP_VISIBLE_MARGIN = 0.25; // Also draw markers this far outside the view (share of its size), so panning doesn't show gaps
+
+// Web map tiles (Leaflet, see src/components/CampusMapView.web.js), layered in order for each map type
+// Public OSM tiles are fine for light use; point EXPO_PUBLIC_MAP_TILE_URL at your own tile server for kiosks
+const ESRI_TILES = 'https://server.arcgisonline.com/ArcGIS/rest/services';
+const ESRI_ATTRIBUTION = 'Tiles &copy; Esri';
+export const WEB_MAP_TILES = {
+  standard: [{
+    url: process.env.EXPO_PUBLIC_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; OpenStreetMap contributors',
+    maxNativeZoom: 19,
+  }],
+  satellite: [{ url: `${ESRI_TILES}/World_Imagery/MapServer/tile/{z}/{y}/{x}`, attribution: ESRI_ATTRIBUTION, maxNativeZoom: 19 }],
+  hybrid: [
+    { url: `${ESRI_TILES}/World_Imagery/MapServer/tile/{z}/{y}/{x}`, attribution: ESRI_ATTRIBUTION, maxNativeZoom: 19 },
+    { url: `${ESRI_TILES}/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}`, attribution: ESRI_ATTRIBUTION, maxNativeZoom: 19 },
+  ],
+  terrain: [{
+    url: 'https://tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; OpenStreetMap contributors, SRTM | &copy; OpenTopoMap',
+    maxNativeZoom: 17,
+  }],
+};
+
+// Offline tile pack (src/services/offlineTiles.js): CAMPUS_BOUNDARIES from the lowest zoom the map allows
+// Bulk downloads are not allowed from the public OSM servers, so there is no default: without
+// EXPO_PUBLIC_OFFLINE_TILE_URL (your own tile server) the offline map is unavailable
+export const OFFLINE_TILE_URL = process.env.EXPO_PUBLIC_OFFLINE_TILE_URL || '';
+export const OFFLINE_TILE_MIN_ZOOM = MAP_MIN_ZOOM;
+export const OFFLINE_TILE_MAX_ZOOM = 19; // The tile server's highest zoom; the map scales these tiles up to MAP_MAX_ZOOM
+export const OFFLINE_TILE_CONCURRENCY = 4; // Tiles downloaded at once
+export const OFFLINE_TILE_SIZE = 256; // Pixels
+
+// Routing providers, tried in order until one returns a route.
+// curated = admin-drawn building-to-building routes, custom = admin campus paths,
+// walkways = bundled OSM walkways (skipped while src/data/campusWalkways.js is empty),
+// osrm / valhalla / graphhopper = routing servers, straight = direct line
+// Override with EXPO_PUBLIC_ROUTING_PROVIDERS, e.g. "curated,custom,walkways,valhalla,straight"
+export const ROUTING_PROVIDERS = (process.env.EXPO_PUBLIC_ROUTING_PROVIDERS || 'curated,custom,walkways,osrm,straight')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+export const ROUTING_TIMEOUT = parseInt(process.env.EXPO_PUBLIC_ROUTING_TIMEOUT, 10) || 10000; // milliseconds
+
+// External routers (self-hosted or public)
+export const OSRM_URL = process.env.EXPO_PUBLIC_OSRM_URL || 'https://router.project-osrm.org';
+export const OSRM_PROFILE = process.env.EXPO_PUBLIC_OSRM_PROFILE || 'foot';
+export const VALHALLA_URL = process.env.EXPO_PUBLIC_VALHALLA_URL || ''; // e.g. http://your-server:8002
+export const VALHALLA_COSTING = process.env.EXPO_PUBLIC_VALHALLA_COSTING || 'pedestrian';
+export const GRAPHHOPPER_URL = process.env.EXPO_PUBLIC_GRAPHHOPPER_URL || ''; // e.g. https://graphhopper.com/api/1
+export const GRAPHHOPPER_PROFILE = process.env.EXPO_PUBLIC_GRAPHHOPPER_PROFILE || 'foot';
+export const GRAPHHOPPER_API_KEY = process.env.EXPO_PUBLIC_GRAPHHOPPER_API_KEY || '';
 
 // Route calculation constants
 export const WALKING_SPEED_KM_PER_MIN = 0.083; // ~5 km/h = 0.083 km/min
 export const EARTH_RADIUS_KM = 6371;
 
+// Walking pace options in Settings (speeds in km per minute)
+export const WALKING_PACES = {
+  slow: { label: 'Slow', description: 'Crutches, an injury or a relaxed stroll', speedKmPerMin: 0.055 },
+  normal: { label: 'Normal', description: 'About 5 km/h', speedKmPerMin: WALKING_SPEED_KM_PER_MIN },
+  fast: { label: 'Fast', description: 'About 6 km/h', speedKmPerMin: 0.1 },
+  wheelchair: { label: 'Wheelchair', description: 'Manual or powered wheelchair', speedKmPerMin: 0.067 },
+};
+export const STAIRS_EXTRA_MINUTES = 0.5; // Per flight of stairs at normal pace
+export const FLOOR_CHANGE_EXTRA_MINUTES = 0.75; // Per floor climbed (landings, waiting for an elevator)
+
+// Class departure planner
+export const DEPARTURE_BUFFER_MINUTES = 3; // Aim to arrive this early
+export const DEPARTURE_REMINDER_LEAD_MINUTES = 5; // Reminder this long before it is time to leave
+export const LEAVE_SOON_MINUTES = 10; // "Leave soon" instead of "on time" below this
+export const DEFAULT_CLASS_LENGTH_MINUTES = 60;
+
+// Calibrating the walking speed from finished navigation sessions
+export const CALIBRATION_MIN_SESSIONS = 3; // Sessions needed before the measured speed is used
+export const CALIBRATION_MAX_SESSIONS = 10; // Only the most recent sessions count
+export const CALIBRATION_MIN_DISTANCE_KM = 0.1; // Shorter walks are too noisy to learn from
+
+// Campus path graph settings
+export const PATH_SNAP_RADIUS_KM = 0.5; // Max distance from start/end to the path network
+export const PATH_JUNCTION_TOLERANCE_KM = 0.003; // Waypoints closer than ~3m are treated as one junction
+export const OFF_PATH_PENALTY = 1.5; // Walking off the network (lawns, parking) costs 50% more
+export const CURATED_ROUTE_START_RADIUS_KM = 0.05; // How close to a curated route's start you must be to use it
+export const ROUTE_SIMPLIFY_TOLERANCE_M = 2; // Router geometry points within 2m of a straighter line are dropped
+
+// Accessible (step-free) routing
+export const STEP_PATH_TYPES = ['stairs']; // Never used by accessible routes
+export const STEP_FREE_PREFERRED_TYPES = ['ramp', 'elevator']; // Favored by accessible routes
+export const STEP_FREE_PREFERENCE_FACTOR = 0.8; // Ramps/elevators count as 20% shorter
+
+// Route alternatives
+export const SHELTERED_PATH_TYPES = ['covered', 'indoor', 'corridor']; // Dry when it rains
+export const UNSHELTERED_PENALTY = 3; // Sheltered alternative counts open-air walking 3x
+export const STAIRS_AVOIDANCE_PENALTY_KM = 0.05; // Fewest-stairs alternative: each stairs segment costs +50m
+
+// Indoor routing
+export const FLOOR_CHANGE_DISTANCE_KM = 0.015; // Going up/down one floor costs about as much as walking 15m
+
+// Turn-by-turn directions
+export const TURN_THRESHOLD_DEGREES = 30; // Smaller bearing changes are treated as "continue"
+export const LANDMARK_RADIUS_KM = 0.04; // Buildings within 40m of a turn are used as landmarks
+
+// Live navigation
+export const OFF_ROUTE_THRESHOLD_KM = 0.03; // More than 30m from the route triggers a reroute
+export const ARRIVAL_RADIUS_KM = 0.02; // Within 20m of the destination counts as arrived
+export const REROUTE_COOLDOWN_MS = 10000; // Wait at least 10s between reroutes
+export const NAVIGATION_DISTANCE_INTERVAL_M = 5; // GPS updates every 5m of movement
@@ -0,0 +1,46 @@
+// src/constants/mapStyle.js - Campus map theme: walkways, landmarks and the base map
+import { Colors } from './theme';
+
+// How each paths.path_type is drawn (react-native-maps Polyline props)
+export const PATH_STYLES = {
+  walkway: { strokeColor: Colors.primary, strokeWidth: 3 },
+  sidewalk: { strokeColor: `${Colors.primary}99`, strokeWidth: 2 },
+  covered: { strokeColor: Colors.primaryDark, strokeWidth: 6 }, // Covered walks stand out: they stay dry
+  outdoor: { strokeColor: Colors.primary, strokeWidth: 3, lineDashPattern: [6, 4] },
+  road: { strokeColor: Colors.gray, strokeWidth: 6 },
+  stairs: { strokeColor: Colors.warning, strokeWidth: 4, lineDashPattern: [2, 3] },
+  ramp: { strokeColor: Colors.success, strokeWidth: 4 },
+  elevator: { strokeColor: Colors.success, strokeWidth: 4, lineDashPattern: [2, 3] },
+  bridge: { strokeColor: Colors.primaryDark, strokeWidth: 4 },
+  indoor: { strokeColor: `${Colors.primary}66`, strokeWidth: 2, lineDashPattern: [4, 4] },
+  corridor: { strokeColor: `${Colors.primary}66`, strokeWidth: 2, lineDashPattern: [4, 4] },
+  other: { strokeColor: Colors.secondary, strokeWidth: 3, lineDashPattern: [6, 4] },
+};
+
+/**
+ * Line style for a path
+ * @param {string} pathType - paths.path_type
+ * @returns {Object} { strokeColor, strokeWidth, lineDashPattern? }
+ */
+export const getPathStyle = (pathType) => PATH_STYLES[pathType] || PATH_STYLES.other;
+
+// Icon, label and colors of each campus_features.feature_type
+export const FEATURE_STYLES = {
+  gate: { label: 'Gate', icon: 'enter-outline', color: Colors.primary },
+  parking: { label: 'Parking', icon: 'car', color: '#1565C0', fillColor: '#1565C026' },
+  bus_stop: { label: 'Bus / jeepney stop', icon: 'bus', color: '#00897B' },
+  oval: { label: 'Oval', icon: 'football-outline', color: Colors.success, fillColor: `${Colors.success}33` },
+  landmark: { label: 'Landmark', icon: 'flag', color: Colors.primary },
+};
+
+// Google Maps base style (Android, or iOS with the Google provider): hides
+// shop and transit pins that crowd out campus icons and warms the colors
+// toward EVSU maroon. Apple Maps and the web map ignore it.
+export const CAMPUS_BASE_MAP_STYLE = [
+  { featureType: 'poi.business', stylers: [{ visibility: 'off' }] },
+  { featureType: 'poi', elementType: 'labels.icon', stylers: [{ visibility: 'off' }] },
+  { featureType: 'transit', elementType: 'labels.icon', stylers: [{ visibility: 'off' }] },
+  { featureType: 'poi.school', elementType: 'geometry', stylers: [{ color: '#F3E5E8' }] },
+  { featureType: 'landscape.man_made', elementType: 'geometry', stylers: [{ color: '#F6F1F1' }] },
+  { featureType: 'road', elementType: 'geometry.stroke', stylers: [{ color: '#E3D3D6' }] },
+];
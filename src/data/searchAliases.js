@@ -0,0 +1,59 @@
+// src/data/searchAliases.js - Bundled search aliases (Filipino/English and campus shorthand)
+//
+// What people type (term) and the word used in building and room names
+// (expansion). The on-device search index adds each term to every building or
+// room whose name, code or type contains the expansion, so "aklatan" finds the
+// Library and "CR" finds restrooms without a connection. Admins can add more
+// in the search_synonyms table (search-setup.sql); those are synced and merged
+// with this list.
+
+const searchAliases = [
+  // Campus shorthand
+  { term: 'cr', expansion: 'restroom' },
+  { term: 'cr', expansion: 'comfort room' },
+  { term: 'comfort room', expansion: 'restroom' },
+  { term: 'toilet', expansion: 'restroom' },
+  { term: 'lib', expansion: 'library' },
+  { term: 'lab', expansion: 'laboratory' },
+  { term: 'gym', expansion: 'gymnasium' },
+  { term: 'canteen', expansion: 'cafeteria' },
+  { term: 'cafeteria', expansion: 'canteen' },
+  { term: 'registrar', expansion: 'admin office' },
+  { term: 'registrar', expansion: 'administration' },
+  { term: 'admin', expansion: 'administration' },
+  { term: 'admin', expansion: 'administrative' },
+  { term: 'clinic', expansion: 'health services' },
+  { term: 'clinic', expansion: 'infirmary' },
+  { term: 'court', expansion: 'gymnasium' },
+  { term: 'parking', expansion: 'parking lot' },
+
+  // Filipino
+  { term: 'aklatan', expansion: 'library' },
+  { term: 'silid aklatan', expansion: 'library' },
+  { term: 'palikuran', expansion: 'restroom' },
+  { term: 'banyo', expansion: 'restroom' },
+  { term: 'kubeta', expansion: 'restroom' },
+  { term: 'kantina', expansion: 'cafeteria' },
+  { term: 'kainan', expansion: 'cafeteria' },
+  { term: 'kantina', expansion: 'canteen' },
+  { term: 'opisina', expansion: 'office' },
+  { term: 'tanggapan', expansion: 'office' },
+  { term: 'silid', expansion: 'room' },
+  { term: 'silid aralan', expansion: 'classroom' },
+  { term: 'gusali', expansion: 'building' },
+  { term: 'palapag', expansion: 'floor' },
+  { term: 'klinika', expansion: 'clinic' },
+  { term: 'pagamutan', expansion: 'clinic' },
+  { term: 'himnasyo', expansion: 'gymnasium' },
+  { term: 'laboratoryo', expansion: 'laboratory' },
+  { term: 'rehistrar', expansion: 'registrar' },
+  { term: 'kapilya', expansion: 'chapel' },
+  { term: 'paradahan', expansion: 'parking' },
+  { term: 'bulwagan', expansion: 'hall' },
+  { term: 'tarangkahan', expansion: 'gate' },
+  { term: 'pasukan', expansion: 'entrance' },
+  { term: 'imbakan', expansion: 'storage' },
+  { term: 'pagawaan', expansion: 'workshop' },
+];
+
+export default searchAliases;
@@ -0,0 +1,22 @@
+// src/hooks/useCampusRealtime.js - Keep live campus updates on while a screen is mounted
+import { useEffect, useRef } from 'react';
+
+import { subscribeToCampusChanges } from '../services/realtimeSync';
+
+/**
+ * Listen for live campus changes for the lifetime of the component
+ * Changes are applied to the campus data cache automatically (screens reload
+ * on the useCampusSync revision); pass onChange to react to them as well.
+ * @param {Function} onChange - Optional, called with { table, dataset, eventType }
+ */
+const useCampusRealtime = (onChange) => {
+  // Always call the latest callback without resubscribing on every render
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => subscribeToCampusChanges((change) => {
+    if (onChangeRef.current) onChangeRef.current(change);
+  }), []);
+};
+
+export default useCampusRealtime;
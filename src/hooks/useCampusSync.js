@@ -0,0 +1,19 @@
+// src/hooks/useCampusSync.js - Re-render when campus data syncs
+import { useState, useEffect } from 'react';
+
+import { getSyncStatus, subscribeSyncStatus } from '../services/campusSync';
+
+/**
+ * Get the campus data sync status, updating whenever it changes
+ * Reload data from mapService when `revision` changes.
+ * @returns {Object} Status { syncing, lastUpdated, error, revision, isStale }
+ */
+const useCampusSync = () => {
+  const [status, setStatus] = useState(getSyncStatus);
+
+  useEffect(() => subscribeSyncStatus(setStatus), []);
+
+  return status;
+};
+
+export default useCampusSync;
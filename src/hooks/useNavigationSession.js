@@ -0,0 +1,126 @@
+// src/hooks/useNavigationSession.js - Live navigation using continuous GPS updates
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as Location from 'expo-location';
+
+import { getNavigationState } from '../utils/navigationSession';
+import { calculateDistance } from '../utils/distance';
+import { recordWalkingSession } from '../utils/walkingProfile';
+import { REROUTE_COOLDOWN_MS, NAVIGATION_DISTANCE_INTERVAL_M } from '../constants/config';
+
+/**
+ * Track the user along a route while they walk
+ * @param {Object} params
+ * @param {Object} params.route - Current route data from calculateRoute
+ * @param {Array} params.steps - Directions for the current route
+ * @param {Function} params.onPositionChange - Called with every new {latitude, longitude}
+ * @param {Function} params.onOffRoute - Called with the position when a reroute is needed
+ * @param {Function} params.onArrive - Called once when the destination is reached
+ * @returns {Object} { isNavigating, navigationState, startNavigation, stopNavigation }
+ */
+const useNavigationSession = ({ route, steps, onPositionChange, onOffRoute, onArrive }) => {
+  const [isNavigating, setIsNavigating] = useState(false);
+  const [navigationState, setNavigationState] = useState(null);
+
+  const subscriptionRef = useRef(null);
+  const lastRerouteRef = useRef(0);
+  const reroutingRef = useRef(false);
+  // Distance and time actually walked, for calibrating the walking speed
+  const walkRef = useRef({ startedAt: 0, distance: 0, lastPosition: null });
+
+  // Keep the latest route and callbacks available to the GPS listener
+  const latestRef = useRef({ route, steps, onPositionChange, onOffRoute, onArrive });
+  latestRef.current = { route, steps, onPositionChange, onOffRoute, onArrive };
+
+  const stopNavigation = useCallback(() => {
+    if (subscriptionRef.current) {
+      subscriptionRef.current.remove();
+      subscriptionRef.current = null;
+    }
+    reroutingRef.current = false;
+    setIsNavigating(false);
+    setNavigationState(null);
+  }, []);
+
+  const handlePosition = useCallback(async (location) => {
+    const position = {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+    };
+    const current = latestRef.current;
+
+    if (current.onPositionChange) current.onPositionChange(position);
+    if (!current.route || !current.route.coordinates) return;
+
+    const walk = walkRef.current;
+    if (walk.lastPosition) walk.distance += calculateDistance(walk.lastPosition, position);
+    walk.lastPosition = position;
+
+    const state = getNavigationState(current.route, current.steps || [], position);
+    setNavigationState(state);
+
+    if (state.arrived) {
+      console.log('🏁 Arrived at destination');
+      recordWalkingSession({
+        distanceKm: walk.distance,
+        minutes: (Date.now() - walk.startedAt) / 60000,
+        route: current.route,
+      });
+      stopNavigation();
+      if (current.onArrive) current.onArrive();
+      return;
+    }
+
+    const now = Date.now();
+    if (state.offRoute && !reroutingRef.current && now - lastRerouteRef.current > REROUTE_COOLDOWN_MS) {
+      console.log(`↩️ Off route by ${Math.round(state.distanceFromRoute * 1000)} m, rerouting...`);
+      reroutingRef.current = true;
+      lastRerouteRef.current = now;
+      try {
+        if (current.onOffRoute) await current.onOffRoute(position);
+      } finally {
+        reroutingRef.current = false;
+      }
+    }
+  }, [stopNavigation]);
+
+  const startNavigation = useCallback(async () => {
+    if (subscriptionRef.current) return true;
+
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        console.log('❌ Location permission denied - cannot start navigation');
+        return false;
+      }
+
+      subscriptionRef.current = await Location.watchPositionAsync(
+        {
+          accuracy: Location.Accuracy.BestForNavigation,
+          distanceInterval: NAVIGATION_DISTANCE_INTERVAL_M,
+        },
+        handlePosition
+      );
+      lastRerouteRef.current = Date.now();
+      walkRef.current = { startedAt: Date.now(), distance: 0, lastPosition: null };
+      setIsNavigating(true);
+      console.log('🧭 Navigation started');
+      return true;
+    } catch (error) {
+      console.error('Error starting navigation:', error);
+      stopNavigation();
+      return false;
+    }
+  }, [handlePosition, stopNavigation]);
+
+  // Stop watching GPS when the screen unmounts
+  useEffect(() => () => {
+    if (subscriptionRef.current) {
+      subscriptionRef.current.remove();
+      subscriptionRef.current = null;
+    }
+  }, []);
+
+  return { isNavigating, navigationState, startNavigation, stopNavigation };
+};
+
+export default useNavigationSession;
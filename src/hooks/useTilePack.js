@@ -0,0 +1,23 @@
+// src/hooks/useTilePack.js - Re-render when the offline map tile pack changes
+import { useState, useEffect } from 'react';
+
+import { loadTilePack, getTilePackStatus, subscribeTilePack } from '../services/offlineTiles';
+
+/**
+ * Get the offline tile pack status, updating while it downloads
+ * Draw a UrlTile overlay with `urlTemplate` when it isn't null.
+ * @returns {Object} Status { supported, downloading, progress, error, pack, urlTemplate, ... }
+ */
+const useTilePack = () => {
+  const [status, setStatus] = useState(getTilePackStatus);
+
+  useEffect(() => {
+    const unsubscribe = subscribeTilePack(setStatus);
+    loadTilePack();
+    return unsubscribe;
+  }, []);
+
+  return status;
+};
+
+export default useTilePack;
@@ -0,0 +1,20 @@
+// src/hooks/useWalkingProfile.js - Re-render when the walking pace changes
+import { useState, useEffect } from 'react';
+
+import { getWalkingProfile, subscribeWalkingProfile } from '../utils/walkingProfile';
+
+/**
+ * Get the walking profile, updating whenever it changes
+ * Time estimates (estimateWalkingTime) read the profile directly; this hook
+ * only makes components showing them refresh after a change in Settings.
+ * @returns {Object} Profile { pace, useCalibration, sessions }
+ */
+const useWalkingProfile = () => {
+  const [profile, setProfile] = useState(getWalkingProfile);
+
+  useEffect(() => subscribeWalkingProfile(setProfile), []);
+
+  return profile;
+};
+
+export default useWalkingProfile;
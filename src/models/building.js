@@ -0,0 +1,116 @@
+// src/models/building.js - Canonical Building model and its mappers
+//
+// Every screen works with this one shape, whatever the data came from.
+// Add a mapper here for each new source instead of reshaping rows in screens.
+
+// Footprint used when a building has no measured dimensions
+const DEFAULT_SIZE_METERS = 20.0;
+
+/**
+ * @typedef {Object} Building
+ * @property {string} id - Always a string, also for numeric mock IDs
+ * @property {string} name
+ * @property {string|null} code - Short code, e.g. "LIB"
+ * @property {string} category - Key of CATEGORIES
+ * @property {string|null} description
+ * @property {string|null} image_url
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number} width_meters - Footprint east-west
+ * @property {number} height_meters - Footprint north-south
+ * @property {number} rotation_degrees - Footprint rotation from north
+ * @property {Object|null} footprint - Real outline, a GeoJSON Polygon or MultiPolygon ([lng, lat]);
+ *   null when only the rectangle above is known (see src/utils/footprints.js)
+ * @property {Array} locations - Rooms (see room.js), only filled by search and details
+ * @property {number|null} distance_meters - Distance from the user, only filled by nearby search
+ */
+
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? fallback : number;
+};
+
+/**
+ * A usable GeoJSON Polygon or MultiPolygon, from a JSONB column (e.g. the
+ * footprint), a Feature wrapping one, or JSON text
+ * @param {Object|string|null} value - Outline as stored
+ * @returns {Object|null} GeoJSON geometry, or null
+ */
+export const toPolygonGeometry = (value) => {
+  let geometry = value;
+  if (typeof geometry === 'string') {
+    try {
+      geometry = JSON.parse(geometry);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (geometry && geometry.type === 'Feature') geometry = geometry.geometry;
+  if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+  if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') return null;
+  return { type: geometry.type, coordinates: geometry.coordinates };
+};
+
+/**
+ * Build a Building from already-named fields, filling in defaults
+ * @param {Object} fields - Building fields
+ * @returns {Building} Building
+ */
+export const createBuilding = (fields) => ({
+  id: String(fields.id),
+  name: fields.name || '',
+  code: fields.code || null,
+  category: fields.category || 'academic',
+  description: fields.description || null,
+  image_url: fields.image_url || null,
+  latitude: toNumber(fields.latitude, null),
+  longitude: toNumber(fields.longitude, null),
+  width_meters: toNumber(fields.width_meters, DEFAULT_SIZE_METERS) || DEFAULT_SIZE_METERS,
+  height_meters: toNumber(fields.height_meters, DEFAULT_SIZE_METERS) || DEFAULT_SIZE_METERS,
+  rotation_degrees: toNumber(fields.rotation_degrees, 0),
+  footprint: toPolygonGeometry(fields.footprint),
+  locations: fields.locations || [],
+  distance_meters: fields.distance_meters == null ? null : toNumber(fields.distance_meters, null),
+});
+
+/**
+ * Map a row of the Supabase buildings table (or nearby_buildings RPC)
+ * Joined locations are left to the caller (see roomFromSupabase).
+ * @param {Object} row - Row
+ * @returns {Building} Building
+ */
+export const buildingFromSupabase = (row) => createBuilding({ ...row, locations: [] });
+
+/**
+ * Map an entry of mockBuildings (src/utils/mockData.js)
+ * @param {Object} mock - Mock building { building_id, building_name, building_code, ... }
+ * @returns {Building} Building
+ */
+export const buildingFromMock = (mock) => createBuilding({
+  ...mock,
+  id: mock.building_id,
+  name: mock.building_name,
+  code: mock.building_code,
+});
+
+/**
+ * Map a building saved in the offline cache
+ * Caches written before the canonical model used building_id/building_name/building_code.
+ * @param {Object} stored - Cached building
+ * @returns {Building} Building
+ */
+export const buildingFromCache = (stored) => createBuilding({
+  ...stored,
+  id: stored.id != null ? stored.id : stored.building_id,
+  name: stored.name || stored.building_name,
+  code: stored.code || stored.building_code,
+});
+
+/**
+ * Whether a building has a usable location
+ * @param {Building} building - Building
+ * @returns {boolean} True if it can be shown on the map
+ */
+export const hasLocation = (building) => (
+  building.latitude !== null && building.longitude !== null
+);
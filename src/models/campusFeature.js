@@ -0,0 +1,31 @@
+// src/models/campusFeature.js - Campus landmark model (gates, parking, bus stops, the oval) and its mappers
+import { toPolygonGeometry } from './building';
+
+// Kinds of campus_features rows (see campus-features-setup.sql and FEATURE_STYLES)
+export const FEATURE_TYPES = ['gate', 'parking', 'bus_stop', 'oval', 'landmark'];
+
+/**
+ * @typedef {Object} CampusFeature
+ * @property {string} id
+ * @property {string} name - e.g. "Main Gate"
+ * @property {string} type - One of FEATURE_TYPES ("landmark" for anything else)
+ * @property {number} latitude - Where the icon goes
+ * @property {number} longitude
+ * @property {Object|null} outline - Area it covers (parking lot, oval), a GeoJSON Polygon or MultiPolygon
+ * @property {boolean} is_active
+ */
+
+/**
+ * Map a row of the Supabase campus_features table
+ * @param {Object} row - Feature row
+ * @returns {CampusFeature} Campus feature
+ */
+export const campusFeatureFromSupabase = (row) => ({
+  id: String(row.id),
+  name: row.name || '',
+  type: FEATURE_TYPES.includes(row.feature_type) ? row.feature_type : 'landmark',
+  latitude: parseFloat(row.latitude),
+  longitude: parseFloat(row.longitude),
+  outline: toPolygonGeometry(row.outline),
+  is_active: row.is_active !== false,
+});
@@ -0,0 +1,114 @@
+// src/models/pathNetwork.js - Campus path network models (paths, connections, entrances, curated routes) and their mappers
+
+/**
+ * Map a row of the Supabase waypoints table
+ * @param {Object} row - Waypoint row
+ * @returns {Object} Waypoint { id, sequence, latitude, longitude, is_accessible, notes, floor, is_entrance }
+ */
+export const waypointFromSupabase = (row) => ({
+  id: row.waypoint_id,
+  sequence: row.sequence,
+  latitude: parseFloat(row.latitude),
+  longitude: parseFloat(row.longitude),
+  is_accessible: row.is_accessible,
+  notes: row.notes,
+  floor: row.floor === undefined ? null : row.floor,
+  is_entrance: row.is_entrance === true,
+});
+
+/**
+ * Map a row of the Supabase paths table with its joined waypoints
+ * @param {Object} row - Path row { path_id, path_name, path_type, is_active, building_id, waypoints }
+ * @returns {Object} Path { id, name, type, is_active, building_id, waypoints } with waypoints in order
+ */
+export const pathFromSupabase = (row) => ({
+  id: row.path_id,
+  name: row.path_name,
+  type: row.path_type,
+  is_active: row.is_active,
+  building_id: row.building_id || null,
+  waypoints: (row.waypoints || [])
+    .slice()
+    .sort((a, b) => a.sequence - b.sequence)
+    .map(waypointFromSupabase),
+});
+
+/**
+ * Map a row of the Supabase path_connections table
+ * @param {Object} row - Connection row
+ * @returns {Object} Connection
+ */
+export const connectionFromSupabase = (row) => ({
+  id: row.connection_id,
+  from_path_id: row.from_path_id,
+  from_waypoint_id: row.from_waypoint_id,
+  to_path_id: row.to_path_id,
+  to_waypoint_id: row.to_waypoint_id,
+  type: row.connection_type,
+  is_bidirectional: row.is_bidirectional !== false,
+  distance_meters: row.distance_meters
+    ? parseFloat(row.distance_meters)
+    : null,
+  is_accessible: row.is_accessible,
+  notes: row.notes,
+});
+
+/**
+ * Map a row of the Supabase building_entrances table
+ * @param {Object} row - Entrance row
+ * @returns {Object} Entrance { id, building_id, name, latitude, longitude, is_accessible }
+ */
+export const entranceFromSupabase = (row) => ({
+  id: row.id,
+  building_id: row.building_id,
+  name: row.name,
+  latitude: parseFloat(row.latitude),
+  longitude: parseFloat(row.longitude),
+  is_accessible: row.is_accessible !== false,
+});
+
+/**
+ * Read routes.path_coordinates ([{latitude, longitude}] or a GeoJSON LineString)
+ * @param {Array|Object|string} value - Stored coordinates
+ * @returns {Array} Array of {latitude, longitude}
+ */
+const parseRouteCoordinates = (value) => {
+  let points = value;
+  if (typeof value === 'string') {
+    try {
+      points = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  if (points && points.type === 'LineString') {
+    points = points.coordinates.map(([longitude, latitude]) => ({ latitude, longitude }));
+  }
+  if (!Array.isArray(points)) return [];
+
+  return points
+    .map(point => ({
+      latitude: parseFloat(point.latitude),
+      longitude: parseFloat(point.longitude),
+    }))
+    .filter(point => !isNaN(point.latitude) && !isNaN(point.longitude));
+};
+
+/**
+ * Map a row of the Supabase routes table (admin-curated routes and app candidates)
+ * @param {Object} row - Route row
+ * @returns {Object} Curated route { id, from_building_id, to_building_id, path_name, path_type,
+ *   coordinates, distance_meters, estimated_minutes, description, is_active }
+ */
+export const curatedRouteFromSupabase = (row) => ({
+  id: row.id,
+  from_building_id: row.from_building_id,
+  to_building_id: row.to_building_id,
+  path_name: row.path_name,
+  path_type: row.path_type,
+  coordinates: parseRouteCoordinates(row.path_coordinates),
+  distance_meters: row.distance_meters ? parseFloat(row.distance_meters) : null,
+  estimated_minutes: row.estimated_minutes,
+  description: row.description,
+  is_active: row.is_active !== false,
+});
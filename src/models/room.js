@@ -0,0 +1,56 @@
+// src/models/room.js - Canonical Room model and its mappers
+import { createBuilding, buildingFromCache } from './building';
+
+/**
+ * @typedef {Object} Room
+ * @property {string} id - Always a string
+ * @property {string} name
+ * @property {string|null} room_number
+ * @property {number|null} floor
+ * @property {string|null} description
+ * @property {string|null} type - e.g. "classroom", "laboratory"
+ * @property {number|null} capacity
+ * @property {string|null} waypoint_id - Door waypoint for indoor routing
+ * @property {string|null} door_side - "left" or "right" of the corridor
+ * @property {string|null} building_id - Always a string
+ * @property {Object|null} building - Building (see building.js) the room is in
+ */
+
+/**
+ * Build a Room from already-named fields, filling in defaults
+ * @param {Object} fields - Room fields, building already a Building or null
+ * @returns {Room} Room
+ */
+export const createRoom = (fields) => ({
+  id: String(fields.id),
+  name: fields.name || '',
+  room_number: fields.room_number || null,
+  floor: fields.floor == null ? null : fields.floor,
+  description: fields.description || null,
+  type: fields.type || null,
+  capacity: fields.capacity == null ? null : fields.capacity,
+  waypoint_id: fields.waypoint_id || null,
+  door_side: fields.door_side || null,
+  building_id: fields.building_id == null ? null : String(fields.building_id),
+  building: fields.building || null,
+});
+
+/**
+ * Map a row of the Supabase locations table
+ * @param {Object} row - Row, optionally with the joined buildings row
+ * @returns {Room} Room
+ */
+export const roomFromSupabase = (row) => createRoom({
+  ...row,
+  building: row.buildings ? createBuilding(row.buildings) : null,
+});
+
+/**
+ * Map a room saved in the offline cache
+ * @param {Object} stored - Cached room
+ * @returns {Room} Room
+ */
+export const roomFromCache = (stored) => createRoom({
+  ...stored,
+  building: stored.building ? buildingFromCache(stored.building) : null,
+});
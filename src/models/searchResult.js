@@ -0,0 +1,48 @@
+// src/models/searchResult.js - Ranked search result model and its mappers
+import { buildingFromSupabase } from './building';
+import { roomFromSupabase } from './room';
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} type - "building" or "room"
+ * @property {string} key - Unique across types, e.g. "room-12"
+ * @property {Object} item - Building (see building.js) or Room (see room.js)
+ * @property {number} score - Relevance, higher is better
+ * @property {Array<string>} terms - Query words and synonym expansions, for highlighting
+ */
+
+/**
+ * Build a SearchResult
+ * @param {Object} fields - { type, item, score, terms }
+ * @returns {SearchResult} Search result
+ */
+export const createSearchResult = (fields) => ({
+  type: fields.type,
+  key: `${fields.type}-${fields.item.id}`,
+  item: fields.item,
+  score: Number(fields.score) || 0,
+  terms: fields.terms || [],
+});
+
+/**
+ * Map a row of the search_campus RPC
+ * @param {Object} row - { result_type, item, score, matched_terms }
+ * @returns {SearchResult} Search result
+ */
+export const searchResultFromSupabase = (row) => createSearchResult({
+  type: row.result_type,
+  item: row.result_type === 'room' ? roomFromSupabase(row.item) : buildingFromSupabase(row.item),
+  score: row.score,
+  terms: row.matched_terms,
+});
+
+/**
+ * Map a row of the Supabase search_synonyms table
+ * @param {Object} row - { id, term, expansion }
+ * @returns {Object} Synonym { id, term, expansion }, lower-case
+ */
+export const synonymFromSupabase = (row) => ({
+  id: row.id,
+  term: (row.term || '').toLowerCase(),
+  expansion: (row.expansion || '').toLowerCase(),
+});
@@ -11,6 +11,7 @@ import MapScreen from '../screens/MapScreen';
 import SearchScreen from '../screens/SearchScreen';
 // import ChatbotScreen from '../screens/ChatbotScreen'; // Temporarily hidden - not functional yet
 import FavoritesScreen from '../screens/FavoritesScreen';
+import ClassPlannerScreen from '../screens/ClassPlannerScreen';
 import SettingsNavigator from './SettingsNavigator';
 
 const Tab = createBottomTabNavigator();
@@ -30,6 +31,8 @@ const MainNavigator = () => {
             iconName = focused ? 'search' : 'search-outline';
           } else if (route.name === 'Chatbot') {
             iconName = focused ? 'chatbubbles' : 'chatbubbles-outline';
+          } else if (route.name === 'Classes') {
+            iconName = focused ? 'alarm' : 'alarm-outline';
           } else if (route.name === 'Favorites') {
             iconName = focused ? 'heart' : 'heart-outline';
           } else if (route.name === 'Settings') {
@@ -118,6 +121,11 @@ const MainNavigator = () => {
         component={ChatbotScreen}
         options={{ title: 'AI Assistant' }}
       /> */}
+      <Tab.Screen 
+        name="Classes" 
+        component={ClassPlannerScreen}
+        options={{ title: 'My Classes' }}
+      />
       <Tab.Screen 
         name="Favorites" 
         component={FavoritesScreen}
@@ -0,0 +1,624 @@
+// src/screens/ClassPlannerScreen.js - "Will I make it to class?" departure planner
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+
+// Constants
+import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../constants/theme';
+import { DEFAULT_CLASS_LENGTH_MINUTES, SEARCH_DEBOUNCE_MS } from '../constants/config';
+
+// Utils
+import { searchEndpoints } from '../utils/routeEndpoints';
+import {
+  getClassSchedule,
+  saveClassSchedule,
+  planClassSchedule,
+  getClassEnd,
+  formatClockTime,
+  scheduleDepartureReminder,
+  cancelDepartureReminder,
+} from '../utils/departurePlanner';
+
+const HOURS = Array.from({ length: 16 }, (_, index) => index + 6); // 6 AM to 9 PM
+const MINUTES = Array.from({ length: 12 }, (_, index) => index * 5);
+const CLASS_LENGTHS = [30, 60, 90, 120, 180];
+
+const STATUS_STYLES = {
+  onTime: { icon: 'checkmark-circle', color: Colors.success },
+  leaveSoon: { icon: 'time', color: Colors.warning },
+  leaveNow: { icon: 'walk', color: Colors.warning },
+  late: { icon: 'alert-circle', color: Colors.error },
+};
+
+/**
+ * Describe a departure plan in one line
+ * @param {Object} plan - Plan from planDeparture()
+ * @returns {string} e.g. "Leave by 8:42 AM • 12 min walk"
+ */
+const getPlanText = (plan) => {
+  if (plan.status === 'late') {
+    return `Leaving now, you'll be ${plan.lateMinutes} min late • ${plan.duration} min walk`;
+  }
+  if (plan.status === 'leaveNow') return `Leave now • ${plan.duration} min walk`;
+  return `Leave by ${formatClockTime(plan.leaveAt)} • ${plan.duration} min walk`;
+};
+
+const formatHour = (hour) => `${hour % 12 === 0 ? 12 : hour % 12} ${hour < 12 ? 'AM' : 'PM'}`;
+
+const ClassPlannerScreen = () => {
+  const navigation = useNavigation();
+  const [classes, setClasses] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [planning, setPlanning] = useState(false);
+  const [userLocation, setUserLocation] = useState(null);
+
+  // New class form
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [destination, setDestination] = useState(null);
+  const [day, setDay] = useState('today');
+  const [hour, setHour] = useState(8);
+  const [minute, setMinute] = useState(0);
+  const [length, setLength] = useState(DEFAULT_CLASS_LENGTH_MINUTES);
+
+  // Reload the schedule whenever the tab is opened, so times stay current
+  useFocusEffect(
+    useCallback(() => {
+      loadSchedule();
+    }, [])
+  );
+
+  useEffect(() => {
+    requestLocation();
+  }, []);
+
+  // Re-plan when the schedule or position changes
+  useEffect(() => {
+    planSchedule(classes, userLocation);
+  }, [classes, userLocation]);
+
+  // Search rooms and buildings for the new class
+  useEffect(() => {
+    if (query.trim().length === 0) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const found = await searchEndpoints(query, {
+        onUpdate: (updated) => {
+          if (!cancelled) setResults(updated);
+        },
+      });
+      if (!cancelled) setResults(found);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const requestLocation = async () => {
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') return;
+
+      const location = await Location.getCurrentPositionAsync({});
+      setUserLocation({
+        latitude: location.coords.latitude,
+        longitude: location.coords.longitude,
+      });
+    } catch (error) {
+      console.error('Error getting location for class planner:', error);
+    }
+  };
+
+  const loadSchedule = async () => {
+    const saved = await getClassSchedule();
+    setClasses(saved);
+  };
+
+  const planSchedule = async (schedule, location) => {
+    if (schedule.length === 0) {
+      setPlans([]);
+      return;
+    }
+
+    setPlanning(true);
+    try {
+      setPlans(await planClassSchedule(schedule, location));
+    } catch (error) {
+      console.error('Error planning classes:', error);
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const updateSchedule = async (next) => {
+    const sorted = [...next].sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+    setClasses(sorted);
+    await saveClassSchedule(sorted);
+  };
+
+  const handleAddClass = async () => {
+    if (!destination) return;
+
+    const startsAt = new Date();
+    if (day === 'tomorrow') startsAt.setDate(startsAt.getDate() + 1);
+    startsAt.setHours(hour, minute, 0, 0);
+
+    if (startsAt.getTime() <= Date.now()) {
+      Alert.alert('Class Already Started', 'Pick a later time, or tomorrow.');
+      return;
+    }
+
+    await updateSchedule([
+      ...classes,
+      {
+        id: `${destination.key}-${startsAt.getTime()}`,
+        name: destination.name,
+        endpoint: destination,
+        startsAt: startsAt.toISOString(),
+        durationMinutes: length,
+        notificationId: null,
+      },
+    ]);
+    setDestination(null);
+    setQuery('');
+  };
+
+  const handleRemoveClass = async (classItem) => {
+    await cancelDepartureReminder(classItem.notificationId);
+    await updateSchedule(classes.filter(item => item.id !== classItem.id));
+  };
+
+  const handleToggleReminder = async (classItem, plan) => {
+    if (classItem.notificationId) {
+      await cancelDepartureReminder(classItem.notificationId);
+      await updateSchedule(classes.map(item => (
+        item.id === classItem.id ? { ...item, notificationId: null } : item
+      )));
+      return;
+    }
+
+    const notificationId = await scheduleDepartureReminder(classItem, plan);
+    if (!notificationId) {
+      Alert.alert(
+        'Reminder Not Set',
+        Platform.OS === 'web'
+          ? 'Reminders are only available in the mobile app.'
+          : 'It is already time to leave, or notifications are turned off.'
+      );
+      return;
+    }
+    await updateSchedule(classes.map(item => (
+      item.id === classItem.id ? { ...item, notificationId } : item
+    )));
+  };
+
+  const handleShowRoute = (classItem) => {
+    const endpoint = classItem.endpoint;
+    navigation.navigate('Map', {
+      selectedLocation: {
+        id: endpoint.buildingId,
+        name: endpoint.buildingName,
+        code: endpoint.code,
+        type: 'building',
+        latitude: endpoint.latitude,
+        longitude: endpoint.longitude,
+        room: endpoint.room,
+      },
+    });
+  };
+
+  const renderClass = ({ classItem, plan, warning }) => {
+    const start = new Date(classItem.startsAt);
+    const isTomorrow = start.toDateString() !== new Date().toDateString();
+    const status = plan.success ? STATUS_STYLES[plan.status] : null;
+
+    return (
+      <View key={classItem.id} style={styles.classCard}>
+        <View style={styles.classHeader}>
+          <Ionicons
+            name={classItem.endpoint.room ? 'cube' : 'business'}
+            size={20}
+            color={classItem.endpoint.room ? Colors.secondary : Colors.primary}
+          />
+          <View style={styles.classInfo}>
+            <Text style={styles.className} numberOfLines={1}>{classItem.name}</Text>
+            <Text style={styles.classTime}>
+              {isTomorrow ? 'Tomorrow, ' : ''}
+              {formatClockTime(start)} – {formatClockTime(getClassEnd(classItem))}
+            </Text>
+          </View>
+          <TouchableOpacity
+            onPress={() => handleRemoveClass(classItem)}
+            accessibilityLabel={`Remove ${classItem.name}`}
+          >
+            <Ionicons name="close" size={20} color={Colors.textLight} />
+          </TouchableOpacity>
+        </View>
+
+        {plan.success ? (
+          <View style={styles.statusRow}>
+            <Ionicons name={status.icon} size={16} color={status.color} />
+            <Text style={[styles.statusText, { color: status.color }]}>{getPlanText(plan)}</Text>
+          </View>
+        ) : (
+          <Text style={styles.planError}>{plan.message}</Text>
+        )}
+
+        {warning && (
+          <View style={styles.warningRow}>
+            <Ionicons name="warning" size={16} color={Colors.warning} />
+            <Text style={styles.warningText}>{warning}</Text>
+          </View>
+        )}
+
+        <View style={styles.classActions}>
+          {plan.success && (
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => handleToggleReminder(classItem, plan)}
+            >
+              <Ionicons
+                name={classItem.notificationId ? 'notifications' : 'notifications-outline'}
+                size={14}
+                color={Colors.primary}
+              />
+              <Text style={styles.secondaryButtonText}>
+                {classItem.notificationId ? 'Reminder Set' : 'Remind Me'}
+              </Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.secondaryButton} onPress={() => handleShowRoute(classItem)}>
+            <Ionicons name="map-outline" size={14} color={Colors.primary} />
+            <Text style={styles.secondaryButtonText}>Show Route</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <View style={styles.card}>
+        <Text style={styles.title}>Add a Class</Text>
+
+        {destination ? (
+          <TouchableOpacity style={styles.selectedDestination} onPress={() => setDestination(null)}>
+            <Ionicons name={destination.room ? 'cube' : 'business'} size={18} color={Colors.primary} />
+            <Text style={styles.selectedDestinationText} numberOfLines={1}>{destination.name}</Text>
+            <Ionicons name="close-circle" size={18} color={Colors.textLight} />
+          </TouchableOpacity>
+        ) : (
+          <>
+            <View style={styles.searchBox}>
+              <Ionicons name="search" size={16} color={Colors.textSecondary} />
+              <TextInput
+                style={styles.searchInput}
+                value={query}
+                onChangeText={setQuery}
+                placeholder="Room or building"
+                placeholderTextColor={Colors.textLight}
+              />
+            </View>
+            {results.map(endpoint => (
+              <TouchableOpacity
+                key={endpoint.key}
+                style={styles.result}
+                onPress={() => setDestination(endpoint)}
+              >
+                <Ionicons
+                  name={endpoint.room ? 'cube' : 'business'}
+                  size={16}
+                  color={endpoint.room ? Colors.secondary : Colors.primary}
+                />
+                <Text style={styles.resultText} numberOfLines={1}>{endpoint.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </>
+        )}
+
+        <View style={styles.dayToggle}>
+          {['today', 'tomorrow'].map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.dayOption, day === option && styles.dayOptionSelected]}
+              onPress={() => setDay(option)}
+            >
+              <Text style={[styles.dayOptionText, day === option && styles.dayOptionTextSelected]}>
+                {option === 'today' ? 'Today' : 'Tomorrow'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.pickers}>
+          <View style={styles.pickerContainer}>
+            <Text style={styles.pickerLabel}>Starts</Text>
+            <Picker selectedValue={hour} onValueChange={setHour} style={styles.picker}>
+              {HOURS.map(value => <Picker.Item key={value} label={formatHour(value)} value={value} />)}
+            </Picker>
+          </View>
+          <View style={styles.pickerContainer}>
+            <Text style={styles.pickerLabel}>Minute</Text>
+            <Picker selectedValue={minute} onValueChange={setMinute} style={styles.picker}>
+              {MINUTES.map(value => (
+                <Picker.Item key={value} label={`:${String(value).padStart(2, '0')}`} value={value} />
+              ))}
+            </Picker>
+          </View>
+          <View style={styles.pickerContainer}>
+            <Text style={styles.pickerLabel}>Length</Text>
+            <Picker selectedValue={length} onValueChange={setLength} style={styles.picker}>
+              {CLASS_LENGTHS.map(value => <Picker.Item key={value} label={`${value} min`} value={value} />)}
+            </Picker>
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.primaryButton, !destination && styles.primaryButtonDisabled]}
+          onPress={handleAddClass}
+          disabled={!destination}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="add" size={18} color={Colors.white} />
+          <Text style={styles.primaryButtonText}>Add Class</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.scheduleHeader}>
+        <Text style={styles.sectionTitle}>Upcoming Classes</Text>
+        {planning && <ActivityIndicator size="small" color={Colors.primary} />}
+      </View>
+
+      {classes.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="alarm-outline" size={40} color={Colors.textLight} />
+          <Text style={styles.emptyText}>
+            Add your next class to see when to leave and get a reminder.
+          </Text>
+        </View>
+      ) : (
+        plans.map(renderClass)
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.backgroundLight,
+  },
+  content: {
+    padding: Spacing.lg,
+    gap: Spacing.md,
+  },
+  card: {
+    backgroundColor: Colors.background,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.lg,
+    gap: Spacing.sm,
+    ...Shadows.small,
+  },
+  title: {
+    ...Typography.h3,
+    color: Colors.text,
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: BorderRadius.md,
+    paddingHorizontal: Spacing.md,
+    gap: Spacing.sm,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: Spacing.sm,
+    ...Typography.bodySmall,
+    color: Colors.text,
+  },
+  result: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.backgroundLight,
+    gap: Spacing.sm,
+  },
+  resultText: {
+    flex: 1,
+    ...Typography.bodySmall,
+    color: Colors.text,
+  },
+  selectedDestination: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.backgroundLight,
+    borderRadius: BorderRadius.md,
+    padding: Spacing.md,
+    gap: Spacing.sm,
+  },
+  selectedDestinationText: {
+    flex: 1,
+    ...Typography.body,
+    color: Colors.text,
+  },
+  dayToggle: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+  },
+  dayOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.border,
+  },
+  dayOptionSelected: {
+    backgroundColor: Colors.primary,
+    borderColor: Colors.primary,
+  },
+  dayOptionText: {
+    ...Typography.bodySmall,
+    color: Colors.text,
+  },
+  dayOptionTextSelected: {
+    color: Colors.white,
+    fontWeight: '600',
+  },
+  pickers: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+  },
+  pickerContainer: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: BorderRadius.md,
+    overflow: 'hidden',
+  },
+  pickerLabel: {
+    ...Typography.caption,
+    color: Colors.textSecondary,
+    paddingHorizontal: Spacing.sm,
+    paddingTop: Spacing.xs,
+  },
+  picker: {
+    height: Platform.OS === 'ios' ? 120 : 44,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: Colors.primary,
+    borderRadius: BorderRadius.md,
+    padding: Spacing.md,
+    gap: Spacing.xs,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: Colors.gray,
+  },
+  primaryButtonText: {
+    ...Typography.body,
+    color: Colors.white,
+    fontWeight: '600',
+  },
+  scheduleHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  sectionTitle: {
+    ...Typography.bodySmall,
+    color: Colors.textSecondary,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  classCard: {
+    backgroundColor: Colors.background,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    gap: Spacing.sm,
+    ...Shadows.small,
+  },
+  classHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  classInfo: {
+    flex: 1,
+  },
+  className: {
+    ...Typography.body,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  classTime: {
+    ...Typography.bodySmall,
+    color: Colors.textSecondary,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+  },
+  statusText: {
+    ...Typography.bodySmall,
+    fontWeight: '600',
+    flex: 1,
+  },
+  planError: {
+    ...Typography.bodySmall,
+    color: Colors.textSecondary,
+  },
+  warningRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF3E0',
+    borderRadius: BorderRadius.sm,
+    padding: Spacing.sm,
+    gap: Spacing.xs,
+  },
+  warningText: {
+    ...Typography.caption,
+    color: Colors.text,
+    flex: 1,
+  },
+  classActions: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    gap: 4,
+  },
+  secondaryButtonText: {
+    ...Typography.caption,
+    color: Colors.primary,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: Spacing.xl,
+    gap: Spacing.sm,
+  },
+  emptyText: {
+    ...Typography.bodySmall,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+});
+
+export default ClassPlannerScreen;
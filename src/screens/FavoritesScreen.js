@@ -19,6 +19,7 @@ import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../constants
 import { getFavorites, removeFavorite, getRoomFavorites, removeRoomFavorite } from '../utils/storage';
 import { getErrorMessage } from '../utils/errorHandler';
 import { mapService } from '../services/mapService';
+import { syncCampusData } from '../services/campusSync';
 
 // Components
 import BuildingCard from '../components/BuildingCard';
@@ -57,10 +58,7 @@ const FavoritesScreen = ({ navigation, route }) => {
       // Load favorite buildings
       if (buildingIds.length > 0) {
         const allBuildings = await mapService.getBuildings();
-        const favorites = allBuildings.filter(building => {
-          const buildingId = building.building_id || building.id;
-          return buildingIds.includes(buildingId.toString()) || buildingIds.includes(buildingId);
-        });
+        const favorites = allBuildings.filter(building => buildingIds.includes(building.id));
         setFavoriteBuildings(favorites);
       } else {
         setFavoriteBuildings([]);
@@ -69,10 +67,7 @@ const FavoritesScreen = ({ navigation, route }) => {
       // Load favorite rooms
       if (roomIds.length > 0) {
         const allRooms = await mapService.getRooms();
-        const favorites = allRooms.filter(room => {
-          const roomId = room.id;
-          return roomIds.includes(roomId.toString()) || roomIds.includes(roomId);
-        });
+        const favorites = allRooms.filter(room => roomIds.includes(room.id));
         setFavoriteRooms(favorites);
       } else {
         setFavoriteRooms([]);
@@ -90,6 +85,7 @@ const FavoritesScreen = ({ navigation, route }) => {
   // Handle refresh
   const onRefresh = async () => {
     setRefreshing(true);
+    await syncCampusData();
     await loadFavorites();
     setRefreshing(false);
   };
@@ -98,14 +94,14 @@ const FavoritesScreen = ({ navigation, route }) => {
   const handleRemoveFavorite = (building) => {
     Alert.alert(
       'Remove Favorite',
-      `Remove ${building.building_name || building.name} from favorites?`,
+      `Remove ${building.name} from favorites?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Remove',
           style: 'destructive',
           onPress: async () => {
-            await removeFavorite(building.building_id || building.id);
+            await removeFavorite(building.id);
             await loadFavorites();
           },
         },
@@ -136,9 +132,9 @@ const FavoritesScreen = ({ navigation, route }) => {
   const handleBuildingPress = (building) => {
     navigation.navigate('Map', {
       selectedLocation: {
-        id: building.building_id,
-        name: building.building_name,
-        code: building.building_code,
+        id: building.id,
+        name: building.name,
+        code: building.code,
         type: 'building',
         latitude: building.latitude,
         longitude: building.longitude,
@@ -173,6 +169,8 @@ const FavoritesScreen = ({ navigation, route }) => {
           room_number: room.room_number,
           floor: room.floor,
           description: room.description,
+          waypoint_id: room.waypoint_id,
+          door_side: room.door_side,
         },
       },
     });
@@ -223,11 +221,11 @@ const FavoritesScreen = ({ navigation, route }) => {
           {/* Favorites List */}
           <FlatList
             data={combinedFavorites}
-            keyExtractor={(item, index) => {
+            keyExtractor={(item) => {
               if (item.itemType === 'room') {
                 return `room-${item.id}`;
               } else {
-                return `building-${item.building_id || item.id || index}`;
+                return `building-${item.id}`;
               }
             }}
             renderItem={({ item }) => {
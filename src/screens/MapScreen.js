@@ -1,39 +1,61 @@
 // src/screens/MapScreen.js - Main Map Screen
-import React, { useState, useEffect, useRef } from 'react';
-import { View, StyleSheet, Alert, Text, Platform } from 'react-native';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { View, StyleSheet, Alert, Text, Dimensions } from 'react-native';
 import * as Location from 'expo-location';
 import { Ionicons } from '@expo/vector-icons';
 
-// Conditionally import react-native-maps only on native platforms
-let MapView, Marker, Polyline, Polygon, PROVIDER_DEFAULT;
-if (Platform.OS !== 'web') {
-  const Maps = require('react-native-maps');
-  MapView = Maps.default;
-  Marker = Maps.Marker;
-  Polyline = Maps.Polyline;
-  Polygon = Maps.Polygon;
-  PROVIDER_DEFAULT = Maps.PROVIDER_DEFAULT;
-}
+// react-native-maps on iOS/Android, Leaflet on web (CampusMapView.web.js)
+import MapView, { Marker, Polyline, UrlTile, PROVIDER_DEFAULT } from '../components/CampusMapView';
 
 // Constants
-import { EVSU_CENTER, CAMPUS_BOUNDARIES, MAP_ANIMATION_DURATION, MAP_ZOOM_DELTA, USE_MOCK_DATA } from '../constants/config';
+import {
+  EVSU_CENTER,
+  CAMPUS_BOUNDARIES,
+  MAP_ANIMATION_DURATION,
+  MAP_ZOOM_DELTA,
+  MAP_MIN_ZOOM,
+  MAP_MAX_ZOOM,
+  OFFLINE_TILE_SIZE,
+} from '../constants/config';
 import { Colors, Spacing, Shadows } from '../constants/theme';
+import { CAMPUS_BASE_MAP_STYLE } from '../constants/mapStyle';
 
 // Utils
-import { calculateDistance, calculateWalkingTime } from '../utils/distance';
-import { calculateRoute as getRoute, getRouteSummary } from '../utils/routing';
+import { calculateDistance } from '../utils/distance';
+import { findBuildingAt } from '../utils/footprints';
+import { estimateWalkingTime } from '../utils/walkingProfile';
+import { calculateRoute as getRoute, getRouteSummary, saveRouteCandidate } from '../utils/routing';
+import { getRouteDirections, formatDistance } from '../utils/directions';
+import { planItinerary, toItineraryStop } from '../utils/itinerary';
+import { calculateRoomRoute } from '../utils/indoorRouting';
+import { currentLocationEndpoint, buildingToEndpoint, mapPointToEndpoint, toRoutePoint } from '../utils/routeEndpoints';
 import { getErrorMessage } from '../utils/errorHandler';
-import { mockBuildings } from '../utils/mockData';
 import { mapService } from '../services/mapService';
+import { useAuth } from '../context/AuthContext';
 
 // Components
 import LoadingView from '../components/LoadingView';
 import ErrorView from '../components/ErrorView';
 import ControlButton from '../components/ControlButton';
 import InfoCard from '../components/InfoCard';
+import DirectionsList from '../components/DirectionsList';
+import NavigationBanner from '../components/NavigationBanner';
+import ItineraryPanel, { LEG_COLORS } from '../components/ItineraryPanel';
+import RouteAlternatives from '../components/RouteAlternatives';
+import RoutePlanner from '../components/RoutePlanner';
+import SyncStatusBadge from '../components/SyncStatusBadge';
+import CampusMapLayer from '../components/CampusMapLayer';
+import CampusMarkers from '../components/CampusMarkers';
+
+// Hooks
+import useNavigationSession from '../hooks/useNavigationSession';
+import useCampusSync from '../hooks/useCampusSync';
+import useCampusRealtime from '../hooks/useCampusRealtime';
+import useTilePack from '../hooks/useTilePack';
 
 const MapScreen = ({ navigation, route }) => {
   const mapRef = useRef(null);
+  const { isAdmin } = useAuth();
   const [userLocation, setUserLocation] = useState(null);
   const [buildings, setBuildings] = useState([]);
   const [selectedLocation, setSelectedLocation] = useState(null);
@@ -41,22 +63,112 @@ const MapScreen = ({ navigation, route }) => {
   const [loading, setLoading] = useState(true);
   const [errorMessage, setErrorMessage] = useState('');
   const [mapRegion, setMapRegion] = useState(EVSU_CENTER);
+  const [mapSize, setMapSize] = useState(() => Dimensions.get('window'));
   const [paths, setPaths] = useState([]);
+  const [campusFeatures, setCampusFeatures] = useState([]);
   const [mapType, setMapType] = useState('standard');
+  const [rooms, setRooms] = useState([]);
   const [roomCount, setRoomCount] = useState(0);
   const [showMarkers, setShowMarkers] = useState(true);
   const [isUserInitiatedMove, setIsUserInitiatedMove] = useState(false);
-  
-  // Convert meters to approximate lat/lng degrees (1 degree ≈ 111,320 meters at equator)
-  const metersToLatDegrees = (meters) => meters / 111320;
-  const metersToLngDegrees = (meters, latitude) => meters / (111320 * Math.cos(latitude * Math.PI / 180));
+  const [accessibleMode, setAccessibleMode] = useState(false);
+  const [routeSteps, setRouteSteps] = useState([]);
+  const [plannerVisible, setPlannerVisible] = useState(false);
+  const [routeFrom, setRouteFrom] = useState(null);
+  const [routeTo, setRouteTo] = useState(null);
+  const [routeOrigin, setRouteOrigin] = useState(null); // Planner start of the route on screen (null = your location)
+  const [pickingEndpoint, setPickingEndpoint] = useState(null); // 'from' or 'to' while waiting for a map tap
+  const [routeInfo, setRouteInfo] = useState(null);
+  const [routeDestination, setRouteDestination] = useState(null);
+  const [rerouting, setRerouting] = useState(false);
+  const [tripStops, setTripStops] = useState([]);
+  const [itinerary, setItinerary] = useState(null);
+  const [completedStopKeys, setCompletedStopKeys] = useState([]);
+  const [optimizeTrip, setOptimizeTrip] = useState(true);
+  const [routeAlternatives, setRouteAlternatives] = useState([]);
+  const [routePreference, setRoutePreference] = useState('shortest');
+
+  // Live navigation: follow the user, reroute when they stray, announce arrival
+  const { isNavigating, navigationState, startNavigation, stopNavigation } = useNavigationSession({
+    route: routeInfo,
+    steps: routeSteps,
+    onPositionChange: (position) => {
+      setUserLocation(position);
+      if (mapRef.current) {
+        mapRef.current.animateToRegion({
+          ...position,
+          latitudeDelta: MAP_ZOOM_DELTA / 2,
+          longitudeDelta: MAP_ZOOM_DELTA / 2,
+        }, 500);
+      }
+    },
+    onOffRoute: async (position) => {
+      if (!routeDestination) return;
+      setRerouting(true);
+      await calculateRoute(position, routeDestination, { silent: true });
+      setRerouting(false);
+    },
+    onArrive: () => {
+      // On a trip, tick off the stop and move on to the next leg
+      if (itinerary) {
+        const leg = getActiveTripLeg(itinerary, completedStopKeys);
+        if (leg) {
+          const completed = [...completedStopKeys, leg.to.key];
+          setCompletedStopKeys(completed);
+          const nextLeg = showTripLeg(itinerary, completed);
+          Alert.alert(
+            '✅ Stop Reached',
+            nextLeg
+              ? `You have arrived at ${leg.to.name}.\n\nNext stop: ${nextLeg.to.name}`
+              : `You have arrived at ${leg.to.name}. That was the last stop of your trip.`,
+            [{ text: 'OK' }]
+          );
+          return;
+        }
+      }
 
-  // Fetch buildings when component loads
+      Alert.alert(
+        '🏁 You Have Arrived',
+        `You have arrived at ${routeDestination?.name || 'your destination'}.`,
+        [{ text: 'OK' }]
+      );
+    },
+  });
+
+  // Live updates land in the campus data cache; note path network changes so
+  // a walk in progress can be rerouted (e.g. an admin closed a walkway)
+  const networkChangedRef = useRef(false);
+  useCampusRealtime((change) => {
+    if (change.dataset === 'paths' || change.dataset === 'connections') {
+      networkChangedRef.current = true;
+    }
+  });
+
+  // Offline campus tiles, drawn over the base map once downloaded
+  const tilePack = useTilePack();
+
+  // Campus data is served from the device cache; reload it whenever a sync or live update changes it
+  const syncStatus = useCampusSync();
   useEffect(() => {
-    console.log('MapScreen loaded');
     fetchBuildings();
     fetchPaths();
-    fetchRoomCount();
+    fetchCampusFeatures();
+    fetchRooms();
+
+    if (networkChangedRef.current) {
+      networkChangedRef.current = false;
+      if (isNavigating && routeDestination && userLocation && !rerouting) {
+        console.log('🔁 Path network changed, rerouting...');
+        setRerouting(true);
+        calculateRoute(userLocation, routeDestination, { silent: true })
+          .finally(() => setRerouting(false));
+      }
+    }
+  }, [syncStatus.revision]);
+
+  // Set up location when component loads
+  useEffect(() => {
+    console.log('MapScreen loaded');
     requestLocationPermission();
     
     // Center map on campus when component mounts
@@ -65,18 +177,6 @@ const MapScreen = ({ navigation, route }) => {
         mapRef.current.animateToRegion(EVSU_CENTER, MAP_ANIMATION_DURATION);
       }
     }, 500);
-
-    // Subscribe to real-time building updates
-    const unsubscribe = mapService.subscribeToBuildings((payload) => {
-      console.log('Building updated:', payload);
-      // Refresh buildings when changes occur
-      fetchBuildings();
-    });
-
-    // Cleanup subscription on unmount
-    return () => {
-      if (unsubscribe) unsubscribe();
-    };
   }, []);
 
   // Handle navigation from Search screen
@@ -135,7 +235,7 @@ const MapScreen = ({ navigation, route }) => {
       setErrorMessage('');
       console.log('Fetching buildings...');
       
-      // Use mapService which handles Supabase or mock data
+      // Cached campus data (mock data only when Supabase isn't configured)
       const buildingsData = await mapService.getBuildings();
       
       console.log('✅ Buildings fetched:', buildingsData.length);
@@ -144,16 +244,6 @@ const MapScreen = ({ navigation, route }) => {
     } catch (error) {
       console.error('❌ Error fetching buildings:', error.message);
       
-      // Fallback to mock data
-      const isDev = typeof __DEV__ !== 'undefined' && __DEV__;
-      if (isDev || USE_MOCK_DATA) {
-        console.log('📦 Falling back to mock data');
-        setBuildings(mockBuildings);
-        setLoading(false);
-        setErrorMessage('');
-        return;
-      }
-      
       const errorMsg = getErrorMessage(error);
       setErrorMessage(errorMsg);
       setLoading(false);
@@ -171,14 +261,25 @@ const MapScreen = ({ navigation, route }) => {
     }
   };
 
-  // Fetch total room count
-  const fetchRoomCount = async () => {
+  // Fetch gates, parking, bus stops and other landmarks for the campus layer
+  const fetchCampusFeatures = async () => {
+    try {
+      const data = await mapService.getCampusFeatures();
+      setCampusFeatures(data);
+    } catch (error) {
+      console.error('❌ Error fetching campus features:', error);
+    }
+  };
+
+  // Fetch rooms (drawn at their doors when zoomed in) and their count
+  const fetchRooms = async () => {
     try {
-      const count = await mapService.getRoomCount();
-      setRoomCount(count);
-      console.log('✅ Room count:', count);
+      const data = await mapService.getRooms();
+      setRooms(data);
+      setRoomCount(data.length);
+      console.log('✅ Rooms loaded:', data.length);
     } catch (error) {
-      console.error('❌ Error fetching room count:', error);
+      console.error('❌ Error fetching rooms:', error);
     }
   };
 
@@ -201,37 +302,88 @@ const MapScreen = ({ navigation, route }) => {
       setIsUserInitiatedMove(false);
     }, MAP_ANIMATION_DURATION + 100);
 
-    // Calculate route if user location is available
+    // Calculate route if user location is available, otherwise let the user pick a start
     if (userLocation) {
       await calculateRoute(userLocation, {
         latitude: parseFloat(location.latitude),
         longitude: parseFloat(location.longitude),
+        name: location.name,
+        room: location.room || null,
+        buildingId: location.id,
       });
+    } else {
+      openRoutePlanner(location);
     }
   };
 
   // Calculate route between two points using custom campus paths only
-  const calculateRoute = async (start, end) => {
+  // Silent mode (used for rerouting while navigating) skips the loading screen and alerts.
+  // origin is the planner endpoint the start came from, kept to recalculate the same route later.
+  const calculateRoute = async (start, end, options = {}) => {
+    const {
+      accessible = accessibleMode,
+      silent = false,
+      preference = routePreference,
+      origin = null,
+    } = options;
     console.log('Calculating campus route from', start, 'to', end);
+    if (!silent) setRouteOrigin(origin);
     
+    // Starting inside a building (by its footprint): leave through its entrances
+    const startBuilding = start.buildingId ? null : findBuildingAt(start, buildings);
+    const from = startBuilding && String(startBuilding.id) !== String(end.buildingId)
+      ? { ...start, buildingId: startBuilding.id }
+      : start;
+
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
+      setRouteDestination(end);
 
-      // Use the routing utility which only uses custom paths
-      const routeData = await getRoute(start, end);
+      // Rooms continue indoors to their door; otherwise try each provider from ROUTING_PROVIDERS
+      const routeData = end.room
+        ? await calculateRoomRoute(from, end, { accessible })
+        : await getRoute(from, end, { accessible, preference });
       
-      if (routeData.success) {
+      if (!routeData.success && routeData.noAccessibleRoute) {
+        // Keep the current route while rerouting rather than leaving the walker with nothing
+        if (silent) return routeData;
+
+        // Never draw a route that might include stairs in accessible mode
+        setRouteCoordinates([]);
+        setRouteSteps([]);
+        setRouteInfo(null);
+        setRouteAlternatives([]);
+        Alert.alert(
+          '♿ No Step-Free Route',
+          `${routeData.message}\n\nTurn off accessible routing to see a standard route.`,
+          [{ text: 'OK' }]
+        );
+      } else if (routeData.success) {
         setRouteCoordinates(routeData.coordinates);
+        setRouteInfo(routeData);
+        setRouteAlternatives(routeData.alternatives || []);
+        setRouteSteps(getRouteDirections(routeData, {
+          buildings,
+          destinationName: end.name || selectedLocation?.name,
+        }));
         
+        if (silent) return routeData;
+
         // Get formatted summary
         const summary = getRouteSummary(routeData);
         
         if (routeData.isCustomPath) {
-          // Successfully using custom path
+          // Successfully using custom path; admins can keep a computed route for review
+          const canSaveCandidate = isAdmin() && !routeData.isCuratedRoute && end.buildingId;
           Alert.alert(
             '🗺️ Route Found',
             summary,
-            [{ text: 'OK' }]
+            [
+              ...(canSaveCandidate
+                ? [{ text: 'Save as Candidate', onPress: () => handleSaveRouteCandidate(routeData, from, end) }]
+                : []),
+              { text: 'OK' },
+            ]
           );
         } else if (routeData.isDirectRoute) {
           // No custom path available - showing direct line
@@ -242,28 +394,64 @@ const MapScreen = ({ navigation, route }) => {
           );
         }
       } else {
-        // Should not happen with current implementation
+        // Every provider failed (only possible when 'straight' is not in ROUTING_PROVIDERS)
+        if (silent) return routeData;
         setRouteCoordinates([start, end]);
+        setRouteSteps([]);
+        setRouteInfo(null);
+        setRouteAlternatives([]);
         Alert.alert(
           'Route Error',
-          'Could not calculate route. Showing direct line.',
+          `${routeData.message || 'Could not calculate route.'} Showing direct line.`,
           [{ text: 'OK' }]
         );
       }
+
+      return routeData;
     } catch (error) {
       console.error('Route calculation error:', error);
+      if (silent) return null;
+
       // Fallback to straight line
       setRouteCoordinates([start, end]);
+      setRouteSteps([]);
+      setRouteInfo(null);
+      setRouteAlternatives([]);
       const distance = calculateDistance(start, end);
-      const timeMinutes = calculateWalkingTime(distance);
+      const timeMinutes = estimateWalkingTime(distance);
       
       Alert.alert(
         'Route Error',
         `Distance: ${distance.toFixed(2)} km\nEstimated time: ${timeMinutes} min\n(Direct route)`,
         [{ text: 'OK' }]
       );
+      return null;
     } finally {
-      setLoading(false);
+      if (!silent) setLoading(false);
+    }
+  };
+
+  // Save a computed route so admins can approve it as a curated route
+  const handleSaveRouteCandidate = async (routeData, start, end) => {
+    try {
+      await saveRouteCandidate(routeData, start, end);
+      Alert.alert('Route Saved', 'The route was saved as a candidate. Activate it in the routes table to use it for everyone.');
+    } catch (error) {
+      console.error('❌ Error saving route candidate:', error);
+      Alert.alert('Error', error.message || 'Could not save the route. Please try again.');
+    }
+  };
+
+  // Start live navigation along the route on screen
+  const handleStartNavigation = async () => {
+    if (!routeInfo) return;
+
+    const started = await startNavigation();
+    if (!started) {
+      Alert.alert(
+        'Navigation Unavailable',
+        'Location permission is required to follow your position along the route.'
+      );
     }
   };
 
@@ -354,69 +542,277 @@ const MapScreen = ({ navigation, route }) => {
   // Clear route and selection
   const clearRoute = () => {
     console.log('Clearing route');
+    stopNavigation();
+    setRouteDestination(null);
     setRouteCoordinates([]);
+    setRouteSteps([]);
+    setRouteInfo(null);
+    setRouteAlternatives([]);
     setSelectedLocation(null);
+    setItinerary(null);
+    setCompletedStopKeys([]);
   };
 
-  // Create a rectangle polygon around a building using actual dimensions
-  // Supports rotation for buildings that aren't aligned with north
-  const getBuildingPolygon = (building) => {
-    const lat = parseFloat(building.latitude);
-    const lng = parseFloat(building.longitude);
-    
-    // Get dimensions from database or use defaults (in meters)
-    const widthMeters = parseFloat(building.width_meters) || 20.0;
-    const heightMeters = parseFloat(building.height_meters) || 20.0;
-    const rotationDeg = parseFloat(building.rotation_degrees) || 0.0;
-    
-    // Convert meters to degrees (accounting for latitude)
-    const halfWidthDeg = metersToLngDegrees(widthMeters / 2, lat);
-    const halfHeightDeg = metersToLatDegrees(heightMeters / 2);
-    
-    // Define corners relative to center (in degrees, before rotation)
-    // Using a coordinate system where x = longitude offset, y = latitude offset
-    const corners = [
-      { x: -halfWidthDeg, y: halfHeightDeg },   // top-left
-      { x: halfWidthDeg, y: halfHeightDeg },     // top-right
-      { x: halfWidthDeg, y: -halfHeightDeg },    // bottom-right
-      { x: -halfWidthDeg, y: -halfHeightDeg },  // bottom-left
-    ];
-    
-    // Apply rotation around center (0, 0)
-    if (Math.abs(rotationDeg) > 0.01) { // Only rotate if significant
-      const radians = (rotationDeg * Math.PI) / 180;
-      const cos = Math.cos(radians);
-      const sin = Math.sin(radians);
-      
-      return corners.map(corner => {
-        // Rotate the corner coordinates
-        const rotatedX = corner.x * cos - corner.y * sin;
-        const rotatedY = corner.x * sin + corner.y * cos;
-        
-        return {
-          latitude: lat + rotatedY,  // y maps to latitude
-          longitude: lng + rotatedX, // x maps to longitude
-        };
+  // First leg of the trip whose stop has not been ticked off yet
+  const getActiveTripLeg = (trip, completedKeys) => (
+    trip ? trip.legs.find(leg => !completedKeys.includes(leg.to.key)) || null : null
+  );
+
+  // Show the active trip leg as the current route, so directions and navigation follow it
+  const showTripLeg = (trip, completedKeys) => {
+    const leg = getActiveTripLeg(trip, completedKeys);
+
+    if (!leg || !leg.route.success) {
+      setRouteCoordinates([]);
+      setRouteSteps([]);
+      setRouteInfo(null);
+      setRouteAlternatives([]);
+      setRouteDestination(null);
+      return leg;
+    }
+
+    setRouteCoordinates(leg.route.coordinates);
+    setRouteInfo(leg.route);
+    setRouteAlternatives(leg.route.alternatives || []);
+    setRouteDestination({
+      latitude: leg.to.latitude,
+      longitude: leg.to.longitude,
+      name: leg.to.name,
+      room: leg.to.room,
+      buildingId: leg.to.id,
+    });
+    setRouteSteps(getRouteDirections(leg.route, { buildings, destinationName: leg.to.name }));
+    return leg;
+  };
+
+  // Add or remove the selected building/room from the trip
+  const toggleTripStop = () => {
+    if (!selectedLocation) return;
+
+    const stop = toItineraryStop(selectedLocation);
+    setTripStops((prev) => (
+      prev.some(item => item.key === stop.key)
+        ? prev.filter(item => item.key !== stop.key)
+        : [...prev, stop]
+    ));
+
+    // The stops changed, so any planned trip is out of date
+    setItinerary(null);
+    setCompletedStopKeys([]);
+  };
+
+  // Route through every trip stop, optionally reordered to minimize walking
+  const handlePlanTrip = async (options = {}) => {
+    const { accessible = accessibleMode } = options;
+
+    if (!userLocation) {
+      Alert.alert('Location Needed', 'Your current location is needed to plan a trip.');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      stopNavigation();
+
+      const trip = await planItinerary(userLocation, tripStops, {
+        optimize: optimizeTrip,
+        accessible,
       });
+
+      setItinerary(trip);
+      setCompletedStopKeys([]);
+      showTripLeg(trip, []);
+
+      if (!trip.success) {
+        Alert.alert('Trip Planned With Gaps', trip.message);
+      } else if (trip.reordered) {
+        Alert.alert(
+          '🧭 Trip Planned',
+          `Stops were reordered to save walking.\n${formatDistance(trip.totalDistance)} • ${trip.totalDuration} min total`
+        );
+      }
+    } catch (error) {
+      console.error('Trip planning error:', error);
+      Alert.alert('Trip Error', 'Could not plan this trip. Please try again.');
+    } finally {
+      setLoading(false);
     }
-    
-    // No rotation - simple offset
-    return corners.map(corner => ({
-      latitude: lat + corner.y,
-      longitude: lng + corner.x,
+  };
+
+  // Tick a stop off (or back on) and show the next leg
+  const toggleCompletedStop = (stop) => {
+    const completed = completedStopKeys.includes(stop.key)
+      ? completedStopKeys.filter(key => key !== stop.key)
+      : [...completedStopKeys, stop.key];
+
+    stopNavigation();
+    setCompletedStopKeys(completed);
+    showTripLeg(itinerary, completed);
+  };
+
+  // Remove every stop and the planned trip
+  const clearTrip = () => {
+    stopNavigation();
+    setTripStops([]);
+    setItinerary(null);
+    setCompletedStopKeys([]);
+    setRouteDestination(null);
+    setRouteCoordinates([]);
+    setRouteSteps([]);
+    setRouteInfo(null);
+    setRouteAlternatives([]);
+  };
+
+  // Switch to another alternative (e.g. the covered route when it rains)
+  const selectRouteAlternative = (alternative) => {
+    stopNavigation();
+    setRoutePreference(alternative.preference);
+    setRouteCoordinates(alternative.coordinates);
+    setRouteInfo(alternative);
+    setRouteSteps(getRouteDirections(alternative, {
+      buildings,
+      destinationName: routeDestination?.name,
     }));
   };
 
-  // Handle navigate button press
+  // Show a building's info card (stable, so the memoized map layers don't re-render)
+  const selectBuilding = useCallback((building) => {
+    setSelectedLocation({
+      id: building.id,
+      name: building.name,
+      code: building.code,
+      type: 'building',
+      latitude: building.latitude,
+      longitude: building.longitude,
+      description: building.description,
+    });
+  }, []);
+
+  // Show a room's info card, the same way a room picked in Search is shown
+  const selectRoom = useCallback((room) => {
+    if (!room.building) return;
+    setSelectedLocation({
+      id: room.building.id,
+      name: room.building.name,
+      code: room.building.code,
+      type: 'building',
+      latitude: room.building.latitude,
+      longitude: room.building.longitude,
+      room: {
+        id: room.id,
+        name: room.name,
+        room_number: room.room_number,
+        floor: room.floor,
+        description: room.description,
+        waypoint_id: room.waypoint_id,
+        door_side: room.door_side,
+      },
+    });
+  }, []);
+
+  // Zoom in on a tapped marker cluster
+  const handleClusterPress = useCallback((region) => {
+    if (mapRef.current) {
+      mapRef.current.animateToRegion(region, MAP_ANIMATION_DURATION);
+    }
+  }, []);
+
+  // Toggle step-free routing and recalculate the route on screen
+  const toggleAccessibleMode = async () => {
+    const enabled = !accessibleMode;
+    setAccessibleMode(enabled);
+
+    // Same start as the route on screen: the planner's start if one was chosen, else your
+    // location (always your location while navigating, as you are already walking it)
+    const start = routeOrigin && !isNavigating ? toRoutePoint(routeOrigin, userLocation) : userLocation;
+
+    if (itinerary) {
+      await handlePlanTrip({ accessible: enabled });
+    } else if (start && routeDestination && routeCoordinates.length > 0) {
+      await calculateRoute(start, routeDestination, { accessible: enabled, origin: routeOrigin });
+    } else {
+      Alert.alert(
+        enabled ? '♿ Accessible Routing On' : 'Accessible Routing Off',
+        enabled
+          ? 'Routes will avoid stairs and prefer ramps and elevators.'
+          : 'Routes will use the shortest walking path.'
+      );
+    }
+  };
+
+  // Handle navigate button press (without a GPS position, choose the start in the planner)
   const handleNavigate = async () => {
-    if (userLocation && selectedLocation) {
+    if (!selectedLocation) return;
+
+    if (userLocation) {
       await calculateRoute(userLocation, {
         latitude: parseFloat(selectedLocation.latitude),
         longitude: parseFloat(selectedLocation.longitude),
+        name: selectedLocation.name,
+        room: selectedLocation.room || null,
+        buildingId: selectedLocation.id,
       });
+    } else {
+      openRoutePlanner(selectedLocation);
+    }
+  };
+
+  // Open the From / To planner, going to the given place (or the one already chosen)
+  const openRoutePlanner = (destination = null) => {
+    if (!routeFrom && userLocation) setRouteFrom(currentLocationEndpoint(userLocation));
+    if (destination) setRouteTo(buildingToEndpoint(destination));
+    setPlannerVisible(true);
+  };
+
+  const closeRoutePlanner = () => {
+    setPlannerVisible(false);
+    setPickingEndpoint(null);
+  };
+
+  const handlePlannerChange = (field, endpoint) => {
+    if (field === 'from') setRouteFrom(endpoint);
+    else setRouteTo(endpoint);
+  };
+
+  const swapPlannerEndpoints = () => {
+    setRouteFrom(routeTo);
+    setRouteTo(routeFrom);
+  };
+
+  // Taps are hit-tested against the building footprints: a tap on a building
+  // selects it (or makes it the planner's start/destination), elsewhere it
+  // drops a pin while picking a point
+  const handleMapPress = (event) => {
+    if (event.nativeEvent.action === 'marker-press') return;
+    const coordinate = event.nativeEvent.coordinate;
+    const building = findBuildingAt(coordinate, buildings);
+
+    if (pickingEndpoint) {
+      handlePlannerChange(pickingEndpoint, building ? buildingToEndpoint(building) : mapPointToEndpoint(coordinate));
+      setPickingEndpoint(null);
+    } else if (building) {
+      selectBuilding(building);
+    }
+  };
+
+  // Route between the two ends chosen in the planner
+  const handlePlanRoute = async () => {
+    const start = toRoutePoint(routeFrom, userLocation);
+    const end = toRoutePoint(routeTo, userLocation);
+
+    if (!start || !end) {
+      Alert.alert(
+        'Location Unavailable',
+        'Your location is not available. Choose a building, room or point on the map instead.'
+      );
+      return;
     }
+
+    await calculateRoute(start, end, { origin: routeFrom });
   };
 
+  const selectedBuildingId = selectedLocation?.type === 'building' ? selectedLocation.id : null;
+
   // Loading state
   if (loading) {
     return (
@@ -439,92 +835,6 @@ const MapScreen = ({ navigation, route }) => {
     );
   }
 
-  // Web fallback - show a simple map placeholder with building list
-  if (Platform.OS === 'web') {
-    const mapUrl = `https://www.openstreetmap.org/?mlat=${EVSU_CENTER.latitude}&mlon=${EVSU_CENTER.longitude}&zoom=16`;
-    
-    return (
-      <View style={styles.container}>
-        <View style={styles.webMapContainer}>
-          <View style={styles.webMapPlaceholder}>
-            <Ionicons name="map-outline" size={48} color={Colors.primary} />
-            <Text style={styles.webMapText}>Interactive Map</Text>
-            <Text style={styles.webMapSubtext}>
-              Map view is optimized for mobile devices.{'\n'}
-              {Platform.OS === 'web' && typeof window !== 'undefined' && (
-                <Text 
-                  style={{ color: Colors.primary, textDecorationLine: 'underline', cursor: 'pointer' }}
-                  onPress={() => window.open(mapUrl, '_blank')}
-                >
-                  Open in OpenStreetMap
-                </Text>
-              )}
-            </Text>
-            <View style={styles.buildingsList}>
-              <Text style={styles.buildingsListTitle}>Buildings ({buildings.length})</Text>
-              {buildings.slice(0, 10).map((building) => (
-                <View key={building.building_id || building.id} style={styles.buildingItem}>
-                  <Ionicons name="business" size={20} color={Colors.primary} />
-                  <View style={styles.buildingInfo}>
-                    <Text style={styles.buildingName}>{building.building_name}</Text>
-                    <Text style={styles.buildingCode}>{building.building_code}</Text>
-                  </View>
-                </View>
-              ))}
-            </View>
-          </View>
-        </View>
-        
-        {/* Control Buttons */}
-        <View style={styles.controls}>
-          <ControlButton 
-            iconName="school-outline" 
-            onPress={centerOnCampus}
-          />
-          
-          <ControlButton 
-            iconName="locate" 
-            onPress={centerOnUser}
-          />
-          
-          {routeCoordinates.length > 0 && (
-            <ControlButton 
-              iconName="close" 
-              onPress={clearRoute}
-              backgroundColor={Colors.secondary}
-            />
-          )}
-        </View>
-
-        {/* Location Info Card */}
-        {selectedLocation && (
-          <InfoCard
-            title={selectedLocation.name}
-            code={selectedLocation.code}
-            description={selectedLocation.description}
-            onClose={clearRoute}
-            onNavigate={handleNavigate}
-            showNavigate={!!userLocation}
-            room={selectedLocation.room || null}
-          />
-        )}
-
-        {/* Buildings and Rooms Count Badge */}
-        <View style={styles.buildingsBadge}>
-          <Ionicons name="business" size={16} color={Colors.primary} />
-          <Text style={styles.buildingsBadgeText}>{buildings.length} Buildings</Text>
-          {roomCount > 0 && (
-            <>
-              <Text style={styles.buildingsBadgeSeparator}>•</Text>
-              <Ionicons name="cube" size={16} color={Colors.secondary} />
-              <Text style={styles.buildingsBadgeText}>{roomCount} Rooms</Text>
-            </>
-          )}
-        </View>
-      </View>
-    );
-  }
-
   return (
     <View style={styles.container}>
       <MapView
@@ -533,94 +843,139 @@ const MapScreen = ({ navigation, route }) => {
         style={styles.map}
         initialRegion={EVSU_CENTER}
         onRegionChangeComplete={handleRegionChangeComplete}
+        onPress={handleMapPress}
+        onLayout={(event) => {
+          const { width, height } = event.nativeEvent.layout;
+          setMapSize({ width, height });
+        }}
         onMapReady={() => {
           // Ensure map is centered on campus when ready
           if (mapRef.current) {
             mapRef.current.animateToRegion(EVSU_CENTER, MAP_ANIMATION_DURATION);
           }
         }}
-        minZoomLevel={15}
-        maxZoomLevel={20}
+        minZoomLevel={MAP_MIN_ZOOM}
+        maxZoomLevel={MAP_MAX_ZOOM}
         showsUserLocation={true}
         showsMyLocationButton={false}
         showsCompass={true}
         showsBuildings={false}
         mapType={mapType}
+        customMapStyle={CAMPUS_BASE_MAP_STYLE}
       >
-        {/* Admin paths overlay */}
-        {paths.map((path) => (
+        {/* Downloaded campus tiles (Settings > Offline Map), so the map still shows without a connection.
+            Past the pack's highest zoom its tiles are scaled up. */}
+        {tilePack.urlTemplate && mapType === 'standard' && (
+          <UrlTile
+            urlTemplate={tilePack.urlTemplate}
+            maximumNativeZ={tilePack.pack.maxZoom}
+            maximumZ={MAP_MAX_ZOOM}
+            tileSize={OFFLINE_TILE_SIZE}
+            zIndex={-1}
+          />
+        )}
+
+        {/* Campus theme: walkways by type, gates/parking/bus stops, building labels that fit */}
+        <CampusMapLayer
+          buildings={buildings}
+          paths={paths}
+          features={campusFeatures}
+          region={mapRegion}
+          mapSize={mapSize}
+          selectedBuildingId={selectedBuildingId}
+          onBuildingPress={selectBuilding}
+        />
+
+        {/* Building pins (clustered when zoomed out) and, close up, room markers */}
+        {showMarkers && (
+          <CampusMarkers
+            buildings={buildings}
+            rooms={rooms}
+            paths={paths}
+            region={mapRegion}
+            mapSize={mapSize}
+            selectedBuildingId={selectedBuildingId}
+            onBuildingPress={selectBuilding}
+            onRoomPress={selectRoom}
+            onClusterPress={handleClusterPress}
+          />
+        )}
+
+        {/* Trip legs, each in its own color (visited legs greyed out) */}
+        {itinerary && itinerary.legs.map((leg) => leg.route.success && (
           <Polyline
-            key={`path-${path.id}`}
-            coordinates={(path.waypoints || []).map((wp) => ({
-              latitude: wp.latitude,
-              longitude: wp.longitude,
-            }))}
-            strokeColor={Colors.secondary}
+            key={`leg-${leg.index}`}
+            coordinates={leg.route.coordinates}
+            strokeColor={completedStopKeys.includes(leg.to.key) ? Colors.gray : LEG_COLORS[leg.index % LEG_COLORS.length]}
             strokeWidth={4}
-            lineDashPattern={[6, 4]}
+            lineDashPattern={completedStopKeys.includes(leg.to.key) ? [4, 6] : undefined}
           />
         ))}
 
-        {/* Building footprints (approx rectangles) */}
-        {buildings.map((building) => (
-          <Polygon
-            key={`poly-${building.building_id || building.id || building.code}`}
-            coordinates={getBuildingPolygon(building)}
-            strokeColor={Colors.primary}
-            fillColor={`${Colors.primary}33`}
-            strokeWidth={1.5}
-            tappable
-            onPress={() => {
-              setSelectedLocation({
-                id: building.building_id,
-                name: building.building_name,
-                code: building.building_code,
-                type: 'building',
-                latitude: building.latitude,
-                longitude: building.longitude,
-                description: building.description,
-              });
-            }}
-          />
-        ))}
+        {/* Dropped pins chosen in the route planner */}
+        {plannerVisible && [routeFrom, routeTo]
+          .filter(endpoint => endpoint && endpoint.type === 'point')
+          .map(endpoint => (
+            <Marker
+              key={`planner-${endpoint.key}`}
+              coordinate={{ latitude: endpoint.latitude, longitude: endpoint.longitude }}
+              title={endpoint === routeFrom ? 'Start' : 'Destination'}
+              pinColor={endpoint === routeFrom ? Colors.success : Colors.secondary}
+            />
+          ))}
 
-        {/* Building Markers */}
-        {showMarkers && buildings.map((building) => (
+        {/* Numbered trip stops */}
+        {(itinerary ? itinerary.stops : tripStops).map((stop, index) => (
           <Marker
-            key={building.building_id || building.id || `building-${building.latitude}-${building.longitude}`}
-            coordinate={{
-              latitude: parseFloat(building.latitude),
-              longitude: parseFloat(building.longitude),
-            }}
-            title={building.building_name}
-            description={building.building_code}
-            pinColor={
-              selectedLocation?.id === building.building_id ? Colors.secondary : Colors.primary
-            }
-            onPress={() => {
-              console.log('Marker pressed:', building.building_name);
-              setSelectedLocation({
-                id: building.building_id,
-                name: building.building_name,
-                code: building.building_code,
-                type: 'building',
-                latitude: building.latitude,
-                longitude: building.longitude,
-                description: building.description,
-              });
-            }}
-          />
+            key={`stop-${stop.key}`}
+            coordinate={{ latitude: stop.latitude, longitude: stop.longitude }}
+            title={`${index + 1}. ${stop.name}`}
+          >
+            <View
+              style={[
+                styles.stopMarker,
+                { backgroundColor: completedStopKeys.includes(stop.key) ? Colors.success : LEG_COLORS[index % LEG_COLORS.length] },
+              ]}
+            >
+              <Text style={styles.stopMarkerText}>{index + 1}</Text>
+            </View>
+          </Marker>
         ))}
 
-        {/* Route Polyline */}
+        {/* Other route alternatives, tap one to switch to it */}
+        {routeAlternatives
+          .filter(alternative => alternative.preference !== routeInfo?.preference)
+          .map(alternative => (
+            <Polyline
+              key={`alternative-${alternative.preference}`}
+              coordinates={alternative.coordinates}
+              strokeColor={Colors.gray}
+              strokeWidth={5}
+              tappable
+              onPress={() => selectRouteAlternative(alternative)}
+            />
+          ))}
+
+        {/* Route Polyline (the walkway part when the route was snapped onto the network) */}
         {routeCoordinates.length > 0 && (
           <Polyline
-            coordinates={routeCoordinates}
+            coordinates={routeInfo?.networkCoordinates || routeCoordinates}
             strokeColor={Colors.primary}
             strokeWidth={5}
             lineDashPattern={[1]}
           />
         )}
+
+        {/* Walks onto and off the network, e.g. from your location or to an entrance */}
+        {routeCoordinates.length > 0 && (routeInfo?.approachLegs || []).map((leg, index) => (
+          <Polyline
+            key={`approach-${index}`}
+            coordinates={leg}
+            strokeColor={Colors.primary}
+            strokeWidth={3}
+            lineDashPattern={[2, 6]}
+          />
+        ))}
       </MapView>
 
       {/* Control Buttons */}
@@ -635,6 +990,12 @@ const MapScreen = ({ navigation, route }) => {
           onPress={centerOnUser}
         />
 
+        <ControlButton 
+          iconName="swap-vertical" 
+          onPress={() => (plannerVisible ? closeRoutePlanner() : openRoutePlanner())}
+          backgroundColor={plannerVisible ? Colors.primary : Colors.gray}
+        />
+
         <ControlButton 
           iconName="layers-outline" 
           onPress={() => {
@@ -652,7 +1013,20 @@ const MapScreen = ({ navigation, route }) => {
           onPress={() => setShowMarkers(!showMarkers)}
           backgroundColor={showMarkers ? Colors.primary : Colors.gray}
         />
+
+        <ControlButton 
+          iconName={accessibleMode ? "accessibility" : "accessibility-outline"} 
+          onPress={toggleAccessibleMode}
+          backgroundColor={accessibleMode ? Colors.primary : Colors.gray}
+        />
         
+        {routeInfo && !isNavigating && (
+          <ControlButton 
+            iconName="walk" 
+            onPress={handleStartNavigation}
+          />
+        )}
+
         {routeCoordinates.length > 0 && (
           <ControlButton 
             iconName="close" 
@@ -662,30 +1036,83 @@ const MapScreen = ({ navigation, route }) => {
         )}
       </View>
 
+      {/* Live navigation banner, or turn-by-turn directions when not navigating */}
+      {isNavigating ? (
+        <View style={styles.directionsContainer}>
+          <NavigationBanner
+            navigationState={navigationState}
+            destinationName={routeDestination?.name}
+            onStop={stopNavigation}
+            rerouting={rerouting}
+          />
+        </View>
+      ) : (plannerVisible || tripStops.length > 0 || routeSteps.length > 0 || routeAlternatives.length > 1) && (
+        <View style={styles.directionsContainer}>
+          {plannerVisible && (
+            <RoutePlanner
+              from={routeFrom}
+              to={routeTo}
+              userLocation={userLocation}
+              pickingField={pickingEndpoint}
+              onChange={handlePlannerChange}
+              onSwap={swapPlannerEndpoints}
+              onPlan={handlePlanRoute}
+              onClose={closeRoutePlanner}
+              onPickOnMap={setPickingEndpoint}
+            />
+          )}
+          <ItineraryPanel
+            stops={tripStops}
+            itinerary={itinerary}
+            completedKeys={completedStopKeys}
+            optimize={optimizeTrip}
+            onToggleOptimize={() => setOptimizeTrip(!optimizeTrip)}
+            onToggleStop={toggleCompletedStop}
+            onRemoveStop={(stop) => setTripStops(tripStops.filter(item => item.key !== stop.key))}
+            onPlan={() => handlePlanTrip()}
+            onClear={clearTrip}
+          />
+          <RouteAlternatives
+            alternatives={routeAlternatives}
+            selectedPreference={routeInfo?.preference}
+            onSelect={selectRouteAlternative}
+          />
+          <DirectionsList
+            steps={routeSteps}
+            summary={routeInfo ? `${formatDistance(routeInfo.distance)} • ${routeInfo.duration} min walk` : null}
+          />
+        </View>
+      )}
+
       {/* Location Info Card */}
-      {selectedLocation && (
+      {selectedLocation && !isNavigating && (
         <InfoCard
           title={selectedLocation.name}
           code={selectedLocation.code}
           description={selectedLocation.description}
           onClose={clearRoute}
           onNavigate={handleNavigate}
-          showNavigate={!!userLocation}
+          showNavigate
           room={selectedLocation.room || null}
+          onToggleTripStop={toggleTripStop}
+          isTripStop={tripStops.some(stop => stop.key === toItineraryStop(selectedLocation).key)}
         />
       )}
 
-      {/* Buildings and Rooms Count Badge */}
-      <View style={styles.buildingsBadge}>
-        <Ionicons name="business" size={16} color={Colors.primary} />
-        <Text style={styles.buildingsBadgeText}>{buildings.length} Buildings</Text>
-        {roomCount > 0 && (
-          <>
-            <Text style={styles.buildingsBadgeSeparator}>•</Text>
-            <Ionicons name="cube" size={16} color={Colors.secondary} />
-            <Text style={styles.buildingsBadgeText}>{roomCount} Rooms</Text>
-          </>
-        )}
+      {/* Buildings and Rooms Count Badge, with when campus data was last updated */}
+      <View style={styles.badgeStack}>
+        <View style={styles.buildingsBadge}>
+          <Ionicons name="business" size={16} color={Colors.primary} />
+          <Text style={styles.buildingsBadgeText}>{buildings.length} Buildings</Text>
+          {roomCount > 0 && (
+            <>
+              <Text style={styles.buildingsBadgeSeparator}>•</Text>
+              <Ionicons name="cube" size={16} color={Colors.secondary} />
+              <Text style={styles.buildingsBadgeText}>{roomCount} Rooms</Text>
+            </>
+          )}
+        </View>
+        <SyncStatusBadge />
       </View>
     </View>
   );
@@ -705,10 +1132,38 @@ const styles = StyleSheet.create({
     gap: Spacing.md,
     zIndex: 1000,
   },
-  buildingsBadge: {
+  directionsContainer: {
+    position: 'absolute',
+    top: Spacing.xl + 48,
+    left: Spacing.xl,
+    right: Spacing.xl + 50 + Spacing.md,
+    gap: Spacing.sm,
+    zIndex: 999,
+  },
+  stopMarker: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    borderWidth: 2,
+    borderColor: Colors.white,
+    justifyContent: 'center',
+    alignItems: 'center',
+    ...Shadows.small,
+  },
+  stopMarkerText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: Colors.white,
+  },
+  badgeStack: {
     position: 'absolute',
     top: Spacing.xl,
     left: Spacing.xl,
+    gap: Spacing.xs,
+    zIndex: 1000,
+  },
+  buildingsBadge: {
+    alignSelf: 'flex-start',
     backgroundColor: Colors.background,
     flexDirection: 'row',
     alignItems: 'center',
@@ -717,7 +1172,6 @@ const styles = StyleSheet.create({
     borderRadius: 20,
     ...Shadows.small,
     gap: 6,
-    zIndex: 1000,
   },
   buildingsBadgeText: {
     fontSize: 13,
@@ -730,62 +1184,6 @@ const styles = StyleSheet.create({
     color: Colors.textSecondary,
     marginHorizontal: 8,
   },
-  webMapContainer: {
-    flex: 1,
-    backgroundColor: Colors.background,
-  },
-  webMapPlaceholder: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-    padding: Spacing.xl,
-  },
-  webMapText: {
-    fontSize: 24,
-    fontWeight: 'bold',
-    color: Colors.text,
-    marginTop: Spacing.md,
-    marginBottom: Spacing.sm,
-  },
-  webMapSubtext: {
-    fontSize: 14,
-    color: Colors.textSecondary,
-    textAlign: 'center',
-    marginBottom: Spacing.xl,
-  },
-  buildingsList: {
-    width: '100%',
-    maxWidth: 400,
-    marginTop: Spacing.lg,
-  },
-  buildingsListTitle: {
-    fontSize: 18,
-    fontWeight: 'bold',
-    color: Colors.text,
-    marginBottom: Spacing.md,
-  },
-  buildingItem: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    padding: Spacing.md,
-    backgroundColor: Colors.background,
-    borderRadius: 8,
-    marginBottom: Spacing.sm,
-    ...Shadows.small,
-    gap: Spacing.sm,
-  },
-  buildingInfo: {
-    flex: 1,
-  },
-  buildingName: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: Colors.text,
-  },
-  buildingCode: {
-    fontSize: 14,
-    color: Colors.textSecondary,
-  },
 });
 
 export default MapScreen;
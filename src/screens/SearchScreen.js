@@ -15,13 +15,12 @@ import axios from 'axios';
 import { useNavigation } from '@react-navigation/native';
 
 // Constants
-import { API_URL, API_TIMEOUT, USE_MOCK_DATA } from '../constants/config';
+import { API_URL, API_TIMEOUT, SEARCH_DEBOUNCE_MS } from '../constants/config';
 import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../constants/theme';
 
 // Utils
 import { getErrorMessage } from '../utils/errorHandler';
 import { getFavorites, addFavorite, removeFavorite, getRoomFavorites, addRoomFavorite, removeRoomFavorite } from '../utils/storage';
-import { mockBuildings } from '../utils/mockData';
 import { mapService } from '../services/mapService';
 
 // Components
@@ -30,6 +29,8 @@ import RoomCard from '../components/RoomCard';
 import LoadingView from '../components/LoadingView';
 import ErrorView from '../components/ErrorView';
 import CategoryPicker from '../components/CategoryPicker';
+import useCampusSync from '../hooks/useCampusSync';
+import useCampusRealtime from '../hooks/useCampusRealtime';
 
 // Constants
 import { BUILDING_CATEGORIES_WITH_ALL, ROOM_TYPES_WITH_ALL } from '../constants/categories';
@@ -39,8 +40,7 @@ const SearchScreen = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [buildings, setBuildings] = useState([]);
   const [rooms, setRooms] = useState([]);
-  const [filteredBuildings, setFilteredBuildings] = useState([]);
-  const [filteredRooms, setFilteredRooms] = useState([]);
+  const [results, setResults] = useState([]); // Ranked results for searchQuery
   const [loading, setLoading] = useState(true);
   const [searching, setSearching] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
@@ -51,9 +51,15 @@ const SearchScreen = () => {
   const [favoriteIds, setFavoriteIds] = useState([]);
   const [favoriteRoomIds, setFavoriteRoomIds] = useState([]);
 
-  // Fetch buildings on mount
+  // Fetch buildings and rooms on mount and whenever a campus data sync or live update changes them
+  const syncStatus = useCampusSync();
+  useCampusRealtime();
   useEffect(() => {
     fetchBuildings();
+    fetchAllRooms();
+  }, [syncStatus.revision]);
+
+  useEffect(() => {
     requestLocationPermission();
     loadFavorites();
   }, []);
@@ -72,53 +78,62 @@ const SearchScreen = () => {
 
   // Handle favorite toggle for buildings
   const handleFavoritePress = async (building) => {
-    const buildingId = (building.building_id || building.id).toString();
-    const isFav = favoriteIds.includes(buildingId);
+    const isFav = favoriteIds.includes(building.id);
     
     if (isFav) {
-      await removeFavorite(buildingId);
+      await removeFavorite(building.id);
     } else {
-      await addFavorite(buildingId);
+      await addFavorite(building.id);
     }
     await loadFavorites();
   };
 
   // Handle favorite toggle for rooms
   const handleRoomFavoritePress = async (room) => {
-    const roomId = room.id.toString();
-    const isFav = favoriteRoomIds.includes(roomId);
+    const isFav = favoriteRoomIds.includes(room.id);
     
     if (isFav) {
-      await removeRoomFavorite(roomId);
+      await removeRoomFavorite(room.id);
     } else {
-      await addRoomFavorite(roomId);
+      await addRoomFavorite(room.id);
     }
     await loadFavorites();
   };
 
-  // Fetch or search rooms when search query or type filter changes
+  // On-device results on every keystroke, then the server's ranking once
+  // typing pauses; anything only the device found (e.g. a bundled alias) is
+  // kept after the server's results. Stale responses are ignored.
   useEffect(() => {
-    if (typeFilter === 'rooms' || typeFilter === 'all') {
-      if (searchQuery.trim()) {
-        searchRooms();
-      } else {
-        // If rooms or all filter is selected but no search query, fetch all rooms
-        fetchAllRooms();
-      }
-    } else {
-      setFilteredRooms([]);
+    const query = searchQuery.trim();
+    if (!query) {
+      setResults([]);
+      setSearching(false);
+      return undefined;
     }
-  }, [searchQuery, typeFilter]);
 
-  // Filter buildings when search query or category filter changes
-  useEffect(() => {
-    filterBuildings();
-  }, [searchQuery, categoryFilter, buildings]);
+    let cancelled = false;
+    let serverAnswered = false;
+    setSearching(true);
 
-  // Filter rooms when search query or room type filter changes
-  useEffect(() => {
-    filterRooms();
-  }, [searchQuery, roomTypeFilter, rooms]);
+    const localSearch = mapService.searchCampusLocal(query);
+    localSearch.then((found) => {
+      if (!cancelled && !serverAnswered) setResults(found);
+    });
+
+    const timer = setTimeout(async () => {
+      const merged = await mapService.refineCampusSearch(query, await localSearch);
+      if (cancelled) return;
+      serverAnswered = true;
+      console.log('✅ Search results:', merged.length);
+      setResults(merged);
+      setSearching(false);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, syncStatus.revision]);
 
   // Request location permission
   const requestLocationPermission = async () => {
@@ -144,143 +159,62 @@ const SearchScreen = () => {
       setErrorMessage('');
       console.log('Fetching buildings...');
       
-      // Use mapService which handles Supabase or mock data
+      // Cached campus data (mock data only when Supabase isn't configured)
       const buildingsData = await mapService.getBuildings();
       
       console.log('✅ Buildings fetched:', buildingsData.length);
       setBuildings(buildingsData);
-      setFilteredBuildings(buildingsData);
       setLoading(false);
     } catch (error) {
       console.error('Error fetching buildings:', error);
       
-      // Fallback to mock data
-      const isDev = typeof __DEV__ !== 'undefined' && __DEV__;
-      if (isDev || USE_MOCK_DATA) {
-        console.log('📦 Falling back to mock data');
-        setBuildings(mockBuildings);
-        setFilteredBuildings(mockBuildings);
-        setLoading(false);
-        setErrorMessage('');
-        return;
-      }
-      
       const errorMsg = getErrorMessage(error);
       setErrorMessage(errorMsg);
       setLoading(false);
     }
   };
 
-  // Fetch all rooms
+  // Fetch all rooms (listed while there is no search query)
   const fetchAllRooms = async () => {
     try {
-      setSearching(true);
       const roomsData = await mapService.getRooms();
       console.log('✅ All rooms fetched:', roomsData.length);
       setRooms(roomsData);
-      // filterRooms will be called automatically via useEffect
-      setSearching(false);
     } catch (error) {
       console.error('Error fetching rooms:', error);
       setRooms([]);
-      setSearching(false);
     }
   };
 
-  // Search rooms
-  const searchRooms = async () => {
-    try {
-      setSearching(true);
-      const query = searchQuery.trim();
-      if (!query) {
-        setRooms([]);
-        setSearching(false);
-        return;
-      }
-
-      const roomsData = await mapService.searchRooms(query);
-      console.log('✅ Rooms found:', roomsData.length);
-      setRooms(roomsData);
-      // filterRooms will be called automatically via useEffect
-      setSearching(false);
-    } catch (error) {
-      console.error('Error searching rooms:', error);
-      setRooms([]);
-      setSearching(false);
+  // Whether an item passes the type, category and room type filters
+  // Empty string for a category/room type filter means "show all" (matches admin panel logic)
+  const matchesFilters = (itemType, item) => {
+    if (itemType === 'building') {
+      return typeFilter !== 'rooms' && (!categoryFilter || item.category === categoryFilter);
     }
+    return typeFilter !== 'buildings' &&
+      (!roomTypeFilter || (item.type || '').toLowerCase() === roomTypeFilter.toLowerCase());
   };
 
-  // Filter buildings based on search query and category filter
-  // Empty string for categoryFilter means "show all" (matches admin panel logic)
-  const filterBuildings = () => {
-    let filtered = [...buildings];
-
-    // Apply category filter (empty string = show all)
-    if (categoryFilter) {
-      filtered = filtered.filter(building => {
-        // Handle both old format (building_name) and new format (name)
-        const buildingCategory = building.category || building.building_category;
-        return buildingCategory === categoryFilter;
-      });
-    }
-
-    // Apply search filter
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(building => {
-        const name = building.building_name || building.name || '';
-        const code = building.building_code || building.code || '';
-        const description = building.description || '';
-        
-        return (
-          name.toLowerCase().includes(query) ||
-          code.toLowerCase().includes(query) ||
-          description.toLowerCase().includes(query)
-        );
-      });
-    }
-
-    setFilteredBuildings(filtered);
-  };
-
-  // Filter rooms based on search query and room type filter
-  const filterRooms = () => {
-    let filtered = [...rooms];
-
-    // Apply room type filter (empty string = show all)
-    if (roomTypeFilter) {
-      filtered = filtered.filter(room => {
-        const roomType = room.type || '';
-        return roomType.toLowerCase() === roomTypeFilter.toLowerCase();
-      });
-    }
-
-    // Apply search filter
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(room => {
-        const name = room.name || '';
-        const roomNumber = room.room_number || '';
-        const description = room.description || '';
-        
-        return (
-          name.toLowerCase().includes(query) ||
-          roomNumber.toLowerCase().includes(query) ||
-          description.toLowerCase().includes(query)
-        );
-      });
-    }
-
-    setFilteredRooms(filtered);
-  };
+  // One list: ranked results while searching, otherwise every building then every room
+  const listItems = searchQuery.trim()
+    ? results
+      .filter(result => matchesFilters(result.type, result.item))
+      .map(result => ({ ...result.item, itemType: result.type, highlightTerms: result.terms }))
+    : [
+      ...buildings.map(item => ({ ...item, itemType: 'building' })),
+      ...rooms.map(item => ({ ...item, itemType: 'room' })),
+    ].filter(item => matchesFilters(item.itemType, item));
+  const buildingCount = listItems.filter(item => item.itemType === 'building').length;
+  const roomCount = listItems.length - buildingCount;
 
   // Handle building selection
   const handleBuildingPress = (building) => {
     navigation.navigate('Map', {
       selectedLocation: {
-        id: building.building_id || building.id,
-        name: building.building_name || building.name,
-        code: building.building_code || building.code,
+        id: building.id,
+        name: building.name,
+        code: building.code,
         type: 'building',
         latitude: building.latitude,
         longitude: building.longitude,
@@ -310,6 +244,8 @@ const SearchScreen = () => {
           room_number: room.room_number,
           floor: room.floor,
           description: room.description,
+          waypoint_id: room.waypoint_id,
+          door_side: room.door_side,
         },
       },
     });
@@ -453,58 +389,22 @@ const SearchScreen = () => {
       {/* Results Header */}
       <View style={styles.resultsHeader}>
         <Text style={styles.resultsCount}>
-          {(() => {
-            let displayBuildings = filteredBuildings;
-            let displayRooms = filteredRooms;
-            
-            if (typeFilter === 'buildings') {
-              displayRooms = [];
-            } else if (typeFilter === 'rooms') {
-              displayBuildings = [];
-            }
-
-            const total = displayBuildings.length + displayRooms.length;
-            return `${total} ${total === 1 ? 'result' : 'results'} found${
-              displayBuildings.length > 0 ? ` (${displayBuildings.length} ${displayBuildings.length === 1 ? 'building' : 'buildings'})` : ''
-            }${
-              displayRooms.length > 0 ? ` (${displayRooms.length} ${displayRooms.length === 1 ? 'room' : 'rooms'})` : ''
-            }`;
-          })()}
+          {`${listItems.length} ${listItems.length === 1 ? 'result' : 'results'} found${
+            buildingCount > 0 ? ` (${buildingCount} ${buildingCount === 1 ? 'building' : 'buildings'})` : ''
+          }${
+            roomCount > 0 ? ` (${roomCount} ${roomCount === 1 ? 'room' : 'rooms'})` : ''
+          }`}
         </Text>
       </View>
 
-      {/* Combined Results List */}
-      {(() => {
-        // Filter data based on typeFilter
-        let displayBuildings = filteredBuildings;
-        let displayRooms = filteredRooms;
-        
-        if (typeFilter === 'buildings') {
-          displayRooms = [];
-        } else if (typeFilter === 'rooms') {
-          displayBuildings = [];
-        }
-
-        const hasResults = displayBuildings.length > 0 || displayRooms.length > 0;
-
-        return hasResults ? (
-          <FlatList
-            data={[
-              ...displayBuildings.map(item => ({ ...item, itemType: 'building' })),
-              ...displayRooms.map(item => ({ ...item, itemType: 'room' })),
-            ]}
-          keyExtractor={(item, index) => {
-            // For rooms, use the room's unique ID. For buildings, use building_id or id
-            if (item.itemType === 'room') {
-              return `room-${item.id}`;
-            } else {
-              return `building-${item.building_id || item.id || index}`;
-            }
-          }}
+      {/* Results List - ranked by relevance while searching */}
+      {listItems.length > 0 ? (
+        <FlatList
+          data={listItems}
+          keyExtractor={(item) => `${item.itemType}-${item.id}`}
           renderItem={({ item }) => {
             if (item.itemType === 'room') {
-              const roomId = item.id?.toString();
-              const isRoomFavorite = favoriteRoomIds.includes(roomId);
+              const isRoomFavorite = favoriteRoomIds.includes(item.id);
               return (
                 <RoomCard
                   room={item}
@@ -516,6 +416,7 @@ const SearchScreen = () => {
                   showFavorite={true}
                   isFavorite={isRoomFavorite}
                   onFavoritePress={handleRoomFavoritePress}
+                  highlightTerms={item.highlightTerms}
                 />
               );
             } else {
@@ -526,10 +427,11 @@ const SearchScreen = () => {
                   showDistance={!!userLocation}
                   userLocation={userLocation}
                   showFavorite={true}
-                  isFavorite={favoriteIds.includes(item.building_id?.toString() || item.id?.toString()) || favoriteIds.includes(item.building_id || item.id)}
+                  isFavorite={favoriteIds.includes(item.id)}
                   onFavoritePress={handleFavoritePress}
                   showNavigate={true}
                   onNavigatePress={handleBuildingPress}
+                  highlightTerms={item.highlightTerms}
                 />
               );
             }
@@ -539,22 +441,26 @@ const SearchScreen = () => {
           ListFooterComponent={searching ? (
             <View style={styles.searchingContainer}>
               <ActivityIndicator size="small" color={Colors.primary} />
-              <Text style={styles.searchingText}>Searching rooms...</Text>
+              <Text style={styles.searchingText}>Searching...</Text>
             </View>
           ) : null}
         />
-        ) : (
-          <View style={styles.emptyContainer}>
-            <Ionicons name="search-outline" size={64} color={Colors.textLight} />
-            <Text style={styles.emptyTitle}>No results found</Text>
-            <Text style={styles.emptyText}>
-              {searchQuery
-                ? `Try adjusting your search terms or filter`
-                : 'Start typing to search for buildings and rooms'}
-            </Text>
-          </View>
-        );
-      })()}
+      ) : searching ? (
+        <View style={styles.searchingContainer}>
+          <ActivityIndicator size="small" color={Colors.primary} />
+          <Text style={styles.searchingText}>Searching...</Text>
+        </View>
+      ) : (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="search-outline" size={64} color={Colors.textLight} />
+          <Text style={styles.emptyTitle}>No results found</Text>
+          <Text style={styles.emptyText}>
+            {searchQuery
+              ? `Try adjusting your search terms or filter`
+              : 'Start typing to search for buildings and rooms'}
+          </Text>
+        </View>
+      )}
     </View>
   );
 };
@@ -12,10 +12,35 @@ import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 import { useNavigation } from '@react-navigation/native';
 import { Colors, Typography, Spacing, BorderRadius, Shadows } from '../constants/theme';
+import {
+  WALKING_PACES,
+  CALIBRATION_MIN_SESSIONS,
+  OFFLINE_TILE_MIN_ZOOM,
+  OFFLINE_TILE_MAX_ZOOM,
+} from '../constants/config';
+import {
+  setWalkingPace,
+  setUseCalibration,
+  resetCalibration,
+  getCalibratedSpeed,
+} from '../utils/walkingProfile';
+import useWalkingProfile from '../hooks/useWalkingProfile';
+import useCampusSync from '../hooks/useCampusSync';
+import useTilePack from '../hooks/useTilePack';
+import { syncCampusData, formatLastUpdated } from '../services/campusSync';
+import {
+  downloadTilePack,
+  cancelTilePackDownload,
+  purgeTilePack,
+  formatStorageSize,
+} from '../services/offlineTiles';
 
 const SettingsScreen = () => {
   const { user, logout, isAdmin } = useAuth();
   const navigation = useNavigation();
+  const walkingProfile = useWalkingProfile();
+  const syncStatus = useCampusSync();
+  const tilePack = useTilePack();
 
   const handleLogout = () => {
     Alert.alert(
@@ -37,7 +62,109 @@ const SettingsScreen = () => {
     );
   };
 
-  const SettingsItem = ({ icon, title, subtitle, onPress, showArrow = true, danger = false }) => (
+  // Describe what calibration has learned so far
+  const getCalibrationSubtitle = () => {
+    const sessions = walkingProfile.sessions.filter(session => session.pace === walkingProfile.pace);
+    const speed = getCalibratedSpeed(walkingProfile);
+
+    if (!walkingProfile.useCalibration) return 'Off • using the standard pace';
+    if (speed) return `On • ${(speed * 60).toFixed(1)} km/h from your last ${sessions.length} walks`;
+    return `On • ${sessions.length} of ${CALIBRATION_MIN_SESSIONS} navigated walks recorded`;
+  };
+
+  const handleResetCalibration = () => {
+    Alert.alert(
+      'Reset Walking Pace',
+      'Forget the walks recorded for calibration?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: resetCalibration },
+      ]
+    );
+  };
+
+  const getSyncSubtitle = () => {
+    if (syncStatus.syncing) return 'Updating...';
+    const updated = `Last updated ${formatLastUpdated(syncStatus.lastUpdated)}`;
+    if (syncStatus.error) return `${updated} • last update failed`;
+    if (syncStatus.isStale) return `${updated} • may be out of date`;
+    return updated;
+  };
+
+  const handleSyncNow = async () => {
+    const status = await syncCampusData({ force: true });
+    if (status.error) {
+      Alert.alert('Update Failed', `Could not update campus data: ${status.error}`);
+    }
+  };
+
+  const getTilePackSubtitle = () => {
+    if (tilePack.downloading) {
+      return `Downloading ${Math.round(tilePack.progress * 100)}% • ${formatStorageSize(tilePack.downloadedBytes)}`;
+    }
+    if (!tilePack.pack) {
+      return `Not downloaded • ${tilePack.packTileCount.toLocaleString()} tiles, zoom ${OFFLINE_TILE_MIN_ZOOM}–${OFFLINE_TILE_MAX_ZOOM}`;
+    }
+    const { pack } = tilePack;
+    const saved = `${pack.complete ? 'Downloaded' : 'Partly downloaded'} ${formatLastUpdated(pack.downloadedAt)} • ${formatStorageSize(pack.sizeBytes)}`;
+    return tilePack.error ? `${saved} • last download failed` : saved;
+  };
+
+  const startTileDownload = async (options) => {
+    const status = await downloadTilePack(options);
+    if (status.error) {
+      Alert.alert('Download Stopped', `Could not download the offline map: ${status.error}. Tap to resume later.`);
+    }
+  };
+
+  const handleTilePackPress = () => {
+    if (tilePack.downloading) {
+      Alert.alert(
+        'Stop Download',
+        'Stop downloading the offline map? Tiles saved so far are kept.',
+        [
+          { text: 'Continue', style: 'cancel' },
+          { text: 'Stop', style: 'destructive', onPress: cancelTilePackDownload },
+        ]
+      );
+      return;
+    }
+
+    const { pack } = tilePack;
+    if (pack && pack.complete) {
+      Alert.alert(
+        'Update Offline Map',
+        `Download the campus map again (${formatStorageSize(pack.sizeBytes)})? Use Wi-Fi if you can.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Update', onPress: () => startTileDownload({ update: true }) },
+        ]
+      );
+      return;
+    }
+
+    Alert.alert(
+      pack ? 'Resume Download' : 'Download Offline Map',
+      `Save ${tilePack.packTileCount.toLocaleString()} map tiles of the campus so the map works without a connection? Use Wi-Fi if you can.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: pack ? 'Resume' : 'Download', onPress: () => startTileDownload() },
+      ]
+    );
+  };
+
+  const handlePurgeTilePack = () => {
+    Alert.alert(
+      'Delete Offline Map',
+      `Delete the saved campus map (${formatStorageSize(tilePack.pack.sizeBytes)})? The map will need a connection again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: purgeTilePack },
+      ]
+    );
+  };
+
+  const SettingsItem = ({ icon, title, subtitle, onPress, showArrow = true, danger = false, selected = false }) => (
     <TouchableOpacity
       style={styles.settingsItem}
       onPress={onPress}
@@ -60,6 +187,9 @@ const SettingsScreen = () => {
           )}
         </View>
       </View>
+      {selected && (
+        <Ionicons name="checkmark" size={20} color={Colors.primary} />
+      )}
       {showArrow && (
         <Ionicons name="chevron-forward" size={20} color={Colors.textSecondary} />
       )}
@@ -118,6 +248,78 @@ const SettingsScreen = () => {
         </View>
       </View>
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Walking Pace</Text>
+        <View style={styles.sectionContent}>
+          {Object.entries(WALKING_PACES).map(([pace, option]) => (
+            <SettingsItem
+              key={pace}
+              icon={pace === 'wheelchair' ? 'accessibility-outline' : 'walk-outline'}
+              title={option.label}
+              subtitle={option.description}
+              onPress={() => setWalkingPace(pace)}
+              showArrow={false}
+              selected={walkingProfile.pace === pace}
+            />
+          ))}
+          <SettingsItem
+            icon="speedometer-outline"
+            title="Learn My Pace"
+            subtitle={getCalibrationSubtitle()}
+            onPress={() => setUseCalibration(!walkingProfile.useCalibration)}
+            showArrow={false}
+            selected={walkingProfile.useCalibration}
+          />
+          {walkingProfile.sessions.length > 0 && (
+            <SettingsItem
+              icon="refresh-outline"
+              title="Reset Learned Pace"
+              subtitle="Forget recorded walks"
+              onPress={handleResetCalibration}
+              showArrow={false}
+            />
+          )}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Campus Data</Text>
+        <View style={styles.sectionContent}>
+          <SettingsItem
+            icon={syncStatus.isStale || syncStatus.error ? 'cloud-offline-outline' : 'cloud-done-outline'}
+            title="Update Campus Data"
+            subtitle={getSyncSubtitle()}
+            onPress={handleSyncNow}
+            showArrow={false}
+          />
+        </View>
+      </View>
+
+      {tilePack.supported && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Offline Map</Text>
+          <View style={styles.sectionContent}>
+            <SettingsItem
+              icon={tilePack.downloading ? 'cloud-download' : 'map-outline'}
+              title={tilePack.pack && tilePack.pack.complete ? 'Update Offline Map' : 'Download Offline Map'}
+              subtitle={getTilePackSubtitle()}
+              onPress={handleTilePackPress}
+              showArrow={false}
+            />
+            {tilePack.pack && (
+              <SettingsItem
+                icon="trash-outline"
+                title="Delete Offline Map"
+                subtitle="Free up storage; the map will need a connection"
+                onPress={handlePurgeTilePack}
+                showArrow={false}
+                danger={true}
+              />
+            )}
+          </View>
+        </View>
+      )}
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Support</Text>
         <View style={styles.sectionContent}>
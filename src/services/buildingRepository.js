@@ -0,0 +1,148 @@
+// src/services/buildingRepository.js - Buildings from the offline cache, Supabase or mock data
+//
+// The building list and details are served from the device cache kept by
+// campusSync. Nearby queries ask Supabase and fall back to the cache offline;
+// search goes through the ranked searchRepository. Mock data is only used
+// when Supabase is not configured, never to paper over a network failure.
+// Every source goes through its mapper in src/models/building.js, so callers
+// always get the same fields.
+
+import { supabase, isSupabaseConfigured } from '../lib/supabase';
+import { mockBuildings } from '../utils/mockData';
+import { calculateDistance } from '../utils/distance';
+import { buildingFromSupabase, buildingFromMock } from '../models/building';
+import { roomFromSupabase } from '../models/room';
+import { getCampusData } from './campusSync';
+import { searchRepository } from './searchRepository';
+import { NotConfiguredError, SchemaMissingError, NotFoundError, toDataError } from './dataErrors';
+
+const TABLE = 'buildings';
+
+/**
+ * Log a failed Supabase read the way the rest of the app does
+ * @param {DataError} error - Typed error
+ * @param {string} operation - What was being done
+ */
+const logDataError = (error, operation) => {
+  if (error instanceof NotConfiguredError) {
+    console.log(`📦 Using local building data - ${error.message}`);
+  } else if (error instanceof SchemaMissingError) {
+    console.warn(`Buildings table not found in database. Please run ${error.setupScript}`);
+  } else {
+    console.error(`Error in ${operation}:`, error.cause || error);
+  }
+};
+
+/**
+ * Map a buildings row with its joined locations
+ * @param {Object} row - Row from a select with locations(*)
+ * @returns {Object} Building with rooms
+ */
+const buildingWithRooms = (row) => ({
+  ...buildingFromSupabase(row),
+  locations: (row.locations || []).map(roomFromSupabase),
+});
+
+/**
+ * Run a Supabase query, throwing a typed error on failure
+ * @param {Function} query - Returns a Supabase query builder
+ * @returns {Promise<any>} Query data
+ */
+const fetchFromSupabase = async (query) => {
+  if (!isSupabaseConfigured()) throw new NotConfiguredError();
+
+  let result;
+  try {
+    result = await query();
+  } catch (error) {
+    throw toDataError(error, TABLE);
+  }
+  if (result.error) throw toDataError(result.error, TABLE);
+  return result.data;
+};
+
+/**
+ * Buildings on the device: the synced cache, or mock data without Supabase
+ * @returns {Promise<Array>} Buildings
+ */
+const getLocalBuildings = async () => {
+  if (!isSupabaseConfigured()) return mockBuildings.map(buildingFromMock);
+  return getCampusData('buildings');
+};
+
+export const buildingRepository = {
+  /**
+   * Get all buildings, sorted by name
+   * @returns {Promise<Array>} Buildings ([] if they were never downloaded)
+   */
+  async getAll() {
+    const buildings = await getLocalBuildings();
+    return buildings.slice().sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Search buildings by name, code or description
+   * @param {string} query - Search text
+   * @returns {Promise<Array>} Matching buildings, best match first
+   */
+  async search(query) {
+    const results = await searchRepository.search(query);
+    return results.filter(result => result.type === 'building').map(result => result.item);
+  },
+
+  /**
+   * Get buildings near a position, nearest first
+   * @param {number} latitude - User latitude
+   * @param {number} longitude - User longitude
+   * @param {number} radiusMeters - Search radius in meters
+   * @returns {Promise<Array>} Buildings with distance_meters
+   */
+  async getNearby(latitude, longitude, radiusMeters = 1000) {
+    try {
+      const data = await fetchFromSupabase(() => supabase.rpc('nearby_buildings', {
+        lat: latitude,
+        lng: longitude,
+        radius_meters: radiusMeters,
+      }));
+      return data.map(buildingFromSupabase);
+    } catch (error) {
+      logDataError(error, 'getNearby');
+      const position = { latitude, longitude };
+      const buildings = await getLocalBuildings();
+      return buildings
+        .map(building => ({
+          ...building,
+          distance_meters: Math.round(calculateDistance(position, building) * 1000),
+        }))
+        .filter(building => building.distance_meters <= radiusMeters)
+        .sort((a, b) => a.distance_meters - b.distance_meters);
+    }
+  },
+
+  /**
+   * Get one building with its rooms
+   * @param {string} buildingId - Building ID
+   * @returns {Promise<Object|null>} Building, or null if there is no such building
+   */
+  async getById(buildingId) {
+    const id = String(buildingId);
+    const building = (await getLocalBuildings()).find(item => item.id === id);
+    if (building) {
+      const rooms = isSupabaseConfigured() ? await getCampusData('rooms') : [];
+      return { ...building, locations: rooms.filter(room => room.building_id === id) };
+    }
+
+    // Not synced yet (e.g. added since the last sync): ask Supabase directly
+    try {
+      const data = await fetchFromSupabase(() => supabase
+        .from(TABLE)
+        .select('*, locations(*)')
+        .eq('id', buildingId)
+        .single());
+      return buildingWithRooms(data);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) logDataError(error, 'getBuildingDetails');
+      return null;
+    }
+  },
+};
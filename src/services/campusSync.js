@@ -0,0 +1,464 @@
+// src/services/campusSync.js - Offline-first campus data with incremental background sync
+//
+// Buildings, rooms, paths (with their waypoints), path connections, building
+// entrances, curated routes, search synonyms and campus features are kept on the device and served from there. A sync asks Supabase
+// only for rows whose updated_at is newer than the last one seen (the
+// watermark), merges them in, and drops rows listed in deleted_rows.
+// offline-sync-setup.sql adds the columns and triggers this relies on; without
+// them every sync simply downloads the full tables.
+
+import { AppState } from 'react-native';
+
+import { supabase, isSupabaseConfigured } from '../lib/supabase';
+import { saveDataset, loadDataset } from '../utils/offlineCache';
+import { buildingFromSupabase, buildingFromCache } from '../models/building';
+import { roomFromSupabase, roomFromCache } from '../models/room';
+import {
+  pathFromSupabase,
+  connectionFromSupabase,
+  entranceFromSupabase,
+  curatedRouteFromSupabase,
+} from '../models/pathNetwork';
+import { synonymFromSupabase } from '../models/searchResult';
+import { campusFeatureFromSupabase } from '../models/campusFeature';
+import { SchemaMissingError, isSchemaMissing, toDataError } from './dataErrors';
+import {
+  CAMPUS_SYNC_INTERVAL_MS,
+  CAMPUS_DATA_STALE_MS,
+  CAMPUS_FULL_SYNC_MS,
+  REALTIME_BATCH_MS,
+} from '../constants/config';
+
+// Columns added by indoor-routing-setup.sql
+const PATH_COLUMNS = 'path_id, path_name, path_type, is_active';
+const WAYPOINT_COLUMNS = 'waypoint_id, sequence, latitude, longitude, is_accessible, notes';
+const INDOOR_PATH_COLUMNS = `${PATH_COLUMNS}, building_id, updated_at`;
+const INDOOR_WAYPOINT_COLUMNS = `${WAYPOINT_COLUMNS}, floor, is_entrance`;
+
+// Rooms with the building they are in
+const ROOM_COLUMNS = '*, buildings (id, name, code, latitude, longitude, category)';
+
+/**
+ * Tables kept on the device
+ * select/fallbackSelect: columns to read (fallbackSelect when older schemas lack some)
+ * optional: a missing table means "none yet", not a failed sync
+ */
+const DATASETS = [
+  {
+    name: 'buildings',
+    table: 'buildings',
+    select: '*',
+    fromRow: buildingFromSupabase,
+    fromCache: buildingFromCache,
+    setupScript: 'database-setup.sql',
+  },
+  {
+    name: 'rooms',
+    table: 'locations',
+    select: ROOM_COLUMNS,
+    fromRow: roomFromSupabase,
+    fromCache: roomFromCache,
+    setupScript: 'database-setup.sql',
+    optional: true,
+  },
+  {
+    name: 'paths',
+    table: 'paths',
+    select: `${INDOOR_PATH_COLUMNS}, waypoints (${INDOOR_WAYPOINT_COLUMNS})`,
+    fallbackSelect: `${PATH_COLUMNS}, waypoints (${WAYPOINT_COLUMNS})`,
+    fromRow: pathFromSupabase,
+    setupScript: 'database-setup.sql',
+    optional: true,
+  },
+  {
+    name: 'connections',
+    table: 'path_connections',
+    select: '*',
+    fromRow: connectionFromSupabase,
+    setupScript: 'database-setup.sql',
+    optional: true,
+  },
+  {
+    name: 'entrances',
+    table: 'building_entrances',
+    select: '*',
+    fromRow: entranceFromSupabase,
+    setupScript: 'building-entrances-setup.sql',
+    optional: true,
+  },
+  {
+    // Inactive rows are kept too, so a route an admin switches off reaches devices
+    name: 'curatedRoutes',
+    table: 'routes',
+    select: '*',
+    fromRow: curatedRouteFromSupabase,
+    setupScript: 'supabase-fresh-setup.sql',
+    optional: true,
+  },
+  {
+    name: 'synonyms',
+    table: 'search_synonyms',
+    select: '*',
+    fromRow: synonymFromSupabase,
+    setupScript: 'search-setup.sql',
+    optional: true,
+  },
+  {
+    name: 'features',
+    table: 'campus_features',
+    select: '*',
+    fromRow: campusFeatureFromSupabase,
+    setupScript: 'campus-features-setup.sql',
+    optional: true,
+  },
+];
+
+// Loaded datasets by name: { items, watermark, syncedAt, fullSyncedAt }
+const datasets = {};
+let loadPromise = null;
+let syncPromise = null;
+let lastAttemptAt = 0;
+let changedByRealtime = new Set();
+let realtimeTimer = null;
+
+let status = {
+  syncing: false,
+  lastUpdated: null, // ISO time of the last complete sync
+  error: null, // Message from the last failed sync
+  revision: 0, // Bumped whenever cached data changes
+};
+const listeners = new Set();
+
+const setStatus = (changes) => {
+  status = { ...status, ...changes };
+  const current = getSyncStatus();
+  listeners.forEach(listener => listener(current));
+};
+
+/**
+ * Oldest sync time of the datasets that have been synced
+ * @returns {string|null} ISO time
+ */
+const getOldestSyncTime = () => {
+  const times = DATASETS
+    .map(dataset => datasets[dataset.name] && datasets[dataset.name].syncedAt)
+    .filter(Boolean)
+    .sort();
+  return times.length === DATASETS.length ? times[0] : null;
+};
+
+/**
+ * Load every cached dataset into memory (safe to call repeatedly)
+ * @returns {Promise<void>}
+ */
+export const loadCampusData = () => {
+  if (!loadPromise) {
+    loadPromise = Promise.all(DATASETS.map(async (dataset) => {
+      const cached = await loadDataset(dataset.name);
+      if (cached) {
+        datasets[dataset.name] = {
+          ...cached,
+          items: dataset.fromCache ? cached.items.map(dataset.fromCache) : cached.items,
+        };
+      }
+    })).then(() => {
+      setStatus({ lastUpdated: getOldestSyncTime() });
+    });
+  }
+  return loadPromise;
+};
+
+/**
+ * Latest updated_at among rows
+ * @param {Array} rows - Raw rows
+ * @param {string|null} current - Watermark so far
+ * @returns {string|null} New watermark
+ */
+const advanceWatermark = (rows, current) => rows.reduce((latest, row) => (
+  row.updated_at && (!latest || Date.parse(row.updated_at) > Date.parse(latest)) ? row.updated_at : latest
+), current);
+
+/**
+ * Read rows of a dataset's table, optionally only those changed since a time
+ * Falls back to a full read when the table has no updated_at column.
+ * @param {Object} dataset - Entry of DATASETS
+ * @param {string|null} since - Watermark, or null for everything
+ * @returns {Promise<Object>} { rows, incremental }
+ */
+const fetchRows = async (dataset, since) => {
+  const run = async (select, withSince) => {
+    try {
+      let query = supabase.from(dataset.table).select(select);
+      if (withSince) query = query.gt('updated_at', since);
+      return await query;
+    } catch (error) {
+      // supabase-js returns query errors; a throw means the request itself failed
+      throw toDataError(error, dataset.table, dataset.setupScript);
+    }
+  };
+
+  let incremental = !!since;
+  let { data, error } = await run(dataset.select, incremental);
+
+  // 42703 = undefined column: no updated_at yet, or missing optional columns
+  if (error && error.code === '42703' && incremental) {
+    console.warn(`${dataset.table} has no updated_at column. Please run offline-sync-setup.sql`);
+    incremental = false;
+    ({ data, error } = await run(dataset.select, false));
+  }
+  if (error && error.code === '42703' && dataset.fallbackSelect) {
+    console.warn('Indoor routing columns not found. Please run indoor-routing-setup.sql');
+    ({ data, error } = await run(dataset.fallbackSelect, false));
+  }
+  if (error) throw toDataError(error, dataset.table, dataset.setupScript);
+
+  return { rows: data || [], incremental };
+};
+
+/**
+ * IDs of a table's rows deleted since a time
+ * @param {string} table - Table name
+ * @param {string} since - Watermark
+ * @returns {Promise<Array>} Deleted IDs as strings ([] without the deleted_rows table)
+ */
+const fetchDeletedIds = async (table, since) => {
+  try {
+    const { data, error } = await supabase
+      .from('deleted_rows')
+      .select('row_id')
+      .eq('table_name', table)
+      .gt('deleted_at', since);
+
+    if (error) throw error;
+    return (data || []).map(row => String(row.row_id));
+  } catch (error) {
+    if (!isSchemaMissing(error)) console.error('Error fetching deleted rows:', error);
+    return [];
+  }
+};
+
+/**
+ * Bring one dataset up to date
+ * @param {Object} dataset - Entry of DATASETS
+ * @param {boolean} force - Re-download everything
+ * @returns {Promise<boolean>} True if the cached data changed
+ */
+const syncDataset = async (dataset, force) => {
+  const cached = datasets[dataset.name];
+  const now = new Date().toISOString();
+  const fullSyncDue = !cached || !cached.fullSyncedAt ||
+    Date.now() - Date.parse(cached.fullSyncedAt) > CAMPUS_FULL_SYNC_MS;
+  const since = !force && !fullSyncDue && cached.watermark ? cached.watermark : null;
+
+  let result;
+  try {
+    result = await fetchRows(dataset, since);
+  } catch (error) {
+    if (dataset.optional && error instanceof SchemaMissingError) {
+      result = { rows: [], incremental: false };
+    } else {
+      throw error;
+    }
+  }
+
+  const { rows, incremental } = result;
+  let items;
+  let changed;
+
+  if (incremental) {
+    const deletedIds = await fetchDeletedIds(dataset.table, since);
+    // Merge into the current items, which realtime may have changed meanwhile
+    const byId = new Map(datasets[dataset.name].items.map(item => [String(item.id), item]));
+    rows.map(dataset.fromRow).forEach(item => byId.set(String(item.id), item));
+    deletedIds.forEach(id => byId.delete(id));
+    items = [...byId.values()];
+    changed = rows.length > 0 || deletedIds.length > 0;
+  } else {
+    // Empty tables have no watermark, so they are re-read in full every time
+    items = rows.map(dataset.fromRow);
+    changed = !cached || JSON.stringify(items) !== JSON.stringify(cached.items);
+  }
+
+  const next = {
+    items,
+    watermark: advanceWatermark(rows, incremental ? cached.watermark : null),
+    syncedAt: now,
+    fullSyncedAt: incremental ? cached.fullSyncedAt : now,
+  };
+  datasets[dataset.name] = next;
+  await saveDataset(dataset.name, next);
+
+  if (changed) {
+    console.log(`🔄 Synced ${dataset.name}: ${incremental ? `${rows.length} changed` : `${next.items.length} rows`}`);
+  }
+  return changed;
+};
+
+/**
+ * Download campus changes from Supabase into the device cache
+ * Concurrent calls share one sync.
+ * @param {Object} options - { force: re-download everything }
+ * @returns {Promise<Object>} Sync status after the sync (see getSyncStatus)
+ */
+export const syncCampusData = (options = {}) => {
+  if (syncPromise) return syncPromise;
+
+  syncPromise = (async () => {
+    await loadCampusData();
+    if (!isSupabaseConfigured()) return getSyncStatus();
+
+    lastAttemptAt = Date.now();
+    setStatus({ syncing: true });
+    let changed = false;
+    let error = null;
+
+    for (const dataset of DATASETS) {
+      try {
+        if (await syncDataset(dataset, !!options.force)) changed = true;
+      } catch (datasetError) {
+        console.error(`Error syncing ${dataset.name}:`, datasetError.cause || datasetError);
+        error = datasetError.message;
+      }
+    }
+
+    setStatus({
+      syncing: false,
+      error,
+      lastUpdated: getOldestSyncTime(),
+      revision: changed ? status.revision + 1 : status.revision,
+    });
+    return getSyncStatus();
+  })().finally(() => {
+    syncPromise = null;
+  });
+
+  return syncPromise;
+};
+
+/**
+ * Get a cached dataset, waiting for the first sync if it was never downloaded
+ * @param {string} name - 'buildings', 'rooms', 'paths', 'connections', 'entrances', 'curatedRoutes',
+ *   'synonyms' or 'features'
+ * @returns {Promise<Array>} Items ([] if it could not be downloaded)
+ */
+export const getCampusData = async (name) => {
+  await loadCampusData();
+  if (!datasets[name] && isSupabaseConfigured()) {
+    // First launch: wait for the download instead of showing nothing
+    if (syncPromise) await syncPromise;
+    else if (!lastAttemptAt) await syncCampusData();
+  }
+  return datasets[name] ? datasets[name].items : [];
+};
+
+/**
+ * Get a cached dataset without waiting for a load or sync
+ * @param {string} name - Dataset name
+ * @returns {Array} Items ([] if not loaded yet)
+ */
+export const getLoadedCampusData = (name) => (datasets[name] ? datasets[name].items : []);
+
+/**
+ * Save datasets changed by realtime and tell screens to reload, once per burst
+ */
+const flushRealtimeChanges = () => {
+  realtimeTimer = null;
+  const names = [...changedByRealtime];
+  changedByRealtime = new Set();
+  names.forEach(name => saveDataset(name, datasets[name]));
+  setStatus({ revision: status.revision + 1 });
+};
+
+/**
+ * Apply a change pushed by Supabase Realtime to a cached dataset
+ * The new items are used right away; saving and the revision bump wait
+ * REALTIME_BATCH_MS so a burst of changes reloads screens once.
+ * @param {string} name - Dataset name
+ * @param {Function} update - Receives the current items, returns the new items
+ * @returns {boolean} False if the dataset was never downloaded (the first sync will bring the change)
+ */
+export const applyCampusChange = (name, update) => {
+  const cached = datasets[name];
+  if (!cached) return false;
+
+  datasets[name] = { ...cached, items: update(cached.items) };
+  changedByRealtime.add(name);
+  if (!realtimeTimer) realtimeTimer = setTimeout(flushRealtimeChanges, REALTIME_BATCH_MS);
+  return true;
+};
+
+/**
+ * Whether a dataset has been downloaded at least once
+ * @param {string} name - Dataset name
+ * @returns {boolean} True if cached
+ */
+export const hasCampusData = (name) => !!datasets[name];
+
+/**
+ * Current sync status
+ * @returns {Object} { syncing, lastUpdated, error, revision, isStale }
+ */
+export const getSyncStatus = () => ({
+  ...status,
+  isStale: isSupabaseConfigured() && (
+    !status.lastUpdated || Date.now() - Date.parse(status.lastUpdated) > CAMPUS_DATA_STALE_MS
+  ),
+});
+
+/**
+ * Listen for sync status and data changes
+ * @param {Function} listener - Called with getSyncStatus()
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeSyncStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Sync now unless a sync ran within CAMPUS_SYNC_INTERVAL_MS
+ * @returns {Promise<Object|null>} Status, or null if not due
+ */
+export const syncIfDue = () => {
+  if (Date.now() - lastAttemptAt < CAMPUS_SYNC_INTERVAL_MS) return Promise.resolve(null);
+  return syncCampusData();
+};
+
+/**
+ * Keep campus data fresh while the app runs: sync at startup, when the app
+ * returns to the foreground and every CAMPUS_SYNC_INTERVAL_MS (call once)
+ * @returns {Function} Stop background sync
+ */
+export const startBackgroundSync = () => {
+  syncCampusData();
+
+  const interval = setInterval(() => {
+    if (AppState.currentState === 'active') syncIfDue();
+  }, CAMPUS_SYNC_INTERVAL_MS);
+
+  const subscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') syncIfDue();
+  });
+
+  return () => {
+    clearInterval(interval);
+    subscription.remove();
+  };
+};
+
+/**
+ * Describe how old the cached data is, e.g. "5 min ago"
+ * @param {string|null} isoTime - Time of the last sync
+ * @returns {string} Relative time, or "never"
+ */
+export const formatLastUpdated = (isoTime) => {
+  if (!isoTime) return 'never';
+
+  const minutes = Math.floor((Date.now() - Date.parse(isoTime)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} ${days === 1 ? 'day' : 'days'} ago`;
+};
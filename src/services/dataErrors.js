@@ -0,0 +1,101 @@
+// src/services/dataErrors.js - Typed errors for campus data access
+//
+// Repositories throw (or log) these instead of raw Supabase errors, so callers
+// can tell "the table isn't set up" from "you're offline" without checking
+// PostgREST codes themselves.
+
+/**
+ * Base class for every data access error
+ */
+export class DataError extends Error {
+  /**
+   * @param {string} message - Readable description
+   * @param {Object} options - { code: PostgREST/HTTP code, cause: original error }
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'DataError';
+    this.code = options.code || null;
+    this.cause = options.cause || null;
+  }
+}
+
+/**
+ * Supabase is not configured (or mock data is forced)
+ */
+export class NotConfiguredError extends DataError {
+  constructor(message = 'Supabase is not configured.') {
+    super(message);
+    this.name = 'NotConfiguredError';
+  }
+}
+
+/**
+ * A table or column is missing - a setup SQL script hasn't been run
+ */
+export class SchemaMissingError extends DataError {
+  /**
+   * @param {string} table - Table that is missing
+   * @param {string} setupScript - SQL file that creates it
+   * @param {Object} options - { code, cause }
+   */
+  constructor(table, setupScript, options = {}) {
+    super(`The ${table} table is not set up. Please run ${setupScript} in your Supabase project.`, options);
+    this.name = 'SchemaMissingError';
+    this.table = table;
+    this.setupScript = setupScript;
+  }
+}
+
+/**
+ * The server could not be reached
+ */
+export class NetworkError extends DataError {
+  constructor(message = 'Cannot reach the campus database.', options = {}) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The requested row does not exist
+ */
+export class NotFoundError extends DataError {
+  constructor(message = 'Not found.', options = {}) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Whether a Supabase error means the table (or RPC function) is missing from the schema cache
+ * @param {Object} error - Supabase/PostgREST error
+ * @returns {boolean} True for PGRST205, PGRST202 (function) and "schema cache" errors
+ */
+export const isSchemaMissing = (error) => !!error && (
+  error.code === 'PGRST205' ||
+  error.code === 'PGRST202' ||
+  (!!error.message && error.message.includes('schema cache'))
+);
+
+/**
+ * Convert a Supabase error into a typed DataError
+ * @param {Object} error - Supabase/PostgREST or fetch error
+ * @param {string} table - Table being read
+ * @param {string} setupScript - SQL file that creates the table
+ * @returns {DataError} Typed error
+ */
+export const toDataError = (error, table, setupScript = 'database-setup.sql') => {
+  if (error instanceof DataError) return error;
+  if (isSchemaMissing(error)) {
+    return new SchemaMissingError(table, setupScript, { code: error.code, cause: error });
+  }
+  // PGRST116 = .single() matched no rows
+  if (error.code === 'PGRST116') {
+    return new NotFoundError(`No matching row in ${table}.`, { code: error.code, cause: error });
+  }
+  if (error.message && (error.message.includes('Network') || error.message.includes('Failed to fetch'))) {
+    return new NetworkError(undefined, { cause: error });
+  }
+  return new DataError(error.message || `Error reading ${table}.`, { code: error.code, cause: error });
+};
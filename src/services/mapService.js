@@ -1,104 +1,18 @@
 // src/services/mapService.js - Map data service using Supabase
 import { supabase, isSupabaseConfigured } from '../lib/supabase';
-import { mockBuildings } from '../utils/mockData';
+import { buildingRepository } from './buildingRepository';
+import { roomRepository } from './roomRepository';
+import { searchRepository } from './searchRepository';
+import { isSchemaMissing } from './dataErrors';
+import { getCampusData } from './campusSync';
 
 export const mapService = {
   /**
    * Get all buildings
-   * @returns {Promise<Array>} Array of buildings
+   * @returns {Promise<Array>} Array of buildings (see src/models/building.js)
    */
-  async getBuildings() {
-    // Use mock data if Supabase not configured
-    if (!isSupabaseConfigured()) {
-      console.log('📦 Using mock data - Supabase not configured');
-      return mockBuildings.map(b => ({
-        id: b.building_id.toString(),
-        building_id: b.building_id, // For compatibility with MapScreen key
-        name: b.building_name,
-        building_name: b.building_name, // For compatibility
-        code: b.building_code,
-        building_code: b.building_code, // For compatibility
-        latitude: parseFloat(b.latitude),
-        longitude: parseFloat(b.longitude),
-        category: 'academic',
-        description: b.description,
-        image_url: null,
-        width_meters: 20.0,
-        height_meters: 20.0,
-        rotation_degrees: 0.0,
-      }));
-    }
-
-    try {
-      const { data, error } = await supabase
-        .from('buildings')
-        .select('*')
-        .order('name');
-
-      if (error) {
-        // Handle schema cache errors gracefully
-        if (error.code === 'PGRST205' || 
-            (error.message && error.message.includes('schema cache'))) {
-          console.warn('Buildings table not found in database. Please run database-setup.sql');
-          // Fallback to mock data
-          return mockBuildings.map(b => ({
-            id: b.building_id.toString(),
-            building_id: b.building_id,
-            name: b.building_name,
-            building_name: b.building_name,
-            code: b.building_code,
-            building_code: b.building_code,
-            latitude: parseFloat(b.latitude),
-            longitude: parseFloat(b.longitude),
-            category: 'academic',
-            description: b.description,
-            image_url: null,
-            width_meters: 20.0,
-            height_meters: 20.0,
-            rotation_degrees: 0.0,
-          }));
-        }
-        console.error('Error fetching buildings:', error);
-        throw error;
-      }
-
-      // Transform data to match app format
-      return data.map(building => ({
-        id: building.id,
-        building_id: building.id, // For compatibility with MapScreen key
-        name: building.name,
-        building_name: building.name, // For compatibility
-        code: building.code,
-        building_code: building.code, // For compatibility
-        latitude: parseFloat(building.latitude),
-        longitude: parseFloat(building.longitude),
-        category: building.category || 'academic',
-        description: building.description,
-        image_url: building.image_url,
-        // Building dimensions for map visualization
-        width_meters: parseFloat(building.width_meters) || 20.0,
-        height_meters: parseFloat(building.height_meters) || 20.0,
-        rotation_degrees: parseFloat(building.rotation_degrees) || 0.0,
-      }));
-    } catch (error) {
-      console.error('Error in getBuildings:', error);
-      // Fallback to mock data on error
-      return mockBuildings.map(b => ({
-        id: b.building_id.toString(),
-        building_id: b.building_id, // For compatibility
-        name: b.building_name,
-        building_name: b.building_name, // For compatibility
-        code: b.building_code,
-        building_code: b.building_code, // For compatibility
-        latitude: parseFloat(b.latitude),
-        longitude: parseFloat(b.longitude),
-        category: 'academic',
-        description: b.description,
-        width_meters: 20.0,
-        height_meters: 20.0,
-        rotation_degrees: 0.0,
-      }));
-    }
+  getBuildings() {
+    return buildingRepository.getAll();
   },
 
   /**
@@ -106,92 +20,38 @@ export const mapService = {
    * @param {string} query - Search query
    * @returns {Promise<Array>} Array of matching buildings
    */
-  async search(query) {
-    if (!isSupabaseConfigured()) {
-      // Fallback to mock data search
-      const lowerQuery = query.toLowerCase();
-      return mockBuildings
-        .filter(b => 
-          b.building_name.toLowerCase().includes(lowerQuery) ||
-          b.building_code.toLowerCase().includes(lowerQuery) ||
-          (b.description && b.description.toLowerCase().includes(lowerQuery))
-        )
-        .map(b => ({
-          id: b.building_id.toString(),
-          building_id: b.building_id, // For compatibility
-          name: b.building_name,
-          building_name: b.building_name, // For compatibility
-          code: b.building_code,
-          building_code: b.building_code, // For compatibility
-          latitude: parseFloat(b.latitude),
-          longitude: parseFloat(b.longitude),
-          category: 'academic',
-          description: b.description,
-          width_meters: 20.0,
-          height_meters: 20.0,
-          rotation_degrees: 0.0,
-        }));
-    }
+  search(query) {
+    return buildingRepository.search(query);
+  },
 
-    try {
-      const { data, error } = await supabase
-        .from('buildings')
-        .select('*, locations(*)')
-        .or(`name.ilike.%${query}%,code.ilike.%${query}%,description.ilike.%${query}%`);
+  /**
+   * Search buildings and rooms together, best match first
+   * Answers from the device; onUpdate gets the server's ranking if it arrives.
+   * @param {string} query - Search query
+   * @param {Object} options - { onUpdate }
+   * @returns {Promise<Array>} Ranked results (see src/models/searchResult.js)
+   */
+  searchCampus(query, options = {}) {
+    return searchRepository.search(query, options);
+  },
 
-      if (error) {
-        // Handle schema cache errors gracefully
-        if (error.code === 'PGRST205' || 
-            (error.message && error.message.includes('schema cache'))) {
-          console.warn('Buildings table not found in database. Please run database-setup.sql');
-          // Fallback to mock data search
-          const lowerQuery = query.toLowerCase();
-          return mockBuildings
-            .filter(b => 
-              b.building_name.toLowerCase().includes(lowerQuery) ||
-              b.building_code.toLowerCase().includes(lowerQuery) ||
-              (b.description && b.description.toLowerCase().includes(lowerQuery))
-            )
-            .map(b => ({
-              id: b.building_id.toString(),
-              building_id: b.building_id,
-              name: b.building_name,
-              building_name: b.building_name,
-              code: b.building_code,
-              building_code: b.building_code,
-              latitude: parseFloat(b.latitude),
-              longitude: parseFloat(b.longitude),
-              category: 'academic',
-              description: b.description,
-              width_meters: 20.0,
-              height_meters: 20.0,
-              rotation_degrees: 0.0,
-            }));
-        }
-        throw error;
-      }
+  /**
+   * Search buildings and rooms on the device only (instant, works offline)
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} Ranked results (see src/models/searchResult.js)
+   */
+  searchCampusLocal(query) {
+    return searchRepository.searchOffline(query);
+  },
 
-      return data.map(building => ({
-        id: building.id,
-        building_id: building.id, // For compatibility
-        name: building.name,
-        building_name: building.name, // For compatibility
-        code: building.code,
-        building_code: building.code, // For compatibility
-        latitude: parseFloat(building.latitude),
-        longitude: parseFloat(building.longitude),
-        category: building.category,
-        description: building.description,
-        image_url: building.image_url,
-        locations: building.locations || [],
-        width_meters: parseFloat(building.width_meters) || 20.0,
-        height_meters: parseFloat(building.height_meters) || 20.0,
-        rotation_degrees: parseFloat(building.rotation_degrees) || 0.0,
-      }));
-    } catch (error) {
-      console.error('Error in search:', error);
-      return [];
-    }
+  /**
+   * Re-rank on-device results with the server, keeping what only the device found
+   * @param {string} query - Search query
+   * @param {Array} localResults - Results from searchCampusLocal()
+   * @returns {Promise<Array>} Ranked results, or localResults when offline
+   */
+  refineCampusSearch(query, localResults) {
+    return searchRepository.refine(query, localResults);
   },
 
   /**
@@ -201,387 +61,150 @@ export const mapService = {
    * @param {number} radiusMeters - Search radius in meters (default: 1000)
    * @returns {Promise<Array>} Array of nearby buildings
    */
-  async getNearby(latitude, longitude, radiusMeters = 1000) {
-    if (!isSupabaseConfigured()) {
-      // Fallback: return all mock buildings
-      return mockBuildings.map(b => ({
-        id: b.building_id.toString(),
-        building_id: b.building_id, // For compatibility
-        name: b.building_name,
-        building_name: b.building_name, // For compatibility
-        code: b.building_code,
-        building_code: b.building_code, // For compatibility
-        latitude: parseFloat(b.latitude),
-        longitude: parseFloat(b.longitude),
-        category: 'academic',
-        description: b.description,
-        distance_meters: 0,
-        width_meters: 20.0,
-        height_meters: 20.0,
-        rotation_degrees: 0.0,
-      }));
-    }
-
-    try {
-      const { data, error } = await supabase
-        .rpc('nearby_buildings', {
-          lat: latitude,
-          lng: longitude,
-          radius_meters: radiusMeters,
-        });
-
-      if (error) throw error;
-
-      return data.map(building => ({
-        id: building.id,
-        building_id: building.id, // For compatibility
-        name: building.name,
-        building_name: building.name, // For compatibility
-        code: building.code,
-        building_code: building.code, // For compatibility
-        latitude: parseFloat(building.latitude),
-        longitude: parseFloat(building.longitude),
-        category: building.category,
-        distance_meters: parseFloat(building.distance_meters),
-        width_meters: 20.0, // nearby_buildings function doesn't return these
-        height_meters: 20.0,
-        rotation_degrees: 0.0,
-      }));
-    } catch (error) {
-      console.error('Error in getNearby:', error);
-      return [];
-    }
+  getNearby(latitude, longitude, radiusMeters = 1000) {
+    return buildingRepository.getNearby(latitude, longitude, radiusMeters);
   },
 
   /**
    * Get building details with locations
    * @param {string} buildingId - Building ID
-   * @returns {Promise<Object>} Building details
+   * @returns {Promise<Object|null>} Building details
    */
-  async getBuildingDetails(buildingId) {
-    if (!isSupabaseConfigured()) {
-      // Fallback to mock data
-      const building = mockBuildings.find(b => b.building_id.toString() === buildingId);
-      if (!building) return null;
-
-      return {
-        id: building.building_id.toString(),
-        name: building.building_name,
-        code: building.building_code,
-        latitude: parseFloat(building.latitude),
-        longitude: parseFloat(building.longitude),
-        category: 'academic',
-        description: building.description,
-        locations: [],
-      };
-    }
-
-    try {
-      const { data, error } = await supabase
-        .from('buildings')
-        .select('*, locations(*)')
-        .eq('id', buildingId)
-        .single();
-
-      if (error) {
-        // Handle schema cache errors gracefully
-        if (error.code === 'PGRST205' || 
-            (error.message && error.message.includes('schema cache'))) {
-          console.warn('Buildings table not found in database. Please run database-setup.sql');
-          // Try to find in mock data
-          const building = mockBuildings.find(b => b.building_id.toString() === buildingId);
-          if (building) {
-            return {
-              id: building.building_id.toString(),
-              name: building.building_name,
-              code: building.building_code,
-              latitude: parseFloat(building.latitude),
-              longitude: parseFloat(building.longitude),
-              category: 'academic',
-              description: building.description,
-              locations: [],
-            };
-          }
-          return null;
-        }
-        throw error;
-      }
-
-      return {
-        ...data,
-        latitude: parseFloat(data.latitude),
-        longitude: parseFloat(data.longitude),
-        locations: data.locations || [],
-      };
-    } catch (error) {
-      // Handle any other errors gracefully
-      if (error.code === 'PGRST205' || 
-          (error.message && error.message.includes('schema cache'))) {
-        console.warn('Buildings table not found in database. Please run database-setup.sql');
-        const building = mockBuildings.find(b => b.building_id.toString() === buildingId);
-        if (building) {
-          return {
-            id: building.building_id.toString(),
-            name: building.building_name,
-            code: building.building_code,
-            latitude: parseFloat(building.latitude),
-            longitude: parseFloat(building.longitude),
-            category: 'academic',
-            description: building.description,
-            locations: [],
-          };
-        }
-        return null;
-      }
-      console.error('Error in getBuildingDetails:', error);
-      return null;
-    }
+  getBuildingDetails(buildingId) {
+    return buildingRepository.getById(buildingId);
   },
 
   /**
-   * Subscribe to real-time building changes
-   * @param {Function} callback - Callback function for changes
-   * @returns {Function} Unsubscribe function
+   * Get active paths with waypoints (ordered), from the offline cache
+   * @returns {Promise<Array>} Array of paths
    */
-  subscribeToBuildings(callback) {
+  async getPaths() {
     if (!isSupabaseConfigured()) {
-      console.log('Real-time subscriptions not available - Supabase not configured');
-      return () => {}; // Return no-op unsubscribe
+      return [];
     }
 
-    const channel = supabase
-      .channel('buildings-changes')
-      .on(
-        'postgres_changes',
-        {
-          event: '*',
-          schema: 'public',
-          table: 'buildings',
-        },
-        (payload) => {
-          console.log('Building change detected:', payload);
-          callback(payload);
-        }
-      )
-      .subscribe();
-
-    // Return unsubscribe function
-    return () => {
-      supabase.removeChannel(channel);
-    };
+    const paths = await getCampusData('paths');
+    return paths.filter(path => path.is_active);
   },
 
   /**
-   * Get active paths with waypoints (ordered)
+   * Get connections between waypoints on different paths, from the offline cache
+   * @returns {Promise<Array>} Array of path connections
    */
-  async getPaths() {
+  async getPathConnections() {
     if (!isSupabaseConfigured()) {
       return [];
     }
 
-    try {
-      const { data, error } = await supabase
-        .from('paths')
-        .select(`
-          path_id,
-          path_name,
-          path_type,
-          is_active,
-          waypoints (
-            waypoint_id,
-            sequence,
-            latitude,
-            longitude,
-            is_accessible,
-            notes
-          )
-        `)
-        .eq('is_active', true);
-
-      if (error) {
-        // Handle schema cache errors gracefully
-        if (error.code === 'PGRST205' || 
-            (error.message && error.message.includes('schema cache'))) {
-          console.warn('Paths table not found in database. Please run database-setup.sql');
-          return [];
-        }
-        throw error;
-      }
+    return getCampusData('connections');
+  },
 
-      return (data || []).map((path) => ({
-        id: path.path_id,
-        name: path.path_name,
-        type: path.path_type,
-        is_active: path.is_active,
-        waypoints: (path.waypoints || [])
-          .sort((a, b) => a.sequence - b.sequence)
-          .map((wp) => ({
-            id: wp.waypoint_id,
-            sequence: wp.sequence,
-            latitude: parseFloat(wp.latitude),
-            longitude: parseFloat(wp.longitude),
-            is_accessible: wp.is_accessible,
-            notes: wp.notes,
-          })),
-      }));
-    } catch (error) {
-      // Handle any other errors gracefully
-      if (error.code === 'PGRST205' || 
-          (error.message && error.message.includes('schema cache'))) {
-        console.warn('Paths table not found in database. Please run database-setup.sql');
-        return [];
-      }
-      console.error('Error fetching paths:', error);
+  /**
+   * Get building entrances (doors routes should arrive at), from the offline cache
+   * @returns {Promise<Array>} Array of entrances
+   */
+  async getBuildingEntrances() {
+    if (!isSupabaseConfigured()) {
       return [];
     }
+
+    return getCampusData('entrances');
   },
 
   /**
-   * Get all rooms/locations
-   * @returns {Promise<Array>} Array of rooms with building info
+   * Get campus features (gates, parking, bus stops, the oval), from the offline cache
+   * @returns {Promise<Array>} Array of active campus features
    */
-  async getRooms() {
+  async getCampusFeatures() {
     if (!isSupabaseConfigured()) {
       return [];
     }
 
-    try {
-      const { data, error } = await supabase
-        .from('locations')
-        .select(`
-          *,
-          buildings (
-            id,
-            name,
-            code,
-            latitude,
-            longitude,
-            category
-          )
-        `)
-        .order('name');
-
-      if (error) {
-        if (error.code === 'PGRST205' || 
-            (error.message && error.message.includes('schema cache'))) {
-          console.warn('Locations table not found in database.');
-          return [];
-        }
-        throw error;
-      }
+    const features = await getCampusData('features');
+    return features.filter(feature => feature.is_active);
+  },
 
-      return (data || []).map(location => ({
-        id: location.id,
-        name: location.name,
-        room_number: location.room_number,
-        floor: location.floor,
-        description: location.description,
-        type: location.type,
-        capacity: location.capacity,
-        building_id: location.building_id,
-        building: location.buildings ? {
-          id: location.buildings.id,
-          name: location.buildings.name,
-          code: location.buildings.code,
-          latitude: parseFloat(location.buildings.latitude),
-          longitude: parseFloat(location.buildings.longitude),
-          category: location.buildings.category,
-        } : null,
-      }));
-    } catch (error) {
-      console.error('Error in getRooms:', error);
+  /**
+   * Get active admin-curated routes that start or end at a building, from the offline cache
+   * @param {string} buildingId - Building ID
+   * @returns {Promise<Array>} Array of curated routes
+   */
+  async getCuratedRoutes(buildingId) {
+    if (!isSupabaseConfigured() || !buildingId) {
       return [];
     }
+
+    const routes = await getCampusData('curatedRoutes');
+    return routes.filter(route => route.is_active && (
+      String(route.from_building_id) === String(buildingId)
+      || String(route.to_building_id) === String(buildingId)
+    ));
   },
 
   /**
-   * Search rooms by query
-   * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of matching rooms with building info
+   * Save a computed route as an inactive candidate for admins to review
+   * @param {Object} candidate - { fromBuildingId, toBuildingId, name, pathType, coordinates, distance (km), duration (min) }
+   * @returns {Promise<Object>} Saved route { id }
    */
-  async searchRooms(query) {
+  async saveRouteCandidate(candidate) {
     if (!isSupabaseConfigured()) {
-      return [];
+      throw new Error('Supabase is not configured. Route not saved.');
+    }
+
+    const { data, error } = await supabase
+      .from('routes')
+      .insert({
+        from_building_id: candidate.fromBuildingId || null,
+        to_building_id: candidate.toBuildingId,
+        path_name: candidate.name,
+        path_type: candidate.pathType || 'walkway',
+        path_coordinates: candidate.coordinates.map(point => ({
+          latitude: point.latitude,
+          longitude: point.longitude,
+        })),
+        distance_meters: Math.round(candidate.distance * 1000 * 100) / 100,
+        estimated_minutes: candidate.duration,
+        is_active: false,
+        source: 'computed',
+        description: candidate.description || null,
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      if (isSchemaMissing(error)) {
+        throw new Error('The routes table is not set up. Please run curated-routes-setup.sql in your Supabase project.');
+      }
+      throw error;
     }
 
-    try {
-      const { data, error } = await supabase
-        .from('locations')
-        .select(`
-          *,
-          buildings (
-            id,
-            name,
-            code,
-            latitude,
-            longitude,
-            category
-          )
-        `)
-        .or(`name.ilike.%${query}%,room_number.ilike.%${query}%,description.ilike.%${query}%`)
-        .order('name');
+    console.log('✅ Saved route candidate:', data.id);
+    return data;
+  },
 
-      if (error) {
-        if (error.code === 'PGRST205' || 
-            (error.message && error.message.includes('schema cache'))) {
-          console.warn('Locations table not found in database.');
-          return [];
-        }
-        throw error;
-      }
+  /**
+   * Get all rooms/locations
+   * @returns {Promise<Array>} Array of rooms with building info (see src/models/room.js)
+   */
+  getRooms() {
+    return roomRepository.getAll();
+  },
 
-      return (data || []).map(location => ({
-        id: location.id,
-        name: location.name,
-        room_number: location.room_number,
-        floor: location.floor,
-        description: location.description,
-        type: location.type,
-        capacity: location.capacity,
-        building_id: location.building_id,
-        building: location.buildings ? {
-          id: location.buildings.id,
-          name: location.buildings.name,
-          code: location.buildings.code,
-          latitude: parseFloat(location.buildings.latitude),
-          longitude: parseFloat(location.buildings.longitude),
-          category: location.buildings.category,
-        } : null,
-      }));
-    } catch (error) {
-      console.error('Error in searchRooms:', error);
-      return [];
-    }
+  /**
+   * Search rooms by query
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} Array of matching rooms with building info
+   */
+  searchRooms(query) {
+    return roomRepository.search(query);
   },
 
   /**
    * Get total room count
    * @returns {Promise<number>} Total number of rooms
    */
-  async getRoomCount() {
-    if (!isSupabaseConfigured()) {
-      return 0;
-    }
-
-    try {
-      const { count, error } = await supabase
-        .from('locations')
-        .select('*', { count: 'exact', head: true });
-
-      if (error) {
-        if (error.code === 'PGRST205' || 
-            (error.message && error.message.includes('schema cache'))) {
-          console.warn('Locations table not found in database.');
-          return 0;
-        }
-        throw error;
-      }
-
-      return count || 0;
-    } catch (error) {
-      console.error('Error in getRoomCount:', error);
-      return 0;
-    }
+  getRoomCount() {
+    return roomRepository.count();
   },
 };
 
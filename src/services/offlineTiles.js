@@ -0,0 +1,257 @@
+// src/services/offlineTiles.js - Map tiles for the campus kept on the device
+//
+// The base map comes from the platform (Google/Apple), so without a
+// connection MapScreen shows an empty grid. A tile pack is every tile of
+// OFFLINE_TILE_URL covering CAMPUS_BOUNDARIES from OFFLINE_TILE_MIN_ZOOM to
+// OFFLINE_TILE_MAX_ZOOM, saved as {z}/{x}/{y}.png under the app's documents
+// and drawn by MapScreen as a UrlTile overlay, scaled up past
+// OFFLINE_TILE_MAX_ZOOM. Downloading again resumes an
+// interrupted pack; { update: true } re-downloads every tile. Native only, and
+// only with OFFLINE_TILE_URL set: otherwise the pack is unsupported and the
+// map keeps using online tiles.
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { File, Directory, Paths } from 'expo-file-system';
+
+import { listTiles, tileUrl } from '../utils/mapTiles';
+import {
+  CAMPUS_BOUNDARIES,
+  OFFLINE_TILE_URL,
+  OFFLINE_TILE_MIN_ZOOM,
+  OFFLINE_TILE_MAX_ZOOM,
+  OFFLINE_TILE_CONCURRENCY,
+} from '../constants/config';
+
+const TILE_PACK_KEY = '@evsuemap_tile_pack';
+const TILE_DIRECTORY = 'map-tiles';
+const PROGRESS_STEP = 25; // Tell listeners every this many tiles
+
+// The tile server has no tile here (e.g. outside its coverage); not a failure
+const MISSING_TILE = /status (204|404)\b/;
+
+let tiles = null;
+let loadPromise = null;
+let downloadPromise = null;
+let cancelRequested = false;
+
+let status = {
+  supported: Platform.OS !== 'web' && Boolean(OFFLINE_TILE_URL),
+  downloading: false,
+  done: 0, // Tiles handled by the current download
+  total: 0, // Tiles in the current download
+  downloadedBytes: 0, // Size of the tiles handled so far
+  error: null, // Message from the last failed download
+  pack: null, // { tileCount, sizeBytes, downloadedAt, complete, url, minZoom, maxZoom } once something is saved
+};
+const listeners = new Set();
+
+const setStatus = (changes) => {
+  status = { ...status, ...changes };
+  const current = getTilePackStatus();
+  listeners.forEach(listener => listener(current));
+};
+
+/**
+ * Tiles that make up the pack
+ * @returns {Array} Tiles { z, x, y }
+ */
+const getPackTiles = () => {
+  if (!tiles) tiles = listTiles(CAMPUS_BOUNDARIES, OFFLINE_TILE_MIN_ZOOM, OFFLINE_TILE_MAX_ZOOM);
+  return tiles;
+};
+
+const getTileDirectory = () => new Directory(Paths.document, TILE_DIRECTORY);
+
+/**
+ * Read the saved pack description (safe to call repeatedly)
+ * @returns {Promise<void>}
+ */
+export const loadTilePack = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      if (!status.supported) return;
+      try {
+        const jsonValue = await AsyncStorage.getItem(TILE_PACK_KEY);
+        if (jsonValue != null) setStatus({ pack: JSON.parse(jsonValue) });
+      } catch (error) {
+        console.error('Error loading tile pack:', error);
+      }
+    })();
+  }
+  return loadPromise;
+};
+
+/**
+ * Download one tile into the pack
+ * @param {Object} tile - { z, x, y }
+ * @param {Object} options - { update: replace a tile that is already saved }
+ * @returns {Promise<Object>} { bytes, missing }
+ */
+const downloadTile = async (tile, options) => {
+  const directory = new Directory(getTileDirectory(), `${tile.z}`, `${tile.x}`);
+  const file = new File(directory, `${tile.y}.png`);
+  if (file.exists && !options.update) return { bytes: file.size || 0, missing: false };
+
+  directory.create({ intermediates: true, idempotent: true });
+  try {
+    const downloaded = await File.downloadFileAsync(tileUrl(OFFLINE_TILE_URL, tile), file, { idempotent: true });
+    return { bytes: downloaded.size || 0, missing: false };
+  } catch (error) {
+    if (!MISSING_TILE.test(String(error && error.message))) throw error;
+    return { bytes: file.exists ? file.size || 0 : 0, missing: !file.exists };
+  }
+};
+
+/**
+ * Download the campus tile pack, or finish one that was interrupted
+ * Stops at the first failed tile (usually a lost connection); what was saved is kept.
+ * Concurrent calls share one download.
+ * @param {Object} options - { update: re-download tiles that are already saved }
+ * @returns {Promise<Object>} Status after the download (see getTilePackStatus)
+ */
+export const downloadTilePack = (options = {}) => {
+  if (downloadPromise) return downloadPromise;
+
+  cancelRequested = false;
+  downloadPromise = (async () => {
+    await loadTilePack();
+    if (!status.supported) return getTilePackStatus();
+
+    const packTiles = getPackTiles();
+    let next = 0;
+    let done = 0;
+    let missing = 0;
+    let bytes = 0;
+    let failure = null;
+    setStatus({ downloading: true, done: 0, total: packTiles.length, downloadedBytes: 0, error: null });
+    console.log(`🗺️ Downloading ${packTiles.length} map tiles...`);
+
+    const worker = async () => {
+      while (next < packTiles.length && !cancelRequested && !failure) {
+        const tile = packTiles[next++];
+        try {
+          const result = await downloadTile(tile, options);
+          bytes += result.bytes;
+          if (result.missing) missing++;
+        } catch (error) {
+          if (!failure) failure = error;
+          return;
+        }
+        done++;
+        if (done % PROGRESS_STEP === 0) setStatus({ done, downloadedBytes: bytes });
+      }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_TILE_CONCURRENCY }, worker));
+
+    const complete = done === packTiles.length;
+    let pack = status.pack;
+    // An update that stopped early leaves the previous pack whole, so it stays as it was
+    if (complete || !options.update || !pack || !pack.complete) {
+      pack = {
+        tileCount: done - missing,
+        sizeBytes: bytes,
+        downloadedAt: new Date().toISOString(),
+        complete,
+        url: OFFLINE_TILE_URL,
+        minZoom: OFFLINE_TILE_MIN_ZOOM,
+        maxZoom: OFFLINE_TILE_MAX_ZOOM,
+      };
+      // A resumed pack that stopped early still has the tiles saved before
+      if (!complete && status.pack) {
+        pack.tileCount = Math.max(pack.tileCount, status.pack.tileCount);
+        pack.sizeBytes = Math.max(pack.sizeBytes, status.pack.sizeBytes);
+      }
+      await AsyncStorage.setItem(TILE_PACK_KEY, JSON.stringify(pack));
+    }
+
+    if (failure) {
+      console.error('❌ Tile download stopped:', failure);
+    } else if (complete) {
+      console.log(`✅ Saved ${pack.tileCount} map tiles (${missing} not available from the tile server)`);
+    } else {
+      console.log(`⏹️ Tile download stopped after ${done} of ${packTiles.length} tiles`);
+    }
+    setStatus({
+      downloading: false,
+      done,
+      downloadedBytes: bytes,
+      error: failure ? failure.message : null,
+      pack,
+    });
+    return getTilePackStatus();
+  })().finally(() => {
+    downloadPromise = null;
+  });
+
+  return downloadPromise;
+};
+
+/**
+ * Stop a download after the tiles in flight; what was saved is kept
+ */
+export const cancelTilePackDownload = () => {
+  cancelRequested = true;
+};
+
+/**
+ * Delete the tile pack from the device
+ * @returns {Promise<void>}
+ */
+export const purgeTilePack = async () => {
+  await loadTilePack();
+  if (!status.supported) return;
+
+  if (downloadPromise) {
+    cancelTilePackDownload();
+    await downloadPromise;
+  }
+
+  const directory = getTileDirectory();
+  if (directory.exists) directory.delete();
+  await AsyncStorage.removeItem(TILE_PACK_KEY);
+  setStatus({ done: 0, total: 0, downloadedBytes: 0, error: null, pack: null });
+  console.log('🗑️ Map tile pack deleted');
+};
+
+/**
+ * URL template of the saved tiles for react-native-maps' UrlTile, or null without a pack
+ * @returns {string|null} e.g. "file:///data/.../files/map-tiles/{z}/{x}/{y}.png"
+ */
+const getTileUrlTemplate = () => {
+  if (!status.pack || !status.pack.tileCount) return null;
+  return `${getTileDirectory().uri.replace(/\/$/, '')}/{z}/{x}/{y}.png`;
+};
+
+/**
+ * Current tile pack status
+ * @returns {Object} { supported, downloading, done, total, progress, downloadedBytes, error, pack, packTileCount, urlTemplate }
+ */
+export const getTilePackStatus = () => ({
+  ...status,
+  progress: status.total ? status.done / status.total : 0,
+  packTileCount: status.supported ? getPackTiles().length : 0,
+  urlTemplate: status.supported ? getTileUrlTemplate() : null,
+});
+
+/**
+ * Listen for tile pack changes and download progress
+ * @param {Function} listener - Called with getTilePackStatus()
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeTilePack = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Human-readable storage size, e.g. "148 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size
+ */
+export const formatStorageSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  const megabytes = bytes / (1024 * 1024);
+  return `${megabytes < 10 ? megabytes.toFixed(1) : Math.round(megabytes)} MB`;
+};
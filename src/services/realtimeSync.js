@@ -0,0 +1,234 @@
+// src/services/realtimeSync.js - Live campus updates over Supabase Realtime
+//
+// One shared channel listens to buildings, rooms (locations), paths, waypoints
+// and path connections, and applies each insert, update and delete straight to
+// the offline cache kept by campusSync. Screens and routing see the change
+// without downloading anything. Screens subscribe with
+// subscribeToCampusChanges(); the channel opens with the first subscriber and
+// closes with the last. A dropped connection is retried with backoff, and a
+// catch-up sync runs once it is back, because changes sent meanwhile are lost.
+// realtime-setup.sql enables Realtime on these tables.
+
+import { AppState } from 'react-native';
+
+import { supabase, isSupabaseConfigured } from '../lib/supabase';
+import { buildingFromSupabase } from '../models/building';
+import { roomFromSupabase } from '../models/room';
+import { pathFromSupabase, connectionFromSupabase, waypointFromSupabase } from '../models/pathNetwork';
+import { applyCampusChange, getLoadedCampusData, syncCampusData } from './campusSync';
+import { REALTIME_RETRY_BASE_MS, REALTIME_RETRY_MAX_MS } from '../constants/config';
+
+/**
+ * Replace the item with the same ID, or add it
+ * @param {Array} items - Cached items
+ * @param {Object} item - New or changed item
+ * @returns {Array} New items
+ */
+const upsertItem = (items, item) => {
+  const index = items.findIndex(existing => String(existing.id) === String(item.id));
+  if (index === -1) return [...items, item];
+
+  const next = items.slice();
+  next[index] = item;
+  return next;
+};
+
+/**
+ * Drop the item with an ID
+ * @param {Array} items - Cached items
+ * @param {string|number} id - ID to remove
+ * @returns {Array} New items
+ */
+const removeItem = (items, id) => items.filter(item => String(item.id) !== String(id));
+
+/**
+ * Remove a waypoint from whichever path has it
+ * @param {Array} paths - Cached paths
+ * @param {number} waypointId - Waypoint ID
+ * @returns {Array} New paths
+ */
+const removeWaypoint = (paths, waypointId) => paths.map(path => (
+  path.waypoints.some(wp => String(wp.id) === String(waypointId))
+    ? { ...path, waypoints: removeItem(path.waypoints, waypointId) }
+    : path
+));
+
+/**
+ * How each table's changes are applied to its cached dataset
+ * upsert(items, newRow) / remove(items, oldRow) return the new items. Deleted
+ * rows only carry their primary key.
+ */
+const TABLES = {
+  buildings: {
+    dataset: 'buildings',
+    upsert: (items, row) => upsertItem(items, buildingFromSupabase(row)),
+    remove: (items, row) => removeItem(items, row.id),
+  },
+  locations: {
+    dataset: 'rooms',
+    // Realtime rows come without the joined building, so take it from the cache
+    upsert: (items, row) => {
+      const room = roomFromSupabase(row);
+      const building = getLoadedCampusData('buildings').find(item => item.id === room.building_id);
+      return upsertItem(items, { ...room, building: building || null });
+    },
+    remove: (items, row) => removeItem(items, row.id),
+  },
+  paths: {
+    dataset: 'paths',
+    // Path rows come without their waypoints, so keep the cached ones
+    upsert: (items, row) => {
+      const existing = items.find(item => String(item.id) === String(row.path_id));
+      return upsertItem(items, {
+        ...pathFromSupabase(row),
+        waypoints: existing ? existing.waypoints : [],
+      });
+    },
+    remove: (items, row) => removeItem(items, row.path_id),
+  },
+  waypoints: {
+    dataset: 'paths',
+    upsert: (items, row) => {
+      const waypoint = waypointFromSupabase(row);
+      // Remove first: the waypoint may have moved to another path
+      return removeWaypoint(items, waypoint.id).map(path => (
+        String(path.id) === String(row.path_id)
+          ? { ...path, waypoints: [...path.waypoints, waypoint].sort((a, b) => a.sequence - b.sequence) }
+          : path
+      ));
+    },
+    remove: (items, row) => removeWaypoint(items, row.waypoint_id),
+  },
+  path_connections: {
+    dataset: 'connections',
+    upsert: (items, row) => upsertItem(items, connectionFromSupabase(row)),
+    remove: (items, row) => removeItem(items, row.connection_id),
+  },
+};
+
+const listeners = new Set();
+let channel = null;
+let retryTimer = null;
+let retryAttempt = 0;
+let connectedBefore = false;
+let appStateSubscription = null;
+
+/**
+ * Apply one postgres_changes payload to the cache and tell subscribers
+ * @param {string} table - Table the change is on
+ * @param {Object} payload - { eventType: 'INSERT'|'UPDATE'|'DELETE', new, old }
+ */
+const handleChange = (table, payload) => {
+  const config = TABLES[table];
+  const applied = applyCampusChange(config.dataset, items => (
+    payload.eventType === 'DELETE'
+      ? config.remove(items, payload.old)
+      : config.upsert(items, payload.new)
+  ));
+  if (!applied) return;
+
+  console.log(`📡 ${payload.eventType} on ${table}`);
+  const change = { table, dataset: config.dataset, eventType: payload.eventType };
+  listeners.forEach(listener => listener(change));
+};
+
+/**
+ * Stop listening on the current channel, if any
+ */
+const closeChannel = () => {
+  if (!channel) return;
+  const closing = channel;
+  channel = null; // Mark first so the CLOSED status below is not taken for a drop
+  supabase.removeChannel(closing);
+};
+
+/**
+ * Try again after a dropped connection, waiting longer each time
+ */
+const scheduleReconnect = () => {
+  closeChannel();
+  if (retryTimer || listeners.size === 0) return;
+
+  const delay = Math.min(REALTIME_RETRY_BASE_MS * 2 ** retryAttempt, REALTIME_RETRY_MAX_MS);
+  retryAttempt += 1;
+  console.warn(`📡 Live updates disconnected, retrying in ${Math.round(delay / 1000)}s`);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    openChannel();
+  }, delay);
+};
+
+/**
+ * Open the shared channel for every table in TABLES
+ */
+const openChannel = () => {
+  const opening = supabase.channel('campus-changes');
+  Object.keys(TABLES).forEach((table) => {
+    opening.on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table },
+      payload => handleChange(table, payload)
+    );
+  });
+
+  channel = opening;
+  opening.subscribe((state, error) => {
+    if (channel !== opening) return; // Closed on purpose
+
+    if (state === 'SUBSCRIBED') {
+      retryAttempt = 0;
+      // Changes made while disconnected never arrive, so fetch them
+      if (connectedBefore) syncCampusData();
+      connectedBefore = true;
+    } else if (state === 'CHANNEL_ERROR' || state === 'TIMED_OUT' || state === 'CLOSED') {
+      if (error) console.error('Live updates error:', error);
+      scheduleReconnect();
+    }
+  });
+};
+
+/**
+ * Reconnect right away when the app returns to the foreground
+ * @param {string} state - New AppState
+ */
+const handleAppStateChange = (state) => {
+  if (state !== 'active' || !retryTimer) return;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  openChannel();
+};
+
+/**
+ * Receive live campus changes while subscribed
+ * The shared channel opens with the first subscriber and closes with the last.
+ * Changes are already in the cache (and reach screens through the campusSync
+ * revision) by the time listeners are called.
+ * @param {Function} listener - Called with { table, dataset, eventType }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToCampusChanges = (listener) => {
+  if (!isSupabaseConfigured()) {
+    console.log('Real-time subscriptions not available - Supabase not configured');
+    return () => {};
+  }
+
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    openChannel();
+    appStateSubscription = AppState.addEventListener('change', handleAppStateChange);
+  }
+
+  return () => {
+    if (!listeners.delete(listener) || listeners.size > 0) return;
+
+    closeChannel();
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryAttempt = 0;
+    connectedBefore = false;
+    if (appStateSubscription) {
+      appStateSubscription.remove();
+      appStateSubscription = null;
+    }
+  };
+};
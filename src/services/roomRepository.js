@@ -0,0 +1,48 @@
+// src/services/roomRepository.js - Rooms (the locations table) from the offline cache
+//
+// The room list is served from the device cache kept by campusSync; search
+// goes through the ranked searchRepository. There is no mock room data, so
+// without Supabase the lists are empty.
+
+import { isSupabaseConfigured } from '../lib/supabase';
+import { getCampusData } from './campusSync';
+import { searchRepository } from './searchRepository';
+
+/**
+ * Rooms on the device
+ * @returns {Promise<Array>} Synced rooms, or [] without Supabase
+ */
+const getLocalRooms = async () => {
+  if (!isSupabaseConfigured()) return [];
+  return getCampusData('rooms');
+};
+
+export const roomRepository = {
+  /**
+   * Get all rooms with building info, sorted by name
+   * @returns {Promise<Array>} Rooms
+   */
+  async getAll() {
+    const rooms = await getLocalRooms();
+    return rooms.slice().sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Search rooms by name, room number or description
+   * @param {string} query - Search text
+   * @returns {Promise<Array>} Matching rooms with building info, best match first
+   */
+  async search(query) {
+    const results = await searchRepository.search(query);
+    return results.filter(result => result.type === 'room').map(result => result.item);
+  },
+
+  /**
+   * Count all rooms
+   * @returns {Promise<number>} Number of rooms
+   */
+  async count() {
+    const rooms = await getLocalRooms();
+    return rooms.length;
+  },
+};
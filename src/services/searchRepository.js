@@ -0,0 +1,170 @@
+// src/services/searchRepository.js - Ranked search over buildings and rooms
+//
+// Answers from an on-device index over the campusSync cache first
+// (src/utils/searchIndex.js), with the bundled aliases and synced synonyms, so
+// search never waits on the network. The search_campus RPC (search-setup.sql)
+// then refines that list: full-text and trigram matching with synonyms, so
+// "libary" finds the Library and "CR" finds restrooms. Offline, or before the
+// RPC is set up, the on-device results stand.
+
+import { supabase, isSupabaseConfigured } from '../lib/supabase';
+import { mockBuildings } from '../utils/mockData';
+import { buildingFromMock } from '../models/building';
+import { searchResultFromSupabase } from '../models/searchResult';
+import { normalizeSearchText } from '../utils/searchText';
+import { buildSearchIndex, querySearchIndex } from '../utils/searchIndex';
+import searchAliases from '../data/searchAliases';
+import { getCampusData } from './campusSync';
+import { NotConfiguredError, SchemaMissingError, toDataError } from './dataErrors';
+import { SEARCH_RESULT_LIMIT } from '../constants/config';
+
+/**
+ * Log a failed search the way the rest of the app does
+ * @param {DataError} error - Typed error
+ */
+const logSearchError = (error) => {
+  if (error instanceof NotConfiguredError) return;
+  if (error instanceof SchemaMissingError) {
+    console.warn('search_campus not found in database. Please run search-setup.sql');
+  } else {
+    console.error('Error in searchCampus:', error.cause || error);
+  }
+};
+
+/**
+ * Ask Supabase for ranked results
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array>} SearchResults
+ */
+const searchSupabase = async (query, limit) => {
+  if (!isSupabaseConfigured()) throw new NotConfiguredError();
+
+  let result;
+  try {
+    result = await supabase.rpc('search_campus', { search_query: query, result_limit: limit });
+  } catch (error) {
+    throw toDataError(error, 'search_campus', 'search-setup.sql');
+  }
+  if (result.error) throw toDataError(result.error, 'search_campus', 'search-setup.sql');
+  return (result.data || []).map(searchResultFromSupabase);
+};
+
+let cachedIndex = null;
+let cachedSources = null;
+let mockSources = null;
+
+/**
+ * Buildings, rooms and synonyms to index: the device cache, or mock buildings
+ * when Supabase isn't configured
+ * @returns {Promise<Object>} { buildings, rooms, synonyms }
+ */
+const getIndexSources = async () => {
+  if (!isSupabaseConfigured()) {
+    if (!mockSources) mockSources = { buildings: mockBuildings.map(buildingFromMock), rooms: [], synonyms: [] };
+    return mockSources;
+  }
+  const [buildings, rooms, synonyms] = await Promise.all([
+    getCampusData('buildings'),
+    getCampusData('rooms'),
+    getCampusData('synonyms'),
+  ]);
+  return { buildings, rooms, synonyms };
+};
+
+/**
+ * The on-device index, rebuilt only when the cached data has changed
+ * campusSync replaces a dataset's array whenever it changes, so comparing the
+ * arrays themselves is enough.
+ * @returns {Promise<Object>} Search index (see src/utils/searchIndex.js)
+ */
+const getLocalIndex = async () => {
+  const sources = await getIndexSources();
+  const unchanged = cachedSources
+    && cachedSources.buildings === sources.buildings
+    && cachedSources.rooms === sources.rooms
+    && cachedSources.synonyms === sources.synonyms;
+
+  if (!unchanged) {
+    cachedIndex = buildSearchIndex({
+      buildings: sources.buildings,
+      rooms: sources.rooms,
+      aliases: [...searchAliases, ...sources.synonyms],
+    });
+    cachedSources = sources;
+  }
+  return cachedIndex;
+};
+
+/**
+ * The server's results, then anything only the device found (e.g. a bundled alias)
+ * @param {Array} serverResults - SearchResults from search_campus
+ * @param {Array} localResults - SearchResults from the on-device index
+ * @returns {Array} Merged SearchResults
+ */
+const mergeResults = (serverResults, localResults) => {
+  const serverKeys = new Set(serverResults.map(result => result.key));
+  return [...serverResults, ...localResults.filter(result => !serverKeys.has(result.key))];
+};
+
+export const searchRepository = {
+  /**
+   * Search buildings and rooms together, best match first
+   * Resolves with the on-device results straight away. Given onUpdate, it
+   * also asks Supabase and calls onUpdate with the merged list if it answers.
+   * Never throws.
+   * @param {string} query - Search text (punctuation is safe)
+   * @param {Object} options - { limit, onUpdate }
+   * @returns {Promise<Array>} SearchResults (see src/models/searchResult.js)
+   */
+  async search(query, options = {}) {
+    const { onUpdate } = options;
+    const limit = options.limit || SEARCH_RESULT_LIMIT;
+    const localResults = await searchRepository.searchOffline(query, { limit });
+
+    if (onUpdate && normalizeSearchText(query)) {
+      searchRepository.refine(query, localResults, { limit }).then((results) => {
+        if (results !== localResults) onUpdate(results);
+      });
+    }
+    return localResults;
+  },
+
+  /**
+   * Ask Supabase for its ranking and keep the on-device results it missed
+   * Never throws: resolves with localResults when Supabase can't answer.
+   * @param {string} query - Search text (punctuation is safe)
+   * @param {Array} localResults - Results from searchOffline()
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} SearchResults (see src/models/searchResult.js)
+   */
+  async refine(query, localResults, options = {}) {
+    const limit = options.limit || SEARCH_RESULT_LIMIT;
+    if (!normalizeSearchText(query)) return localResults;
+
+    try {
+      return mergeResults(await searchSupabase(query, limit), localResults);
+    } catch (error) {
+      logSearchError(error);
+      return localResults;
+    }
+  },
+
+  /**
+   * Search the on-device index only: instant, and works without a connection
+   * @param {string} query - Search text
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} SearchResults (see src/models/searchResult.js)
+   */
+  async searchOffline(query, options = {}) {
+    const limit = options.limit || SEARCH_RESULT_LIMIT;
+    if (!normalizeSearchText(query)) return [];
+
+    try {
+      return querySearchIndex(await getLocalIndex(), query, limit);
+    } catch (error) {
+      console.error('Error in searchOffline:', error);
+      return [];
+    }
+  },
+};
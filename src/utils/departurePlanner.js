@@ -0,0 +1,230 @@
+// src/utils/departurePlanner.js - "Will I make it to class?" departure times and reminders
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+
+import { calculateRoute } from './routing';
+import { calculateRoomRoute } from './indoorRouting';
+import { toRoutePoint } from './routeEndpoints';
+import {
+  DEPARTURE_BUFFER_MINUTES,
+  DEPARTURE_REMINDER_LEAD_MINUTES,
+  LEAVE_SOON_MINUTES,
+  DEFAULT_CLASS_LENGTH_MINUTES,
+} from '../constants/config';
+
+const CLASS_SCHEDULE_KEY = '@evsuemap_class_schedule';
+
+/**
+ * Format a time like "9:05 AM"
+ * @param {Date} date - Time to format
+ * @returns {string} Clock time
+ */
+export const formatClockTime = (date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+/**
+ * When a class ends
+ * @param {Object} classItem - Class { startsAt, durationMinutes }
+ * @returns {Date} End time
+ */
+export const getClassEnd = (classItem) => new Date(
+  new Date(classItem.startsAt).getTime() + (classItem.durationMinutes || DEFAULT_CLASS_LENGTH_MINUTES) * 60000
+);
+
+/**
+ * Get the saved classes that have not ended yet, earliest first
+ * @returns {Promise<Array>} Classes { id, name, endpoint, startsAt, durationMinutes, notificationId }
+ */
+export const getClassSchedule = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(CLASS_SCHEDULE_KEY);
+    const classes = jsonValue != null ? JSON.parse(jsonValue) : [];
+    const now = Date.now();
+    return classes
+      .filter(classItem => getClassEnd(classItem).getTime() > now)
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+  } catch (error) {
+    console.error('Error getting class schedule:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the class schedule
+ * @param {Array} classes - Classes to keep
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveClassSchedule = async (classes) => {
+  try {
+    await AsyncStorage.setItem(CLASS_SCHEDULE_KEY, JSON.stringify(classes));
+    return true;
+  } catch (error) {
+    console.error('Error saving class schedule:', error);
+    return false;
+  }
+};
+
+/**
+ * Work out when to leave to reach a class on time
+ * @param {Object} start - Where the walk starts {latitude, longitude}
+ * @param {Object} classItem - Class { name, endpoint (from routeEndpoints), startsAt }
+ * @param {Object} options - { accessible, now: current time (for testing) }
+ * @returns {Promise<Object>} { success, route, duration, leaveAt, arriveAt, status, minutesUntilLeave, lateMinutes }
+ *   status is 'onTime', 'leaveSoon', 'leaveNow' or 'late' (leaving now still arrives after the start)
+ */
+export const planDeparture = async (start, classItem, options = {}) => {
+  const { accessible = false, now = new Date() } = options;
+  const destination = toRoutePoint(classItem.endpoint, null);
+
+  const route = destination.room
+    ? await calculateRoomRoute(start, destination, { accessible })
+    : await calculateRoute(start, destination, { accessible });
+  if (!route.success) {
+    return { success: false, route, message: route.message || 'No route to this class.' };
+  }
+
+  const classStart = new Date(classItem.startsAt);
+  const leaveAt = new Date(classStart.getTime() - (route.duration + DEPARTURE_BUFFER_MINUTES) * 60000);
+  const arriveAt = new Date(now.getTime() + route.duration * 60000);
+  const minutesUntilLeave = Math.floor((leaveAt.getTime() - now.getTime()) / 60000);
+  const lateMinutes = Math.max(0, Math.ceil((arriveAt.getTime() - classStart.getTime()) / 60000));
+
+  let status = 'onTime';
+  if (lateMinutes > 0) status = 'late';
+  else if (minutesUntilLeave <= 0) status = 'leaveNow';
+  else if (minutesUntilLeave <= LEAVE_SOON_MINUTES) status = 'leaveSoon';
+
+  return {
+    success: true,
+    route,
+    duration: route.duration,
+    leaveAt,
+    arriveAt,
+    status,
+    minutesUntilLeave,
+    lateMinutes,
+  };
+};
+
+/**
+ * Plan every class in a schedule
+ * A class that follows another one on the same day is walked to from the previous
+ * room, and gets a warning when the break is shorter than the walk.
+ * @param {Array} classes - Classes from getClassSchedule(), earliest first
+ * @param {Object|null} userLocation - Current position, used for the first class of a day
+ * @param {Object} options - { accessible, now }
+ * @returns {Promise<Array>} One entry per class { classItem, plan, fromPreviousClass, gapMinutes, warning }
+ */
+export const planClassSchedule = async (classes, userLocation, options = {}) => {
+  const results = [];
+
+  for (let i = 0; i < classes.length; i++) {
+    const classItem = classes[i];
+    const previous = classes[i - 1] || null;
+    const previousEnd = previous ? getClassEnd(previous) : null;
+    const classStart = new Date(classItem.startsAt);
+    const fromPreviousClass = !!previous &&
+      previousEnd.toDateString() === classStart.toDateString() &&
+      previousEnd <= classStart;
+
+    const start = fromPreviousClass
+      ? toRoutePoint(previous.endpoint, null)
+      : userLocation;
+
+    if (!start) {
+      results.push({
+        classItem,
+        plan: { success: false, message: 'Turn on location access to see when to leave.' },
+        fromPreviousClass,
+        gapMinutes: null,
+        warning: null,
+      });
+      continue;
+    }
+
+    const plan = await planDeparture(start, classItem, options);
+    let gapMinutes = null;
+    let warning = null;
+
+    if (previous && previousEnd > classStart) {
+      warning = `Overlaps with ${previous.name}`;
+    } else if (fromPreviousClass) {
+      gapMinutes = Math.round((classStart.getTime() - previousEnd.getTime()) / 60000);
+      if (plan.success && gapMinutes < plan.duration + DEPARTURE_BUFFER_MINUTES) {
+        warning = `Only ${gapMinutes} min after ${previous.name}, but the walk takes ${plan.duration} min`;
+      }
+    }
+
+    results.push({ classItem, plan, fromPreviousClass, gapMinutes, warning });
+  }
+
+  return results;
+};
+
+/**
+ * Show reminders while the app is open too (call once at startup)
+ */
+export const configureNotifications = () => {
+  if (Platform.OS === 'web') return;
+
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: true,
+      shouldSetBadge: false,
+    }),
+  });
+};
+
+/**
+ * Schedule a local notification shortly before it is time to leave for a class
+ * @param {Object} classItem - Class { name, startsAt }
+ * @param {Object} plan - Plan from planDeparture()
+ * @returns {Promise<string|null>} Notification ID, or null if no reminder could be scheduled
+ */
+export const scheduleDepartureReminder = async (classItem, plan) => {
+  if (Platform.OS === 'web' || !plan || !plan.success) return null;
+
+  const remindAt = new Date(plan.leaveAt.getTime() - DEPARTURE_REMINDER_LEAD_MINUTES * 60000);
+  if (remindAt.getTime() <= Date.now()) return null;
+
+  try {
+    const { status } = await Notifications.requestPermissionsAsync();
+    if (status !== 'granted') {
+      console.log('❌ Notification permission denied');
+      return null;
+    }
+
+    const notificationId = await Notifications.scheduleNotificationAsync({
+      content: {
+        title: `Leave for ${classItem.name} in ${DEPARTURE_REMINDER_LEAD_MINUTES} min`,
+        body: `${plan.duration} min walk • class starts at ${formatClockTime(new Date(classItem.startsAt))}`,
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: remindAt,
+      },
+    });
+    console.log(`⏰ Reminder for ${classItem.name} at ${formatClockTime(remindAt)}`);
+    return notificationId;
+  } catch (error) {
+    console.error('Error scheduling departure reminder:', error);
+    return null;
+  }
+};
+
+/**
+ * Cancel a scheduled departure reminder
+ * @param {string} notificationId - ID from scheduleDepartureReminder()
+ * @returns {Promise<void>}
+ */
+export const cancelDepartureReminder = async (notificationId) => {
+  if (Platform.OS === 'web' || !notificationId) return;
+
+  try {
+    await Notifications.cancelScheduledNotificationAsync(notificationId);
+  } catch (error) {
+    console.error('Error cancelling departure reminder:', error);
+  }
+};
@@ -0,0 +1,343 @@
+// src/utils/directions.js - Turn-by-turn walking directions from route geometry
+
+import { calculateDistance } from './distance';
+import { calculateBearing } from './geometry';
+import { TURN_THRESHOLD_DEGREES, LANDMARK_RADIUS_KM } from '../constants/config';
+
+const CARDINALS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Segments shorter than this (e.g. junctions between paths) don't create turns
+const MIN_SEGMENT_KM = 0.001;
+
+/**
+ * Format a distance for directions ("60 m", "1.20 km")
+ * @param {number} distanceKm - Distance in kilometers
+ * @returns {string} Formatted distance
+ */
+export const formatDistance = (distanceKm) => {
+  const meters = distanceKm * 1000;
+  if (meters < 1000) {
+    return `${Math.max(5, Math.round(meters / 5) * 5)} m`;
+  }
+  return `${distanceKm.toFixed(2)} km`;
+};
+
+/**
+ * Convert a bearing to a compass direction
+ * @param {number} bearing - Bearing in degrees
+ * @returns {string} Compass direction, e.g. "northeast"
+ */
+const toCardinal = (bearing) => CARDINALS[Math.round(bearing / 45) % 8];
+
+/**
+ * Signed difference between two bearings (-180..180, negative = left)
+ * @param {number} from - Incoming bearing
+ * @param {number} to - Outgoing bearing
+ * @returns {number} Turn angle in degrees
+ */
+const turnAngle = (from, to) => ((to - from + 540) % 360) - 180;
+
+/**
+ * Classify a turn angle into a maneuver
+ * @param {number} angle - Turn angle from turnAngle()
+ * @returns {string} Maneuver type
+ */
+const classifyTurn = (angle) => {
+  const abs = Math.abs(angle);
+  const side = angle < 0 ? 'left' : 'right';
+
+  if (abs < TURN_THRESHOLD_DEGREES) return 'straight';
+  if (abs < 60) return `slight-${side}`;
+  if (abs < 135) return side;
+  return 'u-turn';
+};
+
+/**
+ * Find the nearest building to a point, to use as a landmark
+ * @param {Object} point - Coordinate {latitude, longitude}
+ * @param {Array} buildings - Buildings from mapService
+ * @returns {string|null} Building name or null if none is close
+ */
+const findLandmark = (point, buildings) => {
+  let landmark = null;
+  let minDistance = LANDMARK_RADIUS_KM;
+
+  (buildings || []).forEach(building => {
+    const distance = calculateDistance(point, {
+      latitude: parseFloat(building.latitude),
+      longitude: parseFloat(building.longitude),
+    });
+    if (distance < minDistance) {
+      minDistance = distance;
+      landmark = building.name;
+    }
+  });
+
+  return landmark;
+};
+
+/**
+ * Find a building's name by ID
+ * @param {string} buildingId - Building ID
+ * @param {Array} buildings - Buildings from mapService
+ * @returns {string|null} Building name
+ */
+const findBuildingName = (buildingId, buildings) => {
+  const building = (buildings || []).find(b => b.id === String(buildingId));
+  return building ? building.name : null;
+};
+
+/**
+ * Describe a room for instructions ("room 305", or its name if it has no number)
+ * @param {Object} room - Room { name, room_number }
+ * @returns {string} Room label
+ */
+const getRoomLabel = (room) => (room.room_number ? `room ${room.room_number}` : room.name);
+
+/**
+ * Uppercase the first letter of a sentence
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ */
+const capitalize = (text) => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+
+/**
+ * Split a route into segments with path names and notes
+ * Campus network routes carry nodes/edges from findGraphRoute; OSRM and
+ * direct routes only have coordinates.
+ * @param {Object} route - Route data from calculateRoute
+ * @returns {Array} Segments { from, to, distance, bearing, name, connectionType, note, floorChange, entering }
+ */
+const buildSegments = (route) => {
+  const coordinates = route.coordinates || [];
+  const nodes = route.nodes || [];
+  const edges = route.edges || [];
+  const offset = route.edgeOffset !== undefined ? route.edgeOffset : 1;
+
+  const segments = [];
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const from = coordinates[i];
+    const to = coordinates[i + 1];
+    const segment = {
+      from,
+      to,
+      distance: calculateDistance(from, to),
+      bearing: calculateBearing(from, to),
+      name: null,
+      connectionType: null,
+      note: null,
+      floorChange: null,
+      entering: null,
+    };
+
+    if (nodes.length > 0) {
+      // coordinates = [start?, ...nodes, end?], so segment i runs along edges[i - offset]
+      // and ends at nodes[i - offset + 1]
+      const edge = edges[i - offset];
+      const startNode = nodes[i - offset];
+      const endNode = nodes[i - offset + 1];
+      if (edge && edge.kind === 'path') {
+        segment.name = edge.pathName;
+      } else if (edge && edge.kind === 'connection') {
+        segment.connectionType = edge.connectionType;
+        segment.note = edge.notes;
+        segment.name = endNode ? endNode.pathName : null;
+      } else if (edge) {
+        segment.name = endNode ? endNode.pathName : null;
+      }
+
+      // Notes typed on the waypoint where this segment begins
+      if (startNode && startNode.notes) {
+        segment.note = segment.note ? `${startNode.notes}. ${segment.note}` : startNode.notes;
+      }
+
+      // Indoor routes: going between floors, and stepping inside a building
+      if (startNode && endNode && startNode.floor !== null && endNode.floor !== null &&
+          startNode.floor !== endNode.floor) {
+        const type = edge && edge.kind === 'connection' ? edge.connectionType : endNode.pathType;
+        segment.floorChange = {
+          to: endNode.floor,
+          via: ['stairs', 'elevator', 'ramp'].includes(type) ? type : null,
+        };
+      }
+      if (endNode && endNode.buildingId && (!startNode || !startNode.buildingId)) {
+        segment.entering = endNode.buildingId;
+      }
+    }
+
+    segments.push(segment);
+  }
+
+  return segments;
+};
+
+/**
+ * Describe how a step starts
+ * @param {Object} step - Step being described
+ * @returns {string} Instruction text
+ */
+const describeStep = (step) => {
+  const onto = step.name ? ` onto ${step.name}` : '';
+  const at = step.landmark ? ` at ${step.landmark}` : '';
+
+  if (step.floorChange) {
+    const floor = `Floor ${step.floorChange.to}`;
+    if (step.floorChange.via === 'stairs') return `Take the stairs to ${floor}`;
+    if (step.floorChange.via === 'elevator') return `Take the elevator to ${floor}`;
+    if (step.floorChange.via === 'ramp') return `Take the ramp to ${floor}`;
+    return `Go to ${floor}`;
+  }
+  if (step.entering) {
+    return step.buildingName ? `Enter ${step.buildingName}` : 'Enter the building';
+  }
+
+  if (step.connectionType === 'stairs') return `Take the stairs${onto}`;
+  if (step.connectionType === 'elevator') return `Take the elevator${onto}`;
+  if (step.connectionType === 'bridge') return `Cross the bridge${onto}`;
+  if (step.connectionType === 'tunnel') return `Go through the tunnel${onto}`;
+
+  switch (step.maneuver) {
+    case 'depart':
+      return `Head ${toCardinal(step.bearing)}${step.name ? ` on ${step.name}` : ''}`;
+    case 'straight':
+      return step.name ? `Continue${at} onto ${step.name}` : `Continue straight${at}`;
+    case 'slight-left':
+      return `Bear left${at}${onto}`;
+    case 'slight-right':
+      return `Bear right${at}${onto}`;
+    case 'left':
+      return `Turn left${at}${onto}`;
+    case 'right':
+      return `Turn right${at}${onto}`;
+    case 'u-turn':
+      return `Turn around${at}${onto}`;
+    default:
+      return `Continue${onto}`;
+  }
+};
+
+/**
+ * Build turn-by-turn walking directions for a route
+ * @param {Object} route - Route data from calculateRoute
+ * @param {Object} options - { buildings: for landmarks and building names, destinationName: shown on arrival }
+ * @returns {Array} Steps { maneuver, instruction, note, distance, distanceText, coordinate }
+ */
+export const getRouteDirections = (route, options = {}) => {
+  if (!route || !route.success || !route.coordinates || route.coordinates.length < 2) {
+    return [];
+  }
+
+  const { buildings = [], destinationName = null } = options;
+  const segments = buildSegments(route).filter(
+    (segment, index, all) => segment.distance >= MIN_SEGMENT_KM || segment.floorChange ||
+      segment.entering || index === all.length - 1
+  );
+
+  const steps = [];
+  let current = null;
+  let lastBearing = null;
+
+  segments.forEach(segment => {
+    const entering = segment.entering
+      ? { entering: segment.entering, buildingName: findBuildingName(segment.entering, buildings) }
+      : {};
+
+    if (!current) {
+      current = {
+        maneuver: 'depart',
+        bearing: segment.bearing,
+        name: segment.name,
+        connectionType: segment.connectionType,
+        note: segment.note,
+        floorChange: segment.floorChange,
+        landmark: null,
+        distance: 0,
+        coordinate: segment.from,
+      };
+    } else if (segment.floorChange && current.floorChange &&
+        segment.floorChange.via === current.floorChange.via) {
+      // Several landings of the same staircase read as one "Take the stairs to Floor 3"
+      current.floorChange = segment.floorChange;
+    } else {
+      // Vertical segments have no meaningful bearing, so they never count as turns
+      const maneuver = segment.floorChange || current.floorChange
+        ? 'straight'
+        : classifyTurn(turnAngle(lastBearing, segment.bearing));
+      const nameChanged = segment.name !== current.name;
+      const joinsPathAhead = current.maneuver === 'depart' && !current.name &&
+        maneuver === 'straight' && !segment.note && !segment.connectionType &&
+        !segment.floorChange && !segment.entering;
+
+      if (joinsPathAhead) {
+        // Short walk onto a path straight ahead reads as "Head north on Main Walkway"
+        current.name = segment.name;
+      } else if (maneuver !== 'straight' || nameChanged || segment.note || segment.connectionType ||
+          segment.floorChange || current.floorChange || segment.entering) {
+        steps.push(current);
+        current = {
+          maneuver,
+          bearing: segment.bearing,
+          name: segment.name,
+          connectionType: segment.connectionType,
+          note: segment.note,
+          floorChange: segment.floorChange,
+          ...entering,
+          landmark: maneuver !== 'straight' ? findLandmark(segment.from, buildings) : null,
+          distance: 0,
+          coordinate: segment.from,
+        };
+      }
+    }
+
+    current.distance += segment.distance;
+    lastBearing = segment.bearing;
+  });
+
+  if (current) steps.push(current);
+
+  const destination = route.coordinates[route.coordinates.length - 1];
+  const room = route.room || null;
+  let arrival = `Arrive at ${destinationName || 'your destination'}`;
+  let arrivalNote = null;
+
+  // Routes to a building end at one of its entrances
+  if (route.endEntrance && route.endEntrance.name) {
+    arrival = `${arrival} (${route.endEntrance.name})`;
+  }
+
+  if (room && route.isIndoorRoute) {
+    const label = getRoomLabel(room);
+    const side = route.roomSide ? ` is on the ${route.roomSide}` : '';
+    arrival = route.roomSide
+      ? capitalize(`${label}${side}`)
+      : `Arrive at ${label}`;
+
+    // Tell the walker where the room is as they reach its floor
+    const lastFloorChange = [...steps].reverse().find(step => step.floorChange);
+    if (lastFloorChange && side) {
+      lastFloorChange.instruction = `${describeStep(lastFloorChange)}, ${label}${side}`;
+    }
+  } else if (room && room.floor !== null && room.floor !== undefined) {
+    // No indoor map for this building yet
+    arrivalNote = capitalize(`${getRoomLabel(room)} is on Floor ${room.floor}`);
+  }
+
+  steps.push({
+    maneuver: 'arrive',
+    name: null,
+    note: arrivalNote,
+    landmark: null,
+    distance: 0,
+    coordinate: destination,
+    instruction: arrival,
+  });
+
+  return steps.map(step => ({
+    maneuver: step.maneuver,
+    instruction: step.instruction || describeStep(step),
+    note: step.note,
+    distance: step.distance,
+    distanceText: step.distance > 0 ? formatDistance(step.distance) : null,
+    coordinate: step.coordinate,
+  }));
+};
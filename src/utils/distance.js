@@ -21,14 +21,3 @@ export const calculateDistance = (coord1, coord2) => {
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
   return EARTH_RADIUS_KM * c;
 };
-
-/**
- * Calculate estimated walking time in minutes
- * @param {number} distanceKm - Distance in kilometers
- * @param {number} speedKmPerMin - Walking speed in km per minute (default: 0.083)
- * @returns {number} Estimated time in minutes
- */
-export const calculateWalkingTime = (distanceKm, speedKmPerMin = 0.083) => {
-  return Math.ceil(distanceKm / speedKmPerMin);
-};
-
@@ -0,0 +1,175 @@
+// src/utils/footprints.js - Building outlines for drawing and hit-testing
+//
+// A building's footprint is its real outline (the buildings.footprint GeoJSON,
+// see building-footprints-setup.sql), so L- and U-shaped buildings are drawn
+// and tapped as they are. Buildings without one fall back to the rectangle
+// from width_meters, height_meters and rotation_degrees. Drawing, map taps and
+// "which building am I in" all use getBuildingFootprint(), so they agree.
+
+import { metersToLatDegrees, metersToLngDegrees } from './geometry';
+
+// Footprints already worked out, per building object
+const footprintCache = new WeakMap();
+
+/**
+ * Rectangle around a building's center from its dimensions
+ * Supports rotation for buildings that aren't aligned with north.
+ * @param {Object} building - Building (see src/models/building.js)
+ * @returns {Array} Corners [{latitude, longitude}]
+ */
+export const getRectangleFootprint = (building) => {
+  const lat = parseFloat(building.latitude);
+  const lng = parseFloat(building.longitude);
+
+  // Get dimensions from database or use defaults (in meters)
+  const widthMeters = parseFloat(building.width_meters) || 20.0;
+  const heightMeters = parseFloat(building.height_meters) || 20.0;
+  const rotationDeg = parseFloat(building.rotation_degrees) || 0.0;
+
+  // Convert meters to degrees (accounting for latitude)
+  const halfWidthDeg = metersToLngDegrees(widthMeters / 2, lat);
+  const halfHeightDeg = metersToLatDegrees(heightMeters / 2);
+
+  // Corners relative to center: x = longitude offset, y = latitude offset
+  const corners = [
+    { x: -halfWidthDeg, y: halfHeightDeg }, // top-left
+    { x: halfWidthDeg, y: halfHeightDeg }, // top-right
+    { x: halfWidthDeg, y: -halfHeightDeg }, // bottom-right
+    { x: -halfWidthDeg, y: -halfHeightDeg }, // bottom-left
+  ];
+
+  // Rotate around the center only if significant
+  const radians = Math.abs(rotationDeg) > 0.01 ? (rotationDeg * Math.PI) / 180 : 0;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+
+  return corners.map(corner => ({
+    latitude: lat + corner.x * sin + corner.y * cos,
+    longitude: lng + corner.x * cos - corner.y * sin,
+  }));
+};
+
+/**
+ * A GeoJSON ring ([lng, lat] pairs) as map coordinates, without the closing point
+ * @param {Array} ring - GeoJSON linear ring
+ * @returns {Array} Coordinates [{latitude, longitude}]
+ */
+const ringToCoordinates = (ring) => {
+  const coordinates = ring.map(([longitude, latitude]) => ({ latitude, longitude }));
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+  if (coordinates.length > 1 && first.latitude === last.latitude && first.longitude === last.longitude) {
+    coordinates.pop();
+  }
+  return coordinates;
+};
+
+/**
+ * Map polygons from a GeoJSON Polygon or MultiPolygon
+ * @param {Object|null} geometry - GeoJSON geometry
+ * @returns {Array} Polygons { coordinates, holes }, empty if there is no usable outline
+ */
+export const geoJsonToPolygons = (geometry) => {
+  if (!geometry) return [];
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+  return polygons
+    .map(rings => ({
+      coordinates: ringToCoordinates(rings[0] || []),
+      holes: rings.slice(1).map(ringToCoordinates).filter(hole => hole.length >= 3),
+    }))
+    .filter(polygon => polygon.coordinates.length >= 3);
+};
+
+/**
+ * The outline of a building: its real footprint, or the rectangle fallback
+ * @param {Object} building - Building (see src/models/building.js)
+ * @returns {Array} Polygons { coordinates, holes }
+ */
+export const getBuildingFootprint = (building) => {
+  if (footprintCache.has(building)) return footprintCache.get(building);
+
+  const polygons = geoJsonToPolygons(building.footprint);
+  const footprint = polygons.length > 0
+    ? polygons
+    : [{ coordinates: getRectangleFootprint(building), holes: [] }];
+  footprintCache.set(building, footprint);
+  return footprint;
+};
+
+/**
+ * Whether a point is inside a ring (ray casting; fine at campus scale)
+ * @param {Object} point - {latitude, longitude}
+ * @param {Array} ring - Coordinates [{latitude, longitude}]
+ * @returns {boolean} True if inside
+ */
+export const isPointInRing = (point, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude);
+    if (crosses) {
+      const longitudeAtCrossing = a.longitude
+        + ((point.latitude - a.latitude) / (b.latitude - a.latitude)) * (b.longitude - a.longitude);
+      if (point.longitude < longitudeAtCrossing) inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether a point is inside a building's footprint (not in a courtyard)
+ * @param {Object} point - {latitude, longitude}
+ * @param {Object} building - Building
+ * @returns {boolean} True if inside
+ */
+export const isPointInBuilding = (point, building) => getBuildingFootprint(building).some(polygon => (
+  isPointInRing(point, polygon.coordinates) && !polygon.holes.some(hole => isPointInRing(point, hole))
+));
+
+/**
+ * Area of a ring in square degrees of latitude, only for comparing footprints
+ * @param {Array} ring - Coordinates [{latitude, longitude}]
+ * @returns {number} Area
+ */
+const ringArea = (ring) => {
+  const lngScale = Math.cos((ring[0].latitude * Math.PI) / 180);
+  let twiceArea = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    twiceArea += (ring[j].longitude * ring[i].latitude - ring[i].longitude * ring[j].latitude) * lngScale;
+  }
+  return Math.abs(twiceArea) / 2;
+};
+
+/**
+ * Size of a building's footprint, only for comparing buildings (e.g. which is bigger)
+ * @param {Object} building - Building
+ * @returns {number} Area in square degrees of latitude
+ */
+export const getFootprintArea = (building) => getBuildingFootprint(building)
+  .reduce((total, polygon) => total + ringArea(polygon.coordinates), 0);
+
+/**
+ * The building a point is in, e.g. a map tap or the user's position
+ * When footprints overlap (a wing drawn inside a larger hall), the smaller one wins.
+ * @param {Object} point - {latitude, longitude}
+ * @param {Array} buildings - Buildings
+ * @returns {Object|null} Building, or null if outside every building
+ */
+export const findBuildingAt = (point, buildings) => {
+  if (!point || point.latitude == null || point.longitude == null) return null;
+
+  let best = null;
+  let bestArea = Infinity;
+  buildings.forEach((building) => {
+    const hasShape = building.footprint || (building.latitude != null && building.longitude != null);
+    if (!hasShape || !isPointInBuilding(point, building)) return;
+    const area = getFootprintArea(building);
+    if (area < bestArea) {
+      best = building;
+      bestArea = area;
+    }
+  });
+  return best;
+};
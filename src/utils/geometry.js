@@ -0,0 +1,246 @@
+// src/utils/geometry.js - Route geometry: projection, simplification and polyline encoding
+//
+// Routes are arrays of {latitude, longitude}. At campus scale a local
+// flat-earth approximation is accurate to well under a meter, so the helpers
+// below work in meters around the point of interest.
+
+import { calculateDistance } from './distance';
+import { ROUTE_SIMPLIFY_TOLERANCE_M } from '../constants/config';
+
+// Meters per degree of latitude (approximate, fine at campus scale)
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Convert a north-south distance to degrees of latitude
+ * @param {number} meters - Distance in meters
+ * @returns {number} Degrees of latitude
+ */
+export const metersToLatDegrees = (meters) => meters / METERS_PER_DEGREE;
+
+/**
+ * Convert an east-west distance to degrees of longitude
+ * @param {number} meters - Distance in meters
+ * @param {number} latitude - Latitude where the distance is measured
+ * @returns {number} Degrees of longitude
+ */
+export const metersToLngDegrees = (meters, latitude) => (
+  meters / (METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180))
+);
+
+/**
+ * Calculate the initial compass bearing from one coordinate to another
+ * @param {Object} from - Start coordinate {latitude, longitude}
+ * @param {Object} to - End coordinate {latitude, longitude}
+ * @returns {number} Bearing in degrees (0 = north, 90 = east)
+ */
+export const calculateBearing = (from, to) => {
+  const lat1 = from.latitude * Math.PI / 180;
+  const lat2 = to.latitude * Math.PI / 180;
+  const dLon = (to.longitude - from.longitude) * Math.PI / 180;
+
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+  const bearing = Math.atan2(y, x) * 180 / Math.PI;
+  return (bearing + 360) % 360;
+};
+
+/**
+ * Coordinate part way between two coordinates
+ * @param {Object} a - Start coordinate
+ * @param {Object} b - End coordinate
+ * @param {number} ratio - 0 = a, 1 = b
+ * @returns {Object} Coordinate {latitude, longitude}
+ */
+export const interpolateCoordinate = (a, b, ratio) => ({
+  latitude: a.latitude + (b.latitude - a.latitude) * ratio,
+  longitude: a.longitude + (b.longitude - a.longitude) * ratio,
+});
+
+/**
+ * Project a point onto a line segment using a local flat-earth approximation
+ * @param {Object} point - Coordinate {latitude, longitude}
+ * @param {Object} a - Segment start
+ * @param {Object} b - Segment end
+ * @returns {Object} { coordinate, ratio, distance } distance in km from point to segment
+ */
+export const projectOntoSegment = (point, a, b) => {
+  const cosLat = Math.cos(point.latitude * Math.PI / 180);
+  const ax = (a.longitude - point.longitude) * cosLat * METERS_PER_DEGREE;
+  const ay = (a.latitude - point.latitude) * METERS_PER_DEGREE;
+  const bx = (b.longitude - point.longitude) * cosLat * METERS_PER_DEGREE;
+  const by = (b.latitude - point.latitude) * METERS_PER_DEGREE;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const ratio = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+
+  const coordinate = interpolateCoordinate(a, b, ratio);
+
+  return { coordinate, ratio, distance: calculateDistance(point, coordinate) };
+};
+
+/**
+ * Distance from the start of a polyline to each of its points
+ * @param {Array} coordinates - Polyline
+ * @returns {Array} Cumulative distances in km, same length as coordinates
+ */
+export const getCumulativeDistances = (coordinates) => {
+  const distances = [];
+  let total = 0;
+
+  coordinates.forEach((coord, index) => {
+    if (index > 0) total += calculateDistance(coordinates[index - 1], coord);
+    distances.push(total);
+  });
+
+  return distances;
+};
+
+/**
+ * Find the point a given distance along a polyline
+ * @param {Array} coordinates - Polyline
+ * @param {number} distanceKm - Distance from the start in km (clamped to the polyline)
+ * @param {Array} cumulative - getCumulativeDistances(coordinates), if already known
+ * @returns {Object|null} { coordinate, segmentIndex }, or null for an empty polyline
+ */
+export const getPointAtDistance = (coordinates, distanceKm, cumulative = getCumulativeDistances(coordinates)) => {
+  if (coordinates.length === 0) return null;
+  if (coordinates.length === 1 || distanceKm <= 0) {
+    return { coordinate: coordinates[0], segmentIndex: 0 };
+  }
+
+  const lastIndex = coordinates.length - 1;
+  if (distanceKm >= cumulative[lastIndex]) {
+    return { coordinate: coordinates[lastIndex], segmentIndex: lastIndex - 1 };
+  }
+
+  // Binary search for the segment containing the distance
+  let low = 0;
+  let high = lastIndex;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (cumulative[mid] <= distanceKm) low = mid;
+    else high = mid;
+  }
+
+  const segmentLength = cumulative[high] - cumulative[low];
+  const ratio = segmentLength === 0 ? 0 : (distanceKm - cumulative[low]) / segmentLength;
+  return {
+    coordinate: interpolateCoordinate(coordinates[low], coordinates[high], ratio),
+    segmentIndex: low,
+  };
+};
+
+/**
+ * Drop points that barely change a polyline's shape (Douglas-Peucker)
+ * The first and last points are always kept.
+ * @param {Array} coordinates - Polyline
+ * @param {number} toleranceMeters - Max distance a dropped point may be from the simplified line
+ * @returns {Array} Simplified polyline
+ */
+export const simplifyPolyline = (coordinates, toleranceMeters = ROUTE_SIMPLIFY_TOLERANCE_M) => {
+  if (coordinates.length <= 2) return coordinates;
+
+  const toleranceKm = toleranceMeters / 1000;
+  const keep = new Array(coordinates.length).fill(false);
+  keep[0] = true;
+  keep[coordinates.length - 1] = true;
+
+  // Iterative so long router geometries can't overflow the stack
+  const stack = [[0, coordinates.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthestIndex = -1;
+    let farthestDistance = toleranceKm;
+
+    for (let i = first + 1; i < last; i++) {
+      const { distance } = projectOntoSegment(coordinates[i], coordinates[first], coordinates[last]);
+      if (distance > farthestDistance) {
+        farthestIndex = i;
+        farthestDistance = distance;
+      }
+    }
+
+    if (farthestIndex !== -1) {
+      keep[farthestIndex] = true;
+      stack.push([first, farthestIndex], [farthestIndex, last]);
+    }
+  }
+
+  return coordinates.filter((coord, index) => keep[index]);
+};
+
+const encodeValue = (value) => {
+  let remaining = value < 0 ? ~(value << 1) : (value << 1);
+  let encoded = '';
+  while (remaining >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+  return encoded + String.fromCharCode(remaining + 63);
+};
+
+/**
+ * Encode a polyline in Google's encoded polyline format
+ * @param {Array} coordinates - Array of {latitude, longitude}
+ * @param {number} precision - Decimal places (5 for Google/OSRM, 6 for Valhalla)
+ * @returns {string} Encoded polyline
+ */
+export const encodePolyline = (coordinates, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let encoded = '';
+  let lastLat = 0;
+  let lastLng = 0;
+
+  coordinates.forEach(coord => {
+    const lat = Math.round(coord.latitude * factor);
+    const lng = Math.round(coord.longitude * factor);
+    encoded += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+    lastLat = lat;
+    lastLng = lng;
+  });
+
+  return encoded;
+};
+
+/**
+ * Decode a Google-style encoded polyline
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Decimal places (5 for Google/OSRM, 6 for Valhalla)
+ * @returns {Array} Array of {latitude, longitude}
+ */
+export const decodePolyline = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    result = 0;
+    shift = 0;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    coordinates.push({ latitude: lat / factor, longitude: lng / factor });
+  }
+
+  return coordinates;
+};
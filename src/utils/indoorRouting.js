@@ -0,0 +1,78 @@
+// src/utils/indoorRouting.js - Routes that continue inside a building to a room's door
+
+import { calculateRoute, getCampusNetwork, getBundledWalkwayPaths, findGraphRoute } from './routing';
+
+/**
+ * Work out which side the room's door is on when arriving at it
+ * door_side is stored for walking the corridor in increasing waypoint sequence.
+ * @param {Object} route - Route from findGraphRoute ending at the door node
+ * @param {string} doorSide - 'left' or 'right' from the locations table
+ * @returns {string|null} Side as seen by the walker, or null if unknown
+ */
+const getArrivalSide = (route, doorSide) => {
+  if (!doorSide || !route.nodes || route.nodes.length < 2) return null;
+
+  const door = route.nodes[route.nodes.length - 1];
+  const previous = route.nodes[route.nodes.length - 2];
+  if (previous.pathId !== door.pathId || previous.sequence === door.sequence) return null;
+
+  if (previous.sequence < door.sequence) return doorSide;
+  return doorSide === 'left' ? 'right' : 'left';
+};
+
+/**
+ * Calculate a route to a room: outdoors to an entrance, then stairs or elevator
+ * to the room's floor and along the corridor to its door.
+ * Rooms without a mapped door (locations.waypoint_id) get a normal route to the
+ * building, with the floor and room number added to the arrival instruction.
+ * @param {Object} start - Start coordinate {latitude, longitude}
+ * @param {Object} destination - { latitude, longitude, name, room: { waypoint_id, door_side, floor, room_number, name } }
+ * @param {Object} options - { accessible: true for a step-free route (elevators, no stairs),
+ *   sourceNodeIds: graph nodes to leave from, e.g. the door of the previous room (see findGraphRoute) }
+ * @returns {Promise<Object>} Route data with room, roomSide and isIndoorRoute
+ */
+export const calculateRoomRoute = async (start, destination, options = {}) => {
+  const { accessible = false, sourceNodeIds = null } = options;
+  const room = destination.room || null;
+
+  if (room && room.waypoint_id) {
+    try {
+      const network = await getCampusNetwork();
+      const paths = [...network.paths, ...getBundledWalkwayPaths()];
+      const doorNodeId = `wp-${room.waypoint_id}`;
+      const door = network.paths
+        .flatMap(path => path.waypoints || [])
+        .find(wp => wp.id === room.waypoint_id);
+
+      if (door) {
+        const route = findGraphRoute(
+          start,
+          { latitude: parseFloat(door.latitude), longitude: parseFloat(door.longitude) },
+          paths,
+          network.connections,
+          { accessible, sourceNodeIds, targetNodeIds: [doorNodeId] }
+        );
+
+        if (route) {
+          console.log(`🚪 Indoor route to ${room.name} (floor ${room.floor})`);
+          return {
+            ...route,
+            isFromCache: network.fromCache,
+            provider: 'custom',
+            providerLabel: 'Campus Paths',
+            isIndoorRoute: true,
+            room,
+            roomSide: getArrivalSide(route, room.door_side),
+          };
+        }
+        console.log('⚠️ Room door is not connected to the path network, routing to the building');
+      }
+    } catch (error) {
+      console.error('Error calculating indoor route:', error);
+    }
+  }
+
+  // No mapped door: route to the building and say which floor to go to
+  const route = await calculateRoute(start, destination, { accessible, sourceNodeIds });
+  return { ...route, isIndoorRoute: false, room, roomSide: null };
+};
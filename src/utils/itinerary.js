@@ -0,0 +1,216 @@
+// src/utils/itinerary.js - Multi-stop trips (e.g. Registrar → Cashier → Dean's Office → Library)
+
+import { calculateDistance } from './distance';
+import { calculateRoute, getCampusNetwork, getBundledWalkwayPaths, findGraphRoute } from './routing';
+import { calculateRoomRoute } from './indoorRouting';
+
+// Above this many stops, trying every order gets slow; use nearest neighbour + 2-opt instead
+const MAX_EXACT_STOPS = 7;
+
+/**
+ * Turn a building, room or selected map location into an itinerary stop
+ * @param {Object} item - Building from mapService, or a selectedLocation ({ id, name, latitude, longitude, room })
+ * @returns {Object} Stop { key, id, name, code, latitude, longitude, room }
+ */
+export const toItineraryStop = (item) => {
+  const room = item.room || null;
+  const id = String(item.id);
+
+  return {
+    key: room ? `room-${room.id}` : `building-${id}`,
+    id,
+    name: room ? `${room.name} (${item.name})` : item.name,
+    code: item.code || null,
+    latitude: parseFloat(item.latitude),
+    longitude: parseFloat(item.longitude),
+    room,
+  };
+};
+
+/**
+ * Walking distances between every pair of points over the campus network
+ * Falls back to straight-line distance for pairs the network does not connect.
+ * @param {Array} points - Coordinates {latitude, longitude}
+ * @param {Object} options - { accessible }
+ * @returns {Promise<Array>} Matrix of distances in km, matrix[i][j] = from i to j
+ */
+export const getWalkingDistanceMatrix = async (points, options = {}) => {
+  const network = await getCampusNetwork();
+  const paths = [...network.paths, ...getBundledWalkwayPaths()];
+
+  return points.map((from, i) => points.map((to, j) => {
+    if (i === j) return 0;
+    const route = paths.length > 0
+      ? findGraphRoute(from, to, paths, network.connections, options)
+      : null;
+    return route ? route.distance : calculateDistance(from, to);
+  }));
+};
+
+/**
+ * Length of an open tour (no return to the start)
+ * @param {Array} order - Point indexes in visiting order
+ * @param {Array} matrix - Distance matrix
+ * @returns {number} Total distance in km
+ */
+const getTourLength = (order, matrix) => {
+  let total = 0;
+  for (let i = 0; i < order.length - 1; i++) {
+    total += matrix[order[i]][order[i + 1]];
+  }
+  return total;
+};
+
+/**
+ * Try every order of the stops (fine for a handful of stops)
+ * @param {Array} matrix - Distance matrix, index 0 is the start
+ * @returns {Array} Best order of point indexes, starting with 0
+ */
+const findExactOrder = (matrix) => {
+  const stops = matrix.map((_, index) => index).slice(1);
+  let best = { order: [0, ...stops], length: Number.POSITIVE_INFINITY };
+
+  const permute = (remaining, order, length) => {
+    if (length >= best.length) return;
+    if (remaining.length === 0) {
+      best = { order, length };
+      return;
+    }
+    remaining.forEach((stop, index) => {
+      const last = order[order.length - 1];
+      permute(
+        [...remaining.slice(0, index), ...remaining.slice(index + 1)],
+        [...order, stop],
+        length + matrix[last][stop]
+      );
+    });
+  };
+
+  permute(stops, [0], 0);
+  return best.order;
+};
+
+/**
+ * Nearest neighbour tour improved with 2-opt (for longer itineraries)
+ * @param {Array} matrix - Distance matrix, index 0 is the start
+ * @returns {Array} Good order of point indexes, starting with 0
+ */
+const findApproximateOrder = (matrix) => {
+  const unvisited = new Set(matrix.map((_, index) => index).slice(1));
+  const order = [0];
+
+  while (unvisited.size > 0) {
+    const last = order[order.length - 1];
+    let nearest = null;
+    unvisited.forEach(stop => {
+      if (nearest === null || matrix[last][stop] < matrix[last][nearest]) nearest = stop;
+    });
+    order.push(nearest);
+    unvisited.delete(nearest);
+  }
+
+  // Reverse segments while that shortens the tour (the start stays first)
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [
+          ...order.slice(0, i),
+          ...order.slice(i, j + 1).reverse(),
+          ...order.slice(j + 1),
+        ];
+        if (getTourLength(candidate, matrix) < getTourLength(order, matrix) - 1e-9) {
+          order.splice(0, order.length, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return order;
+};
+
+/**
+ * Find the visiting order with the least walking, starting from matrix index 0
+ * @param {Array} matrix - Distance matrix, index 0 is the start
+ * @returns {Array} Order of point indexes, starting with 0
+ */
+export const optimizeStopOrder = (matrix) => {
+  if (matrix.length <= 2) return matrix.map((_, index) => index);
+  return matrix.length - 1 <= MAX_EXACT_STOPS
+    ? findExactOrder(matrix)
+    : findApproximateOrder(matrix);
+};
+
+/**
+ * Plan a trip through several stops
+ * @param {Object} start - Start coordinate {latitude, longitude}
+ * @param {Array} stops - Stops from toItineraryStop(), in the order the user added them
+ * @param {Object} options - { optimize: reorder stops to minimize walking, accessible }
+ * @returns {Promise<Object>} { success, stops, legs, totalDistance, totalDuration, reordered }
+ */
+export const planItinerary = async (start, stops, options = {}) => {
+  const { optimize = true, accessible = false } = options;
+
+  if (!stops || stops.length === 0) {
+    return { success: false, message: 'Add at least one stop to plan a trip.' };
+  }
+
+  let orderedStops = stops;
+  if (optimize && stops.length > 1) {
+    const matrix = await getWalkingDistanceMatrix([start, ...stops], { accessible });
+    const order = optimizeStopOrder(matrix);
+    orderedStops = order.slice(1).map(index => stops[index - 1]);
+  }
+
+  // Each leg is a normal route, so it gets the same providers, directions and navigation
+  const legs = [];
+  let from = { latitude: start.latitude, longitude: start.longitude, name: 'Your location' };
+  let sourceNodeIds = null;
+  for (const stop of orderedStops) {
+    const to = {
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      name: stop.name,
+      room: stop.room,
+      buildingId: stop.id,
+    };
+    const route = stop.room
+      ? await calculateRoomRoute(from, to, { accessible, sourceNodeIds })
+      : await calculateRoute(from, to, { accessible, sourceNodeIds });
+
+    legs.push({
+      index: legs.length,
+      from,
+      to: stop,
+      route,
+      distance: route.success ? route.distance : null,
+      duration: route.success ? route.duration : null,
+    });
+    // Leave from where this leg actually ended. After a room, start at its door node so
+    // the next leg walks back along the corridor, down the stairs and out of the building.
+    from = route.success
+      ? { ...route.coordinates[route.coordinates.length - 1], name: stop.name, buildingId: stop.id }
+      : to;
+    sourceNodeIds = route.success && route.isIndoorRoute ? [`wp-${stop.room.waypoint_id}`] : null;
+  }
+
+  const failedLegs = legs.filter(leg => !leg.route.success);
+  const totalDistance = legs.reduce((sum, leg) => sum + (leg.distance || 0), 0);
+  const totalDuration = legs.reduce((sum, leg) => sum + (leg.duration || 0), 0);
+
+  console.log(`🧭 Planned ${legs.length}-stop trip: ${totalDistance.toFixed(2)} km, ${totalDuration} min`);
+
+  return {
+    success: failedLegs.length === 0,
+    stops: orderedStops,
+    legs,
+    totalDistance,
+    totalDuration,
+    reordered: orderedStops.some((stop, index) => stop.key !== stops[index].key),
+    message: failedLegs.length > 0
+      ? `${failedLegs.length} leg(s) could not be routed: ${failedLegs[0].route.message || 'no route found'}`
+      : null,
+  };
+};
@@ -0,0 +1,85 @@
+// src/utils/mapLabels.js - Placing map labels so they don't overlap
+//
+// Native map markers can't hide themselves when they collide, so labels are
+// laid out here for the current region: each one is projected to the screen,
+// given a box from its text length, and dropped if it would overlap a label
+// with a higher priority. Run it again after every region change.
+
+const CHARACTER_WIDTH = 0.6; // Average character width, as a share of the font size
+const LINE_HEIGHT = 1.4; // Line height, as a share of the font size
+
+/**
+ * Web Mercator y of a latitude (grows northwards)
+ * @param {number} latitude - Degrees
+ * @returns {number} y
+ */
+const mercatorY = (latitude) => {
+  const radians = (latitude * Math.PI) / 180;
+  return Math.log(Math.tan(Math.PI / 4 + radians / 2));
+};
+
+/**
+ * Where a coordinate appears on screen for a map region
+ * @param {Object} coordinate - {latitude, longitude}
+ * @param {Object} region - { latitude, longitude, latitudeDelta, longitudeDelta }
+ * @param {Object} size - Map { width, height } in points
+ * @returns {Object} { x, y } in points from the top-left corner
+ */
+export const projectToScreen = (coordinate, region, size) => {
+  const west = region.longitude - region.longitudeDelta / 2;
+  const top = mercatorY(region.latitude + region.latitudeDelta / 2);
+  const bottom = mercatorY(region.latitude - region.latitudeDelta / 2);
+  return {
+    x: ((coordinate.longitude - west) / region.longitudeDelta) * size.width,
+    y: ((top - mercatorY(coordinate.latitude)) / (top - bottom)) * size.height,
+  };
+};
+
+/**
+ * Approximate size of a one-line label
+ * @param {string} text - Label text
+ * @param {Object} style - { fontSize, paddingHorizontal, paddingVertical }
+ * @returns {Object} { width, height } in points
+ */
+export const estimateLabelSize = (text, { fontSize, paddingHorizontal = 0, paddingVertical = 0 }) => ({
+  width: text.length * fontSize * CHARACTER_WIDTH + paddingHorizontal * 2,
+  height: fontSize * LINE_HEIGHT + paddingVertical * 2,
+});
+
+/**
+ * The labels that fit on screen without overlapping, highest priority first
+ * @param {Array} labels - { key, text, coordinate, priority }
+ * @param {Object} region - Map region
+ * @param {Object} size - Map { width, height } in points
+ * @param {Object} options - { style: see estimateLabelSize, anchor: point of the label on the
+ *   coordinate ({ x: 0.5, y: 0 } = top center, the default), gap: points kept between labels }
+ * @returns {Array} Labels to show
+ */
+export const placeLabels = (labels, region, size, { style, anchor = { x: 0.5, y: 0 }, gap = 0 }) => {
+  const placed = [];
+  const boxes = [];
+
+  [...labels]
+    .sort((a, b) => b.priority - a.priority)
+    .forEach((label) => {
+      const point = projectToScreen(label.coordinate, region, size);
+      const { width, height } = estimateLabelSize(label.text, style);
+      const box = {
+        left: point.x - width * anchor.x - gap / 2,
+        top: point.y - height * anchor.y - gap / 2,
+        right: point.x + width * (1 - anchor.x) + gap / 2,
+        bottom: point.y + height * (1 - anchor.y) + gap / 2,
+      };
+
+      const offScreen = box.right < 0 || box.left > size.width || box.bottom < 0 || box.top > size.height;
+      const overlaps = boxes.some(other => (
+        box.left < other.right && other.left < box.right && box.top < other.bottom && other.top < box.bottom
+      ));
+      if (offScreen || overlaps) return;
+
+      boxes.push(box);
+      placed.push(label);
+    });
+
+  return placed;
+};
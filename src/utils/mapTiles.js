@@ -0,0 +1,97 @@
+// src/utils/mapTiles.js - Web Mercator tile numbering (the {z}/{x}/{y} of tile URLs) and zoom levels
+
+const TILE_SIZE = 256; // Points per tile at each zoom level
+
+/**
+ * Tile column containing a longitude
+ * @param {number} longitude - Degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile x
+ */
+export const longitudeToTileX = (longitude, zoom) => {
+  const tiles = 2 ** zoom;
+  return Math.min(tiles - 1, Math.max(0, Math.floor(((longitude + 180) / 360) * tiles)));
+};
+
+/**
+ * Tile row containing a latitude (rows count down from the north)
+ * @param {number} latitude - Degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile y
+ */
+export const latitudeToTileY = (latitude, zoom) => {
+  const tiles = 2 ** zoom;
+  const radians = (latitude * Math.PI) / 180;
+  const y = ((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * tiles;
+  return Math.min(tiles - 1, Math.max(0, Math.floor(y)));
+};
+
+/**
+ * Tiles covering an area at one zoom level
+ * @param {Object} bounds - { northEast, southWest } coordinates, like CAMPUS_BOUNDARIES
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { zoom, minX, maxX, minY, maxY, count }
+ */
+export const getTileRange = (bounds, zoom) => {
+  const minX = longitudeToTileX(bounds.southWest.longitude, zoom);
+  const maxX = longitudeToTileX(bounds.northEast.longitude, zoom);
+  const minY = latitudeToTileY(bounds.northEast.latitude, zoom);
+  const maxY = latitudeToTileY(bounds.southWest.latitude, zoom);
+  return { zoom, minX, maxX, minY, maxY, count: (maxX - minX + 1) * (maxY - minY + 1) };
+};
+
+/**
+ * Every tile covering an area from one zoom level to another
+ * @param {Object} bounds - { northEast, southWest }
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {Array} Tiles { z, x, y }, lowest zoom first
+ */
+export const listTiles = (bounds, minZoom, maxZoom) => {
+  const tiles = [];
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const range = getTileRange(bounds, zoom);
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        tiles.push({ z: zoom, x, y });
+      }
+    }
+  }
+  return tiles;
+};
+
+/**
+ * Fill a tile URL template ({z}, {x}, {y}, and {s} for a subdomain)
+ * @param {string} template - e.g. "https://tile.example.org/{z}/{x}/{y}.png"
+ * @param {Object} tile - { z, x, y }
+ * @returns {string} URL
+ */
+export const tileUrl = (template, tile) => template
+  .replace('{s}', 'abc'[(tile.x + tile.y) % 3])
+  .replace('{z}', tile.z)
+  .replace('{x}', tile.x)
+  .replace('{y}', tile.y);
+
+/**
+ * Zoom level a map region is shown at
+ * @param {Object} region - { longitudeDelta } as given to onRegionChangeComplete
+ * @param {number} width - Width of the map in points
+ * @returns {number} Zoom level (fractional)
+ */
+export const regionToZoom = (region, width) => Math.log2((360 * width) / (TILE_SIZE * region.longitudeDelta));
+
+/**
+ * Position of a coordinate on the whole-world map at a zoom level
+ * Differences between two points are their distance on screen at that zoom.
+ * @param {Object} coordinate - {latitude, longitude}
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y } in points from the north-west corner of the world
+ */
+export const coordinateToWorldPoint = (coordinate, zoom) => {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const radians = (coordinate.latitude * Math.PI) / 180;
+  return {
+    x: ((coordinate.longitude + 180) / 360) * worldSize,
+    y: ((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * worldSize,
+  };
+};
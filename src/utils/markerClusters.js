@@ -0,0 +1,76 @@
+// src/utils/markerClusters.js - Grouping and culling map markers for level of detail
+//
+// Clusters are worked out per whole zoom level, so they only change when the
+// zoom does, not on every pan; culling keeps the markers that are (nearly) on
+// screen. Together they keep the number of native markers small however many
+// buildings and rooms the campus has.
+
+import { coordinateToWorldPoint } from './mapTiles';
+
+const MIN_CLUSTER_DELTA = 0.0008; // Closest zoom when opening a cluster (about 90m across)
+
+/**
+ * Group items that would be drawn within `radius` points of each other
+ * An item joins the first group whose first item is close enough, so groups
+ * don't drift as items are added.
+ * @param {Array} items - Items with id, latitude and longitude
+ * @param {number} zoom - Map zoom level (rounded down)
+ * @param {number} radius - Distance on screen in points
+ * @returns {Array} Clusters { key, latitude, longitude, items }, centered on their items
+ */
+export const clusterItems = (items, zoom, radius) => {
+  const level = Math.floor(zoom);
+  const groups = [];
+
+  items.forEach((item) => {
+    const point = coordinateToWorldPoint(item, level);
+    const group = groups.find(candidate => (
+      Math.hypot(candidate.point.x - point.x, candidate.point.y - point.y) <= radius
+    ));
+    if (group) group.items.push(item);
+    else groups.push({ point, items: [item] });
+  });
+
+  return groups.map(group => ({
+    key: `cluster-${group.items[0].id}`,
+    latitude: group.items.reduce((sum, item) => sum + item.latitude, 0) / group.items.length,
+    longitude: group.items.reduce((sum, item) => sum + item.longitude, 0) / group.items.length,
+    items: group.items,
+  }));
+};
+
+/**
+ * Region showing every item of a cluster, for zooming in when it is tapped
+ * @param {Object} cluster - Cluster from clusterItems
+ * @returns {Object} { latitude, longitude, latitudeDelta, longitudeDelta }
+ */
+export const getClusterRegion = (cluster) => {
+  const latitudes = cluster.items.map(item => item.latitude);
+  const longitudes = cluster.items.map(item => item.longitude);
+  const north = Math.max(...latitudes);
+  const south = Math.min(...latitudes);
+  const east = Math.max(...longitudes);
+  const west = Math.min(...longitudes);
+  return {
+    latitude: (north + south) / 2,
+    longitude: (east + west) / 2,
+    latitudeDelta: Math.max((north - south) * 1.5, MIN_CLUSTER_DELTA),
+    longitudeDelta: Math.max((east - west) * 1.5, MIN_CLUSTER_DELTA),
+  };
+};
+
+/**
+ * Items inside a map region, or just outside it
+ * @param {Array} items - Items with latitude and longitude
+ * @param {Object} region - { latitude, longitude, latitudeDelta, longitudeDelta }
+ * @param {number} margin - Extra room around the region, as a share of its size
+ * @returns {Array} Items in view
+ */
+export const filterToRegion = (items, region, margin = 0) => {
+  const halfLatitude = (region.latitudeDelta / 2) * (1 + margin * 2);
+  const halfLongitude = (region.longitudeDelta / 2) * (1 + margin * 2);
+  return items.filter(item => (
+    Math.abs(item.latitude - region.latitude) <= halfLatitude
+    && Math.abs(item.longitude - region.longitude) <= halfLongitude
+  ));
+};
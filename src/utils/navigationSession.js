@@ -0,0 +1,95 @@
+// src/utils/navigationSession.js - Progress tracking for live turn-by-turn navigation
+
+import { calculateDistance } from './distance';
+import { projectOntoSegment, getCumulativeDistances } from './geometry';
+import { estimateWalkingTime } from './walkingProfile';
+import { OFF_ROUTE_THRESHOLD_KM, ARRIVAL_RADIUS_KM } from '../constants/config';
+
+/**
+ * Locate a position along a route polyline
+ * @param {Array} coordinates - Route coordinates
+ * @param {Object} position - Current coordinate {latitude, longitude}
+ * @returns {Object} { snapped, distanceFromRoute, distanceAlong, totalDistance, remainingDistance } in km
+ */
+export const getRouteProgress = (coordinates, position) => {
+  const cumulative = getCumulativeDistances(coordinates);
+  let best = null;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const projection = projectOntoSegment(position, coordinates[i], coordinates[i + 1]);
+
+    if (!best || projection.distance < best.distanceFromRoute) {
+      best = {
+        snapped: projection.coordinate,
+        segmentIndex: i,
+        distanceFromRoute: projection.distance,
+        distanceAlong: cumulative[i] + (cumulative[i + 1] - cumulative[i]) * projection.ratio,
+      };
+    }
+  }
+  const totalDistance = cumulative.length > 0 ? cumulative[cumulative.length - 1] : 0;
+
+  if (!best) {
+    const only = coordinates[0] || position;
+    return {
+      snapped: only,
+      segmentIndex: 0,
+      distanceFromRoute: calculateDistance(position, only),
+      distanceAlong: 0,
+      totalDistance: 0,
+      remainingDistance: 0,
+    };
+  }
+
+  return {
+    ...best,
+    totalDistance,
+    remainingDistance: Math.max(0, totalDistance - best.distanceAlong),
+  };
+};
+
+/**
+ * Work out what the walker should see right now
+ * @param {Object} route - Route data from calculateRoute
+ * @param {Array} steps - Directions from getRouteDirections
+ * @param {Object} position - Current coordinate {latitude, longitude}
+ * @returns {Object} Navigation state
+ */
+export const getNavigationState = (route, steps, position) => {
+  const coordinates = route.coordinates || [];
+  const progress = getRouteProgress(coordinates, position);
+  const destination = coordinates[coordinates.length - 1] || position;
+
+  const arrived = calculateDistance(position, destination) <= ARRIVAL_RADIUS_KM || (
+    progress.remainingDistance <= ARRIVAL_RADIUS_KM &&
+    progress.distanceFromRoute <= OFF_ROUTE_THRESHOLD_KM
+  );
+  const offRoute = !arrived && progress.distanceFromRoute > OFF_ROUTE_THRESHOLD_KM;
+
+  // The next maneuver is the first step that starts ahead of us on the route
+  let nextStepIndex = steps.length - 1;
+  let distanceToNextStep = progress.remainingDistance;
+  for (let i = 1; i < steps.length; i++) {
+    const stepAlong = getRouteProgress(coordinates, steps[i].coordinate).distanceAlong;
+    if (stepAlong > progress.distanceAlong) {
+      nextStepIndex = i;
+      distanceToNextStep = stepAlong - progress.distanceAlong;
+      break;
+    }
+  }
+
+  const remainingMinutes = estimateWalkingTime(progress.remainingDistance);
+
+  return {
+    arrived,
+    offRoute,
+    snapped: progress.snapped,
+    distanceFromRoute: progress.distanceFromRoute,
+    remainingDistance: progress.remainingDistance,
+    remainingMinutes,
+    eta: new Date(Date.now() + remainingMinutes * 60000),
+    nextStepIndex,
+    nextStep: steps[nextStepIndex] || null,
+    distanceToNextStep,
+  };
+};
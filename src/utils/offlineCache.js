@@ -0,0 +1,44 @@
+// src/utils/offlineCache.js - AsyncStorage cache of campus data for offline use
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// One entry per synced table, e.g. @evsuemap_sync_buildings
+const DATASET_KEY_PREFIX = '@evsuemap_sync_';
+
+/**
+ * Save a synced dataset
+ * @param {string} name - Dataset name, e.g. 'buildings'
+ * @param {Object} dataset - { items, watermark: latest updated_at seen, syncedAt, fullSyncedAt }
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveDataset = async (name, dataset) => {
+  try {
+    await AsyncStorage.setItem(`${DATASET_KEY_PREFIX}${name}`, JSON.stringify(dataset));
+    return true;
+  } catch (error) {
+    console.error(`Error saving ${name} dataset:`, error);
+    return false;
+  }
+};
+
+/**
+ * Load a synced dataset
+ * @param {string} name - Dataset name, e.g. 'buildings'
+ * @returns {Promise<Object|null>} { items, watermark, syncedAt, fullSyncedAt } or null if never synced
+ */
+export const loadDataset = async (name) => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(`${DATASET_KEY_PREFIX}${name}`);
+    if (jsonValue == null) return null;
+
+    const payload = JSON.parse(jsonValue);
+    return {
+      items: payload.items || [],
+      watermark: payload.watermark || null,
+      syncedAt: payload.syncedAt || null,
+      fullSyncedAt: payload.fullSyncedAt || null,
+    };
+  } catch (error) {
+    console.error(`Error loading ${name} dataset:`, error);
+    return null;
+  }
+};
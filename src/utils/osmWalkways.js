@@ -0,0 +1,82 @@
+// src/utils/osmWalkways.js - Convert OpenStreetMap walkway exports into campus paths
+
+// OSM highway values people can walk on
+const WALKABLE_HIGHWAYS = [
+  'footway',
+  'path',
+  'pedestrian',
+  'steps',
+  'service',
+  'residential',
+  'living_street',
+  'corridor',
+  'track',
+  'unclassified',
+];
+
+/**
+ * Map OSM tags to one of the path_type values used by the paths table
+ * @param {Object} tags - OSM tags
+ * @returns {string} Path type
+ */
+const getPathType = (tags) => {
+  if (tags.highway === 'steps') return 'stairs';
+  if (tags.highway === 'corridor' || tags.indoor === 'yes') return 'corridor';
+  if (tags.covered === 'yes' || tags.tunnel === 'building_passage') return 'covered';
+  if (tags.bridge === 'yes') return 'bridge';
+  if (tags.incline && tags.highway === 'footway') return 'ramp';
+  if (tags.footway === 'sidewalk') return 'sidewalk';
+  if (['service', 'residential', 'living_street', 'unclassified', 'track'].includes(tags.highway)) {
+    return 'road';
+  }
+  return 'walkway';
+};
+
+/**
+ * Convert a GeoJSON export of OSM ways into the path format used by routing
+ * @param {Object} geojson - GeoJSON FeatureCollection of LineStrings
+ * @returns {Array} Paths { path_id, path_name, path_type, is_active, waypoints }
+ */
+export const osmGeoJsonToPaths = (geojson) => {
+  if (!geojson || !Array.isArray(geojson.features)) return [];
+
+  const paths = [];
+
+  geojson.features.forEach((feature, featureIndex) => {
+    const tags = feature.properties || {};
+    const geometry = feature.geometry;
+    if (!geometry || !WALKABLE_HIGHWAYS.includes(tags.highway)) return;
+    if (tags.access === 'private' || tags.access === 'no' || tags.foot === 'no') return;
+
+    const lines = geometry.type === 'LineString'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+
+    const osmId = tags['@id'] || feature.id || featureIndex;
+    const isAccessible = tags.wheelchair !== 'no' && tags.highway !== 'steps';
+
+    lines.forEach((line, lineIndex) => {
+      if (!line || line.length < 2) return;
+
+      const pathId = `osm-${osmId}-${lineIndex}`;
+      paths.push({
+        path_id: pathId,
+        path_name: tags.name || null,
+        path_type: getPathType(tags),
+        is_active: true,
+        is_osm: true,
+        // GeoJSON coordinates are [longitude, latitude]
+        waypoints: line.map(([longitude, latitude], index) => ({
+          id: `${pathId}-${index}`,
+          sequence: index,
+          latitude,
+          longitude,
+          is_accessible: isAccessible,
+          notes: null,
+        })),
+      });
+    });
+  });
+
+  return paths;
+};
@@ -0,0 +1,430 @@
+// src/utils/pathGraph.js - Weighted graph of campus paths for shortest-path routing
+
+import { calculateDistance } from './distance';
+import { projectOntoSegment } from './geometry';
+import { PATH_JUNCTION_TOLERANCE_KM, FLOOR_CHANGE_DISTANCE_KM } from '../constants/config';
+
+/**
+ * Get a stable graph node ID for a waypoint
+ * @param {Object} path - Path the waypoint belongs to
+ * @param {Object} waypoint - Waypoint {id, sequence}
+ * @returns {string} Node ID
+ */
+export const getNodeId = (path, waypoint) => {
+  if (waypoint.id !== undefined && waypoint.id !== null) {
+    return `wp-${waypoint.id}`;
+  }
+  return `wp-${path.path_id}-${waypoint.sequence}`;
+};
+
+/**
+ * Add a directed edge to the graph
+ * @param {Object} graph - Graph from buildPathGraph
+ * @param {string} from - Source node ID
+ * @param {Object} edge - Edge data (must include `to` and `distance` in km)
+ */
+const addEdge = (graph, from, edge) => {
+  if (!graph.edges.has(from)) {
+    graph.edges.set(from, []);
+  }
+  graph.edges.get(from).push(edge);
+};
+
+/**
+ * Extra cost for going between floors (0 when either floor is unknown)
+ * @param {Object} a - Graph node
+ * @param {Object} b - Graph node
+ * @returns {number} Cost in km
+ */
+const getFloorChangeCost = (a, b) => {
+  if (a.floor === null || b.floor === null) return 0;
+  return Math.abs(a.floor - b.floor) * FLOOR_CHANGE_DISTANCE_KM;
+};
+
+/**
+ * Check if two waypoints on different paths may be joined as a junction
+ * Indoor waypoints stacked on different floors share coordinates, so only
+ * waypoints on the same floor are joined. Outdoor waypoints (no floor) only
+ * join indoor ones at an entrance.
+ * @param {Object} a - Graph node
+ * @param {Object} b - Graph node
+ * @returns {boolean} True if they can be joined
+ */
+const canJoinFloors = (a, b) => {
+  if (a.floor === b.floor) return true;
+  if (a.floor === null) return b.isEntrance;
+  if (b.floor === null) return a.isEntrance;
+  return false;
+};
+
+/**
+ * Build a weighted graph from path waypoints and path connections
+ * Consecutive waypoints on a path are joined in both directions, each
+ * path_connections row adds an edge between two paths, and waypoints of
+ * different paths that sit on the same spot (and floor) are joined as a junction.
+ * @param {Array} paths - Paths from getCustomPaths()
+ * @param {Array} connections - Connections from mapService.getPathConnections()
+ * @returns {Object} Graph { nodes: Map<id, node>, edges: Map<id, edge[]> }
+ */
+export const buildPathGraph = (paths = [], connections = []) => {
+  const graph = { nodes: new Map(), edges: new Map() };
+
+  paths.forEach(path => {
+    if (path.is_active === false) return;
+
+    const waypoints = (path.waypoints || [])
+      .slice()
+      .sort((a, b) => a.sequence - b.sequence);
+
+    waypoints.forEach((wp, index) => {
+      const id = getNodeId(path, wp);
+      graph.nodes.set(id, {
+        id,
+        waypointId: wp.id,
+        latitude: parseFloat(wp.latitude),
+        longitude: parseFloat(wp.longitude),
+        sequence: wp.sequence,
+        notes: wp.notes || null,
+        isAccessible: wp.is_accessible !== false,
+        pathId: path.path_id,
+        pathName: path.path_name,
+        pathType: path.path_type,
+        floor: wp.floor === undefined || wp.floor === null ? null : parseInt(wp.floor, 10),
+        isEntrance: wp.is_entrance === true,
+        buildingId: path.building_id || null,
+      });
+
+      if (index === 0) return;
+
+      const prevId = getNodeId(path, waypoints[index - 1]);
+      const prevNode = graph.nodes.get(prevId);
+      const node = graph.nodes.get(id);
+      const distance = calculateDistance(prevNode, node) + getFloorChangeCost(prevNode, node);
+      const edgeData = {
+        distance,
+        kind: 'path',
+        pathId: path.path_id,
+        pathName: path.path_name,
+        pathType: path.path_type,
+        isAccessible: wp.is_accessible !== false && waypoints[index - 1].is_accessible !== false,
+      };
+
+      addEdge(graph, prevId, { ...edgeData, to: id });
+      addEdge(graph, id, { ...edgeData, to: prevId });
+    });
+  });
+
+  // Explicit connections between paths (admin-defined)
+  connections.forEach(connection => {
+    const fromId = `wp-${connection.from_waypoint_id}`;
+    const toId = `wp-${connection.to_waypoint_id}`;
+    const fromNode = graph.nodes.get(fromId);
+    const toNode = graph.nodes.get(toId);
+
+    // Skip connections to inactive paths
+    if (!fromNode || !toNode) return;
+
+    const distance = connection.distance_meters
+      ? connection.distance_meters / 1000
+      : calculateDistance(fromNode, toNode) + getFloorChangeCost(fromNode, toNode);
+    const edgeData = {
+      distance,
+      kind: 'connection',
+      connectionType: connection.type || 'walkway',
+      isAccessible: connection.is_accessible !== false,
+      notes: connection.notes || null,
+    };
+
+    addEdge(graph, fromId, { ...edgeData, to: toId });
+    if (connection.is_bidirectional !== false) {
+      addEdge(graph, toId, { ...edgeData, to: fromId });
+    }
+  });
+
+  // Implicit junctions: paths drawn to meet at the same point.
+  // Nodes are bucketed into a grid so large networks (e.g. OSM exports) stay fast.
+  const cellSize = PATH_JUNCTION_TOLERANCE_KM / 100; // Slightly larger than the tolerance in degrees
+  const cellKey = (x, y) => `${x}:${y}`;
+  const grid = new Map();
+
+  graph.nodes.forEach(node => {
+    const x = Math.floor(node.longitude / cellSize);
+    const y = Math.floor(node.latitude / cellSize);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (grid.get(cellKey(x + dx, y + dy)) || []).forEach(other => {
+          if (other.pathId === node.pathId || !canJoinFloors(node, other)) return;
+
+          const distance = calculateDistance(node, other);
+          if (distance <= PATH_JUNCTION_TOLERANCE_KM) {
+            const isAccessible = node.isAccessible && other.isAccessible;
+            addEdge(graph, node.id, { to: other.id, distance, kind: 'junction', isAccessible });
+            addEdge(graph, other.id, { to: node.id, distance, kind: 'junction', isAccessible });
+          }
+        });
+      }
+    }
+
+    const key = cellKey(x, y);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(node);
+  });
+
+  return graph;
+};
+
+/**
+ * Find the nearest node on each path within a radius of a coordinate
+ * @param {Object} graph - Graph from buildPathGraph
+ * @param {Object} coord - Coordinate {latitude, longitude}
+ * @param {number} radiusKm - Maximum distance in km
+ * @param {Function} filter - Optional node filter, e.g. to skip stairs
+ * @returns {Array} Array of { nodeId, distance } sorted by distance
+ */
+export const findNearestNodes = (graph, coord, radiusKm, filter = null) => {
+  const nearestByPath = new Map();
+
+  graph.nodes.forEach(node => {
+    if (filter && !filter(node)) return;
+
+    const distance = calculateDistance(coord, node);
+    if (distance > radiusKm) return;
+
+    const current = nearestByPath.get(node.pathId);
+    if (!current || distance < current.distance) {
+      nearestByPath.set(node.pathId, { nodeId: node.id, distance });
+    }
+  });
+
+  return Array.from(nearestByPath.values()).sort((a, b) => a.distance - b.distance);
+};
+
+// Projections closer than this to a waypoint just use the waypoint
+const SNAP_VERTEX_TOLERANCE_KM = 0.0005;
+
+/**
+ * Snap a coordinate onto the nearest point of each path's segments
+ * Unlike findNearestNodes this can land between two waypoints: a temporary
+ * node is added to the graph there, joined to both ends of the segment.
+ * @param {Object} graph - Graph from buildPathGraph (modified in place)
+ * @param {Object} coord - Coordinate {latitude, longitude}
+ * @param {number} radiusKm - Maximum distance in km
+ * @param {Function} filter - Optional node filter; both ends of a segment must pass
+ * @param {string} prefix - ID prefix for the temporary nodes, unique per call
+ * @returns {Array} Array of { nodeId, distance } sorted by distance, one per path
+ */
+export const snapToNearestSegments = (graph, coord, radiusKm, filter = null, prefix = 'snap') => {
+  const nearestByPath = new Map();
+  const seen = new Set();
+
+  graph.edges.forEach((edges, fromId) => {
+    edges.forEach(edge => {
+      if (edge.kind !== 'path') return;
+
+      const pairKey = fromId < edge.to ? `${fromId}|${edge.to}` : `${edge.to}|${fromId}`;
+      if (seen.has(pairKey)) return;
+      seen.add(pairKey);
+
+      const a = graph.nodes.get(fromId);
+      const b = graph.nodes.get(edge.to);
+      if (filter && (!filter(a) || !filter(b))) return;
+
+      const projection = projectOntoSegment(coord, a, b);
+      if (projection.distance > radiusKm) return;
+
+      const current = nearestByPath.get(edge.pathId);
+      if (!current || projection.distance < current.projection.distance) {
+        nearestByPath.set(edge.pathId, { a, b, edge, projection, pairKey });
+      }
+    });
+  });
+
+  const results = [];
+  nearestByPath.forEach(({ a, b, edge, projection, pairKey }, pathId) => {
+    const { coordinate, ratio, distance } = projection;
+
+    // Landed on (or right next to) a waypoint
+    if (calculateDistance(coordinate, a) <= SNAP_VERTEX_TOLERANCE_KM) {
+      results.push({ nodeId: a.id, distance: calculateDistance(coord, a) });
+      return;
+    }
+    if (calculateDistance(coordinate, b) <= SNAP_VERTEX_TOLERANCE_KM) {
+      results.push({ nodeId: b.id, distance: calculateDistance(coord, b) });
+      return;
+    }
+
+    const id = `${prefix}-${pathId}`;
+    graph.nodes.set(id, {
+      ...a,
+      id,
+      waypointId: null,
+      latitude: coordinate.latitude,
+      longitude: coordinate.longitude,
+      sequence: a.sequence + (b.sequence - a.sequence) * ratio,
+      notes: null,
+      isEntrance: false,
+      isAccessible: a.isAccessible && b.isAccessible,
+      isVirtual: true,
+    });
+
+    [a, b].forEach(end => {
+      const part = { ...edge, distance: calculateDistance(coordinate, end) };
+      addEdge(graph, id, { ...part, to: end.id });
+      addEdge(graph, end.id, { ...part, to: id });
+    });
+
+    // Start and end on the same segment: walk straight between them
+    if (!graph.snapped) graph.snapped = new Map();
+    (graph.snapped.get(pairKey) || []).forEach(otherId => {
+      const part = { ...edge, distance: calculateDistance(coordinate, graph.nodes.get(otherId)) };
+      addEdge(graph, id, { ...part, to: otherId });
+      addEdge(graph, otherId, { ...part, to: id });
+    });
+    graph.snapped.set(pairKey, [...(graph.snapped.get(pairKey) || []), id]);
+
+    results.push({ nodeId: id, distance });
+  });
+
+  return results.sort((x, y) => x.distance - y.distance);
+};
+
+/**
+ * Minimal binary min-heap keyed on `f`, used as the A* open set
+ * @returns {Object} { push(entry), pop() → entry, size() → number }
+ */
+const createMinHeap = () => {
+  const items = [];
+
+  const swap = (i, j) => {
+    const tmp = items[i];
+    items[i] = items[j];
+    items[j] = tmp;
+  };
+
+  return {
+    size: () => items.length,
+    push(entry) {
+      items.push(entry);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].f <= items[i].f) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        while (true) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+          if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+};
+
+/**
+ * A* shortest path search over the path graph
+ * Supports several entry and exit nodes so the approach from the user's
+ * position and the final walk to the destination are part of the search.
+ * @param {Object} graph - Graph from buildPathGraph
+ * @param {Array} sources - Entry nodes [{ nodeId, cost }]
+ * @param {Array} targets - Exit nodes [{ nodeId, cost }]
+ * @param {Object} goal - Destination coordinate, used for the A* heuristic
+ * @param {Object} options - { edgeCost(edge, fromNode, toNode) → number, Infinity to skip,
+ *   heuristicFactor: smallest edgeCost / edge.distance ratio edgeCost can return (default 1),
+ *   so the heuristic never overestimates and the route found is still the cheapest }
+ * @returns {Object|null} { nodeIds, edges, cost, sourceCost, targetCost } or null if unreachable
+ */
+export const findShortestPath = (graph, sources, targets, goal, options = {}) => {
+  const edgeCost = options.edgeCost || (edge => edge.distance);
+  const heuristicFactor = options.heuristicFactor === undefined ? 1 : options.heuristicFactor;
+  const targetCosts = new Map(targets.map(t => [t.nodeId, t.cost]));
+  const heuristic = (nodeId) => (
+    goal ? calculateDistance(graph.nodes.get(nodeId), goal) * heuristicFactor : 0
+  );
+
+  const bestCost = new Map();
+  const previous = new Map();
+  const open = createMinHeap(); // entries { id, f }
+  const closed = new Set();
+
+  sources.forEach(source => {
+    if (!graph.nodes.has(source.nodeId)) return;
+    const known = bestCost.get(source.nodeId);
+    if (known === undefined || source.cost < known) {
+      bestCost.set(source.nodeId, source.cost);
+      open.push({ id: source.nodeId, f: source.cost + heuristic(source.nodeId) });
+    }
+  });
+
+  let best = null;
+
+  while (open.size() > 0) {
+    const { id: currentId, f: currentF } = open.pop();
+
+    // Stale heap entry for a node we already settled
+    if (closed.has(currentId)) continue;
+
+    // Nothing left can beat the best complete route found so far
+    if (best && currentF >= best.cost) break;
+
+    closed.add(currentId);
+
+    const currentCost = bestCost.get(currentId);
+    if (targetCosts.has(currentId)) {
+      const total = currentCost + targetCosts.get(currentId);
+      if (!best || total < best.cost) {
+        best = { nodeId: currentId, cost: total, targetCost: targetCosts.get(currentId) };
+      }
+    }
+
+    (graph.edges.get(currentId) || []).forEach(edge => {
+      if (closed.has(edge.to)) return;
+
+      const cost = edgeCost(edge, graph.nodes.get(currentId), graph.nodes.get(edge.to));
+      if (!Number.isFinite(cost)) return;
+
+      const tentative = currentCost + cost;
+      const known = bestCost.get(edge.to);
+      if (known === undefined || tentative < known) {
+        bestCost.set(edge.to, tentative);
+        previous.set(edge.to, { nodeId: currentId, edge });
+        open.push({ id: edge.to, f: tentative + heuristic(edge.to) });
+      }
+    });
+  }
+
+  if (!best) return null;
+
+  const nodeIds = [best.nodeId];
+  const edges = [];
+  let cursor = best.nodeId;
+  while (previous.has(cursor)) {
+    const step = previous.get(cursor);
+    edges.unshift(step.edge);
+    cursor = step.nodeId;
+    nodeIds.unshift(cursor);
+  }
+
+  return {
+    nodeIds,
+    edges,
+    cost: best.cost,
+    sourceCost: bestCost.get(nodeIds[0]),
+    targetCost: best.targetCost,
+  };
+};
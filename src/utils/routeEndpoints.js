@@ -0,0 +1,129 @@
+// src/utils/routeEndpoints.js - "From" and "To" ends of a planned route
+
+import { mapService } from '../services/mapService';
+
+// Results shown per search in the route planner
+const MAX_SEARCH_RESULTS = 8;
+
+/**
+ * The device's current position as a route end
+ * @param {Object|null} userLocation - {latitude, longitude}, null without permission
+ * @returns {Object} Endpoint { type: 'current', key, name, latitude, longitude }
+ */
+export const currentLocationEndpoint = (userLocation) => ({
+  type: 'current',
+  key: 'current',
+  name: 'Your location',
+  latitude: userLocation ? userLocation.latitude : null,
+  longitude: userLocation ? userLocation.longitude : null,
+});
+
+/**
+ * A building (from mapService) or selected map location as a route end
+ * A selected location with a room becomes a room endpoint.
+ * @param {Object} item - Building, or selectedLocation ({ id, name, code, latitude, longitude, room })
+ * @returns {Object} Endpoint { type, key, name, buildingName, code, latitude, longitude, buildingId, room }
+ */
+export const buildingToEndpoint = (item) => {
+  const buildingId = String(item.id);
+  const name = item.name;
+  const room = item.room || null;
+
+  return {
+    type: room ? 'room' : 'building',
+    key: room ? `room-${room.id}` : `building-${buildingId}`,
+    name: room ? `${room.name} (${name})` : name,
+    buildingName: name,
+    code: item.code || null,
+    latitude: parseFloat(item.latitude),
+    longitude: parseFloat(item.longitude),
+    buildingId,
+    room,
+  };
+};
+
+/**
+ * A room (from mapService) as a route end
+ * @param {Object} room - Room with its building
+ * @returns {Object|null} Endpoint, or null if the room has no building location
+ */
+export const roomToEndpoint = (room) => {
+  if (!room.building) return null;
+
+  return buildingToEndpoint({
+    ...room.building,
+    room: {
+      id: room.id,
+      name: room.name,
+      room_number: room.room_number,
+      floor: room.floor,
+      description: room.description,
+      waypoint_id: room.waypoint_id,
+      door_side: room.door_side,
+    },
+  });
+};
+
+/**
+ * A point tapped on the map as a route end
+ * @param {Object} coordinate - {latitude, longitude}
+ * @returns {Object} Endpoint { type: 'point', key, name, latitude, longitude }
+ */
+export const mapPointToEndpoint = (coordinate) => ({
+  type: 'point',
+  key: `point-${coordinate.latitude.toFixed(6)},${coordinate.longitude.toFixed(6)}`,
+  name: 'Dropped pin',
+  latitude: coordinate.latitude,
+  longitude: coordinate.longitude,
+});
+
+/**
+ * Turn ranked search results into route endpoints
+ * @param {Array} results - SearchResults
+ * @returns {Array} Endpoints, best match first
+ */
+const resultsToEndpoints = results => results
+  .map(result => (result.type === 'room' ? roomToEndpoint(result.item) : buildingToEndpoint(result.item)))
+  .filter(Boolean)
+  .slice(0, MAX_SEARCH_RESULTS);
+
+/**
+ * Search buildings and rooms for the route planner
+ * Answers from the device; onUpdate gets the server's ranking if it arrives.
+ * @param {string} query - Search text
+ * @param {Object} options - { onUpdate }
+ * @returns {Promise<Array>} Endpoints, best match first
+ */
+export const searchEndpoints = async (query, options = {}) => {
+  const { onUpdate } = options;
+  const text = query.trim();
+  if (text.length === 0) return [];
+
+  const results = await mapService.searchCampus(text, {
+    onUpdate: onUpdate && (updated => onUpdate(resultsToEndpoints(updated))),
+  });
+  return resultsToEndpoints(results);
+};
+
+/**
+ * Turn an endpoint into the coordinate calculateRoute() expects
+ * @param {Object} endpoint - Route end
+ * @param {Object|null} userLocation - Current position, used for 'current' endpoints
+ * @returns {Object|null} { latitude, longitude, name, buildingId, room }, or null if unknown
+ */
+export const toRoutePoint = (endpoint, userLocation) => {
+  if (!endpoint) return null;
+  if (endpoint.type === 'current') {
+    return userLocation
+      ? { latitude: userLocation.latitude, longitude: userLocation.longitude, name: endpoint.name }
+      : null;
+  }
+
+  return {
+    latitude: endpoint.latitude,
+    longitude: endpoint.longitude,
+    name: endpoint.name,
+    buildingId: endpoint.buildingId,
+    room: endpoint.room || null,
+  };
+};
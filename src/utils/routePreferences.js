@@ -0,0 +1,105 @@
+// src/utils/routePreferences.js - Edge costs and metrics for shortest, sheltered and fewest-stairs routes
+
+import { calculateDistance } from './distance';
+import {
+  STEP_PATH_TYPES,
+  SHELTERED_PATH_TYPES,
+  UNSHELTERED_PENALTY,
+  STAIRS_AVOIDANCE_PENALTY_KM,
+} from '../constants/config';
+
+export const ROUTE_PREFERENCES = {
+  shortest: { label: 'Shortest', icon: 'speedometer-outline' },
+  sheltered: { label: 'Most covered', icon: 'umbrella-outline' },
+  fewestStairs: { label: 'Fewest stairs', icon: 'trending-up-outline' },
+};
+
+/**
+ * Get the path or connection type of a graph edge
+ * @param {Object} edge - Graph edge
+ * @returns {string|null} Type, or null for junctions
+ */
+const getEdgeType = (edge) => {
+  if (edge.kind === 'path') return edge.pathType;
+  if (edge.kind === 'connection') return edge.connectionType;
+  return null;
+};
+
+/**
+ * Check if an edge is under a roof
+ * @param {Object} edge - Graph edge
+ * @returns {boolean} True for covered walkways and indoor segments
+ */
+export const isShelteredEdge = (edge) => SHELTERED_PATH_TYPES.includes(getEdgeType(edge));
+
+/**
+ * Check if an edge has steps
+ * @param {Object} edge - Graph edge
+ * @returns {boolean} True for stairs
+ */
+export const isStairsEdge = (edge) => STEP_PATH_TYPES.includes(getEdgeType(edge));
+
+/**
+ * Wrap an edge cost function with a route preference
+ * @param {string} preference - Key of ROUTE_PREFERENCES
+ * @param {Function} baseCost - Cost function to build on (e.g. the step-free one)
+ * @returns {Function} edgeCost(edge, fromNode, toNode) → number
+ */
+export const getPreferenceEdgeCost = (preference, baseCost = (edge) => edge.distance) => {
+  if (preference === 'sheltered') {
+    return (edge, fromNode, toNode) => {
+      const cost = baseCost(edge, fromNode, toNode);
+      return isShelteredEdge(edge) || edge.kind === 'junction' ? cost : cost * UNSHELTERED_PENALTY;
+    };
+  }
+  if (preference === 'fewestStairs') {
+    return (edge, fromNode, toNode) => {
+      const cost = baseCost(edge, fromNode, toNode);
+      return isStairsEdge(edge) ? cost + STAIRS_AVOIDANCE_PENALTY_KM : cost;
+    };
+  }
+  return baseCost;
+};
+
+/**
+ * Measure how sheltered a route is, how many flights of stairs it has and how many floors it climbs
+ * @param {Object} route - Route from findGraphRoute (coordinates = [start?, ...nodes, end?], see edgeOffset)
+ * @returns {Object} { coveredDistance (km), coveredPercent, stairs, floorChanges }
+ */
+export const getRouteMetrics = (route) => {
+  const coordinates = route.coordinates || [];
+  const edges = route.edges || [];
+  const offset = route.edgeOffset !== undefined ? route.edgeOffset : 1;
+
+  let total = 0;
+  let coveredDistance = 0;
+  let stairs = 0;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const distance = calculateDistance(coordinates[i], coordinates[i + 1]);
+    total += distance;
+
+    // Segment i runs along edges[i - offset]; the walk onto and off the network is in the open
+    const edge = edges[i - offset];
+    if (!edge) continue;
+    const previous = edges[i - offset - 1];
+    if (isShelteredEdge(edge)) coveredDistance += distance;
+    if (isStairsEdge(edge) && !(previous && isStairsEdge(previous))) stairs += 1;
+  }
+
+  // Floors climbed or descended indoors
+  const nodes = route.nodes || [];
+  let floorChanges = 0;
+  for (let i = 1; i < nodes.length; i++) {
+    if (nodes[i].floor !== null && nodes[i - 1].floor !== null) {
+      floorChanges += Math.abs(nodes[i].floor - nodes[i - 1].floor);
+    }
+  }
+
+  return {
+    coveredDistance,
+    coveredPercent: total > 0 ? Math.round((coveredDistance / total) * 100) : 0,
+    stairs,
+    floorChanges,
+  };
+};
@@ -1,12 +1,33 @@
-// src/utils/routing.js - Routing utilities using custom campus paths with OSRM fallback
-
-import { calculateDistance, calculateWalkingTime } from './distance';
-import { USE_MOCK_DATA } from '../constants/config';
+// src/utils/routing.js - Routing utilities using custom campus paths with configurable fallbacks
+
+import { calculateDistance } from './distance';
+import { estimateWalkingTime, scaleWalkingTime } from './walkingProfile';
+import { buildPathGraph, snapToNearestSegments, findShortestPath } from './pathGraph';
+import { osmGeoJsonToPaths } from './osmWalkways';
+import campusWalkways from '../data/campusWalkways';
+import { getSyncStatus } from '../services/campusSync';
+import {
+  USE_MOCK_DATA,
+  PATH_SNAP_RADIUS_KM,
+  OFF_PATH_PENALTY,
+  STEP_PATH_TYPES,
+  STEP_FREE_PREFERRED_TYPES,
+  STEP_FREE_PREFERENCE_FACTOR,
+  ROUTING_PROVIDERS,
+  CURATED_ROUTE_START_RADIUS_KM,
+} from '../constants/config';
 import { mapService } from '../services/mapService';
-import axios from 'axios';
+import { ROUTE_PREFERENCES, getPreferenceEdgeCost, getRouteMetrics } from './routePreferences';
+import {
+  osrmProvider,
+  valhallaProvider,
+  graphHopperProvider,
+  straightLineProvider,
+  runRoutingProviders,
+} from './routingProviders';
 
 /**
- * Get custom paths from Supabase
+ * Get custom paths (synced from Supabase)
  * @returns {Promise<Array>} Array of paths with waypoints
  */
 export const getCustomPaths = async () => {
@@ -24,6 +45,7 @@ export const getCustomPaths = async () => {
       path_name: path.name,
       path_type: path.type,
       is_active: path.is_active,
+      building_id: path.building_id || null,
       waypoints: path.waypoints || [],
     }));
   } catch (error) {
@@ -33,290 +55,560 @@ export const getCustomPaths = async () => {
 };
 
 /**
- * Find the nearest waypoint to a given coordinate across all paths
- * @param {Object} coord - Coordinate {latitude, longitude}
- * @param {Array} paths - Array of paths with waypoints
- * @param {number} threshold - Maximum distance in km to consider "near" (default: 0.5 = 500m)
- * @returns {Object|null} Nearest waypoint info or null
+ * Get connections between paths (synced from Supabase)
+ * @returns {Promise<Array>} Array of path connections
  */
-const findNearestWaypoint = (coord, paths, threshold = 0.5) => {
-  let nearest = null;
-  let minDistance = threshold;
+export const getPathConnections = async () => {
+  try {
+    if (USE_MOCK_DATA) {
+      return [];
+    }
 
-  paths.forEach(path => {
-    if (!path.is_active || !path.waypoints || path.waypoints.length === 0) return;
+    return await mapService.getPathConnections();
+  } catch (error) {
+    console.error('Error fetching path connections:', error);
+    return [];
+  }
+};
 
-    path.waypoints.forEach((waypoint, index) => {
-      if (waypoint.is_accessible === false) return;
+/**
+ * Get building entrances (synced from Supabase)
+ * @returns {Promise<Array>} Array of entrances
+ */
+export const getBuildingEntrances = async () => {
+  try {
+    if (USE_MOCK_DATA) {
+      return [];
+    }
 
-      const distance = calculateDistance(coord, {
-        latitude: parseFloat(waypoint.latitude),
-        longitude: parseFloat(waypoint.longitude),
-      });
+    return await mapService.getBuildingEntrances();
+  } catch (error) {
+    console.error('Error fetching building entrances:', error);
+    return [];
+  }
+};
 
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearest = {
-          path_id: path.path_id,
-          path_name: path.path_name,
-          path_type: path.path_type,
-          waypoint: waypoint,
-          waypointIndex: index,
-          distance,
-        };
-      }
-    });
+/**
+ * Get the campus path network from the offline cache (see campusSync)
+ * @returns {Promise<Object>} { paths, connections, entrances, fromCache, savedAt }
+ */
+export const getCampusNetwork = async () => {
+  if (USE_MOCK_DATA) {
+    return { paths: [], connections: [], entrances: [], fromCache: false, savedAt: null };
+  }
+
+  const [paths, connections, entrances] = await Promise.all([
+    getCustomPaths(),
+    getPathConnections(),
+    getBuildingEntrances(),
+  ]);
+
+  // fromCache: the last sync failed, so the network may be out of date
+  const status = getSyncStatus();
+  return { paths, connections, entrances, fromCache: !!status.error, savedAt: status.lastUpdated };
+};
+
+let bundledWalkwayPaths = null;
+
+/**
+ * Get walkways from the bundled OpenStreetMap export (converted once)
+ * @returns {Array} Paths in the same format as getCustomPaths()
+ */
+export const getBundledWalkwayPaths = () => {
+  if (!bundledWalkwayPaths) {
+    bundledWalkwayPaths = osmGeoJsonToPaths(campusWalkways);
+  }
+  return bundledWalkwayPaths;
+};
+
+/**
+ * Check if a graph node can be used without climbing steps
+ * @param {Object} node - Graph node
+ * @returns {boolean} True if step-free
+ */
+const isStepFreeNode = (node) => (
+  node.isAccessible && !STEP_PATH_TYPES.includes(node.pathType)
+);
+
+/**
+ * Edge cost for accessible routing: never stairs, prefer ramps and elevators
+ * @param {Object} edge - Graph edge
+ * @param {Object} fromNode - Node the edge starts at
+ * @param {Object} toNode - Node the edge ends at
+ * @returns {number} Cost in km, or Infinity if the edge has steps
+ */
+const accessibleEdgeCost = (edge, fromNode, toNode) => {
+  if (edge.isAccessible === false) return Number.POSITIVE_INFINITY;
+  if (!isStepFreeNode(fromNode) || !isStepFreeNode(toNode)) return Number.POSITIVE_INFINITY;
+
+  const type = edge.kind === 'connection' ? edge.connectionType : edge.pathType;
+  if (STEP_PATH_TYPES.includes(type)) return Number.POSITIVE_INFINITY;
+  if (STEP_FREE_PREFERRED_TYPES.includes(type)) {
+    return edge.distance * STEP_FREE_PREFERENCE_FACTOR;
+  }
+
+  return edge.distance;
+};
+
+/**
+ * Check if a graph node can be reached from outside (not on an upper/lower floor)
+ * @param {Object} node - Graph node
+ * @returns {boolean} True for outdoor waypoints and building entrances
+ */
+const isOutdoorNode = (node) => node.floor === null || node.isEntrance;
+
+/**
+ * Snap several candidate points (e.g. a building's entrances) onto the network
+ * @param {Object} graph - Graph from buildPathGraph (temporary nodes are added)
+ * @param {Array} points - Coordinates {latitude, longitude}
+ * @param {Function} filter - Node filter
+ * @param {string} prefix - ID prefix for temporary nodes
+ * @returns {Object} { entries: [{ nodeId, cost }], pointByNode: Map<nodeId, point> }
+ */
+const snapPoints = (graph, points, filter, prefix) => {
+  const costs = new Map();
+  const pointByNode = new Map();
+
+  points.forEach((point, index) => {
+    snapToNearestSegments(graph, point, PATH_SNAP_RADIUS_KM, filter, `${prefix}-${index}`)
+      .forEach(({ nodeId, distance }) => {
+        const cost = distance * OFF_PATH_PENALTY;
+        if (!costs.has(nodeId) || cost < costs.get(nodeId)) {
+          costs.set(nodeId, cost);
+          pointByNode.set(nodeId, point);
+        }
+      });
   });
 
-  return nearest;
+  return {
+    entries: Array.from(costs, ([nodeId, cost]) => ({ nodeId, cost })),
+    pointByNode,
+  };
 };
 
 /**
- * Build a route using a single admin path
- * @param {Object} start - Start coordinate
- * @param {Object} end - End coordinate (destination building)
- * @param {Object} path - The path to use
- * @param {Object} startWaypoint - Nearest waypoint to start
- * @param {Object} endWaypoint - Nearest waypoint to end
- * @returns {Object} Route data
+ * Start or end a search exactly at some graph nodes (e.g. a room's door)
+ * @param {Object} graph - Graph from buildPathGraph
+ * @param {Array} nodeIds - Node IDs; ones missing from the graph are ignored
+ * @returns {Object} Same shape as snapPoints, with no snapped points
  */
-const buildSinglePathRoute = (start, end, path, startWaypoint, endWaypoint) => {
-  const waypoints = path.waypoints || [];
-  if (waypoints.length < 2) return null;
+const exactNodes = (graph, nodeIds) => ({
+  entries: nodeIds.filter(nodeId => graph.nodes.has(nodeId)).map(nodeId => ({ nodeId, cost: 0 })),
+  pointByNode: new Map(),
+});
 
-  // Get waypoints between start and end
-  const startSeq = startWaypoint.waypoint.sequence;
-  const endSeq = endWaypoint.waypoint.sequence;
-  
-  // Determine direction (forward or reverse)
-  const forward = startSeq <= endSeq;
-  const minSeq = Math.min(startSeq, endSeq);
-  const maxSeq = Math.max(startSeq, endSeq);
-
-  // Get waypoints in the route
-  let routeWaypoints = waypoints
-    .filter(wp => wp.sequence >= minSeq && wp.sequence <= maxSeq && wp.is_accessible !== false)
-    .sort((a, b) => a.sequence - b.sequence);
-
-  // Reverse if needed
-  if (!forward) {
-    routeWaypoints = routeWaypoints.reverse();
+/**
+ * Pick the entrances a route may use for a building
+ * @param {Array} entrances - Building entrances
+ * @param {boolean} accessible - Only step-free entrances
+ * @returns {Array} Usable entrances (empty if none are known)
+ */
+const getUsableEntrances = (entrances, accessible) => (
+  (entrances || []).filter(entrance => !accessible || entrance.is_accessible !== false)
+);
+
+/**
+ * Find the shortest route over the whole campus path network
+ * Chains as many paths as needed using path_connections and shared junctions.
+ * Start and end are snapped to the closest point on a walkway segment (not just
+ * a waypoint), and to a building's entrances when they are known.
+ * @param {Object} start - Start coordinate {latitude, longitude}
+ * @param {Object} end - End coordinate {latitude, longitude}
+ * @param {Array} paths - Array of custom paths
+ * @param {Array} connections - Array of path connections
+ * @param {Object} options - { accessible: true to avoid stairs and inaccessible waypoints,
+ *   sourceNodeIds: start exactly at these nodes (e.g. the door of the room just visited),
+ *   targetNodeIds: end exactly at these nodes (e.g. a room's door) instead of the nearest ones,
+ *   startEntrances / endEntrances: doors of the start/end building to leave/arrive by,
+ *   preference: key of ROUTE_PREFERENCES (default 'shortest') }
+ * @returns {Object|null} Route data or null if the network does not connect start and end
+ */
+export const findGraphRoute = (start, end, paths, connections = [], options = {}) => {
+  if (!paths || paths.length === 0) return null;
+
+  const {
+    accessible = false,
+    sourceNodeIds = null,
+    targetNodeIds = null,
+    startEntrances = [],
+    endEntrances = [],
+    preference = 'shortest',
+  } = options;
+  const graph = buildPathGraph(paths, connections);
+  if (graph.nodes.size === 0) return null;
+
+  const usableStartEntrances = getUsableEntrances(startEntrances, accessible);
+  const usableEndEntrances = getUsableEntrances(endEntrances, accessible);
+  const startPoints = usableStartEntrances.length > 0 ? usableStartEntrances : [start];
+  const endPoints = usableEndEntrances.length > 0 ? usableEndEntrances : [end];
+
+  // Walking to/from the network is allowed but costs more than walking on it.
+  // Coordinates are only snapped to outdoor waypoints, never to an upper floor.
+  const nodeFilter = accessible
+    ? (node) => isOutdoorNode(node) && isStepFreeNode(node)
+    : isOutdoorNode;
+  const sources = sourceNodeIds
+    ? exactNodes(graph, sourceNodeIds)
+    : snapPoints(graph, startPoints, nodeFilter, 'snap-start');
+  const targets = targetNodeIds
+    ? exactNodes(graph, targetNodeIds)
+    : snapPoints(graph, endPoints, nodeFilter, 'snap-end');
+
+  if (sources.entries.length === 0 || targets.entries.length === 0) return null;
+
+  // The A* heuristic needs a single goal: one target node, or one end point (its snapped
+  // nodes all lead to it). With several targets or entrances plain Dijkstra is used.
+  let goal = null;
+  if (targetNodeIds) {
+    if (targets.entries.length === 1) goal = graph.nodes.get(targets.entries[0].nodeId);
+  } else if (endPoints.length === 1) {
+    goal = endPoints[0];
   }
+  // Preferences only add to an edge's length, but step-free mode makes ramps and
+  // elevators cheaper than theirs, so the heuristic is scaled down to match
+  const result = findShortestPath(graph, sources.entries, targets.entries, goal, {
+    edgeCost: getPreferenceEdgeCost(preference, accessible ? accessibleEdgeCost : undefined),
+    heuristicFactor: accessible ? Math.min(1, STEP_FREE_PREFERENCE_FACTOR) : 1,
+  });
+  if (!result) return null;
+
+  const startDistance = result.sourceCost / OFF_PATH_PENALTY;
+  const endDistance = result.targetCost / OFF_PATH_PENALTY;
 
-  if (routeWaypoints.length === 0) return null;
+  // Same limit as single-path routing: stay within 500m combined of the network
+  if (startDistance + endDistance > PATH_SNAP_RADIUS_KM) return null;
 
-  // Build coordinates array: start -> waypoints -> end
+  const nodes = result.nodeIds.map(id => graph.nodes.get(id));
+  // A source or target node is the start or destination itself (e.g. a room's door), so don't repeat it
+  const startPoint = sourceNodeIds
+    ? null
+    : sources.pointByNode.get(result.nodeIds[0]) || start;
+  const endPoint = targetNodeIds
+    ? null
+    : targets.pointByNode.get(result.nodeIds[result.nodeIds.length - 1]) || end;
+
+  const toCoordinate = (point) => ({ latitude: point.latitude, longitude: point.longitude });
+  const networkCoordinates = nodes.map(toCoordinate);
   const coordinates = [
-    start, // User's current location
-    ...routeWaypoints.map(wp => ({
-      latitude: parseFloat(wp.latitude),
-      longitude: parseFloat(wp.longitude),
-    })),
-    end, // Destination building
+    ...(startPoint ? [toCoordinate(startPoint)] : []),
+    ...networkCoordinates,
+    ...(endPoint ? [toCoordinate(endPoint)] : []),
   ];
 
-  // Calculate total distance
+  // Walks between the start/end and the network, drawn differently on the map
+  const approachLegs = [
+    ...(startPoint ? [[coordinates[0], networkCoordinates[0]]] : []),
+    ...(endPoint ? [[networkCoordinates[networkCoordinates.length - 1], coordinates[coordinates.length - 1]]] : []),
+  ].filter(([from, to]) => calculateDistance(from, to) > 0.001);
+
   let totalDistance = 0;
   for (let i = 0; i < coordinates.length - 1; i++) {
     totalDistance += calculateDistance(coordinates[i], coordinates[i + 1]);
   }
 
-  return {
+  // Unique path names in the order they are walked
+  const pathNames = [];
+  nodes.forEach(node => {
+    if (node.pathName && pathNames[pathNames.length - 1] !== node.pathName) {
+      pathNames.push(node.pathName);
+    }
+  });
+
+  const route = {
     success: true,
     coordinates,
+    networkCoordinates,
+    approachLegs,
     distance: totalDistance,
-    duration: calculateWalkingTime(totalDistance),
-      pathName: path.path_name,
-      pathType: path.path_type,
-      isCustomPath: true,
-    };
+    pathName: pathNames.join(' → '),
+    pathNames,
+    pathType: nodes[0].pathType,
+    nodes,
+    edges: result.edges,
+    // Segment i of coordinates runs along edges[i - edgeOffset]: 1 after a start point, 0 from a source node
+    edgeOffset: startPoint ? 1 : 0,
+    startDistance,
+    endDistance,
+    startEntrance: usableStartEntrances.length > 0 && startPoint ? startPoint : null,
+    endEntrance: usableEndEntrances.length > 0 && endPoint ? endPoint : null,
+    isCustomPath: true,
+    isAccessibleRoute: accessible,
+  };
+
+  const metrics = getRouteMetrics(route);
+  return { ...route, ...metrics, duration: estimateWalkingTime(totalDistance, metrics) };
 };
 
 /**
- * Find the best path between two points using custom paths
- * Picks the path where endpoints are closest to start and end
+ * Find up to three alternatives over the campus network: the shortest route,
+ * the most sheltered one and the one with the fewest stairs.
+ * An alternative is only kept if it beats the shortest route on its own measure.
  * @param {Object} start - Start coordinate {latitude, longitude}
  * @param {Object} end - End coordinate {latitude, longitude}
  * @param {Array} paths - Array of custom paths
- * @returns {Object|null} Best route or null if no suitable path found
+ * @param {Array} connections - Array of path connections
+ * @param {Object} options - Same options as findGraphRoute (except preference)
+ * @returns {Array} Routes, shortest first, each with preference and label
  */
-export const findBestCustomPath = (start, end, paths) => {
-  if (!paths || paths.length === 0) return null;
+export const findGraphRouteAlternatives = (start, end, paths, connections = [], options = {}) => {
+  const shortest = findGraphRoute(start, end, paths, connections, { ...options, preference: 'shortest' });
+  if (!shortest) return [];
 
-  let bestRoute = null;
-  let bestScore = Number.POSITIVE_INFINITY;
-
-  paths.forEach(path => {
-    const waypoints = path.waypoints || [];
-    if (waypoints.length < 2) return;
-
-    // Find nearest waypoints on this path to start and end
-    let nearestToStart = null;
-    let nearestToEnd = null;
-    let minDistStart = Number.POSITIVE_INFINITY;
-    let minDistEnd = Number.POSITIVE_INFINITY;
-
-    waypoints.forEach(wp => {
-      if (wp.is_accessible === false) return;
-
-      const wpCoord = {
-        latitude: parseFloat(wp.latitude),
-        longitude: parseFloat(wp.longitude),
-      };
-
-      const distToStart = calculateDistance(start, wpCoord);
-      const distToEnd = calculateDistance(end, wpCoord);
-
-      if (distToStart < minDistStart) {
-        minDistStart = distToStart;
-        nearestToStart = { waypoint: wp, distance: distToStart };
-      }
-      if (distToEnd < minDistEnd) {
-        minDistEnd = distToEnd;
-        nearestToEnd = { waypoint: wp, distance: distToEnd };
-      }
-    });
+  const alternatives = [{ ...shortest, preference: 'shortest', label: ROUTE_PREFERENCES.shortest.label }];
 
-    if (!nearestToStart || !nearestToEnd) return;
-
-    // Score = sum of distances from start/end to their nearest waypoints
-    const score = minDistStart + minDistEnd;
-
-    if (score < bestScore) {
-      bestScore = score;
-      
-      // Build route using this path
-      const route = buildSinglePathRoute(start, end, path, nearestToStart, nearestToEnd);
-      if (route) {
-        bestRoute = {
-          ...route,
-          score,
-          startDistance: minDistStart,
-          endDistance: minDistEnd,
-        };
-      }
-    }
-  });
+  const sheltered = findGraphRoute(start, end, paths, connections, { ...options, preference: 'sheltered' });
+  if (sheltered && sheltered.coveredPercent > shortest.coveredPercent) {
+    alternatives.push({ ...sheltered, preference: 'sheltered', label: ROUTE_PREFERENCES.sheltered.label });
+  }
 
-  // Only return if the path is reasonably close (within 500m combined distance to start/end)
-  if (bestRoute && bestScore <= 0.5) {
-    return bestRoute;
+  const fewestStairs = findGraphRoute(start, end, paths, connections, { ...options, preference: 'fewestStairs' });
+  if (fewestStairs && fewestStairs.stairs < shortest.stairs) {
+    alternatives.push({ ...fewestStairs, preference: 'fewestStairs', label: ROUTE_PREFERENCES.fewestStairs.label });
   }
 
-  return null;
+  return alternatives;
 };
 
 /**
- * Get route from OSRM (Open Source Routing Machine)
- * @param {Object} start - Start coordinate {latitude, longitude}
- * @param {Object} end - End coordinate {latitude, longitude}
- * @returns {Promise<Object|null>} Route data or null if OSRM fails
+ * Pick the route matching a preference and attach every alternative to it
+ * @param {Array} alternatives - Routes from findGraphRouteAlternatives (already decorated)
+ * @param {string} preference - Preferred alternative, falls back to the shortest
+ * @returns {Object|null} Route with an `alternatives` array, or null if there are none
  */
-const getOSRMRoute = async (start, end) => {
-  try {
-    // OSRM uses longitude,latitude format (not lat,lon)
-    const coordsString = `${start.longitude},${start.latitude};${end.longitude},${end.latitude}`;
-    
-    // Use foot profile for walking routes
-    const osrmUrl = `https://router.project-osrm.org/route/v1/foot/${coordsString}?overview=full&geometries=geojson`;
-    
-    const response = await axios.get(osrmUrl, { timeout: 10000 });
-    
-    if (response.data && response.data.code === 'Ok' && response.data.routes && response.data.routes.length > 0) {
-      const route = response.data.routes[0];
-      const geometry = route.geometry;
-      
-      // Convert GeoJSON coordinates [lon, lat] to our format {latitude, longitude}
-      const coordinates = geometry.coordinates.map(coord => ({
-        longitude: coord[0],
-        latitude: coord[1],
-      }));
-      
-      // Distance is in meters, convert to km
-      const distanceKm = route.distance / 1000;
-      
-      // Duration is in seconds, convert to minutes
-      const durationMin = Math.ceil(route.duration / 60);
-      
-      return {
-        success: true,
-        coordinates,
-        distance: distanceKm,
-        duration: durationMin,
-        isOSRMRoute: true,
-      };
-    }
-    
-    return null;
-  } catch (error) {
-    console.error('Error fetching OSRM route:', error);
-    return null;
+const withAlternatives = (alternatives, preference) => {
+  if (alternatives.length === 0) return null;
+  const chosen = alternatives.find(route => route.preference === preference) || alternatives[0];
+  return { ...chosen, alternatives };
+};
+
+/**
+ * Get the campus network once per route calculation, shared by the campus providers
+ * @param {Object} context - Shared provider context
+ * @returns {Promise<Object>} Campus network from getCampusNetwork()
+ */
+const getSharedNetwork = (context) => {
+  if (!context.networkPromise) {
+    context.networkPromise = getCampusNetwork().catch(error => {
+      console.error('Error loading campus network:', error);
+      return { paths: [], connections: [], entrances: [], fromCache: false, savedAt: null };
+    });
   }
+  return context.networkPromise;
 };
 
 /**
- * Calculate route using custom campus paths with OSRM fallback
- * @param {Object} start - Start coordinate {latitude, longitude}
- * @param {Object} end - End coordinate {latitude, longitude}
- * @returns {Promise<Object>} Route data
+ * Pick the admin-curated route to a building that best fits the start
+ * A route fits when it leaves from the start's building, or begins within
+ * CURATED_ROUTE_START_RADIUS_KM of the start. Routes drawn the other way are reversed.
+ * @param {Array} routes - Curated routes from mapService.getCuratedRoutes()
+ * @param {Object} start - Start coordinate {latitude, longitude, buildingId?}
+ * @param {string} buildingId - Destination building ID
+ * @returns {Object|null} { route, coordinates, approachDistance } or null
  */
-export const calculateRoute = async (start, end) => {
-  console.log('Calculating campus route from', start, 'to', end);
-
-  // Try to get custom paths first
-  if (!USE_MOCK_DATA) {
-    try {
-      const customPaths = await getCustomPaths();
-      
-      if (customPaths.length > 0) {
-        const route = findBestCustomPath(start, end, customPaths);
-        if (route) {
-          console.log('✅ Using custom path:', route.pathName);
-          return route;
-        } else {
-          console.log('⚠️ No suitable custom path found for this route');
-        }
-      } else {
-        console.log('⚠️ No custom paths available in database');
-      }
-    } catch (error) {
-      console.error('Error finding custom path:', error);
+const findCuratedRoute = (routes, start, buildingId) => {
+  let best = null;
+
+  routes.forEach(route => {
+    const reversed = String(route.to_building_id) !== String(buildingId);
+    const fromBuildingId = reversed ? route.to_building_id : route.from_building_id;
+    const coordinates = reversed ? [...route.coordinates].reverse() : route.coordinates;
+    if (coordinates.length < 2) return;
+
+    const approachDistance = calculateDistance(start, coordinates[0]);
+    const fromStartBuilding = start.buildingId && String(fromBuildingId) === String(start.buildingId);
+    if (!fromStartBuilding && approachDistance > CURATED_ROUTE_START_RADIUS_KM) return;
+
+    if (!best || approachDistance < best.approachDistance) {
+      best = { route, coordinates, approachDistance };
     }
-  }
+  });
 
-  // Fallback: Try OSRM for real routing
-  console.log('📍 Attempting OSRM route...');
-  const osrmRoute = await getOSRMRoute(start, end);
-  
-  if (osrmRoute) {
-    console.log('✅ Using OSRM route');
-    return osrmRoute;
+  return best;
+};
+
+// Admin-drawn building-to-building routes (e.g. around a construction zone)
+const curatedRouteProvider = {
+  name: 'curated',
+  label: 'Curated Route',
+  supportsAccessible: false,
+  isConfigured: () => !USE_MOCK_DATA,
+  async route(start, end) {
+    if (!end.buildingId) return null;
+
+    const routes = await mapService.getCuratedRoutes(end.buildingId);
+    const match = findCuratedRoute(routes, start, end.buildingId);
+    if (!match) return null;
+
+    const { route, coordinates, approachDistance } = match;
+    const startPoint = { latitude: start.latitude, longitude: start.longitude };
+    const approachLegs = approachDistance > 0.001 ? [[startPoint, coordinates[0]]] : [];
+
+    let routeDistance = 0;
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      routeDistance += calculateDistance(coordinates[i], coordinates[i + 1]);
+    }
+    // Trust the admin's measurements for the curated part
+    if (route.distance_meters) routeDistance = route.distance_meters / 1000;
+    const distance = routeDistance + approachDistance;
+    const duration = route.estimated_minutes
+      ? scaleWalkingTime(route.estimated_minutes) + (approachLegs.length > 0 ? estimateWalkingTime(approachDistance) : 0)
+      : estimateWalkingTime(distance);
+
+    console.log(`⭐ Using curated route ${route.path_name || route.id}`);
+    return {
+      success: true,
+      coordinates: approachLegs.length > 0 ? [startPoint, ...coordinates] : coordinates,
+      networkCoordinates: coordinates,
+      approachLegs,
+      distance,
+      duration,
+      pathName: route.path_name || 'Curated Route',
+      pathNames: route.path_name ? [route.path_name] : [],
+      pathType: route.path_type,
+      description: route.description,
+      startDistance: approachDistance,
+      endDistance: 0,
+      curatedRouteId: route.id,
+      isCuratedRoute: true,
+      isCustomPath: true,
+    };
+  },
+};
+
+// Campus path network from Supabase (or its saved copy when offline)
+const customPathProvider = {
+  name: 'custom',
+  label: 'Campus Paths',
+  supportsAccessible: true,
+  isConfigured: () => !USE_MOCK_DATA,
+  async route(start, end, options, context) {
+    const network = await getSharedNetwork(context);
+    if (network.paths.length === 0) {
+      throw new Error('no custom paths available');
+    }
+
+    const alternatives = findGraphRouteAlternatives(start, end, network.paths, network.connections, options)
+      .map(route => ({ ...route, isFromCache: network.fromCache }));
+
+    return withAlternatives(alternatives, options.preference);
+  },
+};
+
+// Campus paths joined with the bundled OpenStreetMap walkways (works offline)
+const walkwayProvider = {
+  name: 'walkways',
+  label: 'Campus Walkways',
+  supportsAccessible: true,
+  isConfigured: () => getBundledWalkwayPaths().length > 0,
+  async route(start, end, options, context) {
+    const network = await getSharedNetwork(context);
+    const alternatives = findGraphRouteAlternatives(
+      start,
+      end,
+      [...network.paths, ...getBundledWalkwayPaths()],
+      network.connections,
+      options
+    ).map(route => ({
+      ...route,
+      pathName: route.pathName || 'Campus Walkways',
+      isCustomPath: false,
+      isOSMRoute: true,
+      isFromCache: network.fromCache,
+    }));
+
+    return withAlternatives(alternatives, options.preference);
+  },
+};
+
+const ROUTING_PROVIDER_REGISTRY = {
+  [curatedRouteProvider.name]: curatedRouteProvider,
+  [customPathProvider.name]: customPathProvider,
+  [walkwayProvider.name]: walkwayProvider,
+  [osrmProvider.name]: osrmProvider,
+  [valhallaProvider.name]: valhallaProvider,
+  [graphHopperProvider.name]: graphHopperProvider,
+  [straightLineProvider.name]: straightLineProvider,
+};
+
+/**
+ * Get the routing providers to try, in the order set by ROUTING_PROVIDERS
+ * @returns {Array} Provider objects (unknown names are ignored)
+ */
+export const getRoutingProviders = () => ROUTING_PROVIDERS
+  .map(name => {
+    const provider = ROUTING_PROVIDER_REGISTRY[name];
+    if (!provider) console.warn(`⚠️ Unknown routing provider "${name}" in ROUTING_PROVIDERS`);
+    return provider;
+  })
+  .filter(Boolean);
+
+/**
+ * Calculate a route by trying each configured provider in order
+ * The default order is curated routes, campus paths, bundled walkways, OSRM, then a straight line.
+ * @param {Object} start - Start coordinate {latitude, longitude, buildingId?}
+ * @param {Object} end - End coordinate {latitude, longitude, buildingId?}; with a buildingId
+ *   the route leaves or arrives by that building's entrances
+ * @param {Object} options - { accessible: true for a step-free route (campus providers only),
+ *   preference: which campus alternative to return first ('shortest', 'sheltered', 'fewestStairs'),
+ *   sourceNodeIds: campus graph nodes to leave from instead of the start coordinate (see findGraphRoute) }
+ * @returns {Promise<Object>} Route data, including provider, providerAttempts and
+ *   alternatives (campus routes only)
+ */
+export const calculateRoute = async (start, end, options = {}) => {
+  const { accessible = false, preference = 'shortest', sourceNodeIds = null } = options;
+  console.log('Calculating campus route from', start, 'to', end, accessible ? '(step-free)' : '');
+
+  // Buildings are left and entered by their doors when entrances are mapped
+  const context = {};
+  let startEntrances = [];
+  let endEntrances = [];
+  if (start.buildingId || end.buildingId) {
+    const network = await getSharedNetwork(context);
+    const entrancesOf = (buildingId) => getUsableEntrances(
+      (network.entrances || []).filter(entrance => buildingId && String(entrance.building_id) === String(buildingId)),
+      accessible
+    );
+    startEntrances = entrancesOf(start.buildingId);
+    endEntrances = entrancesOf(end.buildingId);
   }
 
-  // Final fallback: Direct line (only if OSRM also fails)
-  console.log('⚠️ OSRM failed, using direct route as last resort');
-  const distance = calculateDistance(start, end);
-  const duration = calculateWalkingTime(distance);
+  // Providers without entrance support get the door closest to the start
+  const nearestEntrance = endEntrances.reduce((nearest, entrance) => (
+    !nearest || calculateDistance(start, entrance) < calculateDistance(start, nearest) ? entrance : nearest
+  ), null);
+  const target = nearestEntrance
+    ? { ...end, latitude: nearestEntrance.latitude, longitude: nearestEntrance.longitude }
+    : end;
+
+  const { route, attempts } = await runRoutingProviders(
+    getRoutingProviders(),
+    start,
+    target,
+    { accessible, preference, sourceNodeIds, startEntrances, endEntrances },
+    context
+  );
+
+  if (route) {
+    return { ...route, providerAttempts: attempts };
+  }
 
-  // Create a simple direct line with a few intermediate points
-  const numPoints = Math.max(2, Math.ceil(distance * 5));
-  const coordinates = [];
-  
-  for (let i = 0; i <= numPoints; i++) {
-    const ratio = i / numPoints;
-    coordinates.push({
-      latitude: start.latitude + (end.latitude - start.latitude) * ratio,
-      longitude: start.longitude + (end.longitude - start.longitude) * ratio,
-    });
+  // External routers and straight lines know nothing about stairs, so never guess
+  if (accessible) {
+    console.log('⚠️ No step-free route found');
+    return {
+      success: false,
+      noAccessibleRoute: true,
+      isAccessibleRoute: true,
+      providerAttempts: attempts,
+      message: 'No step-free route is mapped between these points. The campus paths here include stairs or have not been marked accessible yet.',
+    };
   }
 
+  console.log('⚠️ Every routing provider failed');
   return {
-    success: true,
-    coordinates,
-    distance,
-    duration,
-    isDirectRoute: true,
-    message: 'No custom path or OSRM route available. Showing direct line.',
+    success: false,
+    providerAttempts: attempts,
+    message: 'Unable to calculate a route right now. Please check your connection and try again.',
   };
 };
 
@@ -342,17 +634,55 @@ export const hasCustomPaths = async () => {
  */
 export const getRouteSummary = (route) => {
   if (!route) return 'No route available';
+  if (!route.success) return route.message || 'No route available';
 
   const distanceText = `${route.distance.toFixed(2)} km`;
   const timeText = `${route.duration} min walk`;
 
+  const accessibleText = route.isAccessibleRoute ? '\n♿ Step-free route' : '';
+  const offlineText = route.isFromCache ? '\n📦 Using saved campus paths (offline)' : '';
+  const coveredText = route.coveredPercent > 0 ? `\n☂️ ${route.coveredPercent}% covered` : '';
+  const curatedText = route.isCuratedRoute
+    ? `\n⭐ Route drawn by campus admins${route.description ? `: ${route.description}` : ''}`
+    : '';
+  const roomText = route.isIndoorRoute && route.room
+    ? `\n🚪 Continues inside to Floor ${route.room.floor}${route.room.room_number ? `, room ${route.room.room_number}` : ''}`
+    : '';
+
   if (route.isCustomPath) {
-    return `📍 ${route.pathName || 'Campus Path'}\n${distanceText} • ${timeText}`;
-  } else if (route.isOSRMRoute) {
-    return `📍 OSRM Route\n${distanceText} • ${timeText}`;
+    return `📍 ${route.pathName || 'Campus Path'}\n${distanceText} • ${timeText}${curatedText}${coveredText}${roomText}${accessibleText}${offlineText}`;
+  } else if (route.isOSMRoute) {
+    return `📍 ${route.pathName}\n${distanceText} • ${timeText}${coveredText}${accessibleText}\n(OpenStreetMap walkways)`;
   } else if (route.isDirectRoute) {
     return `📍 Direct Route\n${distanceText} • ${timeText}\n(No routing available)`;
+  } else if (route.providerLabel) {
+    return `📍 ${route.providerLabel} Route\n${distanceText} • ${timeText}`;
   }
 
   return `${distanceText} • ${timeText}`;
 };
+
+/**
+ * Save a computed route to the routes table as a candidate for admins to review
+ * Candidates are inactive until an admin approves them.
+ * @param {Object} route - Route from calculateRoute
+ * @param {Object} start - Start {latitude, longitude, buildingId?, name?}
+ * @param {Object} end - Destination {buildingId, name}
+ * @returns {Promise<Object>} Saved route { id }
+ */
+export const saveRouteCandidate = async (route, start, end) => {
+  if (!route || !route.success || !end.buildingId) {
+    throw new Error('Only routes to a building can be saved.');
+  }
+
+  return mapService.saveRouteCandidate({
+    fromBuildingId: start.buildingId || null,
+    toBuildingId: end.buildingId,
+    name: `${start.name || 'Start'} → ${end.name || 'Destination'}`,
+    pathType: route.pathType,
+    coordinates: route.coordinates,
+    distance: route.distance,
+    duration: route.duration,
+    description: `Computed by ${route.providerLabel || 'the app'} (${route.pathName || 'no path name'})`,
+  });
+};
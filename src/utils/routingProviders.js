@@ -0,0 +1,219 @@
+// src/utils/routingProviders.js - Routing provider interface and external routers
+//
+// A routing provider is a plain object:
+//   {
+//     name: 'osrm',                 // Key used in ROUTING_PROVIDERS
+//     label: 'OSRM',                // Shown in route summaries
+//     supportsAccessible: false,    // Can it guarantee a step-free route?
+//     isConfigured: () => boolean,  // Endpoint/API key present?
+//     route: async (start, end, options, context) => route | null,
+//   }
+// route() returns the same shape as calculateRoute ({ success, coordinates,
+// distance (km), duration (min), ... }), null when it has no route, or throws
+// with a message describing why it failed. Durations come from the user's
+// walking pace (estimateWalkingTime), not the router's average walker.
+
+import axios from 'axios';
+import { calculateDistance } from './distance';
+import { decodePolyline, simplifyPolyline } from './geometry';
+import { estimateWalkingTime } from './walkingProfile';
+import {
+  ROUTING_TIMEOUT,
+  OSRM_URL,
+  OSRM_PROFILE,
+  VALHALLA_URL,
+  VALHALLA_COSTING,
+  GRAPHHOPPER_URL,
+  GRAPHHOPPER_PROFILE,
+  GRAPHHOPPER_API_KEY,
+} from '../constants/config';
+
+/**
+ * Convert GeoJSON [lon, lat] pairs to {latitude, longitude}
+ * @param {Array} positions - GeoJSON positions
+ * @returns {Array} Coordinates
+ */
+const fromGeoJson = (positions) => positions.map(position => ({
+  longitude: position[0],
+  latitude: position[1],
+}));
+
+/**
+ * Get a readable reason from an axios or routing error
+ * @param {Error} error - Error thrown by a provider
+ * @returns {string} Failure reason
+ */
+const getFailureReason = (error) => {
+  if (error.code === 'ECONNABORTED') return `timed out after ${ROUTING_TIMEOUT} ms`;
+  if (error.response) return `HTTP ${error.response.status}`;
+  if (error.message && error.message.includes('Network Error')) return 'network unavailable';
+  return error.message || 'unknown error';
+};
+
+export const osrmProvider = {
+  name: 'osrm',
+  label: 'OSRM',
+  supportsAccessible: false,
+  isConfigured: () => !!OSRM_URL,
+  async route(start, end) {
+    // OSRM uses longitude,latitude format (not lat,lon)
+    const coordsString = `${start.longitude},${start.latitude};${end.longitude},${end.latitude}`;
+    const url = `${OSRM_URL}/route/v1/${OSRM_PROFILE}/${coordsString}?overview=full&geometries=geojson`;
+
+    const response = await axios.get(url, { timeout: ROUTING_TIMEOUT });
+    const data = response.data;
+
+    if (!data || data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+      if (data && data.code && data.code !== 'Ok') throw new Error(data.message || data.code);
+      return null;
+    }
+
+    const route = data.routes[0];
+    return {
+      success: true,
+      coordinates: simplifyPolyline(fromGeoJson(route.geometry.coordinates)),
+      distance: route.distance / 1000, // meters → km
+      duration: estimateWalkingTime(route.distance / 1000),
+      isOSRMRoute: true,
+    };
+  },
+};
+
+export const valhallaProvider = {
+  name: 'valhalla',
+  label: 'Valhalla',
+  supportsAccessible: false,
+  isConfigured: () => !!VALHALLA_URL,
+  async route(start, end) {
+    const response = await axios.post(`${VALHALLA_URL}/route`, {
+      locations: [
+        { lat: start.latitude, lon: start.longitude },
+        { lat: end.latitude, lon: end.longitude },
+      ],
+      costing: VALHALLA_COSTING,
+      units: 'kilometers',
+      directions_type: 'none',
+    }, { timeout: ROUTING_TIMEOUT });
+
+    const trip = response.data && response.data.trip;
+    if (!trip || !trip.legs || trip.legs.length === 0) return null;
+
+    const coordinates = [];
+    trip.legs.forEach(leg => coordinates.push(...decodePolyline(leg.shape, 6)));
+
+    return {
+      success: true,
+      coordinates: simplifyPolyline(coordinates),
+      distance: trip.summary.length, // already km
+      duration: estimateWalkingTime(trip.summary.length),
+    };
+  },
+};
+
+export const graphHopperProvider = {
+  name: 'graphhopper',
+  label: 'GraphHopper',
+  supportsAccessible: false,
+  // The hosted API needs a key; a self-hosted server usually doesn't
+  isConfigured: () => !!GRAPHHOPPER_URL &&
+    (!GRAPHHOPPER_URL.includes('graphhopper.com') || !!GRAPHHOPPER_API_KEY),
+  async route(start, end) {
+    const params = new URLSearchParams();
+    params.append('point', `${start.latitude},${start.longitude}`);
+    params.append('point', `${end.latitude},${end.longitude}`);
+    params.append('profile', GRAPHHOPPER_PROFILE);
+    params.append('points_encoded', 'false');
+    if (GRAPHHOPPER_API_KEY) params.append('key', GRAPHHOPPER_API_KEY);
+
+    const response = await axios.get(`${GRAPHHOPPER_URL}/route?${params.toString()}`, {
+      timeout: ROUTING_TIMEOUT,
+    });
+
+    const path = response.data && response.data.paths && response.data.paths[0];
+    if (!path) return null;
+
+    return {
+      success: true,
+      coordinates: simplifyPolyline(fromGeoJson(path.points.coordinates)),
+      distance: path.distance / 1000, // meters → km
+      duration: estimateWalkingTime(path.distance / 1000),
+    };
+  },
+};
+
+export const straightLineProvider = {
+  name: 'straight',
+  label: 'Direct',
+  supportsAccessible: false,
+  isConfigured: () => true,
+  async route(start, end) {
+    const distance = calculateDistance(start, end);
+    const duration = estimateWalkingTime(distance);
+
+    return {
+      success: true,
+      coordinates: [
+        { latitude: start.latitude, longitude: start.longitude },
+        { latitude: end.latitude, longitude: end.longitude },
+      ],
+      distance,
+      duration,
+      isDirectRoute: true,
+      message: 'No campus path or routing service available. Showing direct line.',
+    };
+  },
+};
+
+/**
+ * Try providers in order until one returns a route
+ * Every attempt is recorded with its timing and, on failure, the reason.
+ * @param {Array} providers - Provider objects, in the order to try
+ * @param {Object} start - Start coordinate {latitude, longitude}
+ * @param {Object} end - End coordinate {latitude, longitude}
+ * @param {Object} options - Routing options, e.g. { accessible }
+ * @param {Object} context - Shared state for providers within one calculation
+ * @returns {Promise<Object>} { route, attempts } where route is null if every provider failed
+ */
+export const runRoutingProviders = async (providers, start, end, options = {}, context = {}) => {
+  const attempts = [];
+
+  for (const provider of providers) {
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: provider.name, skipped: true, reason: 'not configured' });
+      continue;
+    }
+    if (options.accessible && !provider.supportsAccessible) {
+      attempts.push({ provider: provider.name, skipped: true, reason: 'cannot guarantee a step-free route' });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const route = await provider.route(start, end, options, context);
+      const durationMs = Date.now() - startedAt;
+
+      if (route && route.success) {
+        attempts.push({ provider: provider.name, success: true, durationMs });
+        console.log(`✅ Route from ${provider.label} in ${durationMs} ms`);
+        return {
+          route: {
+            ...route,
+            provider: provider.name,
+            providerLabel: provider.label,
+          },
+          attempts,
+        };
+      }
+
+      attempts.push({ provider: provider.name, success: false, durationMs, reason: 'no route found' });
+      console.log(`⚠️ ${provider.label}: no route found (${durationMs} ms)`);
+    } catch (error) {
+      const durationMs = Date.now() - startedAt;
+      const reason = getFailureReason(error);
+      attempts.push({ provider: provider.name, success: false, durationMs, reason });
+      console.log(`❌ ${provider.label} failed: ${reason} (${durationMs} ms)`);
+    }
+  }
+
+  return { route: null, attempts };
+};
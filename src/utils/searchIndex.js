@@ -0,0 +1,265 @@
+// src/utils/searchIndex.js - On-device inverted index for fuzzy building and room search
+//
+// Every building and room is split into words per field (name, code, room
+// number, type, floor, building, description, aliases). Each word points to
+// the documents containing it and the weight of its best field. A query word
+// matches index words exactly, as a prefix ("lib" -> "library") or within a
+// typo or two ("libary" -> "library"); every query word must match. Building
+// the index for a campus takes a few milliseconds and queries are well under
+// that, so it is rebuilt whenever the cached data changes.
+
+import { createSearchResult } from '../models/searchResult';
+import { normalizeSearchText, tokenizeSearchText, editDistance, allowedTypos } from './searchText';
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+  name: 5,
+  code: 4,
+  room_number: 4,
+  alias: 3,
+  type: 2,
+  floor: 2,
+  building: 1,
+  description: 1,
+};
+
+// How well a query word matched an index word
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const TYPO_MATCH = 0.6;
+
+// Bonus when the whole query is the name (or starts it)
+const EXACT_NAME_BONUS = 5;
+const NAME_PREFIX_BONUS = 2;
+
+// Filler words ignored in queries ("where is the CR", "nasaan ang library")
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'of', 'to', 'is', 'where', 'whats', 'what',
+  'ang', 'ng', 'sa', 'mga', 'nasaan', 'saan', 'asan', 'yung', 'po',
+]);
+
+/**
+ * English ordinal for a floor number, e.g. 2 -> "2nd"
+ * @param {number} floor - Floor number
+ * @returns {string} Ordinal
+ */
+const floorOrdinal = (floor) => {
+  const lastTwo = Math.abs(floor) % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${floor}th`;
+  return `${floor}${['th', 'st', 'nd', 'rd'][Math.abs(floor) % 10] || 'th'}`;
+};
+
+/**
+ * Whether normalized text contains a normalized phrase as whole words
+ * @param {string} text - Normalized text
+ * @param {string} phrase - Normalized phrase
+ * @returns {boolean} True if contained
+ */
+const containsPhrase = (text, phrase) => !!phrase && ` ${text} `.includes(` ${phrase} `);
+
+/**
+ * Alias terms for a document whose name, code and type read as text
+ * Aliases of aliases are followed once ("rehistrar" -> "registrar" -> "admin office").
+ * @param {string} text - Normalized name, code and type
+ * @param {Array} aliases - Normalized aliases { term, expansion }
+ * @returns {Array<string>} Alias terms
+ */
+const getAliasTerms = (text, aliases) => {
+  const found = new Set(aliases.filter(alias => containsPhrase(text, alias.expansion)).map(alias => alias.term));
+  aliases.forEach((alias) => {
+    if (found.has(alias.expansion)) found.add(alias.term);
+  });
+  return [...found];
+};
+
+/**
+ * The searchable fields of a building or room
+ * @param {string} type - "building" or "room"
+ * @param {Object} item - Building or Room
+ * @returns {Object} Field name -> text
+ */
+const getDocumentFields = (type, item) => {
+  if (type === 'building') {
+    return { name: item.name, code: item.code, description: item.description };
+  }
+
+  const hasFloor = item.floor !== null && item.floor !== undefined;
+  return {
+    name: item.name,
+    room_number: item.room_number,
+    type: item.type,
+    floor: hasFloor ? `floor ${item.floor} ${floorOrdinal(item.floor)}` : '',
+    building: item.building ? `${item.building.name} ${item.building.code || ''}` : '',
+    description: item.description,
+  };
+};
+
+/**
+ * Index the words of a field for a document
+ * @param {Map} postings - Word -> Map(document index -> weight)
+ * @param {number} docIndex - Document index
+ * @param {string} text - Field text
+ * @param {number} weight - Field weight
+ */
+const addPostings = (postings, docIndex, text, weight) => {
+  tokenizeSearchText(text).forEach((word) => {
+    let documents = postings.get(word);
+    if (!documents) {
+      documents = new Map();
+      postings.set(word, documents);
+    }
+    documents.set(docIndex, Math.max(documents.get(docIndex) || 0, weight));
+  });
+};
+
+/**
+ * Build a search index over buildings and rooms
+ * @param {Object} sources - { buildings, rooms, aliases: [{ term, expansion }] }
+ * @returns {Object} Index for querySearchIndex()
+ */
+export const buildSearchIndex = ({ buildings = [], rooms = [], aliases = [] }) => {
+  const normalizedAliases = aliases
+    .map(alias => ({ term: normalizeSearchText(alias.term), expansion: normalizeSearchText(alias.expansion) }))
+    .filter(alias => alias.term && alias.expansion);
+
+  const documents = [
+    ...buildings.map(item => ({ type: 'building', item })),
+    ...rooms.map(item => ({ type: 'room', item })),
+  ];
+  const postings = new Map();
+
+  documents.forEach((document, docIndex) => {
+    const fields = getDocumentFields(document.type, document.item);
+    Object.keys(fields).forEach((field) => {
+      addPostings(postings, docIndex, fields[field], FIELD_WEIGHTS[field]);
+    });
+
+    const aliasText = normalizeSearchText(`${fields.name || ''} ${fields.code || ''} ${fields.type || ''}`);
+    getAliasTerms(aliasText, normalizedAliases).forEach((term) => {
+      addPostings(postings, docIndex, term, FIELD_WEIGHTS.alias);
+    });
+    document.normalizedName = normalizeSearchText(document.item.name);
+  });
+
+  // Sorted for prefix lookups, bucketed by length for typo lookups
+  const vocabulary = [...postings.keys()].sort();
+  const wordsByLength = new Map();
+  vocabulary.forEach((word) => {
+    if (!wordsByLength.has(word.length)) wordsByLength.set(word.length, []);
+    wordsByLength.get(word.length).push(word);
+  });
+
+  return { documents, postings, vocabulary, wordsByLength, aliases: normalizedAliases };
+};
+
+/**
+ * First position in a sorted array not less than a value
+ * @param {Array<string>} sorted - Sorted words
+ * @param {string} value - Value
+ * @returns {number} Index
+ */
+const lowerBound = (sorted, value) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * Documents matching one query word, with their best score
+ * @param {Object} index - Search index
+ * @param {string} word - Normalized query word
+ * @returns {Object} { scores: Map(document index -> score), matchedWords }
+ */
+const lookupWord = (index, word) => {
+  const scores = new Map();
+  const matchedWords = [];
+
+  const addMatch = (indexWord, quality) => {
+    matchedWords.push(indexWord);
+    index.postings.get(indexWord).forEach((weight, docIndex) => {
+      const score = weight * quality;
+      if (score > (scores.get(docIndex) || 0)) scores.set(docIndex, score);
+    });
+  };
+
+  // Exact and prefix matches are adjacent in the sorted vocabulary
+  for (let i = lowerBound(index.vocabulary, word); i < index.vocabulary.length; i++) {
+    const indexWord = index.vocabulary[i];
+    if (!indexWord.startsWith(word)) break;
+    addMatch(indexWord, indexWord === word ? EXACT_MATCH : PREFIX_MATCH);
+  }
+
+  // Typos: only words of a similar length can be close enough
+  const typos = allowedTypos(word.length);
+  for (let length = word.length - typos; typos > 0 && length <= word.length + typos; length++) {
+    (index.wordsByLength.get(length) || []).forEach((indexWord) => {
+      if (!indexWord.startsWith(word) && editDistance(indexWord, word, typos) <= typos) {
+        addMatch(indexWord, TYPO_MATCH);
+      }
+    });
+  }
+
+  return { scores, matchedWords };
+};
+
+/**
+ * Words to highlight: matched index words, plus what matched aliases stand for
+ * @param {Object} index - Search index
+ * @param {Set<string>} matchedWords - Index words the query matched
+ * @returns {Array<string>} Terms
+ */
+const getHighlightTerms = (index, matchedWords) => {
+  const terms = new Set(matchedWords);
+  index.aliases.forEach((alias) => {
+    if (alias.term.split(' ').every(word => matchedWords.has(word))) terms.add(alias.expansion);
+  });
+  return [...terms];
+};
+
+/**
+ * Search the index
+ * @param {Object} index - Index from buildSearchIndex()
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum results
+ * @returns {Array} SearchResults (see src/models/searchResult.js), best first
+ */
+export const querySearchIndex = (index, query, limit = 30) => {
+  const normalized = normalizeSearchText(query);
+  const allWords = tokenizeSearchText(normalized);
+  const contentWords = allWords.filter(word => !STOP_WORDS.has(word));
+  const words = contentWords.length > 0 ? contentWords : allWords;
+  if (words.length === 0) return [];
+
+  // Every word must match; start from the first word's documents
+  let totals = null;
+  const matchedWords = new Set();
+  for (const word of words) {
+    const { scores, matchedWords: wordMatches } = lookupWord(index, word);
+    wordMatches.forEach(match => matchedWords.add(match));
+
+    const next = new Map();
+    scores.forEach((score, docIndex) => {
+      if (!totals) next.set(docIndex, score);
+      else if (totals.has(docIndex)) next.set(docIndex, totals.get(docIndex) + score);
+    });
+    totals = next;
+    if (totals.size === 0) return [];
+  }
+
+  const terms = getHighlightTerms(index, matchedWords);
+  return [...totals.entries()]
+    .map(([docIndex, score]) => {
+      const document = index.documents[docIndex];
+      let bonus = 0;
+      if (document.normalizedName === normalized) bonus = EXACT_NAME_BONUS;
+      else if (document.normalizedName.startsWith(normalized)) bonus = NAME_PREFIX_BONUS;
+      return createSearchResult({ type: document.type, item: document.item, score: score + bonus, terms });
+    })
+    .sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name))
+    .slice(0, limit);
+};
@@ -0,0 +1,94 @@
+// src/utils/searchText.js - Search text normalization and match highlighting
+
+/**
+ * Lower-case text and turn punctuation into single spaces
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text, e.g. "Room 101 (Lab)" -> "room 101 lab"
+ */
+export const normalizeSearchText = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Split text into normalized words
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Words
+ */
+export const tokenizeSearchText = (text) => {
+  const normalized = normalizeSearchText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * Levenshtein distance, giving up once it exceeds a limit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 if larger
+ */
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Typos allowed in a word of a given length (none for short words)
+ * @param {number} length - Word length
+ * @returns {number} Maximum edit distance
+ */
+export const allowedTypos = (length) => {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+};
+
+/**
+ * Whether a word of the text matches a search word (prefix or small typo)
+ * @param {string} word - Normalized word from the text
+ * @param {string} term - Normalized search word
+ * @returns {boolean} True on a match
+ */
+const wordMatches = (word, term) => (
+  word.startsWith(term) ||
+  (term.length >= 4 && editDistance(word.slice(0, term.length + 1), term, allowedTypos(term.length)) <= allowedTypos(term.length))
+);
+
+/**
+ * Split text into plain and matched parts for highlighting
+ * Words of the text that start with a search word, or are within a typo or
+ * two of one, are matched.
+ * @param {string} text - Text to display
+ * @param {Array<string>} terms - Search words and synonym expansions
+ * @returns {Array<Object>} Segments { text, match } in order
+ */
+export const getHighlightSegments = (text, terms) => {
+  if (!text) return [];
+  const words = (terms || []).flatMap(tokenizeSearchText);
+  if (words.length === 0) return [{ text, match: false }];
+
+  const segments = [];
+  text.split(/([A-Za-z0-9]+)/).forEach((part) => {
+    if (!part) return;
+    const match = /[A-Za-z0-9]/.test(part) && words.some(term => wordMatches(part.toLowerCase(), term));
+    const last = segments[segments.length - 1];
+    if (last && last.match === match) {
+      last.text += part;
+    } else {
+      segments.push({ text: part, match });
+    }
+  });
+  return segments;
+};
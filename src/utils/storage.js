@@ -6,12 +6,13 @@ const ROOM_FAVORITES_KEY = '@evsuemap_room_favorites';
 
 /**
  * Get all favorite buildings
- * @returns {Promise<Array>} Array of favorite building IDs
+ * @returns {Promise<Array>} Array of favorite building IDs (strings)
  */
 export const getFavorites = async () => {
   try {
     const jsonValue = await AsyncStorage.getItem(FAVORITES_KEY);
-    return jsonValue != null ? JSON.parse(jsonValue) : [];
+    // Older versions stored numeric mock IDs
+    return jsonValue != null ? JSON.parse(jsonValue).map(String) : [];
   } catch (error) {
     console.error('Error getting favorites:', error);
     return [];
@@ -87,7 +88,7 @@ export const isFavorite = async (buildingId) => {
 export const getRoomFavorites = async () => {
   try {
     const jsonValue = await AsyncStorage.getItem(ROOM_FAVORITES_KEY);
-    return jsonValue != null ? JSON.parse(jsonValue) : [];
+    return jsonValue != null ? JSON.parse(jsonValue).map(String) : [];
   } catch (error) {
     console.error('Error getting room favorites:', error);
     return [];
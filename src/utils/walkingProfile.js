@@ -0,0 +1,196 @@
+// src/utils/walkingProfile.js - Personal walking pace and time estimates
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import {
+  WALKING_SPEED_KM_PER_MIN,
+  WALKING_PACES,
+  STAIRS_EXTRA_MINUTES,
+  FLOOR_CHANGE_EXTRA_MINUTES,
+  CALIBRATION_MIN_SESSIONS,
+  CALIBRATION_MAX_SESSIONS,
+  CALIBRATION_MIN_DISTANCE_KM,
+} from '../constants/config';
+
+const WALKING_PROFILE_KEY = '@evsuemap_walking_profile';
+
+// Slower than a slow shuffle or faster than a jog means GPS noise or a ride
+const MIN_CALIBRATION_SPEED = 0.02;
+const MAX_CALIBRATION_SPEED = 0.15;
+
+const DEFAULT_PROFILE = {
+  pace: 'normal',
+  useCalibration: true,
+  sessions: [], // { pace, distanceKm, minutes, recordedAt }
+};
+
+// Kept in memory so time estimates can be made synchronously while rendering
+let profile = DEFAULT_PROFILE;
+const listeners = new Set();
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener(profile));
+};
+
+const saveWalkingProfile = async (next) => {
+  profile = next;
+  notifyListeners();
+  try {
+    await AsyncStorage.setItem(WALKING_PROFILE_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.error('Error saving walking profile:', error);
+  }
+};
+
+/**
+ * Load the saved walking profile (call once at startup)
+ * @returns {Promise<Object>} Profile { pace, useCalibration, sessions }
+ */
+export const loadWalkingProfile = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(WALKING_PROFILE_KEY);
+    if (jsonValue != null) {
+      const saved = JSON.parse(jsonValue);
+      profile = {
+        ...DEFAULT_PROFILE,
+        ...saved,
+        pace: WALKING_PACES[saved.pace] ? saved.pace : DEFAULT_PROFILE.pace,
+      };
+      notifyListeners();
+    }
+  } catch (error) {
+    console.error('Error loading walking profile:', error);
+  }
+  return profile;
+};
+
+/**
+ * Get the current walking profile
+ * @returns {Object} Profile { pace, useCalibration, sessions }
+ */
+export const getWalkingProfile = () => profile;
+
+/**
+ * Listen for walking profile changes
+ * @param {Function} listener - Called with the new profile
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeWalkingProfile = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Choose a walking pace
+ * @param {string} pace - Key of WALKING_PACES
+ * @returns {Promise<void>}
+ */
+export const setWalkingPace = async (pace) => {
+  if (!WALKING_PACES[pace]) return;
+  await saveWalkingProfile({ ...profile, pace });
+};
+
+/**
+ * Turn calibration from recorded navigation sessions on or off
+ * @param {boolean} enabled - Use the measured speed when there are enough sessions
+ * @returns {Promise<void>}
+ */
+export const setUseCalibration = async (enabled) => {
+  await saveWalkingProfile({ ...profile, useCalibration: enabled });
+};
+
+/**
+ * Forget every recorded navigation session
+ * @returns {Promise<void>}
+ */
+export const resetCalibration = async () => {
+  await saveWalkingProfile({ ...profile, sessions: [] });
+};
+
+/**
+ * Measured walking speed for the current pace
+ * @param {Object} current - Profile (default: the loaded one)
+ * @returns {number|null} Speed in km per minute, or null until enough sessions are recorded
+ */
+export const getCalibratedSpeed = (current = profile) => {
+  const sessions = current.sessions.filter(session => session.pace === current.pace);
+  if (sessions.length < CALIBRATION_MIN_SESSIONS) return null;
+
+  const distance = sessions.reduce((sum, session) => sum + session.distanceKm, 0);
+  const minutes = sessions.reduce((sum, session) => sum + session.minutes, 0);
+  return minutes > 0 ? distance / minutes : null;
+};
+
+/**
+ * Walking speed used for every estimate
+ * @returns {number} Speed in km per minute
+ */
+export const getWalkingSpeed = () => (
+  (profile.useCalibration && getCalibratedSpeed()) || WALKING_PACES[profile.pace].speedKmPerMin
+);
+
+/**
+ * Estimate walking time for the current user
+ * Stairs and floor changes take longer the slower the walker.
+ * @param {number} distanceKm - Distance in kilometers
+ * @param {Object} extras - { stairs: flights of stairs, floorChanges: floors climbed or descended }
+ * @returns {number} Estimated time in minutes
+ */
+export const estimateWalkingTime = (distanceKm, extras = {}) => {
+  const { stairs = 0, floorChanges = 0 } = extras;
+  const speed = getWalkingSpeed();
+  const extraMinutes = (stairs * STAIRS_EXTRA_MINUTES + floorChanges * FLOOR_CHANGE_EXTRA_MINUTES) *
+    (WALKING_SPEED_KM_PER_MIN / speed);
+
+  return Math.ceil(distanceKm / speed + extraMinutes);
+};
+
+/**
+ * Estimate a route's walking time for the current user
+ * @param {Object} route - Route with distance, and stairs/floorChanges when known
+ * @returns {number} Estimated time in minutes
+ */
+export const estimateRouteDuration = (route) => estimateWalkingTime(route.distance, {
+  stairs: route.stairs || 0,
+  floorChanges: route.floorChanges || 0,
+});
+
+/**
+ * Adjust a time measured for an average walker (e.g. an admin's estimate) to the current user
+ * @param {number} minutes - Time at normal pace
+ * @returns {number} Time in minutes for the current user
+ */
+export const scaleWalkingTime = (minutes) => Math.ceil(minutes * WALKING_SPEED_KM_PER_MIN / getWalkingSpeed());
+
+/**
+ * Learn from a finished navigation session
+ * Sessions that are too short or at an implausible speed are ignored.
+ * @param {Object} session - { distanceKm: distance walked, minutes: time taken, route: the route followed }
+ * @returns {Promise<boolean>} True if the session was recorded
+ */
+export const recordWalkingSession = async ({ distanceKm, minutes, route = null }) => {
+  // Time spent on stairs and in elevators is not walking speed
+  const extraMinutes = route
+    ? (route.stairs || 0) * STAIRS_EXTRA_MINUTES + (route.floorChanges || 0) * FLOOR_CHANGE_EXTRA_MINUTES
+    : 0;
+  const walkingMinutes = minutes - extraMinutes;
+  if (distanceKm < CALIBRATION_MIN_DISTANCE_KM || walkingMinutes <= 0) return false;
+
+  const speed = distanceKm / walkingMinutes;
+  if (speed < MIN_CALIBRATION_SPEED || speed > MAX_CALIBRATION_SPEED) {
+    console.log(`⚠️ Ignoring navigation session at ${(speed * 60).toFixed(1)} km/h`);
+    return false;
+  }
+
+  const session = {
+    pace: profile.pace,
+    distanceKm,
+    minutes: walkingMinutes,
+    recordedAt: new Date().toISOString(),
+  };
+  await saveWalkingProfile({
+    ...profile,
+    sessions: [...profile.sessions, session].slice(-CALIBRATION_MAX_SESSIONS),
+  });
+  console.log(`🚶 Recorded walk: ${distanceKm.toFixed(2)} km in ${walkingMinutes.toFixed(1)} min`);
+  return true;
+};
@@ -15,6 +15,7 @@
 -- ============================================================================
 
 CREATE EXTENSION IF NOT EXISTS postgis;
+CREATE EXTENSION IF NOT EXISTS pg_trgm; -- Typo-tolerant search (search_campus)
 
 -- ============================================================================
 -- STEP 2: HELPER FUNCTIONS
@@ -29,6 +30,27 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Record deleted rows so devices can drop them from their offline cache
+-- TG_ARGV[0] is the table's primary key column
+CREATE OR REPLACE FUNCTION record_deleted_row()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO deleted_rows (table_name, row_id)
+  VALUES (TG_TABLE_NAME, to_jsonb(OLD) ->> TG_ARGV[0]);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Waypoints are synced as part of their path, so editing one touches the path
+CREATE OR REPLACE FUNCTION touch_waypoint_path()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE paths SET updated_at = NOW()
+  WHERE path_id = CASE WHEN TG_OP = 'DELETE' THEN OLD.path_id ELSE NEW.path_id END;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Auto-create user profile when auth user signs up
 -- Only requires email - no username needed
 CREATE OR REPLACE FUNCTION public.handle_new_user()
@@ -53,6 +75,47 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Keep footprint (GeoJSON) and footprint_geom (PostGIS) describing the same shape
+CREATE OR REPLACE FUNCTION sync_building_footprint()
+RETURNS TRIGGER AS $$
+DECLARE
+  footprint_changed BOOLEAN;
+  geom_changed BOOLEAN;
+  shape GEOMETRY;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    footprint_changed := NEW.footprint IS NOT NULL;
+    geom_changed := NEW.footprint_geom IS NOT NULL;
+  ELSE
+    footprint_changed := NEW.footprint IS DISTINCT FROM OLD.footprint;
+    geom_changed := NEW.footprint_geom IS DISTINCT FROM OLD.footprint_geom;
+  END IF;
+
+  IF footprint_changed THEN
+    IF NEW.footprint IS NULL THEN
+      NEW.footprint_geom := NULL;
+    ELSE
+      -- A GeoJSON Feature is accepted too; its geometry is what's stored
+      IF NEW.footprint->>'type' = 'Feature' THEN
+        NEW.footprint := NEW.footprint->'geometry';
+      END IF;
+      shape := ST_SetSRID(ST_GeomFromGeoJSON(NEW.footprint::text), 4326);
+      IF GeometryType(shape) NOT IN ('POLYGON', 'MULTIPOLYGON') OR NOT ST_IsValid(shape) THEN
+        RAISE EXCEPTION 'Footprint of building % must be a valid GeoJSON Polygon or MultiPolygon', NEW.code;
+      END IF;
+      NEW.footprint_geom := ST_Multi(shape)::geography;
+    END IF;
+  ELSIF geom_changed THEN
+    NEW.footprint := CASE
+      WHEN NEW.footprint_geom IS NULL THEN NULL
+      ELSE ST_AsGeoJSON(NEW.footprint_geom::geometry, 7)::jsonb
+    END;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
 -- ============================================================================
 -- STEP 3: CORE TABLES
 -- ============================================================================
@@ -87,6 +150,8 @@ CREATE TABLE buildings (
   height_meters DECIMAL(10, 2) DEFAULT 20.0,
   rotation_degrees DECIMAL(5, 2) DEFAULT 0.0,
   geom GEOGRAPHY(POINT, 4326),
+  footprint JSONB, -- Real outline: GeoJSON Polygon or MultiPolygon; NULL uses the rectangle above
+  footprint_geom GEOGRAPHY(MULTIPOLYGON, 4326), -- Same outline for spatial queries (kept in sync by trigger)
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -95,10 +160,30 @@ CREATE TRIGGER building_geom_trigger
   BEFORE INSERT OR UPDATE ON buildings
   FOR EACH ROW EXECUTE FUNCTION update_building_geom();
 
+CREATE TRIGGER building_footprint_trigger
+  BEFORE INSERT OR UPDATE ON buildings
+  FOR EACH ROW EXECUTE FUNCTION sync_building_footprint();
+
 CREATE TRIGGER buildings_updated_at
   BEFORE UPDATE ON buildings
   FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+-- Building entrances (routes arrive at a door, not the middle of the roof)
+CREATE TABLE building_entrances (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  building_id UUID NOT NULL REFERENCES buildings(id) ON DELETE CASCADE,
+  name TEXT, -- e.g. 'Main entrance', 'Side door'
+  latitude DECIMAL(15, 12) NOT NULL,
+  longitude DECIMAL(15, 12) NOT NULL,
+  is_accessible BOOLEAN DEFAULT true, -- Step-free entrance
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER building_entrances_updated_at
+  BEFORE UPDATE ON building_entrances
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
 -- Locations/Rooms within buildings
 CREATE TABLE locations (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -109,9 +194,14 @@ CREATE TABLE locations (
   description TEXT,
   type TEXT,
   capacity INTEGER,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE TRIGGER locations_updated_at
+  BEFORE UPDATE ON locations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
 -- Routes between buildings
 CREATE TABLE routes (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -119,20 +209,27 @@ CREATE TABLE routes (
   to_building_id UUID REFERENCES buildings(id) ON DELETE SET NULL,
   path_name TEXT,
   path_type TEXT DEFAULT 'walkway',
-  path_coordinates JSONB,
+  path_coordinates JSONB, -- [{"latitude": ..., "longitude": ...}, ...] in walking order
   distance_meters DECIMAL(10, 2),
   estimated_minutes INTEGER,
   is_active BOOLEAN DEFAULT true,
+  source TEXT DEFAULT 'admin', -- 'admin' or 'computed' (candidate saved from the app)
   description TEXT,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE TRIGGER routes_updated_at
+  BEFORE UPDATE ON routes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
 -- Paths (admin-defined walkways for navigation)
 CREATE TABLE paths (
   path_id SERIAL PRIMARY KEY,
   path_name VARCHAR(255) NOT NULL,
   path_type VARCHAR(50) DEFAULT 'walkway' CHECK (path_type IN ('walkway', 'road', 'stairs', 'covered', 'outdoor', 'indoor', 'corridor', 'sidewalk', 'elevator', 'ramp', 'bridge', 'other')),
   is_active BOOLEAN DEFAULT true,
+  building_id UUID REFERENCES buildings(id) ON DELETE CASCADE, -- Set for indoor paths
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -150,9 +247,25 @@ CREATE TABLE waypoints (
   longitude DECIMAL(15, 12) NOT NULL,
   is_accessible BOOLEAN DEFAULT true,
   notes TEXT,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  floor INTEGER, -- NULL for outdoor waypoints
+  is_entrance BOOLEAN DEFAULT false, -- Indoor waypoint at a building door
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE TRIGGER waypoints_updated_at
+  BEFORE UPDATE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER waypoints_touch_path
+  AFTER INSERT OR UPDATE OR DELETE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION touch_waypoint_path();
+
+-- Room doors (indoor routing ends at the waypoint in front of the room)
+ALTER TABLE locations
+  ADD COLUMN waypoint_id INTEGER REFERENCES waypoints(waypoint_id) ON DELETE SET NULL,
+  ADD COLUMN door_side TEXT CHECK (door_side IN ('left', 'right'));
+
 -- Path Connections (connections between different paths)
 CREATE TABLE path_connections (
   connection_id SERIAL PRIMARY KEY,
@@ -175,6 +288,77 @@ CREATE TRIGGER path_connections_updated_at
   BEFORE UPDATE ON path_connections
   FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+-- Deleted rows (tombstones for the app's incremental sync)
+CREATE TABLE deleted_rows (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  row_id TEXT NOT NULL,
+  deleted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER buildings_record_delete
+  AFTER DELETE ON buildings
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
+CREATE TRIGGER locations_record_delete
+  AFTER DELETE ON locations
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
+CREATE TRIGGER paths_record_delete
+  AFTER DELETE ON paths
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('path_id');
+
+CREATE TRIGGER path_connections_record_delete
+  AFTER DELETE ON path_connections
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('connection_id');
+
+CREATE TRIGGER building_entrances_record_delete
+  AFTER DELETE ON building_entrances
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
+CREATE TRIGGER routes_record_delete
+  AFTER DELETE ON routes
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
+-- Search synonyms (words people type and what they mean, lower-case)
+CREATE TABLE search_synonyms (
+  id SERIAL PRIMARY KEY,
+  term TEXT NOT NULL, -- e.g. 'cr'
+  expansion TEXT NOT NULL, -- e.g. 'restroom'
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (term, expansion)
+);
+
+CREATE TRIGGER search_synonyms_updated_at
+  BEFORE UPDATE ON search_synonyms
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER search_synonyms_record_delete
+  AFTER DELETE ON search_synonyms
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
+-- Campus features (gates, parking, bus stops, the oval) drawn with campus icons
+CREATE TABLE campus_features (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL, -- e.g. 'Main Gate'
+  feature_type VARCHAR(30) NOT NULL DEFAULT 'landmark' CHECK (feature_type IN ('gate', 'parking', 'bus_stop', 'oval', 'landmark')),
+  latitude DECIMAL(15, 12) NOT NULL, -- Where the icon goes
+  longitude DECIMAL(15, 12) NOT NULL,
+  outline JSONB, -- Area covered (GeoJSON Polygon/MultiPolygon), optional
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER campus_features_updated_at
+  BEFORE UPDATE ON campus_features
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER campus_features_record_delete
+  AFTER DELETE ON campus_features
+  FOR EACH ROW EXECUTE FUNCTION record_deleted_row('id');
+
 -- Favorites (user saved buildings)
 CREATE TABLE favorites (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -247,11 +431,15 @@ CREATE TRIGGER user_feedback_updated_at
 
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE buildings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE building_entrances ENABLE ROW LEVEL SECURITY;
 ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE routes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE paths ENABLE ROW LEVEL SECURITY;
 ALTER TABLE waypoints ENABLE ROW LEVEL SECURITY;
 ALTER TABLE path_connections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE deleted_rows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE search_synonyms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campus_features ENABLE ROW LEVEL SECURITY;
 ALTER TABLE favorites ENABLE ROW LEVEL SECURITY;
 ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
@@ -264,22 +452,30 @@ CREATE POLICY "Service role all users" ON public.users FOR ALL USING (auth.jwt()
 
 -- Public read policies (for mobile app)
 CREATE POLICY "Public read buildings" ON buildings FOR SELECT USING (true);
+CREATE POLICY "Public read building_entrances" ON building_entrances FOR SELECT USING (true);
 CREATE POLICY "Public read locations" ON locations FOR SELECT USING (true);
 CREATE POLICY "Public read routes" ON routes FOR SELECT USING (true);
-CREATE POLICY "Public read paths" ON paths FOR SELECT USING (is_active = true);
+CREATE POLICY "Public read paths" ON paths FOR SELECT USING (true); -- The app hides inactive paths; closures must reach it
 CREATE POLICY "Public read waypoints" ON waypoints FOR SELECT USING (true);
-CREATE POLICY "Public read path_connections" ON path_connections FOR SELECT USING (is_accessible = true);
+CREATE POLICY "Public read path_connections" ON path_connections FOR SELECT USING (true); -- Stair connections too; step-free mode skips them
+CREATE POLICY "Public read deleted_rows" ON deleted_rows FOR SELECT USING (true);
+CREATE POLICY "Public read search_synonyms" ON search_synonyms FOR SELECT USING (true);
+CREATE POLICY "Public read campus_features" ON campus_features FOR SELECT USING (true);
 CREATE POLICY "Public read favorites" ON favorites FOR SELECT USING (true);
 CREATE POLICY "Public read admin_users" ON admin_users FOR SELECT USING (true);
 CREATE POLICY "Public read audit_logs" ON audit_logs FOR SELECT USING (true);
 
 -- Service role policies
 CREATE POLICY "Service role all buildings" ON buildings FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+CREATE POLICY "Service role all building_entrances" ON building_entrances FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
 CREATE POLICY "Service role all locations" ON locations FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
 CREATE POLICY "Service role all routes" ON routes FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
 CREATE POLICY "Service role all paths" ON paths FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
 CREATE POLICY "Service role all waypoints" ON waypoints FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
 CREATE POLICY "Service role all path_connections" ON path_connections FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+CREATE POLICY "Service role all deleted_rows" ON deleted_rows FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+CREATE POLICY "Service role all search_synonyms" ON search_synonyms FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+CREATE POLICY "Service role all campus_features" ON campus_features FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
 CREATE POLICY "Service role all favorites" ON favorites FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
 CREATE POLICY "Service role all admin_users" ON admin_users FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
 CREATE POLICY "Service role all audit_logs" ON audit_logs FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
@@ -290,6 +486,9 @@ CREATE POLICY "Auth insert buildings" ON buildings FOR INSERT WITH CHECK (auth.r
 CREATE POLICY "Auth update buildings" ON buildings FOR UPDATE USING (auth.role() = 'authenticated');
 CREATE POLICY "Auth delete buildings" ON buildings FOR DELETE USING (auth.role() = 'authenticated');
 
+CREATE POLICY "Auth insert building_entrances" ON building_entrances FOR INSERT WITH CHECK (auth.role() = 'authenticated');
+CREATE POLICY "Auth update building_entrances" ON building_entrances FOR UPDATE USING (auth.role() = 'authenticated');
+CREATE POLICY "Auth delete building_entrances" ON building_entrances FOR DELETE USING (auth.role() = 'authenticated');
 CREATE POLICY "Auth insert locations" ON locations FOR INSERT WITH CHECK (auth.role() = 'authenticated');
 CREATE POLICY "Auth update locations" ON locations FOR UPDATE USING (auth.role() = 'authenticated');
 CREATE POLICY "Auth delete locations" ON locations FOR DELETE USING (auth.role() = 'authenticated');
@@ -310,6 +509,14 @@ CREATE POLICY "Auth insert path_connections" ON path_connections FOR INSERT WITH
 CREATE POLICY "Auth update path_connections" ON path_connections FOR UPDATE USING (auth.role() = 'authenticated');
 CREATE POLICY "Auth delete path_connections" ON path_connections FOR DELETE USING (auth.role() = 'authenticated');
 
+CREATE POLICY "Auth insert search_synonyms" ON search_synonyms FOR INSERT WITH CHECK (auth.role() = 'authenticated');
+CREATE POLICY "Auth update search_synonyms" ON search_synonyms FOR UPDATE USING (auth.role() = 'authenticated');
+CREATE POLICY "Auth delete search_synonyms" ON search_synonyms FOR DELETE USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Auth insert campus_features" ON campus_features FOR INSERT WITH CHECK (auth.role() = 'authenticated');
+CREATE POLICY "Auth update campus_features" ON campus_features FOR UPDATE USING (auth.role() = 'authenticated');
+CREATE POLICY "Auth delete campus_features" ON campus_features FOR DELETE USING (auth.role() = 'authenticated');
+
 CREATE POLICY "Auth insert admin_users" ON admin_users FOR INSERT WITH CHECK (auth.role() = 'authenticated');
 CREATE POLICY "Auth update admin_users" ON admin_users FOR UPDATE USING (auth.role() = 'authenticated');
 CREATE POLICY "Auth delete admin_users" ON admin_users FOR DELETE USING (auth.role() = 'authenticated');
@@ -334,17 +541,23 @@ CREATE INDEX users_email_idx ON public.users(email);
 CREATE INDEX users_role_idx ON public.users(role);
 
 CREATE INDEX buildings_geom_idx ON buildings USING GIST(geom);
+CREATE INDEX buildings_footprint_geom_idx ON buildings USING GIST(footprint_geom);
 CREATE INDEX buildings_category_idx ON buildings(category);
 CREATE INDEX buildings_code_idx ON buildings(code);
 
+CREATE INDEX building_entrances_building_idx ON building_entrances(building_id);
 CREATE INDEX locations_building_id_idx ON locations(building_id);
 CREATE INDEX locations_type_idx ON locations(type);
+CREATE INDEX locations_waypoint_idx ON locations(waypoint_id);
 
 CREATE INDEX routes_path_type_idx ON routes(path_type);
 CREATE INDEX routes_is_active_idx ON routes(is_active);
+CREATE INDEX routes_buildings_idx ON routes(from_building_id, to_building_id);
+CREATE INDEX routes_to_building_idx ON routes(to_building_id);
 
 CREATE INDEX paths_active_idx ON paths(is_active);
 CREATE INDEX paths_type_idx ON paths(path_type);
+CREATE INDEX paths_building_idx ON paths(building_id);
 
 CREATE INDEX waypoints_path_idx ON waypoints(path_id);
 CREATE INDEX waypoints_path_seq_idx ON waypoints(path_id, sequence);
@@ -352,6 +565,10 @@ CREATE INDEX waypoints_path_seq_idx ON waypoints(path_id, sequence);
 CREATE INDEX path_connections_from_path_idx ON path_connections(from_path_id);
 CREATE INDEX path_connections_to_path_idx ON path_connections(to_path_id);
 
+CREATE INDEX campus_features_type_idx ON campus_features(feature_type);
+
+CREATE INDEX deleted_rows_table_idx ON deleted_rows(table_name, deleted_at);
+
 CREATE INDEX favorites_user_idx ON favorites(user_id);
 CREATE INDEX favorites_building_idx ON favorites(building_id);
 
@@ -399,6 +616,103 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Weighted document: title (A), label such as a code or room number (B), body (C)
+CREATE OR REPLACE FUNCTION campus_search_document(title TEXT, label TEXT, body TEXT)
+RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+         setweight(to_tsvector('simple', coalesce(label, '')), 'B') ||
+         setweight(to_tsvector('simple', coalesce(body, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Ranked buildings and rooms for a query, best first
+-- item is the buildings row, or the locations row with its building under
+-- "buildings" (the same shape as the app's select). matched_terms are the
+-- query words plus synonym expansions, for highlighting.
+-- Campus tables hold hundreds of rows, so every row is scored; no index needed.
+CREATE OR REPLACE FUNCTION search_campus(search_query TEXT, result_limit INTEGER DEFAULT 30)
+RETURNS TABLE (result_type TEXT, item JSONB, score REAL, matched_terms TEXT[]) AS $$
+DECLARE
+  -- Punctuation is dropped, so commas or parentheses in a query are harmless
+  normalized TEXT := trim(regexp_replace(lower(coalesce(search_query, '')), '[^[:alnum:]]+', ' ', 'g'));
+  terms TEXT[];
+  text_query tsquery;
+BEGIN
+  IF normalized = '' THEN
+    RETURN;
+  END IF;
+
+  -- Query words, the whole query, and expansions of synonyms found in it
+  SELECT array_agg(DISTINCT term) INTO terms
+  FROM (
+    SELECT unnest(string_to_array(normalized, ' ')) AS term
+    UNION SELECT normalized
+    UNION
+    SELECT lower(s.expansion)
+    FROM search_synonyms s
+    WHERE ' ' || normalized || ' ' LIKE '% ' || lower(s.term) || ' %'
+  ) expanded;
+
+  -- Any term matches, every word of it as a prefix: ('admin':* & 'office':*) | ...
+  SELECT to_tsquery('simple', string_agg('(' || words || ')', ' | '))
+  INTO text_query
+  FROM (
+    SELECT string_agg(quote_literal(word) || ':*', ' & ') AS words
+    FROM unnest(terms) WITH ORDINALITY AS t(term, n),
+      unnest(string_to_array(regexp_replace(t.term, '[^[:alnum:]]+', ' ', 'g'), ' ')) AS word
+    WHERE word <> ''
+    GROUP BY n
+  ) term_queries;
+
+  RETURN QUERY
+  WITH candidates AS (
+    SELECT
+      'building'::TEXT AS r_type,
+      to_jsonb(b) - 'geom' - 'footprint_geom' AS r_item,
+      b.name AS r_name,
+      campus_search_document(b.name, b.code, b.description) @@ text_query AS text_match,
+      ts_rank(campus_search_document(b.name, b.code, b.description), text_query) AS text_rank,
+      greatest(
+        word_similarity(normalized, lower(b.name)),
+        similarity(normalized, lower(coalesce(b.code, '')))
+      ) AS fuzzy,
+      CASE
+        WHEN lower(b.code) = normalized OR lower(b.name) = normalized THEN 1.0
+        WHEN lower(b.name) LIKE normalized || '%' THEN 0.5
+        ELSE 0
+      END AS exact_boost
+    FROM buildings b
+
+    UNION ALL
+
+    SELECT
+      'room'::TEXT,
+      to_jsonb(l) || jsonb_build_object('buildings', CASE WHEN rb.id IS NULL THEN NULL ELSE jsonb_build_object(
+        'id', rb.id, 'name', rb.name, 'code', rb.code,
+        'latitude', rb.latitude, 'longitude', rb.longitude, 'category', rb.category
+      ) END),
+      l.name,
+      campus_search_document(l.name, concat_ws(' ', l.room_number, l.type), l.description) @@ text_query,
+      ts_rank(campus_search_document(l.name, concat_ws(' ', l.room_number, l.type), l.description), text_query),
+      greatest(
+        word_similarity(normalized, lower(l.name)),
+        similarity(normalized, lower(coalesce(l.room_number, '')))
+      ),
+      CASE
+        WHEN lower(l.room_number) = normalized OR lower(l.name) = normalized THEN 1.0
+        WHEN lower(l.name) LIKE normalized || '%' THEN 0.5
+        ELSE 0
+      END
+    FROM locations l
+    LEFT JOIN buildings rb ON rb.id = l.building_id
+  )
+  SELECT c.r_type, c.r_item, (c.text_rank * 2 + c.fuzzy + c.exact_boost)::REAL, terms
+  FROM candidates c
+  WHERE c.text_match OR c.fuzzy >= 0.45
+  ORDER BY 3 DESC, c.r_name
+  LIMIT result_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
 -- Log audit event
 CREATE OR REPLACE FUNCTION log_audit_event(
   p_user_id UUID, p_user_email TEXT, p_action_type TEXT, p_entity_type TEXT,
@@ -415,11 +729,33 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- ============================================================================
--- STEP 9: DEFAULT DATA
+-- STEP 9: REALTIME
+-- ============================================================================
+
+-- Live map and routing updates (src/services/realtimeSync.js)
+ALTER PUBLICATION supabase_realtime ADD TABLE buildings, locations, paths, waypoints, path_connections;
+
+-- ============================================================================
+-- STEP 10: DEFAULT DATA
 -- ============================================================================
 
 INSERT INTO admin_users (email, name, role) VALUES ('admin@evsu.edu.ph', 'Administrator', 'admin');
 
+INSERT INTO search_synonyms (term, expansion) VALUES
+  ('cr', 'restroom'),
+  ('cr', 'comfort room'),
+  ('cr', 'toilet'),
+  ('comfort room', 'restroom'),
+  ('toilet', 'restroom'),
+  ('canteen', 'cafeteria'),
+  ('cafeteria', 'canteen'),
+  ('registrar', 'admin office'),
+  ('registrar', 'administration'),
+  ('lib', 'library'),
+  ('gym', 'gymnasium'),
+  ('lab', 'laboratory'),
+  ('clinic', 'health services');
+
 -- ============================================================================
 -- DONE!
 -- ============================================================================